@@ -18,6 +18,18 @@ const adminRouter = require('./routes/admin');
 const database = require('./util/database');
 const { connectRedis } = require('./util/redisService');
 const emailQueue = require('./util/emailQueue');
+const accountDeletionService = require('./util/accountDeletionService');
+const dataExportService = require('./util/dataExportService');
+const memoTrashService = require('./util/memoTrashService');
+const reminderService = require('./util/reminderService');
+const realtimeService = require('./util/realtimeService');
+const collabService = require('./util/collabService');
+const memoImportService = require('./util/memoImportService');
+const memoShareService = require('./util/memoShareService');
+const { DOMAIN_TYPES } = require('./models');
+const { asyncHandler, apiResponse } = require('./middleware/errorHandler');
+const { PAGINATION_HEADERS } = require('./util/pagination');
+const { CONCURRENCY_HEADERS } = require('./util/concurrencyControl');
 
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15분
@@ -25,8 +37,15 @@ const limiter = rateLimit({
   message: 'Too many requests, please try again later.'
 });
 
-// MongoDB 연결 초기화
-database.connect().catch(err => {
+// MongoDB 연결 초기화 및 백그라운드 작업 시작 (계정 삭제 예약, 만료된 내보내기 정리, 메모 알림, 협업 편집 저장, 중단된 가져오기 정리)
+database.connect().then(() => {
+  accountDeletionService.startProcessing();
+  dataExportService.startCleanup();
+  memoTrashService.startPurging();
+  reminderService.startScheduling();
+  collabService.startPersisting();
+  memoImportService.startRecovery();
+}).catch(err => {
   logger.error(`Failed to connect to database: ${err.message}`);
   process.exit(1);
 });
@@ -36,6 +55,11 @@ connectRedis().then(() => {
   // Redis 연결 성공 후 이메일 큐 시작
   emailQueue.startProcessing();
   logger.info('Email queue processing started');
+
+  // 여러 프로세스의 실시간 연결로 이벤트 전달
+  realtimeService.startFanout().catch(err => {
+    logger.error(`Failed to start realtime fan-out: ${err.message}`);
+  });
 }).catch(err => {
   logger.error(`Failed to connect to Redis: ${err.message}`);
   // Redis 연결 실패 시에도 서버는 계속 실행 (선택적 의존성)
@@ -47,7 +71,8 @@ var app = express();
 app.set('views', path.join(__dirname, 'views'));
 app.set('view engine', 'jade');
 app.use(limiter);
-app.use(cors());
+// 페이지네이션 메타데이터 헤더를 브라우저 클라이언트가 읽을 수 있도록 노출
+app.use(cors({ exposedHeaders: [...PAGINATION_HEADERS, ...CONCURRENCY_HEADERS] }));
 
 // HTTP 로깅 설정
 app.use(logger.getHttpLogger());
@@ -56,6 +81,20 @@ app.use(express.json());
 app.use(express.urlencoded({ extended: false }));
 app.use(cookieParser());
 app.use(express.static(path.join(__dirname, 'public')));
+// 첨부 파일은 공개 파일만 정적 경로로 제공 (비공개 파일은 /api/files/{id}/download로 권한 확인 후 제공)
+app.use(`/uploads/${DOMAIN_TYPES.ATTACHMENT}`, asyncHandler(async (req, res, next) => {
+  let filePath;
+  try {
+    filePath = decodeURIComponent(req.path);
+  } catch (error) {
+    return apiResponse.notFound(res, 'File');
+  }
+
+  if (await memoShareService.isPublicUpload(`/uploads/${DOMAIN_TYPES.ATTACHMENT}${filePath}`)) {
+    return next();
+  }
+  return apiResponse.notFound(res, 'File');
+}));
 app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
 
 // Swagger UI는 각 라우터에서 개별적으로 설정됨
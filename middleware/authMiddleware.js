@@ -1,7 +1,61 @@
 const jwtService = require('../util/jwtService');
-const { User } = require('../models');
+const { User, USER_ROLES } = require('../models');
 const { apiResponse } = require('./errorHandler');
 const logger = require('../util/logger');
+const RefreshTokenService = require('../util/refreshTokenService');
+const tokenRevocationService = require('../util/tokenRevocationService');
+
+/**
+ * 요청 객체에 담을 사용자 정보 구성
+ */
+const toRequestUser = (user) => ({
+  id: user._id.toString(),
+  username: user.username,
+  email: user.email,
+  isEmailVerified: user.isEmailVerified,
+  role: user.role,
+  permissions: user.getPermissions(),
+  twoFactorEnabled: user.twoFactorEnabled
+});
+
+/**
+ * 액세스 토큰으로 사용자 확인 (HTTP 요청과 WebSocket 연결 공통)
+ * @param {string|null} token - 액세스 토큰
+ * @returns {Promise<{user: Object, decoded: Object}|{error: string, statusCode: number}>}
+ */
+const verifyAccessToken = async (token) => {
+  if (!token) {
+    return { error: 'Access token is required', statusCode: 401 };
+  }
+
+  // 토큰 검증
+  const decoded = jwtService.verifyToken(token);
+  if (!decoded) {
+    return { error: 'Invalid or expired token', statusCode: 401 };
+  }
+
+  // 폐기된 토큰 확인 (로그아웃, 모든 기기 로그아웃, 확인할 수 없으면 503)
+  try {
+    if (await tokenRevocationService.isRevoked(decoded)) {
+      return { error: 'Token has been revoked', statusCode: 401 };
+    }
+  } catch (error) {
+    return { error: error.message, statusCode: error.statusCode || 503 };
+  }
+
+  // 사용자 존재 확인
+  const user = await User.findById(decoded.userId);
+  if (!user) {
+    return { error: 'User not found', statusCode: 401 };
+  }
+
+  // 이메일 인증 여부 확인
+  if (!user.isEmailVerified) {
+    return { error: 'Please verify your email before accessing this resource', statusCode: 403 };
+  }
+
+  return { user: toRequestUser(user), decoded };
+};
 
 /**
  * JWT 토큰 인증 미들웨어
@@ -12,38 +66,18 @@ const authenticateToken = async (req, res, next) => {
     const authHeader = req.headers.authorization;
     const token = jwtService.extractTokenFromHeader(authHeader);
 
-    if (!token) {
-      return apiResponse.error(res, 'Access token is required', 401);
-    }
-
-    // 토큰 검증
-    const decoded = jwtService.verifyToken(token);
-    if (!decoded) {
-      return apiResponse.error(res, 'Invalid or expired token', 401);
-    }
-
-    // 사용자 존재 확인
-    const user = await User.findById(decoded.userId);
-    if (!user) {
-      return apiResponse.error(res, 'User not found', 401);
-    }
-
-    // 이메일 인증 여부 확인
-    if (!user.isEmailVerified) {
-      return apiResponse.error(res, 'Please verify your email before accessing this resource', 403);
+    const result = await verifyAccessToken(token);
+    if (result.error) {
+      return apiResponse.error(res, result.error, result.statusCode);
     }
 
     // 요청 객체에 사용자 정보 추가
-    req.user = {
-      id: user._id.toString(),
-      username: user.username,
-      email: user.email,
-      isEmailVerified: user.isEmailVerified
-    };
+    req.user = result.user;
 
     req.token = token;
+    req.tokenPayload = result.decoded;
     
-    logger.debug(`User authenticated: ${user.username}`);
+    logger.debug(`User authenticated: ${result.user.username}`);
     next();
   } catch (error) {
     logger.error(`Authentication failed: ${error.message}`);
@@ -68,7 +102,7 @@ const optionalAuth = async (req, res, next) => {
 
     // 토큰 검증
     const decoded = jwtService.verifyToken(token);
-    if (!decoded) {
+    if (!decoded || await tokenRevocationService.isRevoked(decoded)) {
       req.user = null;
       return next();
     }
@@ -81,14 +115,10 @@ const optionalAuth = async (req, res, next) => {
     }
 
     // 요청 객체에 사용자 정보 추가
-    req.user = {
-      id: user._id.toString(),
-      username: user.username,
-      email: user.email,
-      isEmailVerified: user.isEmailVerified
-    };
+    req.user = toRequestUser(user);
 
     req.token = token;
+    req.tokenPayload = decoded;
     next();
   } catch (error) {
     // 에러가 발생해도 그냥 통과
@@ -98,21 +128,51 @@ const optionalAuth = async (req, res, next) => {
 };
 
 /**
- * 관리자 권한 확인 미들웨어 (향후 확장용)
+ * 역할 확인 미들웨어
+ * 지정된 역할 중 하나를 가진 사용자만 통과시킵니다.
  */
-const requireAdmin = (req, res, next) => {
-  if (!req.user) {
-    return apiResponse.error(res, 'Authentication required', 401);
-  }
+const requireRole = (...roles) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return apiResponse.error(res, 'Authentication required', 401);
+    }
+
+    if (!roles.includes(req.user.role)) {
+      logger.warning(`Role check failed for ${req.user.username}: ${req.user.role} not in [${roles.join(', ')}]`);
+      return apiResponse.error(res, 'Insufficient role for this resource', 403);
+    }
+
+    next();
+  };
+};
+
+/**
+ * 권한 확인 미들웨어
+ * 지정된 권한을 모두 가진 사용자만 통과시킵니다.
+ */
+const requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return apiResponse.error(res, 'Authentication required', 401);
+    }
+
+    const granted = req.user.permissions || [];
+    const missing = permissions.filter(permission => !granted.includes(permission));
 
-  // 향후 사용자 역할 시스템 구현 시 사용
-  // if (req.user.role !== 'admin') {
-  //   return apiResponse.error(res, 'Admin access required', 403);
-  // }
+    if (missing.length > 0) {
+      logger.warning(`Permission check failed for ${req.user.username}: missing ${missing.join(', ')}`);
+      return apiResponse.error(res, 'Permission denied', 403, { missingPermissions: missing });
+    }
 
-  next();
+    next();
+  };
 };
 
+/**
+ * 관리자 권한 확인 미들웨어
+ */
+const requireAdmin = requireRole(USER_ROLES.ADMIN);
+
 /**
  * 자신의 리소스만 접근 가능하도록 하는 미들웨어
  */
@@ -133,7 +193,91 @@ const requireOwnership = (userIdParam = 'userId') => {
 };
 
 /**
- * 토큰 갱신 미들웨어 (향후 구현)
+ * 리소스 소유권 확인 미들웨어
+ * 경로 파라미터의 ID로 문서를 조회한 뒤 소유자 필드를 현재 사용자와 비교합니다.
+ * 통과 시 조회한 문서를 req.resource에 담아 핸들러에서 다시 조회하지 않도록 합니다.
+ * @param {Model} Model - 조회할 Mongoose 모델
+ * @param {Object} options
+ * @param {string} options.param - 문서 ID가 담긴 경로 파라미터 (기본: 'id')
+ * @param {string} options.ownerField - 소유자 ID 필드 (기본: 'userId', 사용자 문서 자신은 '_id')
+ * @param {string} options.resourceName - 404 응답에 사용할 리소스 이름
+ * @param {string} options.bypassPermission - 소유자가 아니어도 접근을 허용할 권한
+ * @param {Function} options.filter - 조회 후 제외할 문서 판별 (false 반환 시 404)
+ */
+const requireResourceOwnership = (Model, options = {}) => {
+  const {
+    param = 'id',
+    ownerField = 'userId',
+    resourceName = Model.modelName,
+    bypassPermission = null,
+    filter = null
+  } = options;
+
+  return async (req, res, next) => {
+    if (!req.user) {
+      return apiResponse.error(res, 'Authentication required', 401);
+    }
+
+    try {
+      const resource = await Model.findById(req.params[param]);
+
+      if (!resource || (filter && !filter(resource))) {
+        return apiResponse.notFound(res, resourceName);
+      }
+
+      const ownerId = resource.get(ownerField);
+      const isOwner = ownerId !== null && ownerId !== undefined && ownerId.toString() === req.user.id;
+      const canBypass = bypassPermission && (req.user.permissions || []).includes(bypassPermission);
+
+      if (!isOwner && !canBypass) {
+        logger.warning(`Ownership check failed for ${req.user.username} on ${resourceName} ${req.params[param]}`);
+        return apiResponse.error(res, 'Access denied. You can only access your own resources.', 403);
+      }
+
+      req.resource = resource;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+/**
+ * 최근 2단계 인증 확인 미들웨어
+ * 계정 삭제 등 민감한 작업 전에 사용하며, authenticateToken 뒤에 위치해야 합니다.
+ * 2단계 인증을 사용하는 계정은 maxAgeSeconds 이내에 /api/auth/2fa/verify 또는
+ * /api/auth/2fa/step-up으로 발급받은 토큰이 필요합니다.
+ */
+const requireRecentTwoFactor = (maxAgeSeconds = parseInt(process.env.TWO_FACTOR_RECENT_SECONDS) || 10 * 60) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return apiResponse.error(res, 'Authentication required', 401);
+    }
+
+    // 2단계 인증을 사용하지 않는 계정은 통과
+    if (!req.user.twoFactorEnabled) {
+      return next();
+    }
+
+    const verifiedAt = req.tokenPayload && req.tokenPayload.twoFactorVerifiedAt;
+    const now = Math.floor(Date.now() / 1000);
+
+    if (!verifiedAt || now - verifiedAt > maxAgeSeconds) {
+      return apiResponse.error(res, 'Recent two-factor authentication is required for this action', 403, {
+        requiresTwoFactor: true,
+        stepUpEndpoint: '/api/auth/2fa/step-up'
+      });
+    }
+
+    next();
+  };
+};
+
+/**
+ * 토큰 갱신 미들웨어
+ * 리프레시 토큰을 검증하고 회전(rotation)시킵니다.
+ * 성공 시 req.refreshUser(사용자 문서), req.user(다른 미들웨어와 같은 형태)와
+ * req.refreshToken(새 리프레시 토큰)을 설정합니다.
  */
 const refreshTokenMiddleware = async (req, res, next) => {
   try {
@@ -143,21 +287,35 @@ const refreshTokenMiddleware = async (req, res, next) => {
       return apiResponse.error(res, 'Refresh token is required', 400);
     }
 
-    // 리프레시 토큰 검증 로직 구현
-    // const decoded = jwtService.verifyToken(refreshToken);
-    // ...
+    const { user, refreshToken: newRefreshToken } = await RefreshTokenService.rotate(refreshToken, {
+      ip: req.ip,
+      userAgent: req.headers['user-agent']
+    });
+
+    req.refreshUser = user;
+    req.user = toRequestUser(user);
+    req.refreshToken = newRefreshToken;
 
     next();
   } catch (error) {
     logger.error(`Token refresh failed: ${error.message}`);
+    if (error.statusCode) {
+      return apiResponse.error(res, error.message, error.statusCode);
+    }
     return apiResponse.error(res, 'Token refresh failed', 401);
   }
 };
 
 module.exports = {
+  toRequestUser,
+  verifyAccessToken,
   authenticateToken,
   optionalAuth,
+  requireRole,
+  requirePermission,
   requireAdmin,
   requireOwnership,
+  requireResourceOwnership,
+  requireRecentTwoFactor,
   refreshTokenMiddleware
 };
@@ -32,6 +32,15 @@ const apiResponse = {
     });
   },
 
+  // 버전 충돌 (412/409) 시 서버의 현재 내용을 함께 응답
+  conflict: (res, message, statusCode = 409, current = null) => {
+    return res.status(statusCode).json({
+      success: false,
+      message,
+      current
+    });
+  },
+
   notFound: (res, resource = 'Resource') => {
     return res.status(404).json({
       success: false,
@@ -70,6 +79,11 @@ const errorHandler = (err, req, res, next) => {
       return apiResponse.error(res, `${field} '${value}' already exists`, 409);
     }
 
+    // Mongoose VersionError (다른 요청이 먼저 수정한 문서를 저장)
+    if (err.name === 'VersionError') {
+      return apiResponse.error(res, 'The resource was modified by another request. Reload and try again.', 409);
+    }
+
     // Mongoose CastError (잘못된 ObjectId)
     if (err.name === 'CastError') {
       return apiResponse.error(res, 'Invalid ID format', 400);
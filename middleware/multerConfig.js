@@ -117,10 +117,82 @@ const createUploadMiddleware = (domain, fieldName = 'image') => {
   return domainUpload.single(fieldName);
 };
 
+// 메모 가져오기 파일 업로드 (처리 후 삭제되는 임시 파일이므로 uploads가 아닌 imports에 저장)
+const IMPORT_MAX_FILE_SIZE = 50 * 1024 * 1024; // 50MB 제한
+const IMPORT_EXTENSIONS = ['.zip', '.json', '.enex'];
+
+const importStorage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    const importDir = path.join(__dirname, '../imports');
+    if (!fs.existsSync(importDir)) {
+      fs.mkdirSync(importDir, { recursive: true });
+    }
+    cb(null, importDir);
+  },
+  filename: (req, file, cb) => {
+    // 파일명 형식: import_userId_timestamp.ext
+    const userId = req.user ? req.user.id : 'anonymous';
+    const ext = path.extname(file.originalname).toLowerCase();
+    cb(null, `import_${userId}_${Date.now()}${ext}`);
+  }
+});
+
+// 파일 필터링 (가져오기 형식만 허용, 브라우저마다 mimetype이 달라 확장자로 판단)
+const importFileFilter = (req, file, cb) => {
+  if (IMPORT_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase())) {
+    return cb(null, true);
+  }
+  cb(new Error('Only import files (zip, json, enex) are allowed'), false);
+};
+
+const uploadImportFile = multer({
+  storage: importStorage,
+  limits: {
+    fileSize: IMPORT_MAX_FILE_SIZE,
+    files: 1 // 단일 파일만 허용
+  },
+  fileFilter: importFileFilter
+}).single('file');
+
+// 가져오기 업로드 에러 핸들링 미들웨어
+const handleImportUploadError = (err, req, res, next) => {
+  if (err instanceof multer.MulterError) {
+    if (err.code === 'LIMIT_FILE_SIZE') {
+      return res.status(400).json({
+        success: false,
+        message: `File size too large. Maximum size is ${IMPORT_MAX_FILE_SIZE / 1024 / 1024}MB.`
+      });
+    }
+    if (err.code === 'LIMIT_FILE_COUNT') {
+      return res.status(400).json({
+        success: false,
+        message: 'Too many files. Only one file is allowed.'
+      });
+    }
+    if (err.code === 'LIMIT_UNEXPECTED_FILE') {
+      return res.status(400).json({
+        success: false,
+        message: 'Unexpected field name. Use "file" field for file upload.'
+      });
+    }
+  }
+
+  if (err.message.includes('Only import files')) {
+    return res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+
+  next(err);
+};
+
 module.exports = {
   uploadSingleImage,
   handleUploadError,
   createUploadMiddleware,
+  uploadImportFile,
+  handleImportUploadError,
   createStorage,
   DOMAIN_TYPES
 };
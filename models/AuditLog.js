@@ -0,0 +1,80 @@
+const database = require('../util/database');
+const mongoose = database.getMongoose();
+const { Schema } = mongoose;
+const logger = require('../util/logger');
+
+// 감사 로그 동작 정의
+const AUDIT_ACTIONS = {
+  ACCOUNT_LOCKED: 'account_locked',
+  ACCOUNT_UNLOCKED: 'account_unlocked',
+  IP_BLOCKED: 'ip_blocked',
+  VERIFICATION_CODE_LOCKED: 'verification_code_locked',
+  TWO_FACTOR_ENABLED: 'two_factor_enabled',
+  TWO_FACTOR_DISABLED: 'two_factor_disabled',
+  RECOVERY_CODE_USED: 'recovery_code_used',
+  ACCOUNT_DELETION_SCHEDULED: 'account_deletion_scheduled',
+  ACCOUNT_DELETION_CANCELLED: 'account_deletion_cancelled',
+  ACCOUNT_DELETED: 'account_deleted'
+};
+
+const auditLogSchema = new Schema({
+  action: {
+    type: String,
+    required: [true, 'Audit action is required'],
+    enum: Object.values(AUDIT_ACTIONS),
+    index: true
+  },
+  // 대상 사용자 (알 수 없는 계정에 대한 시도는 null)
+  userId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+    index: true
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+  // 동작별 추가 정보 (실패 횟수, 잠금 시간 등)
+  metadata: {
+    type: Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      if (ret.createdAt) ret.createdAt = ret.createdAt.toISOString();
+      if (ret.userId) ret.userId = ret.userId.toString();
+      return ret;
+    }
+  }
+});
+
+auditLogSchema.index({ createdAt: -1 });
+
+// 감사 로그 기록 (기록 실패가 요청 처리에 영향을 주지 않도록 예외를 삼킴)
+auditLogSchema.statics.record = async function(action, data = {}) {
+  try {
+    const entry = await this.create({ action, ...data });
+    logger.info(`Audit: ${action}${data.userId ? ` (user ${data.userId})` : ''}`, '📋', 'AUDIT');
+    return entry;
+  } catch (error) {
+    logger.error(`Failed to record audit log (${action}): ${error.message}`);
+    return null;
+  }
+};
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+module.exports = {
+  AuditLog,
+  AUDIT_ACTIONS
+};
@@ -39,9 +39,12 @@ const designTemplateSchema = new Schema({
   }
 }, {
   timestamps: true,
+  // 저장할 때마다 버전을 올리고, 읽은 뒤 다른 요청이 먼저 수정했으면 VersionError
+  optimisticConcurrency: true,
   toJSON: {
     transform: function(doc, ret) {
       ret.id = ret._id;
+      ret.version = ret.__v || 0;
       delete ret._id;
       delete ret.__v;
       return ret;
@@ -7,7 +7,8 @@ const DOMAIN_TYPES = {
   MEMO: 'memo',
   PROFILE_IMAGE: 'profile-image',
   TEMPLATE_IMAGE: 'template-image',
-  ATTACHMENT: 'attachment'
+  ATTACHMENT: 'attachment',
+  DATA_EXPORT: 'data-export' // 개인 데이터 내보내기 압축 파일 (업로드 불가)
 };
 
 // 파일 상태 정의
@@ -223,15 +224,8 @@ fileSchema.statics.findByDomain = function(domain, referenceId) {
   return this.find({ domain, referenceId, status: FILE_STATUS.ACTIVE });
 };
 
-fileSchema.statics.findByUploader = function(uploaderId, options = {}) {
-  const { page = 1, limit = 20, domain } = options;
-  const query = { uploadedBy: uploaderId, status: FILE_STATUS.ACTIVE };
-  if (domain) query.domain = domain;
-  
-  return this.find(query)
-    .sort({ createdAt: -1 })
-    .skip((page - 1) * limit)
-    .limit(limit);
+fileSchema.statics.uploaderFilter = function(uploaderId) {
+  return { uploadedBy: uploaderId, status: FILE_STATUS.ACTIVE };
 };
 
 // 인스턴스 메소드
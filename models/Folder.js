@@ -0,0 +1,60 @@
+const database = require('../util/database');
+const mongoose = database.getMongoose();
+const { Schema } = mongoose;
+
+// 폴더 제한
+const FOLDER_LIMITS = {
+  MAX_DEPTH: 10,        // 최상위 폴더를 1로 센 최대 깊이
+  MAX_NAME_LENGTH: 100
+};
+
+const folderSchema = new Schema({
+  userId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Folder name is required'],
+    trim: true,
+    maxlength: [FOLDER_LIMITS.MAX_NAME_LENGTH, `Folder name cannot exceed ${FOLDER_LIMITS.MAX_NAME_LENGTH} characters`]
+  },
+  // 상위 폴더 (null이면 최상위)
+  parentId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Folder',
+    default: null
+  },
+  // 최상위부터 상위 폴더까지의 ID 경로 (하위 폴더 조회용)
+  ancestors: [{
+    type: Schema.Types.ObjectId,
+    ref: 'Folder'
+  }]
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      if (ret.createdAt) ret.createdAt = ret.createdAt.toISOString();
+      if (ret.updatedAt) ret.updatedAt = ret.updatedAt.toISOString();
+      if (ret.userId) ret.userId = ret.userId.toString();
+      ret.parentId = ret.parentId ? ret.parentId.toString() : null;
+      ret.ancestors = (ret.ancestors || []).map(id => id.toString());
+      return ret;
+    }
+  }
+});
+
+// 인덱스 설정
+folderSchema.index({ userId: 1, parentId: 1, name: 1 }, { unique: true }); // 같은 위치의 이름 중복 방지
+folderSchema.index({ userId: 1, ancestors: 1 }); // 하위 폴더 조회 최적화
+
+const Folder = mongoose.model('Folder', folderSchema);
+
+module.exports = {
+  Folder,
+  FOLDER_LIMITS
+};
@@ -0,0 +1,166 @@
+const database = require('../util/database');
+const mongoose = database.getMongoose();
+const { Schema } = mongoose;
+
+// 가져오기 원본 형식
+const IMPORT_SOURCES = {
+  ZIP: 'zip',     // .md/.txt 파일 묶음 또는 데이터 내보내기 압축 파일
+  JSON: 'json',   // 데이터 내보내기의 memos.json
+  ENEX: 'enex'    // Evernote 내보내기
+};
+
+// 가져오기 작업 상태
+const IMPORT_STATUS = {
+  QUEUED: 'queued',
+  PROCESSING: 'processing',
+  COMPLETED: 'completed',   // 일부 항목이 실패해도 완료 (items에서 확인)
+  FAILED: 'failed'          // 파일을 읽지 못하는 등 작업 전체 실패
+};
+
+// 항목별 결과
+const IMPORT_ITEM_STATUS = {
+  IMPORTED: 'imported',
+  FAILED: 'failed'
+};
+
+const importItemSchema = new Schema({
+  // 원본에서의 순서 (0부터)
+  index: {
+    type: Number,
+    required: true
+  },
+  // 원본 파일 경로 또는 노트 제목
+  name: {
+    type: String,
+    default: ''
+  },
+  status: {
+    type: String,
+    enum: Object.values(IMPORT_ITEM_STATUS),
+    required: true
+  },
+  memoId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Memo',
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  // 메모는 만들었지만 일부를 가져오지 못한 경우 (예: 지원하지 않는 이미지)
+  warnings: [{
+    type: String
+  }]
+}, { _id: false });
+
+const importJobSchema = new Schema({
+  userId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  source: {
+    type: String,
+    enum: Object.values(IMPORT_SOURCES),
+    required: [true, 'Import source is required']
+  },
+  originalName: {
+    type: String,
+    required: [true, 'Original filename is required'],
+    maxlength: [255, 'Original filename cannot exceed 255 characters']
+  },
+  // 업로드 파일 임시 저장 경로 (처리 후 삭제)
+  uploadPath: {
+    type: String,
+    default: null
+  },
+  // 가져온 메모에 적용할 설정 (JSON 내보내기의 템플릿이 없을 때 templateId 사용)
+  options: {
+    templateId: {
+      type: Schema.Types.ObjectId,
+      ref: 'DesignTemplate',
+      required: true
+    },
+    folderId: {
+      type: Schema.Types.ObjectId,
+      ref: 'Folder',
+      default: null
+    }
+  },
+  status: {
+    type: String,
+    enum: Object.values(IMPORT_STATUS),
+    default: IMPORT_STATUS.QUEUED,
+    index: true
+  },
+  // 대기/진행 중이면 true (status에서 계산, 사용자당 진행 중인 작업 하나를 unique 인덱스로 보장)
+  active: {
+    type: Boolean,
+    default: true
+  },
+  progress: {
+    total: { type: Number, default: 0 },
+    processed: { type: Number, default: 0 },
+    imported: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 }
+  },
+  items: [importItemSchema],
+  // 작업 전체 실패 사유
+  error: {
+    type: String,
+    default: null
+  },
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  // 보관 기간이 지나면 MongoDB TTL 인덱스로 자동 삭제
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiration date is required'],
+    index: { expireAfterSeconds: 0 }
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      delete ret.uploadPath;
+      delete ret.active;
+      if (ret.userId) ret.userId = ret.userId.toString();
+      if (ret.options) {
+        ret.options.templateId = ret.options.templateId ? ret.options.templateId.toString() : null;
+        ret.options.folderId = ret.options.folderId ? ret.options.folderId.toString() : null;
+      }
+      (ret.items || []).forEach(item => {
+        item.memoId = item.memoId ? item.memoId.toString() : null;
+      });
+      return ret;
+    }
+  }
+});
+
+importJobSchema.index({ userId: 1, createdAt: -1 });
+// 동시에 요청해도 진행 중인 작업은 사용자당 하나만 생성됨 (중복이면 E11000)
+importJobSchema.index({ userId: 1 }, { unique: true, partialFilterExpression: { active: true } });
+
+importJobSchema.pre('save', function(next) {
+  this.active = [IMPORT_STATUS.QUEUED, IMPORT_STATUS.PROCESSING].includes(this.status);
+  next();
+});
+
+const ImportJob = mongoose.model('ImportJob', importJobSchema);
+
+module.exports = {
+  ImportJob,
+  IMPORT_SOURCES,
+  IMPORT_STATUS,
+  IMPORT_ITEM_STATUS
+};
@@ -1,6 +1,75 @@
 const database = require('../util/database');
 const mongoose = database.getMongoose();
 const { Schema } = mongoose;
+const memoSearchService = require('../util/memoSearchService');
+
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 30;
+
+// 수정 충돌 확인 대상 (PUT /api/memos/:id로 편집하는 필드)
+const VERSIONED_FIELDS = ['title', 'content', 'format', 'tags', 'templateId', 'dueDate'];
+
+// 본문 형식 (기존 메모는 plain)
+const CONTENT_FORMATS = {
+  PLAIN: 'plain',
+  MARKDOWN: 'markdown'
+};
+
+// 알림 반복 방식 (반복 알림은 모두 cron 식으로 저장)
+const REMINDER_REPEATS = {
+  NONE: 'none',
+  DAILY: 'daily',
+  WEEKLY: 'weekly',
+  MONTHLY: 'monthly',
+  CRON: 'cron'
+};
+
+// 공유 권한 정의
+const SHARE_ROLES = {
+  VIEWER: 'viewer',
+  EDITOR: 'editor'
+};
+
+// 메모 접근 수준 (작성자 > 편집자 > 열람자)
+const MEMO_ACCESS = {
+  OWNER: 'owner',
+  EDITOR: SHARE_ROLES.EDITOR,
+  VIEWER: SHARE_ROLES.VIEWER
+};
+
+const ACCESS_RANK = {
+  [MEMO_ACCESS.VIEWER]: 1,
+  [MEMO_ACCESS.EDITOR]: 2,
+  [MEMO_ACCESS.OWNER]: 3
+};
+
+// 메모 알림 (작성자에게 이메일 발송, reminderService가 처리)
+const reminderSchema = new Schema({
+  // 다음 알림 시각 (UTC, 단일 알림 발송 후 null)
+  remindAt: {
+    type: Date,
+    default: null
+  },
+  repeat: {
+    type: String,
+    enum: Object.values(REMINDER_REPEATS),
+    default: REMINDER_REPEATS.NONE
+  },
+  // 반복 알림의 5필드 cron 식 (timezone 기준)
+  cron: {
+    type: String,
+    default: null
+  },
+  // IANA 시간대 (예: Asia/Seoul)
+  timezone: {
+    type: String,
+    required: true
+  },
+  lastSentAt: {
+    type: Date,
+    default: null
+  }
+}, { _id: false });
 
 const memoSchema = new Schema({
   title: {
@@ -15,6 +84,14 @@ const memoSchema = new Schema({
     trim: true,
     maxlength: [10000, 'Content cannot exceed 10000 characters']
   },
+  format: {
+    type: String,
+    enum: {
+      values: Object.values(CONTENT_FORMATS),
+      message: `Format must be one of: ${Object.values(CONTENT_FORMATS).join(', ')}`
+    },
+    default: CONTENT_FORMATS.PLAIN
+  },
   templateId: {
     type: Schema.Types.Mixed, // ObjectId 또는 String 모두 허용
     ref: 'DesignTemplate',
@@ -35,17 +112,147 @@ const memoSchema = new Schema({
   attachedFiles: [{
     type: Schema.Types.ObjectId,
     ref: 'File'
-  }]
+  }],
+  // 태그 (소문자로 저장)
+  tags: {
+    type: [{
+      type: String,
+      trim: true,
+      lowercase: true,
+      maxlength: [MAX_TAG_LENGTH, `Tag cannot exceed ${MAX_TAG_LENGTH} characters`]
+    }],
+    default: [],
+    validate: {
+      validator: (tags) => tags.length <= MAX_TAGS,
+      message: `A memo cannot have more than ${MAX_TAGS} tags`
+    }
+  },
+  // 마감일
+  dueDate: {
+    type: Date,
+    default: null
+  },
+  reminder: {
+    type: reminderSchema,
+    default: null
+  },
+  // 소속 폴더 (null이면 폴더 없음)
+  folderId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Folder',
+    default: null
+  },
+  // 상단 고정
+  isPinned: {
+    type: Boolean,
+    default: false
+  },
+  pinnedAt: {
+    type: Date,
+    default: null
+  },
+  // 보관 (기본 목록에서 제외)
+  isArchived: {
+    type: Boolean,
+    default: false
+  },
+  archivedAt: {
+    type: Date,
+    default: null
+  },
+  // 사용자별 공유 권한
+  shares: [{
+    _id: false,
+    userId: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: Object.values(SHARE_ROLES),
+      required: true
+    },
+    grantedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    grantedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // 공개 읽기 전용 링크 (토큰과 비밀번호는 해시로만 저장)
+  publicLinks: [{
+    tokenHash: {
+      type: String,
+      required: true
+    },
+    passwordHash: {
+      type: String,
+      default: null
+    },
+    expiresAt: {
+      type: Date,
+      default: null
+    },
+    createdBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    },
+    revokedAt: {
+      type: Date,
+      default: null
+    },
+    lastAccessedAt: {
+      type: Date,
+      default: null
+    }
+  }],
+  // 휴지통으로 이동한 시각 (null이면 활성 메모)
+  deletedAt: {
+    type: Date,
+    default: null,
+    index: true
+  },
+  deletedBy: {
+    type: Schema.Types.Mixed, // ObjectId 또는 String 모두 허용
+    ref: 'User',
+    default: null
+  },
+  // 한글 검색용 bigram 토큰 (제목/본문 저장 시 자동 생성)
+  searchTokens: {
+    type: String,
+    default: '',
+    select: false
+  }
 }, {
   timestamps: true,
+  // 편집 내용이 바뀔 때만 버전을 올리고 확인 (공유/고정/알림 변경은 편집과 충돌하지 않음)
+  optimisticConcurrency: VERSIONED_FIELDS,
   toJSON: {
     transform: function(doc, ret) {
       ret.id = ret._id;
+      ret.version = ret.__v || 0;
       delete ret._id;
       delete ret.__v;
+      delete ret.searchTokens;
+      delete ret.publicLinks;
       // createdAt과 updatedAt을 문자열로 변환
       if (ret.createdAt) ret.createdAt = ret.createdAt.toISOString();
       if (ret.updatedAt) ret.updatedAt = ret.updatedAt.toISOString();
+      if (ret.deletedAt) ret.deletedAt = ret.deletedAt.toISOString();
+      if (ret.deletedBy) ret.deletedBy = ret.deletedBy.toString();
+      if (ret.pinnedAt) ret.pinnedAt = ret.pinnedAt.toISOString();
+      if (ret.dueDate) ret.dueDate = ret.dueDate.toISOString();
+      if (ret.archivedAt) ret.archivedAt = ret.archivedAt.toISOString();
+      if (ret.folderId) ret.folderId = ret.folderId.toString();
       // ObjectId를 문자열로 변환
       if (ret.templateId) ret.templateId = ret.templateId.toString();
       if (ret.userId) ret.userId = ret.userId.toString();
@@ -57,6 +264,8 @@ const memoSchema = new Schema({
       ret.id = ret._id;
       delete ret._id;
       delete ret.__v;
+      delete ret.searchTokens;
+      delete ret.publicLinks;
       if (ret.templateId) ret.templateId = ret.templateId.toString();
       if (ret.userId) ret.userId = ret.userId.toString();
       return ret;
@@ -67,7 +276,121 @@ const memoSchema = new Schema({
 // 인덱스 설정
 memoSchema.index({ userId: 1, createdAt: -1 }); // 사용자별 메모 조회 최적화
 memoSchema.index({ templateId: 1 }); // 템플릿별 메모 조회 최적화
+memoSchema.index({ userId: 1, tags: 1 }); // 태그 필터 최적화
+memoSchema.index({ userId: 1, folderId: 1 }); // 폴더별 조회/집계 최적화
+memoSchema.index({ 'reminder.remindAt': 1 }, { sparse: true }); // 발송할 알림 조회
+memoSchema.index({ userId: 1, dueDate: 1 }, { sparse: true }); // 마감일 조회
+memoSchema.index({ 'shares.userId': 1 }); // 공유 받은 메모 조회 최적화
+memoSchema.index({ 'publicLinks.tokenHash': 1 }, { sparse: true }); // 공개 링크 조회
+memoSchema.index(
+  { title: 'text', content: 'text', searchTokens: 'text' },
+  {
+    name: 'memo_text_search',
+    default_language: 'none', // 영어 형태소 분석(stemming)이 한국어 검색을 방해하지 않도록 비활성화
+    weights: { title: 10, content: 3, searchTokens: 1 }
+  }
+); // 전문 검색
+
+// 제목/본문이 바뀌면 검색 토큰 갱신
+memoSchema.pre('save', function(next) {
+  if (this.isNew || this.isModified('title') || this.isModified('content')) {
+    this.searchTokens = memoSearchService.buildSearchTokens(this.title, this.content);
+  }
+  next();
+});
+
+/**
+ * 요청 본문의 태그 정규화 (배열 또는 쉼표 구분 문자열)
+ * 개수/길이 제한을 넘으면 스키마 검증과 같은 ValidationError를 던집니다.
+ * @param {Array<string>|string} input - 태그 입력
+ * @param {Object} options - { checkLimits: false이면 제한 확인 생략 (제거할 태그 등) }
+ * @returns {Array<string>} - 공백 제거, 소문자, 중복 제거된 태그
+ */
+memoSchema.statics.normalizeTags = function(input, { checkLimits = true } = {}) {
+  const list = Array.isArray(input) ? input : String(input || '').split(',');
+  const tags = [...new Set(list
+    .filter(tag => typeof tag === 'string')
+    .map(tag => tag.trim().toLowerCase())
+    .filter(Boolean))];
+
+  const message = checkLimits ? this.checkTagLimits(tags) : null;
+  if (message) {
+    const error = new mongoose.Error.ValidationError();
+    error.addError('tags', new mongoose.Error.ValidatorError({ path: 'tags', message, value: tags }));
+    throw error;
+  }
+  return tags;
+};
+
+/**
+ * 태그 개수/길이 제한 확인 (bulkWrite 등 스키마 검증을 거치지 않는 저장 전에 사용)
+ * @param {Array<string>} tags - 정규화된 태그
+ * @returns {string|null} - 제한을 넘으면 오류 메시지
+ */
+memoSchema.statics.checkTagLimits = function(tags) {
+  if (tags.length > MAX_TAGS) {
+    return `A memo cannot have more than ${MAX_TAGS} tags`;
+  }
+  if (tags.some(tag => tag.length > MAX_TAG_LENGTH)) {
+    return `Tag cannot exceed ${MAX_TAG_LENGTH} characters`;
+  }
+  return null;
+};
+
+/**
+ * 사용자의 메모 접근 수준
+ * @param {string} userId - 사용자 ID
+ * @returns {string|null} - MEMO_ACCESS 값 또는 null (접근 불가)
+ */
+memoSchema.methods.getAccessRole = function(userId) {
+  if (!userId) {
+    return null;
+  }
+  if (this.userId && this.userId.toString() === userId.toString()) {
+    return MEMO_ACCESS.OWNER;
+  }
+
+  const share = this.shares.find(grant => grant.userId.toString() === userId.toString());
+  return share ? share.role : null;
+};
+
+// 접근 수준이 요구 수준 이상인지 확인
+memoSchema.statics.satisfiesAccess = function(role, requiredRole) {
+  return Boolean(role) && ACCESS_RANK[role] >= ACCESS_RANK[requiredRole];
+};
+
+// 상단 고정 설정/해제
+memoSchema.methods.setPinned = function(pinned) {
+  this.isPinned = pinned;
+  this.pinnedAt = pinned ? new Date() : null;
+};
+
+// 보관 설정/해제
+memoSchema.methods.setArchived = function(archived) {
+  this.isArchived = archived;
+  this.archivedAt = archived ? new Date() : null;
+};
+
+// 휴지통으로 이동 (영구 삭제는 memoTrashService에서 처리)
+memoSchema.methods.softDelete = function(userId) {
+  this.deletedAt = new Date();
+  this.deletedBy = userId;
+  return this.save();
+};
+
+// 휴지통에서 복원
+memoSchema.methods.restore = function() {
+  this.deletedAt = null;
+  this.deletedBy = null;
+  return this.save();
+};
 
 const Memo = mongoose.model('Memo', memoSchema);
 
-module.exports = Memo;
+module.exports = {
+  Memo,
+  CONTENT_FORMATS,
+  REMINDER_REPEATS,
+  SHARE_ROLES,
+  MEMO_ACCESS
+};
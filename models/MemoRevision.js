@@ -0,0 +1,96 @@
+const database = require('../util/database');
+const mongoose = database.getMongoose();
+const { Schema } = mongoose;
+const { CONTENT_FORMATS } = require('./Memo');
+
+// 리비전 생성 사유
+const REVISION_ACTIONS = {
+  CREATE: 'create',
+  UPDATE: 'update',
+  RESTORE: 'restore'
+};
+
+// 리비전에 스냅샷으로 저장하는 메모 필드
+const REVISION_FIELDS = ['title', 'content', 'format', 'templateId', 'tags'];
+
+const memoRevisionSchema = new Schema({
+  memoId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Memo',
+    required: [true, 'Memo ID is required']
+  },
+  // 메모별 1부터 증가하는 리비전 번호
+  revision: {
+    type: Number,
+    required: [true, 'Revision number is required'],
+    min: 1
+  },
+  action: {
+    type: String,
+    enum: Object.values(REVISION_ACTIONS),
+    required: [true, 'Revision action is required']
+  },
+  // 복원으로 생성된 경우 원본 리비전 번호
+  restoredFrom: {
+    type: Number,
+    default: null
+  },
+  // 직전 리비전 대비 변경된 필드
+  changedFields: [{
+    type: String,
+    enum: REVISION_FIELDS
+  }],
+  editedBy: {
+    type: Schema.Types.Mixed, // ObjectId 또는 String 모두 허용
+    ref: 'User',
+    required: [true, 'Editor ID is required']
+  },
+  // 저장 시점의 메모 스냅샷
+  title: {
+    type: String,
+    required: true
+  },
+  content: {
+    type: String,
+    required: true
+  },
+  // 형식 도입 이전 리비전은 plain
+  format: {
+    type: String,
+    enum: Object.values(CONTENT_FORMATS),
+    default: CONTENT_FORMATS.PLAIN
+  },
+  templateId: {
+    type: Schema.Types.Mixed,
+    ref: 'DesignTemplate',
+    required: true
+  },
+  tags: {
+    type: [String],
+    default: []
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      if (ret.createdAt) ret.createdAt = ret.createdAt.toISOString();
+      if (ret.memoId) ret.memoId = ret.memoId.toString();
+      if (ret.templateId) ret.templateId = ret.templateId.toString();
+      if (ret.editedBy && !ret.editedBy.username) ret.editedBy = ret.editedBy.toString();
+      return ret;
+    }
+  }
+});
+
+memoRevisionSchema.index({ memoId: 1, revision: -1 }, { unique: true });
+
+const MemoRevision = mongoose.model('MemoRevision', memoRevisionSchema);
+
+module.exports = {
+  MemoRevision,
+  REVISION_ACTIONS,
+  REVISION_FIELDS
+};
@@ -0,0 +1,98 @@
+const database = require('../util/database');
+const mongoose = database.getMongoose();
+const { Schema } = mongoose;
+
+// 리프레시 토큰 폐기 사유
+const REVOKE_REASONS = {
+  LOGOUT: 'logout',
+  REUSE_DETECTED: 'reuse_detected',
+  PASSWORD_CHANGED: 'password_changed',
+  ADMIN: 'admin'
+};
+
+const refreshTokenSchema = new Schema({
+  // JWT의 jti (토큰 고유 ID)
+  jti: {
+    type: String,
+    required: [true, 'Token ID is required'],
+    unique: true
+  },
+  userId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    index: true
+  },
+  // 하나의 로그인에서 회전되며 이어지는 토큰들의 묶음
+  familyId: {
+    type: String,
+    required: [true, 'Family ID is required'],
+    index: true
+  },
+  // 회전되어 사용 완료된 시점 (재사용 감지용)
+  usedAt: {
+    type: Date,
+    default: null
+  },
+  // 이 토큰을 대체한 새 토큰의 jti
+  replacedBy: {
+    type: String,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: Object.values(REVOKE_REASONS),
+    default: null
+  },
+  createdByIp: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+  // 만료 시 MongoDB TTL 인덱스로 자동 삭제
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiration date is required'],
+    index: { expireAfterSeconds: 0 }
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// 패밀리 전체 폐기
+refreshTokenSchema.statics.revokeFamily = function(familyId, reason) {
+  return this.updateMany(
+    { familyId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+// 사용자의 모든 리프레시 토큰 폐기
+refreshTokenSchema.statics.revokeAllForUser = function(userId, reason) {
+  return this.updateMany(
+    { userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+const RefreshToken = mongoose.model('RefreshToken', refreshTokenSchema);
+
+module.exports = {
+  RefreshToken,
+  REVOKE_REASONS
+};
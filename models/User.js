@@ -1,7 +1,64 @@
 const database = require('../util/database');
 const mongoose = database.getMongoose();
 const { Schema } = mongoose;
+const crypto = require('crypto');
 const jwtService = require('../util/jwtService');
+const totpService = require('../util/totpService');
+
+// 사용자 역할 정의
+const USER_ROLES = {
+  USER: 'user',
+  MODERATOR: 'moderator',
+  ADMIN: 'admin'
+};
+
+// 권한 정의 (리소스:동작)
+const PERMISSIONS = {
+  MEMO_READ: 'memo:read',
+  MEMO_WRITE: 'memo:write',
+  MEMO_MODERATE: 'memo:moderate',
+  TEMPLATE_READ: 'template:read',
+  TEMPLATE_MANAGE: 'template:manage',
+  PROFILE_UPDATE: 'profile:update',
+  USER_MANAGE: 'user:manage',
+  EMAIL_MANAGE: 'email:manage',
+  ADMIN_ACCESS: 'admin:access'
+};
+
+// 시간대를 설정하지 않은 사용자의 기본값
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'UTC';
+
+// IANA 시간대 이름 확인 (예: Asia/Seoul)
+const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || !timeZone) {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// 역할별 기본 권한
+const ROLE_PERMISSIONS = {
+  [USER_ROLES.USER]: [
+    PERMISSIONS.MEMO_READ,
+    PERMISSIONS.MEMO_WRITE,
+    PERMISSIONS.TEMPLATE_READ,
+    PERMISSIONS.PROFILE_UPDATE
+  ],
+  [USER_ROLES.MODERATOR]: [
+    PERMISSIONS.MEMO_READ,
+    PERMISSIONS.MEMO_WRITE,
+    PERMISSIONS.MEMO_MODERATE,
+    PERMISSIONS.TEMPLATE_READ,
+    PERMISSIONS.TEMPLATE_MANAGE,
+    PERMISSIONS.PROFILE_UPDATE
+  ],
+  [USER_ROLES.ADMIN]: Object.values(PERMISSIONS)
+};
 
 const userSchema = new Schema({
   username: {
@@ -36,7 +93,90 @@ const userSchema = new Schema({
   emailVerificationExpires: {
     type: Date,
     default: null
-  }
+  },
+  // 비밀번호 재설정 토큰 (SHA-256 해시로 저장, 1회용)
+  passwordResetToken: {
+    type: String,
+    default: null
+  },
+  passwordResetExpires: {
+    type: Date,
+    default: null
+  },
+  // 이메일 변경 대기 정보 (새 주소로 보낸 인증 코드 확인 후 email에 반영)
+  pendingEmail: {
+    type: String,
+    default: null,
+    trim: true,
+    lowercase: true,
+    match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
+  },
+  emailChangeToken: {
+    type: String,
+    default: null
+  },
+  emailChangeExpires: {
+    type: Date,
+    default: null
+  },
+  // TOTP 2단계 인증
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorSecret: {
+    type: String,
+    default: null
+  },
+  // 등록 확인 전의 비밀키 (첫 코드 확인 시 twoFactorSecret으로 이동)
+  twoFactorPendingSecret: {
+    type: String,
+    default: null
+  },
+  // 복구 코드 (SHA-256 해시로 저장, 사용 시 제거)
+  twoFactorRecoveryCodes: [{
+    type: String
+  }],
+  // 마지막으로 사용된 TOTP 시간 구간 (같은 코드 재사용 방지)
+  twoFactorLastUsedStep: {
+    type: Number,
+    default: null
+  },
+  twoFactorEnabledAt: {
+    type: Date,
+    default: null
+  },
+  // 계정 삭제 예약 (유예 기간 동안 취소 가능, 이후 accountDeletionService가 정리)
+  deletionRequestedAt: {
+    type: Date,
+    default: null
+  },
+  deletionScheduledFor: {
+    type: Date,
+    default: null,
+    index: true
+  },
+  // 알림 시각 계산에 쓰는 시간대
+  timezone: {
+    type: String,
+    default: DEFAULT_TIMEZONE,
+    validate: {
+      validator: isValidTimeZone,
+      message: 'Please enter a valid IANA time zone (e.g. Asia/Seoul)'
+    }
+  },
+  // 사용자 역할
+  role: {
+    type: String,
+    enum: Object.values(USER_ROLES),
+    default: USER_ROLES.USER,
+    index: true
+  },
+  // 역할 외에 개별적으로 부여된 추가 권한
+  permissions: [{
+    type: String,
+    enum: Object.values(PERMISSIONS)
+  }]
 }, {
   timestamps: true,
   toJSON: {
@@ -46,6 +186,13 @@ const userSchema = new Schema({
       delete ret.__v;
       delete ret.password; // 비밀번호는 응답에서 제외
       delete ret.emailVerificationToken; // 인증 토큰도 응답에서 제외
+      delete ret.passwordResetToken;
+      delete ret.passwordResetExpires;
+      delete ret.emailChangeToken;
+      delete ret.twoFactorSecret;
+      delete ret.twoFactorPendingSecret;
+      delete ret.twoFactorRecoveryCodes;
+      delete ret.twoFactorLastUsedStep;
       return ret;
     }
   },
@@ -59,6 +206,8 @@ const userSchema = new Schema({
   }
 });
 
+const hashResetToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
 // 비밀번호 해시화 미들웨어
 userSchema.pre('save', async function(next) {
   // 비밀번호가 수정되지 않았으면 스킵
@@ -78,17 +227,118 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await jwtService.comparePassword(candidatePassword, this.password);
 };
 
+// 비밀번호 재설정 토큰 생성 (평문 토큰은 이메일로만 전달, DB에는 해시 저장)
+userSchema.methods.createPasswordResetToken = function(expiresInMs = 60 * 60 * 1000) {
+  const resetToken = crypto.randomBytes(32).toString('hex');
+  this.passwordResetToken = hashResetToken(resetToken);
+  this.passwordResetExpires = new Date(Date.now() + expiresInMs);
+  return resetToken;
+};
+
+// 평문 재설정 토큰으로 사용자 조회 (만료되지 않은 토큰만)
+userSchema.statics.findByPasswordResetToken = function(email, resetToken) {
+  return this.findOne({
+    email: String(email).toLowerCase().trim(),
+    passwordResetToken: hashResetToken(String(resetToken)),
+    passwordResetExpires: { $gt: new Date() }
+  });
+};
+
+// 2단계 인증 코드 확인 (TOTP 코드 또는 복구 코드)
+// 일치하면 사용 기록을 반영하며, 호출한 쪽에서 save()해야 합니다.
+// @returns {'totp'|'recovery'|null}
+userSchema.methods.verifyTwoFactorCode = function(code) {
+  if (!this.twoFactorEnabled || !this.twoFactorSecret || !code) {
+    return null;
+  }
+
+  const step = totpService.verify(this.twoFactorSecret, code, this.twoFactorLastUsedStep);
+  if (step !== null) {
+    this.twoFactorLastUsedStep = step;
+    return 'totp';
+  }
+
+  const hash = totpService.hashRecoveryCode(code);
+  const index = this.twoFactorRecoveryCodes.indexOf(hash);
+  if (index !== -1) {
+    this.twoFactorRecoveryCodes.splice(index, 1);
+    return 'recovery';
+  }
+
+  return null;
+};
+
+// 2단계 인증 해제 (비밀키와 복구 코드 모두 삭제)
+userSchema.methods.clearTwoFactor = function() {
+  this.twoFactorEnabled = false;
+  this.twoFactorSecret = null;
+  this.twoFactorPendingSecret = null;
+  this.twoFactorRecoveryCodes = [];
+  this.twoFactorLastUsedStep = null;
+  this.twoFactorEnabledAt = null;
+};
+
+// 역할 권한과 개별 권한을 합친 최종 권한 목록
+userSchema.methods.getPermissions = function() {
+  const rolePermissions = ROLE_PERMISSIONS[this.role] || ROLE_PERMISSIONS[USER_ROLES.USER];
+  return [...new Set([...rolePermissions, ...(this.permissions || [])])];
+};
+
+userSchema.methods.hasPermission = function(permission) {
+  return this.getPermissions().includes(permission);
+};
+
+// 공개 프로필 (다른 사용자나 비로그인 사용자에게 노출되는 필드만)
+userSchema.methods.toPublicProfile = function() {
+  return {
+    id: this._id.toString(),
+    username: this.username,
+    createdAt: this.createdAt
+  };
+};
+
+// 본인 또는 관리자에게만 노출되는 전체 프로필
+userSchema.methods.toPrivateProfile = function() {
+  return {
+    ...this.toPublicProfile(),
+    email: this.email,
+    isEmailVerified: this.isEmailVerified,
+    role: this.role,
+    permissions: this.getPermissions(),
+    twoFactorEnabled: this.twoFactorEnabled,
+    timezone: this.timezone,
+    deletionScheduledFor: this.deletionScheduledFor,
+    updatedAt: this.updatedAt
+  };
+};
+
 // JWT 토큰 생성 메서드 추가
-userSchema.methods.generateAuthToken = function() {
+// tokenVersion: 모든 기기 로그아웃 시 증가하는 사용자 토큰 버전 (tokenRevocationService)
+// twoFactorVerifiedAt: 2단계 인증을 통과한 시각 (초 단위, 민감한 작업의 재인증 확인용)
+userSchema.methods.generateAuthToken = function(tokenVersion = 0, twoFactorVerifiedAt = null) {
   const payload = {
     userId: this._id.toString(),
     username: this.username,
     email: this.email,
-    isEmailVerified: this.isEmailVerified
+    isEmailVerified: this.isEmailVerified,
+    role: this.role,
+    permissions: this.getPermissions(),
+    tokenVersion
   };
+  if (twoFactorVerifiedAt) {
+    payload.twoFactorVerifiedAt = twoFactorVerifiedAt;
+  }
   return jwtService.generateToken(payload);
 };
 
+// 시간대 이름 확인 (알림 설정 등에서 사용)
+userSchema.statics.isValidTimeZone = isValidTimeZone;
+
 const User = mongoose.model('User', userSchema);
 
-module.exports = User;
+module.exports = {
+  User,
+  USER_ROLES,
+  PERMISSIONS,
+  ROLE_PERMISSIONS
+};
@@ -1,16 +1,41 @@
 const database = require('../util/database');
-const User = require('./User');
+const { User, USER_ROLES, PERMISSIONS, ROLE_PERMISSIONS } = require('./User');
 const DesignTemplate = require('./DesignTemplate');
-const Memo = require('./Memo');
+const { Memo, CONTENT_FORMATS, REMINDER_REPEATS, SHARE_ROLES, MEMO_ACCESS } = require('./Memo');
+const { MemoRevision, REVISION_ACTIONS, REVISION_FIELDS } = require('./MemoRevision');
+const { Folder, FOLDER_LIMITS } = require('./Folder');
 const { File, DOMAIN_TYPES, FILE_STATUS, RESIZE_TYPES } = require('./File');
+const { RefreshToken, REVOKE_REASONS } = require('./RefreshToken');
+const { AuditLog, AUDIT_ACTIONS } = require('./AuditLog');
+const { ImportJob, IMPORT_SOURCES, IMPORT_STATUS, IMPORT_ITEM_STATUS } = require('./ImportJob');
 
 module.exports = {
   database,
   User,
+  USER_ROLES,
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
   DesignTemplate,
   Memo,
+  CONTENT_FORMATS,
+  REMINDER_REPEATS,
+  SHARE_ROLES,
+  MEMO_ACCESS,
+  MemoRevision,
+  REVISION_ACTIONS,
+  REVISION_FIELDS,
+  Folder,
+  FOLDER_LIMITS,
   File,
   DOMAIN_TYPES,
   FILE_STATUS,
-  RESIZE_TYPES
+  RESIZE_TYPES,
+  RefreshToken,
+  REVOKE_REASONS,
+  AuditLog,
+  AUDIT_ACTIONS,
+  ImportJob,
+  IMPORT_SOURCES,
+  IMPORT_STATUS,
+  IMPORT_ITEM_STATUS
 };
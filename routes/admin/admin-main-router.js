@@ -1,6 +1,8 @@
 const express = require('express');
 const router = express.Router();
+const { User, USER_ROLES, PERMISSIONS } = require('../../models');
 const { apiResponse, asyncHandler } = require('../../middleware/errorHandler');
+const logger = require('../../util/logger');
 
 // GET /admin - Get admin dashboard data
 router.get('/', asyncHandler(async (req, res) => {
@@ -189,4 +191,53 @@ router.post('/users/:id/status', asyncHandler(async (req, res) => {
   return apiResponse.success(res, updateResult, `User status updated to ${status}`);
 }));
 
+// PUT /admin/users/:id/role - Update user role and extra permissions
+router.put('/users/:id/role', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { role, permissions } = req.body;
+
+  if (role === undefined && permissions === undefined) {
+    return apiResponse.error(res, 'role or permissions is required', 400);
+  }
+
+  if (role !== undefined && !Object.values(USER_ROLES).includes(role)) {
+    return apiResponse.error(res, `Invalid role. Allowed roles: ${Object.values(USER_ROLES).join(', ')}`, 400);
+  }
+
+  if (permissions !== undefined) {
+    const invalid = Array.isArray(permissions)
+      ? permissions.filter(permission => !Object.values(PERMISSIONS).includes(permission))
+      : [permissions];
+    if (invalid.length > 0) {
+      return apiResponse.error(res, 'Invalid permissions', 400, { invalidPermissions: invalid });
+    }
+  }
+
+  // 자기 자신의 관리자 권한은 해제할 수 없음
+  if (id === req.user.id && role !== undefined && role !== USER_ROLES.ADMIN) {
+    return apiResponse.error(res, 'You cannot remove your own admin role', 400);
+  }
+
+  const user = await User.findById(id);
+  if (!user) {
+    return apiResponse.notFound(res, 'User');
+  }
+
+  const oldRole = user.role;
+  if (role !== undefined) user.role = role;
+  if (permissions !== undefined) user.permissions = permissions;
+  await user.save();
+
+  logger.success(`User role updated: ${user.username} (${oldRole} -> ${user.role}) by ${req.user.username}`);
+
+  return apiResponse.success(res, {
+    userId: user._id.toString(),
+    oldRole,
+    newRole: user.role,
+    permissions: user.getPermissions(),
+    updatedAt: user.updatedAt.toISOString(),
+    updatedBy: req.user.id
+  }, `User role updated to ${user.role}`);
+}));
+
 module.exports = router;
@@ -4,6 +4,7 @@ const router = express.Router();
 // Swagger 설정
 const swaggerUi = require('swagger-ui-express');
 const adminSpecs = require('../../swagger/admin-swagger');
+const { authenticateToken, requireAdmin } = require('../../middleware/authMiddleware');
 
 const adminMainRoute = require('./admin-main-router');
 
@@ -26,6 +27,9 @@ router.get('/docs/swagger.json', (req, res) => {
 // Swagger 라우터를 먼저 설정 (더 구체적인 경로)
 router.use('/docs', swaggerUi.serveFiles(adminSpecs), swaggerUi.setup(adminSpecs, adminSwaggerOptions));
 
+// 문서 이외의 모든 관리자 라우트는 관리자 인증 필요
+router.use(authenticateToken, requireAdmin);
+
 // 일반 라우터는 나중에 설정
 router.use('/main', adminMainRoute);
 router.use('/', adminMainRoute);
@@ -1,18 +1,147 @@
 const express = require('express');
 const router = express.Router();
-const { User } = require('../../models');
+const { rateLimit, ipKeyGenerator } = require('express-rate-limit');
+const { User, REVOKE_REASONS, AuditLog, AUDIT_ACTIONS } = require('../../models');
 const { apiResponse, asyncHandler } = require('../../middleware/errorHandler');
-const { authenticateToken } = require('../../middleware/authMiddleware');
+const { authenticateToken, requireRecentTwoFactor, refreshTokenMiddleware } = require('../../middleware/authMiddleware');
 const logger = require('../../util/logger');
 const emailService = require('../../util/emailService');
+const RefreshTokenService = require('../../util/refreshTokenService');
+const RegistrationService = require('../../util/registrationService');
+const tokenRevocationService = require('../../util/tokenRevocationService');
+const { getRedisClient } = require('../../util/redisService');
+const bruteForceService = require('../../util/bruteForceService');
+const totpService = require('../../util/totpService');
 const jwtService = require('../../util/jwtService');
+const { ATTEMPT_SCOPES } = bruteForceService;
+
+// 비밀번호 재설정 요청 제한 (이메일별 1시간에 3회)
+const passwordResetLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  limit: 3,
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => {
+    const email = typeof req.body.email === 'string' ? req.body.email.toLowerCase().trim() : '';
+    return email ? `email:${email}` : ipKeyGenerator(req.ip);
+  },
+  handler: (req, res) => apiResponse.error(res, 'Too many password reset requests. Please try again later.', 429)
+});
+
+/**
+ * 무차별 대입 방지로 차단된 요청에 대한 응답
+ */
+const rejectAttempt = (res, attempt) => {
+  res.set('Retry-After', String(attempt.retryAfter));
+
+  if (attempt.reason === 'account_locked') {
+    return apiResponse.error(res, 'Account is temporarily locked due to repeated failed attempts.', 423, {
+      retryAfter: attempt.retryAfter
+    });
+  }
+
+  const message = attempt.reason === 'ip_blocked'
+    ? 'Too many failed attempts from this IP. Please try again later.'
+    : 'Too many failed attempts. Please wait before trying again.';
+  return apiResponse.error(res, message, 429, { retryAfter: attempt.retryAfter });
+};
+
+/**
+ * 로그인 실패 기록 및 잠금 발생 시 감사 로그/잠금 해제 메일 처리
+ * @returns {Promise<boolean>} - 이번 실패로 계정이 잠겼는지 여부
+ */
+const handleLoginFailure = async (req, user, account) => {
+  const failure = await bruteForceService.recordFailure(ATTEMPT_SCOPES.LOGIN, { account, ip: req.ip });
+  const auditContext = { ip: req.ip, userAgent: req.headers['user-agent'] || null };
+
+  if (failure.ipBlocked) {
+    await AuditLog.record(AUDIT_ACTIONS.IP_BLOCKED, {
+      ...auditContext,
+      metadata: { scope: ATTEMPT_SCOPES.LOGIN, lockSeconds: failure.lockSeconds }
+    });
+  }
+
+  if (!failure.accountLocked) {
+    return false;
+  }
+
+  await AuditLog.record(AUDIT_ACTIONS.ACCOUNT_LOCKED, {
+    ...auditContext,
+    userId: user ? user._id : null,
+    metadata: { scope: ATTEMPT_SCOPES.LOGIN, account, failures: failure.failures, lockSeconds: failure.lockSeconds }
+  });
+
+  if (user) {
+    try {
+      const unlockToken = await bruteForceService.createUnlockToken(ATTEMPT_SCOPES.LOGIN, account);
+      await emailService.sendAccountLockedEmail(user.email, user.username, unlockToken, Math.ceil(failure.lockSeconds / 60));
+    } catch (error) {
+      logger.error(`Failed to send unlock email: ${error.message}`);
+    }
+  }
+
+  return true;
+};
+
+/**
+ * 2단계 인증 코드 확인 (무차별 대입 방지 포함)
+ * 실패 시 응답을 보내고 null을 반환합니다.
+ * @returns {Promise<'totp'|'recovery'|null>} - 사용된 인증 방식
+ */
+const verifyTwoFactorOrReject = async (req, res, user, code) => {
+  if (!code) {
+    apiResponse.error(res, 'Two-factor code is required', 400);
+    return null;
+  }
+
+  const account = user._id.toString();
+  const auditContext = { userId: user._id, ip: req.ip, userAgent: req.headers['user-agent'] || null };
+
+  const attempt = await bruteForceService.check(ATTEMPT_SCOPES.TWO_FACTOR, { account, ip: req.ip });
+  if (!attempt.allowed) {
+    rejectAttempt(res, attempt);
+    return null;
+  }
+
+  const method = user.verifyTwoFactorCode(String(code));
+  if (!method) {
+    const failure = await bruteForceService.recordFailure(ATTEMPT_SCOPES.TWO_FACTOR, { account, ip: req.ip });
+    if (failure.accountLocked) {
+      await AuditLog.record(AUDIT_ACTIONS.ACCOUNT_LOCKED, {
+        ...auditContext,
+        metadata: { scope: ATTEMPT_SCOPES.TWO_FACTOR, failures: failure.failures, lockSeconds: failure.lockSeconds }
+      });
+      apiResponse.error(res, 'Account is temporarily locked due to repeated failed attempts.', 423);
+      return null;
+    }
+    apiResponse.error(res, 'Invalid two-factor code', 401);
+    return null;
+  }
+
+  await bruteForceService.reset(ATTEMPT_SCOPES.TWO_FACTOR, account);
+  await user.save();
+
+  if (method === 'recovery') {
+    logger.warning(`Recovery code used by ${user.username} (${user.twoFactorRecoveryCodes.length} remaining)`);
+    await AuditLog.record(AUDIT_ACTIONS.RECOVERY_CODE_USED, {
+      ...auditContext,
+      metadata: { remaining: user.twoFactorRecoveryCodes.length }
+    });
+  }
+
+  return method;
+};
 
 /**
  * @swagger
  * /api/auth/login:
  *   post:
  *     summary: User login
- *     description: Authenticate user with username/email and password
+ *     description: |
+ *       Authenticate user with username/email and password.
+ *       When two-factor authentication is enabled, no token is issued; instead the response
+ *       contains `requiresTwoFactor: true` and a short-lived `challengeToken` that must be
+ *       exchanged at /api/auth/2fa/verify together with a TOTP or recovery code.
  *     tags: [Authentication]
  *     requestBody:
  *       required: true
@@ -25,16 +154,13 @@ const jwtService = require('../../util/jwtService');
  *             password: "password123"
  *     responses:
  *       200:
- *         description: Login successful
+ *         description: Login successful, or two-factor challenge issued
  *         content:
  *           application/json:
  *             schema:
- *               allOf:
- *                 - $ref: '#/components/schemas/ApiResponse'
- *                 - type: object
- *                   properties:
- *                     data:
- *                       $ref: '#/components/schemas/AuthResponse'
+ *               oneOf:
+ *                 - $ref: '#/components/schemas/AuthResponse'
+ *                 - $ref: '#/components/schemas/TwoFactorChallenge'
  *       400:
  *         $ref: '#/components/responses/ValidationError'
  *       401:
@@ -45,6 +171,18 @@ const jwtService = require('../../util/jwtService');
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
+ *       423:
+ *         description: Account temporarily locked after repeated failed attempts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         description: Too many failed attempts, retry after the Retry-After header
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  */
 router.post('/login', asyncHandler(async (req, res) => {
   const { username, password } = req.body;
@@ -62,17 +200,26 @@ router.post('/login', asyncHandler(async (req, res) => {
     ]
   });
 
-  if (!user) {
-    return apiResponse.error(res, 'Invalid credentials', 401);
+  // 계정별/IP별 실패 횟수 확인 (존재하지 않는 계정도 동일하게 제한)
+  const account = user ? user._id.toString() : `unknown:${String(username).toLowerCase()}`;
+  const attempt = await bruteForceService.check(ATTEMPT_SCOPES.LOGIN, { account, ip: req.ip });
+  if (!attempt.allowed) {
+    return rejectAttempt(res, attempt);
   }
 
   // bcrypt를 사용한 비밀번호 검증
-  const isPasswordValid = await user.comparePassword(password);
+  const isPasswordValid = user ? await user.comparePassword(password) : false;
 
   if (!isPasswordValid) {
+    const locked = await handleLoginFailure(req, user, account);
+    if (locked) {
+      return apiResponse.error(res, 'Account is temporarily locked due to repeated failed attempts.', 423);
+    }
     return apiResponse.error(res, 'Invalid credentials', 401);
   }
 
+  await bruteForceService.reset(ATTEMPT_SCOPES.LOGIN, account);
+
   // 이메일 인증 여부 확인
   if (!user.isEmailVerified) {
     return apiResponse.error(res, 'Please verify your email before logging in. Check your email for the verification link.', 403, {
@@ -81,8 +228,21 @@ router.post('/login', asyncHandler(async (req, res) => {
     });
   }
 
+  // 2단계 인증 사용 시 전체 토큰 대신 챌린지 토큰 발급
+  if (user.twoFactorEnabled) {
+    logger.info(`Two-factor challenge issued for user: ${user.username}`);
+    return apiResponse.success(res, {
+      requiresTwoFactor: true,
+      challengeToken: jwtService.generateChallengeToken(user._id.toString())
+    });
+  }
+
   // JWT 토큰 생성
-  const token = user.generateAuthToken();
+  const token = user.generateAuthToken(await tokenRevocationService.getTokenVersion(user._id.toString()));
+  const { refreshToken } = await RefreshTokenService.issue(user, {
+    ip: req.ip,
+    userAgent: req.headers['user-agent']
+  });
 
   logger.success(`User logged in: ${user.username}`);
 
@@ -92,9 +252,12 @@ router.post('/login', asyncHandler(async (req, res) => {
       id: user._id.toString(),
       username: user.username,
       email: user.email,
-      isEmailVerified: true
+      isEmailVerified: true,
+      role: user.role,
+      permissions: user.getPermissions()
     },
-    token
+    token,
+    refreshToken
   });
 }));
 
@@ -146,53 +309,7 @@ router.post('/login', asyncHandler(async (req, res) => {
 router.post('/register', asyncHandler(async (req, res) => {
   const { username, email, password } = req.body;
 
-  // 기본 유효성 검증
-  if (!username || !email || !password) {
-    return apiResponse.error(res, 'Username, email, and password are required', 400);
-  }
-
-  // 중복 사용자 확인
-  const existingUser = await User.findOne({
-    $or: [
-      { username: username },
-      { email: email }
-    ]
-  });
-
-  if (existingUser) {
-    if (existingUser.username === username) {
-      return apiResponse.error(res, 'Username already exists', 409);
-    }
-    if (existingUser.email === email) {
-      return apiResponse.error(res, 'Email already exists', 409);
-    }
-  }
-
-  // 이메일 인증 토큰 생성 (1시간 유효)
-  const verificationToken = emailService.generateVerificationToken();
-  const verificationExpires = new Date(Date.now() + 60 * 60 * 1000); // 1시간 후
-
-  // 새 사용자 생성 (이메일 미인증 상태)
-  // 비밀번호는 User 모델의 pre-save 미들웨어에서 자동으로 해시화됨
-  const user = new User({
-    username,
-    email,
-    password,
-    isEmailVerified: false,
-    emailVerificationToken: verificationToken,
-    emailVerificationExpires: verificationExpires
-  });
-
-  await user.save();
-
-  // 인증 이메일 발송
-  try {
-    await emailService.sendVerificationEmail(email, username, verificationToken);
-    logger.success(`Registration email sent to: ${email}`);
-  } catch (emailError) {
-    logger.error(`Failed to send verification email: ${emailError.message}`);
-    // 이메일 발송 실패 시에도 사용자는 생성되지만 알림
-  }
+  const user = await RegistrationService.register({ username, email, password });
 
   logger.success(`New user registered (pending email verification): ${user.username}`);
 
@@ -244,6 +361,18 @@ router.post('/register', asyncHandler(async (req, res) => {
  *                       $ref: '#/components/schemas/AuthResponse'
  *       400:
  *         $ref: '#/components/responses/ValidationError'
+ *       423:
+ *         description: Too many wrong codes for this email, request a new code later
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         description: Too many failed attempts, retry after the Retry-After header
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  */
 router.get('/verify-email', asyncHandler(async (req, res) => {
   const { email, token } = req.query;
@@ -255,17 +384,44 @@ router.get('/verify-email', asyncHandler(async (req, res) => {
   if (!email || !token) {
     return apiResponse.error(res, 'Email and verification token are required', 400);
   }
+  // token[$ne]=1 같은 쿼리 연산자 주입 방지
+  if (typeof email !== 'string' || typeof token !== 'string') {
+    return apiResponse.error(res, 'Invalid verification token or email', 400);
+  }
+
+  // 인증 코드 추측 방지
+  const account = email.toLowerCase().trim();
+  const attempt = await bruteForceService.check(ATTEMPT_SCOPES.VERIFY_EMAIL, { account, ip: req.ip });
+  if (!attempt.allowed) {
+    return rejectAttempt(res, attempt);
+  }
 
   // 사용자 찾기
-  const user = await User.findOne({ 
-    email: email,
+  const user = await User.findOne({
+    email: account,
     emailVerificationToken: token
   });
 
   if (!user) {
+    const failure = await bruteForceService.recordFailure(ATTEMPT_SCOPES.VERIFY_EMAIL, { account, ip: req.ip });
+    if (failure.accountLocked) {
+      // 잠금 시 현재 코드를 무효화하여 재발송을 요구
+      const target = await User.findOneAndUpdate(
+        { email: account },
+        { emailVerificationToken: null, emailVerificationExpires: null }
+      );
+      await AuditLog.record(AUDIT_ACTIONS.VERIFICATION_CODE_LOCKED, {
+        userId: target ? target._id : null,
+        ip: req.ip,
+        userAgent: req.headers['user-agent'] || null,
+        metadata: { scope: ATTEMPT_SCOPES.VERIFY_EMAIL, account, failures: failure.failures }
+      });
+    }
     return apiResponse.error(res, 'Invalid verification token or email', 400);
   }
 
+  await bruteForceService.reset(ATTEMPT_SCOPES.VERIFY_EMAIL, account);
+
   // 토큰 만료 확인
   if (user.emailVerificationExpires < new Date()) {
     return apiResponse.error(res, 'Verification token has expired. Please register again.', 400);
@@ -292,7 +448,11 @@ router.get('/verify-email', asyncHandler(async (req, res) => {
   await user.save();
 
   // JWT 토큰 생성 (인증 완료 후 자동 로그인)
-  const authToken = user.generateAuthToken();
+  const authToken = user.generateAuthToken(await tokenRevocationService.getTokenVersion(user._id.toString()));
+  const { refreshToken } = await RefreshTokenService.issue(user, {
+    ip: req.ip,
+    userAgent: req.headers['user-agent']
+  });
 
   logger.success(`Email verified for user: ${user.username}`);
 
@@ -305,7 +465,8 @@ router.get('/verify-email', asyncHandler(async (req, res) => {
       email: user.email,
       isEmailVerified: true
     },
-    token: authToken
+    token: authToken,
+    refreshToken
   });
 }));
 
@@ -382,73 +543,149 @@ router.post('/resend-verification', asyncHandler(async (req, res) => {
 
 /**
  * @swagger
- * /api/auth/logout:
- *   post:
- *     summary: User logout
- *     description: Logout current user (client-side token removal)
+ * /api/auth/unlock-account:
+ *   get:
+ *     summary: Unlock account
+ *     description: Unlock an account locked after repeated failed logins, using the token from the lockout email
  *     tags: [Authentication]
+ *     parameters:
+ *       - in: query
+ *         name: email
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: email
+ *         description: User email address
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Unlock token from the email
  *     responses:
  *       200:
- *         description: Logout successful
+ *         description: Account unlocked
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 message:
- *                   type: string
- *                   example: "Logged out successfully"
+ *               $ref: '#/components/schemas/ApiResponse'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
  */
-router.post('/logout', asyncHandler(async (req, res) => {
-  // 실제 환경에서는 토큰 블랙리스트 처리 또는 세션 무효화
-  logger.info('User logout requested');
-  
-  // 프론트엔드는 단순히 성공 응답만 필요
-  return res.status(200).json({ message: 'Logged out successfully' });
+router.get('/unlock-account', asyncHandler(async (req, res) => {
+  const { email, token } = req.query;
+
+  if (!email || !token) {
+    return apiResponse.error(res, 'Email and unlock token are required', 400);
+  }
+
+  const user = await User.findOne({ email: String(email).toLowerCase().trim() });
+  const account = user ? user._id.toString() : null;
+
+  if (!account || !(await bruteForceService.consumeUnlockToken(ATTEMPT_SCOPES.LOGIN, account, token))) {
+    return apiResponse.error(res, 'Invalid or expired unlock token', 400);
+  }
+
+  await bruteForceService.unlock(ATTEMPT_SCOPES.LOGIN, account);
+  await AuditLog.record(AUDIT_ACTIONS.ACCOUNT_UNLOCKED, {
+    userId: user._id,
+    ip: req.ip,
+    userAgent: req.headers['user-agent'] || null,
+    metadata: { scope: ATTEMPT_SCOPES.LOGIN, method: 'email' }
+  });
+
+  logger.success(`Account unlocked via email: ${user.username}`);
+
+  return apiResponse.success(res, {
+    message: 'Your account has been unlocked. You can now log in.'
+  });
 }));
 
 /**
  * @swagger
- * /api/auth/me:
- *   get:
- *     summary: Get current user info
- *     description: Get authenticated user information
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Request password reset
+ *     description: |
+ *       Send a password reset link to the given email address.
+ *       The response is the same whether or not the email is registered.
+ *       Limited to 3 requests per email per hour.
  *     tags: [Authentication]
- *     security:
- *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *             required: [email]
+ *           example:
+ *             email: "user@example.com"
  *     responses:
  *       200:
- *         description: User information retrieved successfully
+ *         description: Reset email sent if the account exists
  *         content:
  *           application/json:
  *             schema:
- *               allOf:
- *                 - $ref: '#/components/schemas/ApiResponse'
- *                 - type: object
- *                   properties:
- *                     data:
- *                       $ref: '#/components/schemas/User'
- *       401:
- *         $ref: '#/components/responses/UnauthorizedError'
+ *               $ref: '#/components/schemas/ApiResponse'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       429:
+ *         description: Too many reset requests for this email
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.get('/me', authenticateToken, asyncHandler(async (req, res) => {
-  // JWT 미들웨어에서 사용자 정보가 req.user에 설정됨
-  logger.info(`User info requested: ${req.user.username}`);
+router.post('/forgot-password', passwordResetLimiter, asyncHandler(async (req, res) => {
+  const { email } = req.body;
 
-  return apiResponse.success(res, {
-    id: req.user.id,
-    username: req.user.username,
-    email: req.user.email,
-    isEmailVerified: req.user.isEmailVerified
-  });
+  if (!email || typeof email !== 'string') {
+    return apiResponse.error(res, 'Email is required', 400);
+  }
+
+  const genericResponse = {
+    message: 'If an account exists for this email, a password reset link has been sent.'
+  };
+
+  const user = await User.findOne({ email: email.toLowerCase().trim() });
+
+  // 계정 존재 여부를 노출하지 않기 위해 동일한 응답 반환
+  if (!user) {
+    logger.info(`Password reset requested for unknown email: ${email}`);
+    return apiResponse.success(res, genericResponse);
+  }
+
+  const resetToken = user.createPasswordResetToken();
+  await user.save();
+
+  try {
+    await emailService.sendPasswordResetEmail(user.email, user.username, resetToken);
+    logger.success(`Password reset email sent to: ${user.email}`);
+  } catch (emailError) {
+    // 발송 실패도 같은 응답 (오류 응답이면 계정 존재 여부가 드러남)
+    logger.error(`Failed to send password reset email to ${user.email}: ${emailError.message}`);
+    user.passwordResetToken = null;
+    user.passwordResetExpires = null;
+    await user.save().catch(saveError => {
+      logger.error(`Failed to clear password reset token: ${saveError.message}`);
+    });
+  }
+
+  return apiResponse.success(res, genericResponse);
 }));
 
 /**
  * @swagger
- * /api/auth/refresh-token:
+ * /api/auth/reset-password:
  *   post:
- *     summary: Refresh JWT token
- *     description: Refresh expired JWT token with refresh token
+ *     summary: Reset password
+ *     description: |
+ *       Set a new password using the token from the reset email.
+ *       The token can be used only once and every existing session of the user is logged out.
  *     tags: [Authentication]
  *     requestBody:
  *       required: true
@@ -457,65 +694,1087 @@ router.get('/me', authenticateToken, asyncHandler(async (req, res) => {
  *           schema:
  *             type: object
  *             properties:
- *               refreshToken:
+ *               email:
  *                 type: string
- *             required: [refreshToken]
+ *                 format: email
+ *               token:
+ *                 type: string
+ *               newPassword:
+ *                 type: string
+ *                 minLength: 6
+ *             required: [email, token, newPassword]
  *           example:
- *             refreshToken: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
+ *             email: "user@example.com"
+ *             token: "3f1c9a..."
+ *             newPassword: "newPassword123"
  *     responses:
  *       200:
- *         description: Token refreshed successfully
+ *         description: Password reset successful
  *         content:
  *           application/json:
  *             schema:
- *               allOf:
- *                 - $ref: '#/components/schemas/ApiResponse'
- *                 - type: object
- *                   properties:
- *                     data:
- *                       type: object
- *                       properties:
- *                         token:
- *                           type: string
- *                         refreshToken:
- *                           type: string
- *                         user:
- *                           $ref: '#/components/schemas/User'
+ *               $ref: '#/components/schemas/ApiResponse'
  *       400:
  *         $ref: '#/components/responses/ValidationError'
- *       401:
- *         $ref: '#/components/responses/UnauthorizedError'
+ *       503:
+ *         description: Token revocation store is unavailable, the password was not changed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.post('/refresh-token', asyncHandler(async (req, res) => {
-  const { refreshToken } = req.body;
+router.post('/reset-password', asyncHandler(async (req, res) => {
+  const { email, token, newPassword } = req.body;
 
-  if (!refreshToken) {
-    return apiResponse.error(res, 'Refresh token is required', 400);
+  if (!email || !token || !newPassword) {
+    return apiResponse.error(res, 'Email, token, and newPassword are required', 400);
   }
 
-  // 리프레시 토큰 검증
-  const decoded = jwtService.verifyToken(refreshToken);
-  if (!decoded) {
-    return apiResponse.error(res, 'Invalid refresh token', 401);
+  if (typeof newPassword !== 'string' || newPassword.length < 6) {
+    return apiResponse.error(res, 'Password must be at least 6 characters long', 400);
   }
 
-  // 사용자 존재 확인
-  const user = await User.findById(decoded.userId);
-  if (!user || !user.isEmailVerified) {
-    return apiResponse.error(res, 'User not found or email not verified', 401);
+  const user = await User.findByPasswordResetToken(email, token);
+
+  if (!user) {
+    return apiResponse.error(res, 'Invalid or expired password reset token', 400);
   }
 
-  // 새로운 액세스 토큰 생성
-  const newToken = user.generateAuthToken();
-  const newRefreshToken = jwtService.generateRefreshToken({
-    userId: user._id.toString()
+  // 기존 세션 모두 무효화 (실패하면 503, 비밀번호는 바꾸지 않으므로 같은 토큰으로 다시 시도 가능)
+  await tokenRevocationService.revokeAllSessions(user._id.toString(), REVOKE_REASONS.PASSWORD_CHANGED);
+
+  // 비밀번호는 User 모델의 pre-save 미들웨어에서 해시화됨
+  user.password = newPassword;
+  user.passwordResetToken = null;
+  user.passwordResetExpires = null;
+  await user.save();
+
+  logger.success(`Password reset for user: ${user.username}`);
+
+  return apiResponse.success(res, {
+    message: 'Password has been reset successfully. Please log in with your new password.'
   });
+}));
+
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: User logout
+ *     description: |
+ *       Revoke the current access token. If a refresh token is sent,
+ *       every refresh token issued from the same login is revoked as well.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Logout successful
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Logged out successfully"
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       503:
+ *         description: Token revocation store is unavailable
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/logout', authenticateToken, asyncHandler(async (req, res) => {
+  const { refreshToken } = req.body;
+
+  try {
+    await tokenRevocationService.revokeToken(req.tokenPayload);
+  } catch (error) {
+    logger.error(`Failed to revoke access token: ${error.message}`);
+    return apiResponse.error(res, 'Logout is temporarily unavailable. Please try again later.', 503);
+  }
+
+  if (refreshToken) {
+    await RefreshTokenService.revokeByToken(refreshToken, REVOKE_REASONS.LOGOUT);
+  }
+
+  logger.info(`User logged out: ${req.user.username}`);
+  
+  return res.status(200).json({ message: 'Logged out successfully' });
+}));
+
+/**
+ * @swagger
+ * /api/auth/logout-all:
+ *   post:
+ *     summary: Log out of all devices
+ *     description: Invalidate every access token and refresh token issued to the current user
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Logged out of all devices
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Logged out of all devices successfully"
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       503:
+ *         description: Token revocation store is unavailable
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/logout-all', authenticateToken, asyncHandler(async (req, res) => {
+  try {
+    await tokenRevocationService.bumpTokenVersion(req.user.id);
+  } catch (error) {
+    logger.error(`Failed to bump token version: ${error.message}`);
+    return apiResponse.error(res, 'Logout is temporarily unavailable. Please try again later.', 503);
+  }
+
+  await RefreshTokenService.revokeAllForUser(req.user.id, REVOKE_REASONS.LOGOUT);
+
+  logger.info(`User logged out of all devices: ${req.user.username}`);
+
+  return res.status(200).json({ message: 'Logged out of all devices successfully' });
+}));
+
+/**
+ * @swagger
+ * /api/auth/change-password:
+ *   post:
+ *     summary: Change password
+ *     description: |
+ *       Change the password of the current user. The current password is required.
+ *       All other sessions are logged out and a new token pair is returned for this client.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *               newPassword:
+ *                 type: string
+ *                 minLength: 6
+ *             required: [currentPassword, newPassword]
+ *           example:
+ *             currentPassword: "password123"
+ *             newPassword: "newPassword456"
+ *     responses:
+ *       200:
+ *         description: Password changed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 token:
+ *                   type: string
+ *                 refreshToken:
+ *                   type: string
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       503:
+ *         description: Token revocation store is unavailable, the password was not changed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/change-password', authenticateToken, asyncHandler(async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+
+  if (!currentPassword || !newPassword) {
+    return apiResponse.error(res, 'currentPassword and newPassword are required', 400);
+  }
+
+  if (typeof newPassword !== 'string' || newPassword.length < 6) {
+    return apiResponse.error(res, 'Password must be at least 6 characters long', 400);
+  }
+
+  const user = await User.findById(req.user.id);
+  if (!user) {
+    return apiResponse.notFound(res, 'User');
+  }
+
+  const isPasswordValid = await user.comparePassword(currentPassword);
+  if (!isPasswordValid) {
+    return apiResponse.error(res, 'Current password is incorrect', 401);
+  }
+
+  if (await user.comparePassword(newPassword)) {
+    return apiResponse.error(res, 'New password must be different from the current password', 400);
+  }
+
+  // 기존 세션을 먼저 모두 무효화 (실패하면 503, 비밀번호는 바꾸지 않음)
+  await tokenRevocationService.revokeAllSessions(user._id.toString(), REVOKE_REASONS.PASSWORD_CHANGED);
+
+  // 비밀번호는 User 모델의 pre-save 미들웨어에서 해시화됨
+  user.password = newPassword;
+  await user.save();
+
+  // 현재 클라이언트용 토큰 재발급
+
+  const token = user.generateAuthToken(await tokenRevocationService.getTokenVersion(user._id.toString()));
+  const { refreshToken } = await RefreshTokenService.issue(user, {
+    ip: req.ip,
+    userAgent: req.headers['user-agent']
+  });
+
+  logger.success(`Password changed for user: ${user.username}`);
+
+  return apiResponse.success(res, {
+    message: 'Password changed successfully. Other sessions have been logged out.',
+    token,
+    refreshToken
+  });
+}));
+
+/**
+ * @swagger
+ * /api/auth/change-email:
+ *   post:
+ *     summary: Request email change
+ *     description: |
+ *       Send a verification code to the new email address.
+ *       The account email is changed only after the code is confirmed.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               newEmail:
+ *                 type: string
+ *                 format: email
+ *               currentPassword:
+ *                 type: string
+ *             required: [newEmail, currentPassword]
+ *           example:
+ *             newEmail: "new@example.com"
+ *             currentPassword: "password123"
+ *     responses:
+ *       200:
+ *         description: Verification code sent to the new email address
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponse'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       409:
+ *         description: Email already in use
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/change-email', authenticateToken, asyncHandler(async (req, res) => {
+  const { newEmail, currentPassword } = req.body;
+
+  if (!newEmail || !currentPassword || typeof newEmail !== 'string') {
+    return apiResponse.error(res, 'newEmail and currentPassword are required', 400);
+  }
+
+  const normalizedEmail = newEmail.toLowerCase().trim();
+
+  const user = await User.findById(req.user.id);
+  if (!user) {
+    return apiResponse.notFound(res, 'User');
+  }
+
+  const isPasswordValid = await user.comparePassword(currentPassword);
+  if (!isPasswordValid) {
+    return apiResponse.error(res, 'Current password is incorrect', 401);
+  }
+
+  if (normalizedEmail === user.email) {
+    return apiResponse.error(res, 'New email must be different from the current email', 400);
+  }
+
+  const existingUser = await User.findOne({ email: normalizedEmail });
+  if (existingUser) {
+    return apiResponse.error(res, 'Email already exists', 409);
+  }
+
+  // 인증 코드 생성 (1시간 유효)
+  const verificationCode = emailService.generateVerificationToken();
+  user.pendingEmail = normalizedEmail;
+  user.emailChangeToken = verificationCode;
+  user.emailChangeExpires = new Date(Date.now() + 60 * 60 * 1000);
+  await user.save();
+
+  try {
+    await emailService.sendEmailChangeVerificationEmail(normalizedEmail, user.username, verificationCode);
+  } catch (emailError) {
+    logger.error(`Failed to send email change verification: ${emailError.message}`);
+    return apiResponse.error(res, 'Failed to send verification email', 500);
+  }
+
+  logger.info(`Email change requested for user ${user.username}: ${user.email} -> ${normalizedEmail}`);
+
+  return apiResponse.success(res, {
+    message: 'A verification code has been sent to the new email address.',
+    pendingEmail: normalizedEmail
+  });
+}));
+
+/**
+ * @swagger
+ * /api/auth/change-email/confirm:
+ *   post:
+ *     summary: Confirm email change
+ *     description: Confirm the pending email change with the code sent to the new address
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               code:
+ *                 type: string
+ *             required: [code]
+ *           example:
+ *             code: "123456"
+ *     responses:
+ *       200:
+ *         description: Email changed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/AuthResponse'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       409:
+ *         description: Email already in use
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       423:
+ *         description: Too many wrong codes, the pending change was cancelled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         description: Too many failed attempts, retry after the Retry-After header
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/change-email/confirm', authenticateToken, asyncHandler(async (req, res) => {
+  const { code } = req.body;
+
+  if (!code) {
+    return apiResponse.error(res, 'Verification code is required', 400);
+  }
+
+  const user = await User.findById(req.user.id);
+  if (!user) {
+    return apiResponse.notFound(res, 'User');
+  }
+
+  if (!user.pendingEmail || !user.emailChangeToken) {
+    return apiResponse.error(res, 'No pending email change', 400);
+  }
+
+  if (user.emailChangeExpires < new Date()) {
+    return apiResponse.error(res, 'Verification code has expired. Please request the change again.', 400);
+  }
+
+  const account = user._id.toString();
+  const attempt = await bruteForceService.check(ATTEMPT_SCOPES.EMAIL_CHANGE, { account, ip: req.ip });
+  if (!attempt.allowed) {
+    return rejectAttempt(res, attempt);
+  }
+
+  if (user.emailChangeToken !== String(code)) {
+    const failure = await bruteForceService.recordFailure(ATTEMPT_SCOPES.EMAIL_CHANGE, { account, ip: req.ip });
+    if (failure.accountLocked) {
+      // 잠금 시 대기 중인 이메일 변경 취소
+      user.pendingEmail = null;
+      user.emailChangeToken = null;
+      user.emailChangeExpires = null;
+      await user.save();
+      await AuditLog.record(AUDIT_ACTIONS.VERIFICATION_CODE_LOCKED, {
+        userId: user._id,
+        ip: req.ip,
+        userAgent: req.headers['user-agent'] || null,
+        metadata: { scope: ATTEMPT_SCOPES.EMAIL_CHANGE, failures: failure.failures }
+      });
+    }
+    return apiResponse.error(res, 'Invalid verification code', 400);
+  }
+
+  await bruteForceService.reset(ATTEMPT_SCOPES.EMAIL_CHANGE, account);
+
+  // 확인 시점에 다시 중복 검사 (요청 이후 다른 계정이 가입했을 수 있음)
+  const existingUser = await User.findOne({ email: user.pendingEmail });
+  if (existingUser) {
+    return apiResponse.error(res, 'Email already exists', 409);
+  }
+
+  const oldEmail = user.email;
+
+  // 새 주소의 소유가 코드로 확인되었으므로 인증 상태 유지
+  user.email = user.pendingEmail;
+  user.isEmailVerified = true;
+  user.pendingEmail = null;
+  user.emailChangeToken = null;
+  user.emailChangeExpires = null;
+  await user.save();
+
+  // 사용자 캐시 무효화
+  try {
+    const redisClient = getRedisClient();
+    await redisClient.del(`user:${user._id.toString()}`);
+  } catch (redisError) {
+    logger.warning(`Failed to invalidate user cache: ${redisError.message}`);
+  }
+
+  // 기존 토큰에는 이전 이메일이 담겨 있으므로 새 토큰 발급
+  const token = user.generateAuthToken(await tokenRevocationService.getTokenVersion(user._id.toString()));
+
+  logger.success(`Email changed for user ${user.username}: ${oldEmail} -> ${user.email}`);
+
+  return apiResponse.success(res, {
+    message: 'Email changed successfully.',
+    user: {
+      id: user._id.toString(),
+      username: user.username,
+      email: user.email,
+      isEmailVerified: user.isEmailVerified
+    },
+    token
+  });
+}));
+
+/**
+ * @swagger
+ * /api/auth/2fa/setup:
+ *   post:
+ *     summary: Start two-factor enrolment
+ *     description: |
+ *       Generate a new TOTP secret for the current user and return it as an otpauth URI
+ *       for authenticator apps. Two-factor authentication is enabled only after the
+ *       first code is confirmed at /api/auth/2fa/confirm.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               password:
+ *                 type: string
+ *             required: [password]
+ *     responses:
+ *       200:
+ *         description: TOTP secret generated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 secret:
+ *                   type: string
+ *                   description: Base32 secret for manual entry
+ *                 otpauthUri:
+ *                   type: string
+ *                   example: "otpauth://totp/Memo%20App%3Auser%40example.com?secret=...&issuer=Memo+App"
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       409:
+ *         description: Two-factor authentication is already enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/2fa/setup', authenticateToken, asyncHandler(async (req, res) => {
+  const { password } = req.body;
+
+  if (!password) {
+    return apiResponse.error(res, 'Password is required', 400);
+  }
+
+  const user = await User.findById(req.user.id);
+  if (!user) {
+    return apiResponse.notFound(res, 'User');
+  }
+
+  if (user.twoFactorEnabled) {
+    return apiResponse.error(res, 'Two-factor authentication is already enabled', 409);
+  }
+
+  if (!(await user.comparePassword(password))) {
+    return apiResponse.error(res, 'Password is incorrect', 401);
+  }
+
+  const secret = totpService.generateSecret();
+  user.twoFactorPendingSecret = secret;
+  await user.save();
+
+  logger.info(`Two-factor enrolment started for user: ${user.username}`);
+
+  return apiResponse.success(res, {
+    secret,
+    otpauthUri: totpService.buildOtpAuthUri(secret, user.email)
+  });
+}));
+
+/**
+ * @swagger
+ * /api/auth/2fa/confirm:
+ *   post:
+ *     summary: Confirm two-factor enrolment
+ *     description: |
+ *       Enable two-factor authentication by confirming the first code from the authenticator app.
+ *       Returns recovery codes, which are shown only once and stored hashed on the server.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *             required: [code]
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 recoveryCodes:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 token:
+ *                   type: string
+ *                   description: Access token marked as two-factor verified
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.post('/2fa/confirm', authenticateToken, asyncHandler(async (req, res) => {
+  const { code } = req.body;
+
+  if (!code) {
+    return apiResponse.error(res, 'Two-factor code is required', 400);
+  }
+
+  const user = await User.findById(req.user.id);
+  if (!user) {
+    return apiResponse.notFound(res, 'User');
+  }
+
+  if (user.twoFactorEnabled) {
+    return apiResponse.error(res, 'Two-factor authentication is already enabled', 409);
+  }
+
+  if (!user.twoFactorPendingSecret) {
+    return apiResponse.error(res, 'Start two-factor enrolment first', 400);
+  }
+
+  const step = totpService.verify(user.twoFactorPendingSecret, String(code));
+  if (step === null) {
+    return apiResponse.error(res, 'Invalid two-factor code', 401);
+  }
+
+  const { codes, hashes } = totpService.generateRecoveryCodes();
+
+  user.twoFactorEnabled = true;
+  user.twoFactorSecret = user.twoFactorPendingSecret;
+  user.twoFactorPendingSecret = null;
+  user.twoFactorRecoveryCodes = hashes;
+  user.twoFactorLastUsedStep = step;
+  user.twoFactorEnabledAt = new Date();
+  await user.save();
+
+  await AuditLog.record(AUDIT_ACTIONS.TWO_FACTOR_ENABLED, {
+    userId: user._id,
+    ip: req.ip,
+    userAgent: req.headers['user-agent'] || null
+  });
+
+  const token = user.generateAuthToken(
+    await tokenRevocationService.getTokenVersion(user._id.toString()),
+    Math.floor(Date.now() / 1000)
+  );
+
+  logger.success(`Two-factor authentication enabled for user: ${user.username}`);
+
+  return apiResponse.success(res, {
+    message: 'Two-factor authentication enabled. Store your recovery codes in a safe place.',
+    recoveryCodes: codes,
+    token
+  });
+}));
+
+/**
+ * @swagger
+ * /api/auth/2fa/verify:
+ *   post:
+ *     summary: Complete two-factor login
+ *     description: |
+ *       Exchange the challenge token returned by /api/auth/login and a TOTP code
+ *       (or an unused recovery code) for an access token and a refresh token.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 description: 6-digit TOTP code or a recovery code
+ *             required: [challengeToken, code]
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResponse'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       423:
+ *         description: Account temporarily locked after repeated failed attempts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         description: Too many failed attempts, retry after the Retry-After header
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/2fa/verify', asyncHandler(async (req, res) => {
+  const { challengeToken, code } = req.body;
+
+  if (!challengeToken) {
+    return apiResponse.error(res, 'Challenge token is required', 400);
+  }
+
+  const decoded = jwtService.verifyChallengeToken(challengeToken);
+  if (!decoded) {
+    return apiResponse.error(res, 'Invalid or expired challenge token. Please log in again.', 401);
+  }
+
+  const user = await User.findById(decoded.userId);
+  if (!user || !user.twoFactorEnabled) {
+    return apiResponse.error(res, 'Invalid or expired challenge token. Please log in again.', 401);
+  }
+
+  const method = await verifyTwoFactorOrReject(req, res, user, code);
+  if (!method) {
+    return;
+  }
+
+  const token = user.generateAuthToken(
+    await tokenRevocationService.getTokenVersion(user._id.toString()),
+    Math.floor(Date.now() / 1000)
+  );
+  const { refreshToken } = await RefreshTokenService.issue(user, {
+    ip: req.ip,
+    userAgent: req.headers['user-agent']
+  });
+
+  logger.success(`User logged in with two-factor authentication: ${user.username}`);
+
+  return apiResponse.success(res, {
+    user: {
+      id: user._id.toString(),
+      username: user.username,
+      email: user.email,
+      isEmailVerified: user.isEmailVerified,
+      role: user.role,
+      permissions: user.getPermissions()
+    },
+    token,
+    refreshToken,
+    recoveryCodesRemaining: user.twoFactorRecoveryCodes.length
+  });
+}));
+
+/**
+ * @swagger
+ * /api/auth/2fa/step-up:
+ *   post:
+ *     summary: Re-verify two-factor authentication
+ *     description: |
+ *       Confirm a TOTP or recovery code for the current session and receive a new access token
+ *       marked as recently two-factor verified. Required before sensitive actions such as
+ *       account deletion when two-factor authentication is enabled.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               code:
+ *                 type: string
+ *             required: [code]
+ *     responses:
+ *       200:
+ *         description: Two-factor verification succeeded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 token:
+ *                   type: string
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       423:
+ *         description: Account temporarily locked after repeated failed attempts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         description: Too many failed attempts, retry after the Retry-After header
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/2fa/step-up', authenticateToken, asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id);
+  if (!user) {
+    return apiResponse.notFound(res, 'User');
+  }
+
+  if (!user.twoFactorEnabled) {
+    return apiResponse.error(res, 'Two-factor authentication is not enabled', 400);
+  }
+
+  const method = await verifyTwoFactorOrReject(req, res, user, req.body.code);
+  if (!method) {
+    return;
+  }
+
+  // 기존 액세스 토큰은 폐기하고 재인증 시각이 포함된 토큰으로 교체
+  try {
+    await tokenRevocationService.revokeToken(req.tokenPayload);
+  } catch (error) {
+    logger.warning(`Failed to revoke previous access token: ${error.message}`);
+  }
+
+  const token = user.generateAuthToken(
+    await tokenRevocationService.getTokenVersion(user._id.toString()),
+    Math.floor(Date.now() / 1000)
+  );
+
+  return apiResponse.success(res, {
+    token,
+    recoveryCodesRemaining: user.twoFactorRecoveryCodes.length
+  });
+}));
+
+/**
+ * @swagger
+ * /api/auth/2fa/recovery-codes:
+ *   post:
+ *     summary: Regenerate recovery codes
+ *     description: |
+ *       Replace all recovery codes with a new set. Requires a recent two-factor verification
+ *       (see /api/auth/2fa/step-up). Previously issued codes stop working immediately.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: New recovery codes generated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 recoveryCodes:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: Recent two-factor verification required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/2fa/recovery-codes', authenticateToken, requireRecentTwoFactor(), asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id);
+  if (!user) {
+    return apiResponse.notFound(res, 'User');
+  }
+
+  if (!user.twoFactorEnabled) {
+    return apiResponse.error(res, 'Two-factor authentication is not enabled', 400);
+  }
+
+  const { codes, hashes } = totpService.generateRecoveryCodes();
+  user.twoFactorRecoveryCodes = hashes;
+  await user.save();
+
+  logger.info(`Recovery codes regenerated for user: ${user.username}`);
+
+  return apiResponse.success(res, { recoveryCodes: codes });
+}));
+
+/**
+ * @swagger
+ * /api/auth/2fa/disable:
+ *   post:
+ *     summary: Disable two-factor authentication
+ *     description: Turn off two-factor authentication. Requires the password and a current TOTP or recovery code.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *             required: [password, code]
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication disabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.post('/2fa/disable', authenticateToken, asyncHandler(async (req, res) => {
+  const { password, code } = req.body;
+
+  if (!password || !code) {
+    return apiResponse.error(res, 'Password and two-factor code are required', 400);
+  }
+
+  const user = await User.findById(req.user.id);
+  if (!user) {
+    return apiResponse.notFound(res, 'User');
+  }
+
+  if (!user.twoFactorEnabled) {
+    return apiResponse.error(res, 'Two-factor authentication is not enabled', 400);
+  }
+
+  if (!(await user.comparePassword(password))) {
+    return apiResponse.error(res, 'Password is incorrect', 401);
+  }
+
+  const method = await verifyTwoFactorOrReject(req, res, user, code);
+  if (!method) {
+    return;
+  }
+
+  user.clearTwoFactor();
+  await user.save();
+
+  await AuditLog.record(AUDIT_ACTIONS.TWO_FACTOR_DISABLED, {
+    userId: user._id,
+    ip: req.ip,
+    userAgent: req.headers['user-agent'] || null
+  });
+
+  logger.success(`Two-factor authentication disabled for user: ${user.username}`);
+
+  return apiResponse.success(res, { message: 'Two-factor authentication disabled' });
+}));
+
+/**
+ * @swagger
+ * /api/auth/me:
+ *   get:
+ *     summary: Get current user info
+ *     description: Get authenticated user information
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: User information retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/User'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.get('/me', authenticateToken, asyncHandler(async (req, res) => {
+  // JWT 미들웨어에서 사용자 정보가 req.user에 설정됨
+  logger.info(`User info requested: ${req.user.username}`);
+
+  return apiResponse.success(res, {
+    id: req.user.id,
+    username: req.user.username,
+    email: req.user.email,
+    isEmailVerified: req.user.isEmailVerified,
+    role: req.user.role,
+    permissions: req.user.permissions,
+    twoFactorEnabled: req.user.twoFactorEnabled
+  });
+}));
+
+/**
+ * @swagger
+ * /api/auth/refresh-token:
+ *   post:
+ *     summary: Refresh JWT token
+ *     description: |
+ *       Exchange a refresh token for a new access token and a new refresh token.
+ *       Each refresh token can be used only once; replaying an already used token
+ *       revokes every token issued from the same login.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *             required: [refreshToken]
+ *           example:
+ *             refreshToken: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
+ *     responses:
+ *       200:
+ *         description: Token refreshed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         token:
+ *                           type: string
+ *                         refreshToken:
+ *                           type: string
+ *                         user:
+ *                           $ref: '#/components/schemas/User'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.post('/refresh-token', refreshTokenMiddleware, asyncHandler(async (req, res) => {
+  // refreshTokenMiddleware에서 토큰 회전 및 사용자 확인이 완료됨 (토큰 발급에는 사용자 문서 필요)
+  const user = req.refreshUser;
+  const newToken = user.generateAuthToken(await tokenRevocationService.getTokenVersion(user._id.toString()));
 
   logger.success(`Token refreshed for user: ${user.username}`);
 
   return apiResponse.success(res, {
     token: newToken,
-    refreshToken: newRefreshToken,
+    refreshToken: req.refreshToken,
     user: {
       id: user._id.toString(),
       username: user.username,
@@ -1,9 +1,27 @@
 const express = require('express');
 const router = express.Router();
-const { DesignTemplate } = require('../../models');
+const { DesignTemplate, PERMISSIONS } = require('../../models');
 const { apiResponse, asyncHandler } = require('../../middleware/errorHandler');
+const { authenticateToken, requirePermission } = require('../../middleware/authMiddleware');
+const { Pagination } = require('../../util/pagination');
+const { ConcurrencyControl } = require('../../util/concurrencyControl');
+const { ListQuery, FILTER_TYPES } = require('../../util/listQuery');
+const memoShareService = require('../../util/memoShareService');
 const logger = require('../../util/logger');
 
+// 템플릿 목록 필터/정렬 허용 목록
+const TEMPLATE_LIST_QUERY = {
+  sortable: {
+    createdAt: 'createdAt',
+    updatedAt: 'updatedAt',
+    name: 'name'
+  },
+  filters: {
+    createdAt: { type: FILTER_TYPES.DATE_RANGE },
+    updatedAt: { type: FILTER_TYPES.DATE_RANGE }
+  }
+};
+
 /**
  * @swagger
  * /api/design-templates:
@@ -23,15 +41,53 @@ const logger = require('../../util/logger');
  *         schema:
  *           type: integer
  *           default: 20
+ *           maximum: 100
  *         description: Items per page
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - $ref: '#/components/parameters/IncludeTotal'
  *       - in: query
  *         name: search
  *         schema:
  *           type: string
  *         description: Search in template names
+ *       - in: query
+ *         name: createdAt
+ *         style: deepObject
+ *         explode: true
+ *         schema:
+ *           $ref: '#/components/schemas/DateRangeFilter'
+ *         description: Created date range, e.g. createdAt[gte]=2024-01-01
+ *       - in: query
+ *         name: updatedAt
+ *         style: deepObject
+ *         explode: true
+ *         schema:
+ *           $ref: '#/components/schemas/DateRangeFilter'
+ *         description: Updated date range
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *           enum: [createdAt, updatedAt, name]
+ *           default: createdAt
+ *         description: Sort field
+ *       - in: query
+ *         name: sortOrder
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: desc
+ *         description: Sort order
  *     responses:
  *       200:
  *         description: Design templates retrieved successfully
+ *         headers:
+ *           X-Has-More:
+ *             $ref: '#/components/headers/X-Has-More'
+ *           X-Next-Cursor:
+ *             $ref: '#/components/headers/X-Next-Cursor'
+ *           X-Total-Count:
+ *             $ref: '#/components/headers/X-Total-Count'
  *         content:
  *           application/json:
  *             schema:
@@ -47,24 +103,23 @@ const logger = require('../../util/logger');
 
 // localhost:3000/api/design-templates?page=1&limit=10&search=디자인
 router.get('/', asyncHandler(async (req, res) => {
-  const { page = 1, limit = 20, search } = req.query;
+  const { search } = req.query;
   
-  // 검색 쿼리 구성
-  let query = {};
+  // 검색 및 필터 쿼리 구성
+  const listQuery = ListQuery.parse(req.query, TEMPLATE_LIST_QUERY);
+  let baseQuery = {};
   if (search) {
-    query = {
+    baseQuery = {
       name: { $regex: search, $options: 'i' }
     };
   }
+  const query = ListQuery.combine(baseQuery, listQuery.conditions);
 
   // 페이지네이션
-  const skip = (page - 1) * limit;
-  const templates = await DesignTemplate.find(query)
-    .skip(skip)
-    .limit(parseInt(limit))
-    .sort({ createdAt: -1 });
-
-  const total = await DesignTemplate.countDocuments(query);
+  const pagination = Pagination.parse(req.query, { defaultLimit: 20 });
+  const { items: templates, pageInfo } = await Pagination.paginate(DesignTemplate, query, pagination, {
+    sort: listQuery.sort || { createdAt: -1 }
+  });
 
   // 프론트엔드가 기대하는 형식으로 변환
   const formattedTemplates = templates.map(template => ({
@@ -77,9 +132,10 @@ router.get('/', asyncHandler(async (req, res) => {
     preview: template.preview
   }));
 
-  logger.info(`Retrieved ${templates.length} design templates (page ${page})`);
+  logger.info(`Retrieved ${templates.length} design templates (${pagination.cursor ? 'cursor' : `page ${pagination.page}`})`);
   
-  // 프론트엔드는 직접 배열을 기대하므로 formattedTemplates만 반환
+  // 프론트엔드는 직접 배열을 기대하므로 formattedTemplates만 반환 (페이지 정보는 헤더로 전달)
+  Pagination.setHeaders(res, pageInfo);
   return apiResponse.success(res, formattedTemplates);
 }));
 
@@ -100,6 +156,11 @@ router.get('/', asyncHandler(async (req, res) => {
  *     responses:
  *       200:
  *         description: Design template retrieved successfully
+ *         headers:
+ *           ETag:
+ *             description: Template version, send it back as If-Match when updating
+ *             schema:
+ *               type: string
  *         content:
  *           application/json:
  *             schema:
@@ -119,6 +180,8 @@ router.get('/:id', asyncHandler(async (req, res) => {
     return apiResponse.notFound(res, 'Design Template');
   }
 
+  ConcurrencyControl.setETag(res, template);
+
   logger.info(`Retrieved design template: ${template.name}`);
   return apiResponse.success(res, template);
 }));
@@ -128,8 +191,10 @@ router.get('/:id', asyncHandler(async (req, res) => {
  * /api/design-templates:
  *   post:
  *     summary: Create new design template
- *     description: Create a new design template
+ *     description: Create a new design template (requires template:manage permission)
  *     tags: [Design Templates]
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -157,8 +222,12 @@ router.get('/:id', asyncHandler(async (req, res) => {
  *                       $ref: '#/components/schemas/DesignTemplate'
  *       400:
  *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
  */
-router.post('/', asyncHandler(async (req, res) => {
+router.post('/', authenticateToken, requirePermission(PERMISSIONS.TEMPLATE_MANAGE), asyncHandler(async (req, res) => {
   const { name, backgroundColor, textColor, borderStyle, shadowStyle, preview } = req.body;
 
   // 기본 유효성 검증
@@ -186,8 +255,13 @@ router.post('/', asyncHandler(async (req, res) => {
  * /api/design-templates/{id}:
  *   put:
  *     summary: Update design template
- *     description: Update an existing design template
+ *     description: |
+ *       Update an existing design template (requires template:manage permission).
+ *       Send the ETag from GET as If-Match; when the template has changed since, nothing is saved and
+ *       the response holds the current server copy in current. Without If-Match the update is unconditional.
  *     tags: [Design Templates]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -195,6 +269,11 @@ router.post('/', asyncHandler(async (req, res) => {
  *         schema:
  *           type: string
  *         description: Design template ID
+ *       - in: header
+ *         name: If-Match
+ *         schema:
+ *           type: string
+ *         description: ETag of the template version being edited
  *     requestBody:
  *       required: true
  *       content:
@@ -226,6 +305,11 @@ router.post('/', asyncHandler(async (req, res) => {
  *     responses:
  *       200:
  *         description: Design template updated successfully
+ *         headers:
+ *           ETag:
+ *             description: New template version
+ *             schema:
+ *               type: string
  *         content:
  *           application/json:
  *             schema:
@@ -237,30 +321,64 @@ router.post('/', asyncHandler(async (req, res) => {
  *                       $ref: '#/components/schemas/DesignTemplate'
  *       400:
  *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
  *       404:
  *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: Another request saved the template while this one was being saved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/VersionConflict'
+ *       412:
+ *         description: If-Match does not match the current template version
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/VersionConflict'
  */
-router.put('/:id', asyncHandler(async (req, res) => {
+router.put('/:id', authenticateToken, requirePermission(PERMISSIONS.TEMPLATE_MANAGE), asyncHandler(async (req, res) => {
   const { name, backgroundColor, textColor, borderStyle, shadowStyle, preview } = req.body;
   
-  const updateData = {};
-  if (name !== undefined) updateData.name = name;
-  if (backgroundColor !== undefined) updateData.backgroundColor = backgroundColor;
-  if (textColor !== undefined) updateData.textColor = textColor;
-  if (borderStyle !== undefined) updateData.borderStyle = borderStyle;
-  if (shadowStyle !== undefined) updateData.shadowStyle = shadowStyle;
-  if (preview !== undefined) updateData.preview = preview;
-
-  const template = await DesignTemplate.findByIdAndUpdate(
-    req.params.id,
-    updateData,
-    { new: true, runValidators: true }
-  );
+  const template = await DesignTemplate.findById(req.params.id);
 
   if (!template) {
     return apiResponse.notFound(res, 'Design Template');
   }
 
+  // 클라이언트가 읽은 뒤 다른 곳에서 수정되었으면 덮어쓰지 않고 현재 내용을 돌려줌
+  if (!ConcurrencyControl.matches(req, template)) {
+    ConcurrencyControl.setETag(res, template);
+    return apiResponse.conflict(res, 'Design template has been modified since you loaded it', 412, template);
+  }
+
+  if (name !== undefined) template.name = name;
+  if (backgroundColor !== undefined) template.backgroundColor = backgroundColor;
+  if (textColor !== undefined) template.textColor = textColor;
+  if (borderStyle !== undefined) template.borderStyle = borderStyle;
+  if (shadowStyle !== undefined) template.shadowStyle = shadowStyle;
+  if (preview !== undefined) template.preview = preview;
+
+  try {
+    await template.save();
+  } catch (error) {
+    if (!ConcurrencyControl.isVersionError(error)) {
+      throw error;
+    }
+
+    // 조회와 저장 사이에 다른 요청이 먼저 저장함
+    const current = await DesignTemplate.findById(template._id);
+    if (!current) {
+      return apiResponse.notFound(res, 'Design Template');
+    }
+    ConcurrencyControl.setETag(res, current);
+    return apiResponse.conflict(res, 'Design template was modified by another request while saving', 409, current);
+  }
+
+  ConcurrencyControl.setETag(res, template);
   logger.success(`Design template updated: ${template.name}`);
   return apiResponse.success(res, template, 'Design template updated successfully');
 }));
@@ -270,8 +388,10 @@ router.put('/:id', asyncHandler(async (req, res) => {
  * /api/design-templates/{id}:
  *   delete:
  *     summary: Delete design template
- *     description: Delete a design template by its ID
+ *     description: Delete a design template by its ID (requires template:manage permission)
  *     tags: [Design Templates]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -286,10 +406,14 @@ router.put('/:id', asyncHandler(async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ApiResponse'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
  *       404:
  *         $ref: '#/components/responses/NotFoundError'
  */
-router.delete('/:id', asyncHandler(async (req, res) => {
+router.delete('/:id', authenticateToken, requirePermission(PERMISSIONS.TEMPLATE_MANAGE), asyncHandler(async (req, res) => {
   const template = await DesignTemplate.findByIdAndDelete(req.params.id);
 
   if (!template) {
@@ -305,8 +429,10 @@ router.delete('/:id', asyncHandler(async (req, res) => {
  * /api/design-templates/{id}/memos:
  *   get:
  *     summary: Get memos using this template
- *     description: Get all memos that use a specific design template
+ *     description: Get your own memos and memos shared with you that use a specific design template
  *     tags: [Design Templates]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -325,10 +451,20 @@ router.delete('/:id', asyncHandler(async (req, res) => {
  *         schema:
  *           type: integer
  *           default: 10
+ *           maximum: 100
  *         description: Items per page
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - $ref: '#/components/parameters/IncludeTotal'
  *     responses:
  *       200:
  *         description: Memos using template retrieved successfully
+ *         headers:
+ *           X-Has-More:
+ *             $ref: '#/components/headers/X-Has-More'
+ *           X-Next-Cursor:
+ *             $ref: '#/components/headers/X-Next-Cursor'
+ *           X-Total-Count:
+ *             $ref: '#/components/headers/X-Total-Count'
  *         content:
  *           application/json:
  *             schema:
@@ -354,12 +490,14 @@ router.delete('/:id', asyncHandler(async (req, res) => {
  *                               type: string
  *                         pagination:
  *                           $ref: '#/components/schemas/PaginationResponse'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
  *       404:
  *         $ref: '#/components/responses/NotFoundError'
  */
-router.get('/:id/memos', asyncHandler(async (req, res) => {
+router.get('/:id/memos', authenticateToken, asyncHandler(async (req, res) => {
   const { Memo } = require('../../models');
-  const { page = 1, limit = 10 } = req.query;
+  const pagination = Pagination.parse(req.query, { defaultLimit: 10 });
 
   // 템플릿 존재 확인
   const template = await DesignTemplate.findById(req.params.id);
@@ -367,17 +505,20 @@ router.get('/:id/memos', asyncHandler(async (req, res) => {
     return apiResponse.notFound(res, 'Design Template');
   }
 
-  const skip = (page - 1) * limit;
-  const memos = await Memo.find({ templateId: req.params.id })
-    .populate('userId', 'username')
-    .skip(skip)
-    .limit(parseInt(limit))
-    .sort({ createdAt: -1 });
-
-  const total = await Memo.countDocuments({ templateId: req.params.id });
+  // 본인 메모와 공유 받은 메모만
+  const query = {
+    templateId: req.params.id,
+    deletedAt: null,
+    ...memoShareService.accessibleFilter(req.user.id)
+  };
+  const { items: memos, pageInfo } = await Pagination.paginate(Memo, query, pagination, {
+    build: (query) => query.populate('userId', 'username'),
+    alwaysCount: pagination.page !== null
+  });
 
   logger.info(`Retrieved ${memos.length} memos using template: ${template.name}`);
   
+  Pagination.setHeaders(res, pageInfo);
   return apiResponse.success(res, {
     memos,
     template: {
@@ -385,11 +526,7 @@ router.get('/:id/memos', asyncHandler(async (req, res) => {
       name: template.name,
       preview: template.preview
     },
-    pagination: {
-      current: parseInt(page),
-      pages: Math.ceil(total / limit),
-      total
-    }
+    pagination: Pagination.toResponse(pageInfo)
   });
 }));
 
@@ -440,6 +577,9 @@ router.get('/stats/popular', asyncHandler(async (req, res) => {
 
   // 각 템플릿별 사용 횟수 집계
   const popularTemplates = await Memo.aggregate([
+    {
+      $match: { deletedAt: null }
+    },
     {
       $group: {
         _id: '$templateId',
@@ -1,9 +1,14 @@
 const express = require('express');
 const router = express.Router();
+const { PERMISSIONS } = require('../../models');
 const { apiResponse, asyncHandler } = require('../../middleware/errorHandler');
+const { authenticateToken, requirePermission } = require('../../middleware/authMiddleware');
 const logger = require('../../util/logger');
 const emailQueue = require('../../util/emailQueue');
 
+// 이메일 큐 관리는 email:manage 권한이 있는 사용자만 가능
+router.use(authenticateToken, requirePermission(PERMISSIONS.EMAIL_MANAGE));
+
 /**
  * @swagger
  * /api/email-queue/status:
@@ -11,6 +16,8 @@ const emailQueue = require('../../util/emailQueue');
  *     summary: Get email queue status
  *     description: Get current status of the email queue
  *     tags: [Email Queue]
+ *     security:
+ *       - bearerAuth: []
  *     responses:
  *       200:
  *         description: Queue status retrieved successfully
@@ -47,6 +54,8 @@ router.get('/status', asyncHandler(async (req, res) => {
  *     summary: Send email to queue
  *     description: Add an email to the queue for processing
  *     tags: [Email Queue]
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -119,6 +128,8 @@ router.post('/send', asyncHandler(async (req, res) => {
  *     summary: Send email to all users
  *     description: Add emails for all users to the queue
  *     tags: [Email Queue]
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -167,6 +178,8 @@ router.post('/send-all', asyncHandler(async (req, res) => {
  *     summary: Clear email queue
  *     description: Remove all emails from the queue
  *     tags: [Email Queue]
+ *     security:
+ *       - bearerAuth: []
  *     responses:
  *       200:
  *         description: Queue cleared successfully
@@ -188,6 +201,8 @@ router.delete('/clear', asyncHandler(async (req, res) => {
  *     summary: Start email queue processing
  *     description: Start processing emails from the queue
  *     tags: [Email Queue]
+ *     security:
+ *       - bearerAuth: []
  *     responses:
  *       200:
  *         description: Queue processing started
@@ -209,6 +224,8 @@ router.post('/start', asyncHandler(async (req, res) => {
  *     summary: Stop email queue processing
  *     description: Stop processing emails from the queue
  *     tags: [Email Queue]
+ *     security:
+ *       - bearerAuth: []
  *     responses:
  *       200:
  *         description: Queue processing stopped
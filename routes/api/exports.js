@@ -0,0 +1,148 @@
+const express = require('express');
+const router = express.Router();
+const fs = require('fs');
+const { User, File, DOMAIN_TYPES, FILE_STATUS } = require('../../models');
+const { apiResponse, asyncHandler } = require('../../middleware/errorHandler');
+const { authenticateToken } = require('../../middleware/authMiddleware');
+const jwtService = require('../../util/jwtService');
+const dataExportService = require('../../util/dataExportService');
+const logger = require('../../util/logger');
+
+/**
+ * 내보내기 상태 응답 형식
+ */
+const formatExport = (exportFile) => ({
+  id: exportFile._id.toString(),
+  status: exportFile.status,
+  size: exportFile.metadata.original.size,
+  createdAt: exportFile.createdAt,
+  expiresAt: exportFile.expiresAt
+});
+
+/**
+ * @swagger
+ * /api/exports:
+ *   post:
+ *     summary: Request personal data export
+ *     description: |
+ *       Start building a ZIP archive with your profile, memos (with template info), file metadata
+ *       and the original uploaded files. When it is ready, a time-limited download link is sent
+ *       by email. Only one export can be in progress at a time.
+ *     tags: [Exports]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       202:
+ *         description: Export started (or already in progress)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/DataExport'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.post('/', authenticateToken, asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id);
+  if (!user) {
+    return apiResponse.notFound(res, 'User');
+  }
+
+  const { exportFile, created } = await dataExportService.requestExport(user);
+
+  return apiResponse.success(res, formatExport(exportFile),
+    created ? 'Data export started' : 'Data export already in progress', 202);
+}));
+
+/**
+ * @swagger
+ * /api/exports:
+ *   get:
+ *     summary: List my data exports
+ *     description: List your data export requests that have not expired yet
+ *     tags: [Exports]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Data exports retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/DataExport'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.get('/', authenticateToken, asyncHandler(async (req, res) => {
+  const exports = await File.find({
+    domain: DOMAIN_TYPES.DATA_EXPORT,
+    uploadedBy: req.user.id,
+    expiresAt: { $gt: new Date() }
+  }).sort({ createdAt: -1 });
+
+  return apiResponse.success(res, exports.map(formatExport));
+}));
+
+/**
+ * @swagger
+ * /api/exports/{id}/download:
+ *   get:
+ *     summary: Download data export
+ *     description: |
+ *       Download a finished export archive using the token from the email link.
+ *       No Authorization header is needed; the link expires together with the archive.
+ *     tags: [Exports]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Export ID
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Download token from the email link
+ *     responses:
+ *       200:
+ *         description: ZIP archive
+ *         content:
+ *           application/zip:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.get('/:id/download', asyncHandler(async (req, res) => {
+  const decoded = req.query.token ? jwtService.verifyDownloadToken(req.query.token) : null;
+
+  if (!decoded || decoded.fileId !== req.params.id) {
+    return apiResponse.error(res, 'Invalid or expired download link', 401);
+  }
+
+  const exportFile = await File.findById(req.params.id);
+
+  if (!exportFile
+    || exportFile.domain !== DOMAIN_TYPES.DATA_EXPORT
+    || exportFile.status !== FILE_STATUS.ACTIVE
+    || exportFile.uploadedBy.toString() !== decoded.userId
+    || (exportFile.expiresAt && exportFile.expiresAt <= new Date())
+    || !fs.existsSync(exportFile.metadata.original.path)) {
+    return apiResponse.notFound(res, 'Export');
+  }
+
+  exportFile.incrementDownload().catch(error => {
+    logger.warning(`Failed to increment download count: ${error.message}`);
+  });
+
+  logger.info(`Data export downloaded: ${exportFile._id}`);
+  return res.download(exportFile.metadata.original.path, exportFile.originalName);
+}));
+
+module.exports = router;
@@ -1,11 +1,30 @@
 const express = require('express');
 const router = express.Router();
-const { File, DOMAIN_TYPES } = require('../../models');
+const fs = require('fs');
+const { User, File, DOMAIN_TYPES, FILE_STATUS } = require('../../models');
 const { apiResponse, asyncHandler } = require('../../middleware/errorHandler');
-const { authenticateToken, optionalAuth } = require('../../middleware/authMiddleware');
+const { authenticateToken, optionalAuth, requireOwnership, requireResourceOwnership, toRequestUser } = require('../../middleware/authMiddleware');
 const { createUploadMiddleware, handleUploadError } = require('../../middleware/multerConfig');
 const FileService = require('../../util/fileService');
+const memoShareService = require('../../util/memoShareService');
+const jwtService = require('../../util/jwtService');
 const logger = require('../../util/logger');
+const { Pagination } = require('../../util/pagination');
+const { ListQuery, FILTER_TYPES } = require('../../util/listQuery');
+
+// 사용자별 파일 목록 필터/정렬 허용 목록
+const FILE_LIST_QUERY = {
+  sortable: {
+    createdAt: 'createdAt',
+    originalName: 'originalName',
+    size: 'metadata.original.size'
+  },
+  filters: {
+    domain: { type: FILTER_TYPES.ENUM_LIST, values: Object.values(DOMAIN_TYPES) },
+    mimeType: { type: FILTER_TYPES.STRING_LIST, field: 'metadata.original.mimeType', match: 'any' },
+    createdAt: { type: FILTER_TYPES.DATE_RANGE }
+  }
+};
 
 /**
  * @swagger
@@ -74,8 +93,8 @@ const logger = require('../../util/logger');
 router.post('/upload/:domain', authenticateToken, (req, res, next) => {
   const { domain } = req.params;
   
-  // 도메인 유효성 검증
-  if (!Object.values(DOMAIN_TYPES).includes(domain)) {
+  // 도메인 유효성 검증 (데이터 내보내기 파일은 서버에서만 생성)
+  if (!Object.values(DOMAIN_TYPES).includes(domain) || domain === DOMAIN_TYPES.DATA_EXPORT) {
     return apiResponse.error(res, 'Invalid domain type', 400);
   }
   
@@ -133,7 +152,9 @@ router.post('/upload/:domain', authenticateToken, (req, res, next) => {
  * /api/files/{id}:
  *   get:
  *     summary: Get file by ID
- *     description: Get file information by its ID (authentication required for private files)
+ *     description: |
+ *       Get file information by its ID. Private files are available to the uploader
+ *       and to users who can view the memo the file is attached to (referenceId).
  *     tags: [Files]
  *     security:
  *       - bearerAuth: []
@@ -171,14 +192,13 @@ router.get('/:id', optionalAuth, asyncHandler(async (req, res) => {
     return apiResponse.notFound(res, 'File');
   }
   
-  // 비공개 파일인 경우 권한 확인
+  // 비공개 파일인 경우 권한 확인 (업로더 또는 첨부된 메모를 열람할 수 있는 사용자)
   if (!file.isPublic) {
     if (!req.user) {
       return apiResponse.error(res, 'Authentication required for private file', 401);
     }
     
-    // 파일 업로더이거나 참조된 리소스의 소유자인지 확인 (간단한 예시)
-    if (file.uploadedBy.toString() !== req.user.id) {
+    if (!await memoShareService.canAccessFile(file, req.user)) {
       return apiResponse.error(res, 'Access denied', 403);
     }
   }
@@ -197,7 +217,9 @@ router.get('/:id', optionalAuth, asyncHandler(async (req, res) => {
  * /api/files/domain/{domain}/{referenceId}:
  *   get:
  *     summary: Get files by domain and reference ID
- *     description: Get all files for a specific domain and reference ID
+ *     description: |
+ *       Get all files for a specific domain and reference ID.
+ *       For memo files, users who can view the memo also see its private files.
  *     tags: [Files]
  *     security:
  *       - bearerAuth: []
@@ -242,9 +264,13 @@ router.get('/domain/:domain/:referenceId', optionalAuth, asyncHandler(async (req
   
   const files = await FileService.getFilesByDomain(domain, referenceId);
   
+  // 참조된 메모를 열람할 수 있으면 비공개 파일도 모두 포함
+  const memo = req.user ? await memoShareService.findReferencedMemo(domain, referenceId) : null;
+  const canViewMemo = Boolean(memo && memoShareService.resolveAccess(memo, req.user));
+  
   // 비공개 파일 필터링
   const filteredFiles = files.filter(file => {
-    if (file.isPublic) return true;
+    if (file.isPublic || canViewMemo) return true;
     if (!req.user) return false;
     return file.uploadedBy.toString() === req.user.id;
   });
@@ -280,16 +306,51 @@ router.get('/domain/:domain/:referenceId', optionalAuth, asyncHandler(async (req
  *         schema:
  *           type: integer
  *           default: 20
+ *           maximum: 100
  *         description: Items per page
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - $ref: '#/components/parameters/IncludeTotal'
  *       - in: query
  *         name: domain
  *         schema:
  *           type: string
- *           enum: [memo, profile-image, template-image, attachment]
- *         description: Filter by domain type
+ *         description: Filter by domain type (comma-separated; memo, profile-image, template-image, attachment, data-export)
+ *       - in: query
+ *         name: mimeType
+ *         schema:
+ *           type: string
+ *         description: Filter by MIME type (comma-separated)
+ *       - in: query
+ *         name: createdAt
+ *         style: deepObject
+ *         explode: true
+ *         schema:
+ *           $ref: '#/components/schemas/DateRangeFilter'
+ *         description: Created date range, e.g. createdAt[gte]=2024-01-01
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *           enum: [createdAt, originalName, size]
+ *           default: createdAt
+ *         description: Sort field
+ *       - in: query
+ *         name: sortOrder
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: desc
+ *         description: Sort order
  *     responses:
  *       200:
  *         description: User files retrieved successfully
+ *         headers:
+ *           X-Has-More:
+ *             $ref: '#/components/headers/X-Has-More'
+ *           X-Next-Cursor:
+ *             $ref: '#/components/headers/X-Next-Cursor'
+ *           X-Total-Count:
+ *             $ref: '#/components/headers/X-Total-Count'
  *         content:
  *           application/json:
  *             schema:
@@ -306,18 +367,19 @@ router.get('/domain/:domain/:referenceId', optionalAuth, asyncHandler(async (req
  *       403:
  *         $ref: '#/components/responses/ForbiddenError'
  */
-router.get('/user/:userId', authenticateToken, asyncHandler(async (req, res) => {
+router.get('/user/:userId', authenticateToken, requireOwnership('userId'), asyncHandler(async (req, res) => {
   const { userId } = req.params;
-  const { page = 1, limit = 20, domain } = req.query;
+  const listQuery = ListQuery.parse(req.query, FILE_LIST_QUERY);
+  const pagination = Pagination.parse(req.query, { defaultLimit: 20 });
   
-  // 자신의 파일만 조회 가능
-  if (userId !== req.user.id) {
-    return apiResponse.error(res, 'Access denied', 403);
-  }
-  
-  const files = await FileService.getFilesByUploader(userId, { page, limit, domain });
+  const { items: files, pageInfo } = await FileService.getFilesByUploader(userId, {
+    conditions: listQuery.conditions,
+    sort: listQuery.sort,
+    pagination
+  });
   
   logger.info(`Retrieved ${files.length} files for user ${userId}`);
+  Pagination.setHeaders(res, pageInfo);
   return apiResponse.success(res, files);
 }));
 
@@ -351,17 +413,9 @@ router.get('/user/:userId', authenticateToken, asyncHandler(async (req, res) =>
  *       404:
  *         $ref: '#/components/responses/NotFoundError'
  */
-router.delete('/:id', authenticateToken, asyncHandler(async (req, res) => {
-  const file = await File.findById(req.params.id);
-  
-  if (!file) {
-    return apiResponse.notFound(res, 'File');
-  }
-  
-  // 파일 소유자만 삭제 가능
-  if (file.uploadedBy.toString() !== req.user.id) {
-    return apiResponse.error(res, 'Access denied', 403);
-  }
+// 파일 업로더만 삭제 가능
+router.delete('/:id', authenticateToken, requireResourceOwnership(File, { ownerField: 'uploadedBy', resourceName: 'File' }), asyncHandler(async (req, res) => {
+  const file = req.resource;
   
   await FileService.deleteFile(req.params.id);
   
@@ -415,7 +469,7 @@ router.post('/:id/download', optionalAuth, asyncHandler(async (req, res) => {
   }
   
   // 비공개 파일인 경우 권한 확인
-  if (!file.isPublic && (!req.user || file.uploadedBy.toString() !== req.user.id)) {
+  if (!file.isPublic && !await memoShareService.canAccessFile(file, req.user)) {
     return apiResponse.error(res, 'Access denied', 403);
   }
   
@@ -424,8 +478,77 @@ router.post('/:id/download', optionalAuth, asyncHandler(async (req, res) => {
     logger.warn(`Failed to increment download count: ${error.message}`);
   });
   
+  // 비공개 파일은 업로드 경로 대신 권한을 다시 확인하는 다운로드 주소 제공
+  const downloadUrl = file.isPublic
+    ? file.metadata.original.url
+    : memoShareService.getFileDownloadUrl(file, { userId: req.user.id });
+
   logger.info(`File download tracked: ${file.originalName}`);
-  return apiResponse.success(res, { downloadUrl: file.metadata.original.url });
+  return apiResponse.success(res, { downloadUrl });
+}));
+
+/**
+ * @swagger
+ * /api/files/{id}/download:
+ *   get:
+ *     summary: Download file
+ *     description: |
+ *       Download a file with the short-lived token from POST /api/files/{id}/download
+ *       or from a public memo link. No Authorization header is needed. Access is checked again
+ *       on every download, so links stop working once access is removed or the public link is revoked.
+ *     tags: [Files]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: File ID
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Download token from the download URL
+ *     responses:
+ *       200:
+ *         description: File content
+ *         content:
+ *           application/octet-stream:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.get('/:id/download', asyncHandler(async (req, res) => {
+  const decoded = req.query.token ? jwtService.verifyDownloadToken(req.query.token) : null;
+
+  if (!decoded || decoded.fileId !== req.params.id) {
+    return apiResponse.error(res, 'Invalid or expired download link', 401);
+  }
+
+  const file = await File.findById(req.params.id);
+
+  // 데이터 내보내기는 /api/exports/{id}/download로만 제공
+  if (!file
+    || file.status !== FILE_STATUS.ACTIVE
+    || file.domain === DOMAIN_TYPES.DATA_EXPORT
+    || !fs.existsSync(file.metadata.original.path)) {
+    return apiResponse.notFound(res, 'File');
+  }
+
+  const user = decoded.userId ? await User.findById(decoded.userId) : null;
+  if (!await memoShareService.canDownloadFile(file, decoded, user ? toRequestUser(user) : null)) {
+    return apiResponse.error(res, 'Access denied', 403);
+  }
+
+  logger.info(`File downloaded: ${file.originalName}`);
+  return res.download(file.metadata.original.path, file.originalName);
 }));
 
 /**
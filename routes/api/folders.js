@@ -0,0 +1,219 @@
+const express = require('express');
+const router = express.Router();
+const { Folder } = require('../../models');
+const { apiResponse, asyncHandler } = require('../../middleware/errorHandler');
+const { authenticateToken, requireResourceOwnership } = require('../../middleware/authMiddleware');
+const { FolderService, FOLDER_DELETE_MODES } = require('../../util/folderService');
+const logger = require('../../util/logger');
+
+// 폴더는 작성자 본인만 관리
+const requireFolderOwnership = requireResourceOwnership(Folder, { resourceName: 'Folder' });
+
+/**
+ * @swagger
+ * /api/folders:
+ *   get:
+ *     summary: Get my folder tree
+ *     description: |
+ *       Get your folders as a tree sorted by name.
+ *       Each folder has memoCount (memos directly in it) and totalMemoCount (including subfolders).
+ *       Archived memos and the trash are not counted.
+ *     tags: [Folders]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Folder tree retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/FolderNode'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.get('/', authenticateToken, asyncHandler(async (req, res) => {
+  const tree = await FolderService.getFolderTree(req.user.id);
+  return apiResponse.success(res, tree);
+}));
+
+/**
+ * @swagger
+ * /api/folders:
+ *   post:
+ *     summary: Create folder
+ *     description: Create a folder, optionally inside another of your folders
+ *     tags: [Folders]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 100
+ *               parentId:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Parent folder ID (omit for a top-level folder)
+ *             required: [name]
+ *           example:
+ *             name: "Work"
+ *     responses:
+ *       201:
+ *         description: Folder created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Folder'
+ *       400:
+ *         description: Missing name, invalid parent or nesting too deep
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         description: Parent folder not found
+ *       409:
+ *         description: A folder with this name already exists in the same place
+ */
+router.post('/', authenticateToken, asyncHandler(async (req, res) => {
+  const { name, parentId } = req.body;
+
+  const folder = await FolderService.createFolder(req.user.id, { name, parentId });
+
+  logger.success(`Folder created: ${folder.name} by ${req.user.username}`);
+  return apiResponse.success(res, folder, 'Folder created successfully', 201);
+}));
+
+/**
+ * @swagger
+ * /api/folders/{id}:
+ *   put:
+ *     summary: Rename or move folder
+ *     description: |
+ *       Rename a folder and/or move it under another folder (parentId null moves it to the top level).
+ *       Subfolders and all memos inside move with it in a single transaction
+ *       (without a transaction on a standalone MongoDB server, which does not support them).
+ *     tags: [Folders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Folder ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 100
+ *               parentId:
+ *                 type: string
+ *                 nullable: true
+ *           example:
+ *             parentId: "60d5ecb74b24a1234567890c"
+ *     responses:
+ *       200:
+ *         description: Folder updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Folder'
+ *       400:
+ *         description: Invalid name, moving into itself or a subfolder, or nesting too deep
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: A folder with this name already exists in the target place
+ */
+router.put('/:id', authenticateToken, requireFolderOwnership, asyncHandler(async (req, res) => {
+  const { name, parentId } = req.body;
+  let folder = req.resource;
+
+  if (name !== undefined) {
+    folder = await FolderService.renameFolder(folder, name);
+  }
+  if (parentId !== undefined) {
+    folder = await FolderService.moveFolder(folder, parentId);
+  }
+
+  logger.success(`Folder updated: ${folder.name} by ${req.user.username}`);
+  return apiResponse.success(res, folder, 'Folder updated successfully');
+}));
+
+/**
+ * @swagger
+ * /api/folders/{id}:
+ *   delete:
+ *     summary: Delete folder
+ *     description: |
+ *       Delete a folder and its subfolders in a single transaction
+ *       (without a transaction on a standalone MongoDB server, which does not support them).
+ *       With mode=move (default) their memos move to the deleted folder's parent;
+ *       with mode=trash they go to the trash.
+ *     tags: [Folders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Folder ID
+ *       - in: query
+ *         name: mode
+ *         schema:
+ *           type: string
+ *           enum: [move, trash]
+ *           default: move
+ *         description: What to do with the memos inside
+ *     responses:
+ *       200:
+ *         description: Folder deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 folders:
+ *                   type: integer
+ *                   description: Deleted folders including subfolders
+ *                 memos:
+ *                   type: integer
+ *                   description: Memos moved or sent to the trash
+ *       400:
+ *         description: Invalid mode
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.delete('/:id', authenticateToken, requireFolderOwnership, asyncHandler(async (req, res) => {
+  const result = await FolderService.deleteFolder(req.resource, {
+    mode: req.query.mode || FOLDER_DELETE_MODES.MOVE,
+    deletedBy: req.user.id
+  });
+
+  logger.success(`Folder deleted: ${req.resource.name} by ${req.user.username}`);
+  return apiResponse.success(res, result, 'Folder deleted successfully');
+}));
+
+module.exports = router;
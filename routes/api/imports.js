@@ -0,0 +1,152 @@
+const express = require('express');
+const router = express.Router();
+const { ImportJob } = require('../../models');
+const { apiResponse, asyncHandler } = require('../../middleware/errorHandler');
+const { authenticateToken } = require('../../middleware/authMiddleware');
+const { uploadImportFile, handleImportUploadError } = require('../../middleware/multerConfig');
+const memoImportService = require('../../util/memoImportService');
+
+/**
+ * @swagger
+ * /api/imports:
+ *   post:
+ *     summary: Import memos
+ *     description: |
+ *       Upload a file to import as memos. The import runs in the background; poll
+ *       GET /api/imports/{id} for progress and the per-note report.
+ *       - **.zip** of .md/.txt files: one memo per file. The title comes from front matter
+ *         (`title`, `tags`, `created`), the first `# heading` or the filename. Images referenced by
+ *         relative path in Markdown are imported from the archive.
+ *       - **.zip** data export archive (contains memos.json): memos with their tags, dates and attached images.
+ *       - **.json**: memos.json from a data export.
+ *       - **.enex**: Evernote notes, converted to Markdown with their tags, dates and embedded images.
+ *
+ *       Imported images are saved as memo files. Only one import can run at a time (max 50MB, 1000 notes).
+ *     tags: [Imports]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: .zip, .json or .enex file
+ *               templateId:
+ *                 type: string
+ *                 description: Template for imported memos (data export memos keep theirs if it still exists)
+ *               folderId:
+ *                 type: string
+ *                 description: Folder to put imported memos in
+ *             required:
+ *               - file
+ *               - templateId
+ *     responses:
+ *       202:
+ *         description: Import started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ImportJob'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         description: Template or folder not found
+ *       409:
+ *         description: Another import is already in progress
+ */
+router.post('/', authenticateToken, (req, res, next) => {
+  uploadImportFile(req, res, (err) => {
+    if (err) {
+      return handleImportUploadError(err, req, res, next);
+    }
+    next();
+  });
+}, asyncHandler(async (req, res) => {
+  if (!req.file) {
+    return apiResponse.error(res, 'No file uploaded', 400);
+  }
+
+  const job = await memoImportService.createJob(req.user, req.file, {
+    templateId: req.body.templateId,
+    folderId: req.body.folderId || null
+  });
+
+  return apiResponse.success(res, job, 'Memo import started', 202);
+}));
+
+/**
+ * @swagger
+ * /api/imports:
+ *   get:
+ *     summary: List my imports
+ *     description: List your import jobs (newest first) without the per-note report
+ *     tags: [Imports]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Import jobs retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/ImportJob'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.get('/', authenticateToken, asyncHandler(async (req, res) => {
+  const jobs = await ImportJob.find({ userId: req.user.id })
+    .select('-items')
+    .sort({ createdAt: -1 })
+    .limit(50);
+
+  return apiResponse.success(res, jobs);
+}));
+
+/**
+ * @swagger
+ * /api/imports/{id}:
+ *   get:
+ *     summary: Get import status
+ *     description: Get the progress of an import and the result of each note (memo ID, error or warnings)
+ *     tags: [Imports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Import job ID
+ *     responses:
+ *       200:
+ *         description: Import job retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ImportJob'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.get('/:id', authenticateToken, asyncHandler(async (req, res) => {
+  const job = await ImportJob.findOne({ _id: req.params.id, userId: req.user.id });
+
+  if (!job) {
+    return apiResponse.notFound(res, 'Import');
+  }
+
+  return apiResponse.success(res, job);
+}));
+
+module.exports = router;
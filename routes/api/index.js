@@ -11,8 +11,11 @@ const authRouter = require('./auth');
 const usersRouter = require('./users');
 const designTemplatesRouter = require('./design-templates');
 const memosRouter = require('./memos');
+const foldersRouter = require('./folders');
 const filesRouter = require('./files');
 const emailQueueRouter = require('./email-queue');
+const exportsRouter = require('./exports');
+const importsRouter = require('./imports');
 
 // API 정보 엔드포인트
 // Swagger UI 설정 - /api 경로에서 접근 가능
@@ -38,7 +41,10 @@ router.use('/auth', authRouter);
 router.use('/users', usersRouter);
 router.use('/templates', designTemplatesRouter);
 router.use('/memos', memosRouter);
+router.use('/folders', foldersRouter);
 router.use('/files', filesRouter);
 router.use('/email-queue', emailQueueRouter);
+router.use('/exports', exportsRouter);
+router.use('/imports', importsRouter);
 
 module.exports = router;
@@ -1,58 +1,230 @@
 const express = require('express');
 const router = express.Router();
-const { Memo, User, DesignTemplate } = require('../../models');
+const { rateLimit } = require('express-rate-limit');
+const { Memo, MemoRevision, User, DesignTemplate, PERMISSIONS, REVISION_ACTIONS, CONTENT_FORMATS, SHARE_ROLES, MEMO_ACCESS } = require('../../models');
 const { apiResponse, asyncHandler } = require('../../middleware/errorHandler');
-const { authenticateToken, optionalAuth } = require('../../middleware/authMiddleware');
+const { authenticateToken, requireResourceOwnership } = require('../../middleware/authMiddleware');
 const { uploadSingleImage, handleUploadError } = require('../../middleware/multerConfig');
+const memoSearchService = require('../../util/memoSearchService');
+const memoRevisionService = require('../../util/memoRevisionService');
+const memoTrashService = require('../../util/memoTrashService');
+const memoShareService = require('../../util/memoShareService');
+const markdownService = require('../../util/markdownService');
+const reminderService = require('../../util/reminderService');
+const realtimeService = require('../../util/realtimeService');
+const { REALTIME_EVENTS } = realtimeService;
+const { Pagination } = require('../../util/pagination');
+const { ConcurrencyControl } = require('../../util/concurrencyControl');
+const { FolderService } = require('../../util/folderService');
+const { MemoBulkService, BulkOperationError } = require('../../util/memoBulkService');
+const { ListQuery, FILTER_TYPES } = require('../../util/listQuery');
+const database = require('../../util/database');
 const logger = require('../../util/logger');
 const path = require('path');
 
+const mongoose = database.getMongoose();
+
 const SERVER_ORIGIN = process.env.SERVER_ORIGIN || 'http://localhost:3001';
 
+// 메모 작성자 또는 메모 관리 권한이 있는 사용자만 접근 가능 (휴지통의 메모는 404)
+const requireMemoOwnership = requireResourceOwnership(Memo, {
+  resourceName: 'Memo',
+  bypassPermission: PERMISSIONS.MEMO_MODERATE,
+  filter: (memo) => !memo.deletedAt
+});
+
+/**
+ * 메모 접근 권한 확인 미들웨어
+ * 작성자, requiredRole 이상으로 공유 받은 사용자, 메모 관리 권한이 있는 사용자만 통과합니다.
+ * 통과 시 메모를 req.resource, 접근 수준을 req.memoAccess에 담습니다.
+ * @param {string} requiredRole - MEMO_ACCESS 값
+ */
+const requireMemoAccess = (requiredRole) => async (req, res, next) => {
+  try {
+    const memo = await Memo.findOne({ _id: req.params.id, deletedAt: null });
+    if (!memo) {
+      return apiResponse.notFound(res, 'Memo');
+    }
+
+    const access = memoShareService.resolveAccess(memo, req.user);
+    if (!Memo.satisfiesAccess(access, requiredRole)) {
+      logger.warning(`Memo access denied for ${req.user.username} on memo ${req.params.id}`);
+      return apiResponse.error(res, 'Access denied. This memo has not been shared with you.', 403);
+    }
+
+    req.resource = memo;
+    req.memoAccess = access;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// 공개 링크 비밀번호 대입 방지 (IP별 15분에 30회)
+const publicLinkLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  limit: 30,
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res) => apiResponse.error(res, 'Too many requests for this link. Please try again later.', 429)
+});
+
+// 휴지통의 메모 복원/영구 삭제용
+const requireTrashedMemoOwnership = requireResourceOwnership(Memo, {
+  resourceName: 'Memo',
+  bypassPermission: PERMISSIONS.MEMO_MODERATE,
+  filter: (memo) => Boolean(memo.deletedAt)
+});
+
+// 메모 목록 필터/정렬 허용 목록
+const MEMO_LIST_QUERY = {
+  sortable: {
+    createdAt: 'createdAt',
+    updatedAt: 'updatedAt',
+    title: 'title',
+    dueDate: 'dueDate'
+  },
+  filters: {
+    userId: { type: FILTER_TYPES.ID_LIST },
+    templateId: { type: FILTER_TYPES.ID_LIST },
+    createdAt: { type: FILTER_TYPES.DATE_RANGE },
+    updatedAt: { type: FILTER_TYPES.DATE_RANGE },
+    dueDate: { type: FILTER_TYPES.DATE_RANGE },
+    tag: { type: FILTER_TYPES.STRING_LIST, field: 'tags', normalize: (tag) => tag.toLowerCase() },
+    folderId: { type: FILTER_TYPES.ID_LIST },
+    // 폴더에 속하지 않은 메모
+    unfiled: {
+      type: FILTER_TYPES.BOOLEAN,
+      build: (unfiled) => ({ folderId: unfiled ? null : { $ne: null } })
+    },
+    pinned: {
+      type: FILTER_TYPES.BOOLEAN,
+      build: (pinned) => ({ isPinned: pinned ? true : { $ne: true } })
+    },
+    // 지정하지 않으면 보관된 메모는 목록에서 제외
+    archived: {
+      type: FILTER_TYPES.BOOLEAN,
+      build: (archived) => ({ isArchived: archived ? true : { $ne: true } })
+    },
+    // 레거시 imageUrl 또는 File 첨부가 있는 메모
+    hasAttachment: {
+      type: FILTER_TYPES.BOOLEAN,
+      build: (hasAttachment) => {
+        const attachmentConditions = [
+          { imageUrl: { $nin: [null, ''] } },
+          { 'attachedFiles.0': { $exists: true } }
+        ];
+        return hasAttachment ? { $or: attachmentConditions } : { $nor: attachmentConditions };
+      }
+    }
+  }
+};
+
 /**
  * @swagger
  * /api/memos:
  *   get:
- *     summary: Get all memos
- *     description: Get all memos with optional filters and pagination
+ *     summary: Get my memos
+ *     description: |
+ *       Get your own memos and memos shared with you, with optional filters and pagination.
+ *       Use either page/limit or the opaque cursor from the X-Next-Cursor header (createdAt ordering only).
  *     tags: [Memos]
  *     security:
  *       - bearerAuth: []
- *       - {}
  *     parameters:
  *       - in: query
  *         name: page
  *         schema:
  *           type: integer
  *           default: 1
- *         description: Page number
+ *         description: Page number (ignored when cursor is given)
  *       - in: query
  *         name: limit
  *         schema:
  *           type: integer
  *           default: 10
+ *           maximum: 100
  *         description: Items per page
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - $ref: '#/components/parameters/IncludeTotal'
  *       - in: query
  *         name: userId
  *         schema:
  *           type: string
- *         description: Filter by user ID
+ *         description: Filter by user ID (comma-separated for several)
  *       - in: query
  *         name: templateId
  *         schema:
  *           type: string
- *         description: Filter by template ID
+ *         description: Filter by template ID (comma-separated for several)
+ *       - in: query
+ *         name: createdAt
+ *         style: deepObject
+ *         explode: true
+ *         schema:
+ *           $ref: '#/components/schemas/DateRangeFilter'
+ *         description: Created date range, e.g. createdAt[gte]=2024-01-01&createdAt[lt]=2024-02-01
+ *       - in: query
+ *         name: updatedAt
+ *         style: deepObject
+ *         explode: true
+ *         schema:
+ *           $ref: '#/components/schemas/DateRangeFilter'
+ *         description: Updated date range
+ *       - in: query
+ *         name: dueDate
+ *         style: deepObject
+ *         explode: true
+ *         schema:
+ *           $ref: '#/components/schemas/DateRangeFilter'
+ *         description: Due date range
+ *       - in: query
+ *         name: tag
+ *         schema:
+ *           type: string
+ *         description: Only memos having all of these tags (comma-separated)
+ *       - in: query
+ *         name: folderId
+ *         schema:
+ *           type: string
+ *         description: Filter by folder ID (comma-separated for several, subfolders not included)
+ *       - in: query
+ *         name: unfiled
+ *         schema:
+ *           type: boolean
+ *         description: Only memos outside (true) or inside (false) a folder
+ *       - in: query
+ *         name: pinned
+ *         schema:
+ *           type: boolean
+ *         description: Only pinned (true) or unpinned (false) memos
+ *       - in: query
+ *         name: archived
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Only archived (true) or active (false) memos. Archived memos are hidden unless set to true.
+ *       - in: query
+ *         name: hasAttachment
+ *         schema:
+ *           type: boolean
+ *         description: Only memos with (true) or without (false) an image or attached file
  *       - in: query
  *         name: search
  *         schema:
  *           type: string
- *         description: Search in title and content
+ *           maxLength: 200
+ *         description: |
+ *           Full-text search in title and content of your own memos and memos shared with you.
+ *           Words match any of them, `"quoted phrase"` must appear as a whole, and `-word` or `-"phrase"` excludes memos.
+ *           Results are sorted by relevance unless sortBy is given and include `score` and `highlights`.
  *       - in: query
  *         name: sortBy
  *         schema:
  *           type: string
+ *           enum: [createdAt, updatedAt, title, dueDate]
  *           default: createdAt
- *         description: Sort field
+ *         description: Sort field (defaults to relevance when searching)
  *       - in: query
  *         name: sortOrder
  *         schema:
@@ -63,6 +235,13 @@ const SERVER_ORIGIN = process.env.SERVER_ORIGIN || 'http://localhost:3001';
  *     responses:
  *       200:
  *         description: Memos retrieved successfully
+ *         headers:
+ *           X-Has-More:
+ *             $ref: '#/components/headers/X-Has-More'
+ *           X-Next-Cursor:
+ *             $ref: '#/components/headers/X-Next-Cursor'
+ *           X-Total-Count:
+ *             $ref: '#/components/headers/X-Total-Count'
  *         content:
  *           application/json:
  *             schema:
@@ -74,343 +253,584 @@ const SERVER_ORIGIN = process.env.SERVER_ORIGIN || 'http://localhost:3001';
  *                       type: array
  *                       items:
  *                         $ref: '#/components/schemas/Memo'
+ *       400:
+ *         description: Search contains only exclusions, or invalid filter, sort or pagination parameters
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
  */
-router.get('/', optionalAuth, asyncHandler(async (req, res) => {
-  const { 
-    page = 1, 
-    limit = 10, 
-    userId, 
-    templateId, 
-    search,
-    sortBy = 'createdAt',
-    sortOrder = 'desc'
-  } = req.query;
+router.get('/', authenticateToken, asyncHandler(async (req, res) => {
+  const { search } = req.query;
   
-  // 검색 및 필터 쿼리 구성
-  let query = {};
+  // 검색 및 필터 쿼리 구성 (본인 메모와 공유 받은 메모만)
+  const listQuery = ListQuery.parse(req.query, MEMO_LIST_QUERY);
+  let baseQuery = memoShareService.accessibleFilter(req.user.id);
+  let parsedSearch = null;
   
-  if (userId) query.userId = userId;
-  if (templateId) query.templateId = templateId;
   if (search) {
-    query.$or = [
-      { title: { $regex: search, $options: 'i' } },
-      { content: { $regex: search, $options: 'i' } }
-    ];
+    parsedSearch = memoSearchService.parseQuery(search);
+    if (!memoSearchService.hasPositiveTerms(parsedSearch)) {
+      return apiResponse.error(res, 'Search must include at least one word or phrase', 400);
+    }
+
+    baseQuery = {
+      ...memoSearchService.buildQuery(parsedSearch),
+      ...baseQuery
+    };
   }
 
-  // 정렬 옵션
-  const sortOptions = {};
-  sortOptions[sortBy] = sortOrder === 'desc' ? -1 : 1;
+  // 휴지통의 메모는 제외하고, archived를 지정하지 않으면 보관된 메모도 제외
+  if (req.query.archived === undefined || req.query.archived === '') {
+    baseQuery.isArchived = { $ne: true };
+  }
+  const query = ListQuery.combine({ ...baseQuery, deletedAt: null }, listQuery.conditions);
 
-  // 페이지네이션
-  const skip = (page - 1) * limit;
-  const memos = await Memo.find(query)
-    .skip(skip)
-    .limit(parseInt(limit))
-    .sort(sortOptions);
+  // 정렬 옵션 (검색 시 기본은 관련도 순)
+  let sortOptions = listQuery.sort || { createdAt: -1 };
+  if (parsedSearch && !listQuery.sort) {
+    sortOptions = { score: { $meta: 'textScore' } };
+  }
 
-  const total = await Memo.countDocuments(query);
+  // 페이지네이션
+  const pagination = Pagination.parse(req.query, { defaultLimit: 10 });
+  const { items: memos, pageInfo } = await Pagination.paginate(Memo, query, pagination, {
+    sort: sortOptions,
+    build: parsedSearch ? (memoQuery) => memoQuery.select({ score: { $meta: 'textScore' } }) : null
+  });
 
   // 프론트엔드가 기대하는 형식으로 변환
-  const formattedMemos = memos.map(memo => ({
-    id: memo._id.toString(),
-    title: memo.title,
-    content: memo.content,
-    templateId: memo.templateId.toString(),
-    userId: memo.userId.toString(),
-    imageUrl: `${SERVER_ORIGIN}${memo.imageUrl}`,
-    createdAt: memo.createdAt.toISOString(),
-    updatedAt: memo.updatedAt.toISOString()
-  }));
+  const formattedMemos = memos.map(memo => {
+    const formatted = {
+      id: memo._id.toString(),
+      title: memo.title,
+      content: memo.content,
+      format: memo.format,
+      templateId: memo.templateId.toString(),
+      userId: memo.userId.toString(),
+      tags: memo.tags,
+      folderId: memo.folderId ? memo.folderId.toString() : null,
+      isPinned: memo.isPinned,
+      isArchived: memo.isArchived,
+      dueDate: memo.dueDate ? memo.dueDate.toISOString() : null,
+      reminder: reminderService.formatReminder(memo.reminder),
+      imageUrl: `${SERVER_ORIGIN}${memo.imageUrl}`,
+      createdAt: memo.createdAt.toISOString(),
+      updatedAt: memo.updatedAt.toISOString()
+    };
+
+    if (parsedSearch) {
+      formatted.score = memo.get('score');
+      formatted.highlights = memoSearchService.buildHighlights(memo, parsedSearch);
+    }
+
+    return formatted;
+  });
 
-  logger.info(`Retrieved ${memos.length} memos (page ${page})`);
+  logger.info(`Retrieved ${memos.length} memos (${pagination.cursor ? 'cursor' : `page ${pagination.page}`})`);
   
-  // 프론트엔드는 직접 메모 배열을 기대하므로 formattedMemos만 반환
+  // 프론트엔드는 직접 메모 배열을 기대하므로 formattedMemos만 반환 (페이지 정보는 헤더로 전달)
+  Pagination.setHeaders(res, pageInfo);
   return apiResponse.success(res, formattedMemos);
 }));
 
 /**
  * @swagger
- * /api/memos/{id}:
+ * /api/memos/trash:
  *   get:
- *     summary: Get memo by ID
- *     description: Get a specific memo by its ID
+ *     summary: List memos in trash
+ *     description: |
+ *       List your memos in the trash, most recently deleted first.
+ *       Each memo includes `purgeAt`, when it will be permanently deleted.
  *     tags: [Memos]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
- *       - in: path
- *         name: id
- *         required: true
+ *       - in: query
+ *         name: page
  *         schema:
- *           type: string
- *         description: Memo ID
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           maximum: 100
+ *         description: Items per page
+ *       - $ref: '#/components/parameters/IncludeTotal'
  *     responses:
  *       200:
- *         description: Memo retrieved successfully
+ *         description: Trashed memos retrieved successfully
+ *         headers:
+ *           X-Has-More:
+ *             $ref: '#/components/headers/X-Has-More'
+ *           X-Total-Count:
+ *             $ref: '#/components/headers/X-Total-Count'
  *         content:
  *           application/json:
  *             schema:
- *               allOf:
- *                 - $ref: '#/components/schemas/ApiResponse'
- *                 - type: object
- *                   properties:
- *                     data:
- *                       $ref: '#/components/schemas/Memo'
- *       404:
- *         $ref: '#/components/responses/NotFoundError'
+ *               type: array
+ *               items:
+ *                 allOf:
+ *                   - $ref: '#/components/schemas/Memo'
+ *                   - type: object
+ *                     properties:
+ *                       deletedAt:
+ *                         type: string
+ *                         format: date-time
+ *                       purgeAt:
+ *                         type: string
+ *                         format: date-time
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
  */
-router.get('/:id', asyncHandler(async (req, res) => {
-  const memo = await Memo.findById(req.params.id);
-  
-  if (!memo) {
-    return apiResponse.notFound(res, 'Memo');
-  }
+router.get('/trash', authenticateToken, asyncHandler(async (req, res) => {
+  const pagination = Pagination.parse(req.query, { defaultLimit: 10 });
+  const { items: memos, pageInfo } = await Pagination.paginate(Memo, {
+    userId: { $in: [req.user.id, new mongoose.Types.ObjectId(req.user.id)] },
+    deletedAt: { $ne: null }
+  }, pagination, {
+    sort: { deletedAt: -1 }
+  });
 
-  // 프론트엔드가 기대하는 형식으로 변환
-  const formattedMemo = {
-    id: memo._id.toString(),
-    title: memo.title,
-    content: memo.content,
-    templateId: memo.templateId.toString(),
-    userId: memo.userId.toString(),
-    imageUrl: `${SERVER_ORIGIN}${memo.imageUrl}`,
-    createdAt: memo.createdAt.toISOString(),
-    updatedAt: memo.updatedAt.toISOString()
-  };
+  const trashedMemos = memos.map(memo => ({
+    ...memo.toJSON(),
+    purgeAt: memoTrashService.getPurgeDate(memo).toISOString()
+  }));
 
-  logger.info(`Retrieved memo: ${memo.title}`);
-  return apiResponse.success(res, formattedMemo);
+  logger.info(`Retrieved ${memos.length} trashed memos for ${req.user.username}`);
+  Pagination.setHeaders(res, pageInfo);
+  return apiResponse.success(res, trashedMemos);
 }));
 
 /**
  * @swagger
- * /api/memos:
- *   post:
- *     summary: Create new memo
- *     description: Create a new memo (requires authentication)
+ * /api/memos/shared:
+ *   get:
+ *     summary: List memos shared with me
+ *     description: List memos other users have shared with you, newest first
  *     tags: [Memos]
  *     security:
  *       - bearerAuth: []
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             $ref: '#/components/schemas/MemoInput'
- *           example:
- *             title: "My First Memo"
- *             content: "This is the content of my memo"
- *             templateId: "507f1f77bcf86cd799439011"
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           maximum: 100
+ *         description: Items per page
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - $ref: '#/components/parameters/IncludeTotal'
  *     responses:
  *       200:
- *         description: Memo created successfully
+ *         description: Shared memos retrieved successfully
+ *         headers:
+ *           X-Has-More:
+ *             $ref: '#/components/headers/X-Has-More'
+ *           X-Next-Cursor:
+ *             $ref: '#/components/headers/X-Next-Cursor'
+ *           X-Total-Count:
+ *             $ref: '#/components/headers/X-Total-Count'
  *         content:
  *           application/json:
  *             schema:
- *               allOf:
- *                 - $ref: '#/components/schemas/ApiResponse'
- *                 - type: object
- *                   properties:
- *                     data:
- *                       $ref: '#/components/schemas/Memo'
- *       400:
- *         $ref: '#/components/responses/ValidationError'
+ *               type: array
+ *               items:
+ *                 allOf:
+ *                   - $ref: '#/components/schemas/Memo'
+ *                   - type: object
+ *                     properties:
+ *                       access:
+ *                         type: string
+ *                         enum: [viewer, editor]
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
- *       404:
- *         description: Design template not found
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.post('/', authenticateToken, asyncHandler(async (req, res) => {
-  const { title, content, templateId } = req.body;
-  
-  // 인증된 사용자의 ID 사용
-  const userId = req.user.id;
-
-  // 기본 유효성 검증
-  if (!title || !content || !templateId) {
-    return apiResponse.error(res, 'Title, content, and templateId are required', 400);
-  }
+router.get('/shared', authenticateToken, asyncHandler(async (req, res) => {
+  const pagination = Pagination.parse(req.query, { defaultLimit: 10 });
+  const { items: memos, pageInfo } = await Pagination.paginate(Memo, {
+    'shares.userId': new mongoose.Types.ObjectId(req.user.id),
+    deletedAt: null
+  }, pagination);
 
-  // 템플릿 존재 확인 (사용자는 이미 인증됨)
-  const template = await DesignTemplate.findById(templateId);
-
-  if (!template) {
-    return apiResponse.error(res, 'Design template not found', 404);
-  }
-
-  const memo = new Memo({
-    title,
-    content,
-    templateId,
-    userId
+  // 다른 공유 대상 목록은 작성자에게만 노출
+  const sharedMemos = memos.map(memo => {
+    const { shares, ...memoData } = memo.toJSON();
+    return { ...memoData, access: memo.getAccessRole(req.user.id) };
   });
 
-  await memo.save();
-  
-  // 프론트엔드가 기대하는 형식으로 메모 반환 (populate 없이)
-  const createdMemo = {
-    id: memo._id.toString(),
-    title: memo.title,
-    content: memo.content,
-    templateId: memo.templateId.toString(),
-    userId: memo.userId.toString(),
-    imageUrl: memo.imageUrl,
-    createdAt: memo.createdAt.toISOString(),
-    updatedAt: memo.updatedAt.toISOString()
-  };
-  
-  logger.success(`New memo created: ${memo.title} by ${req.user.username}`);
-  return apiResponse.success(res, createdMemo);
+  logger.info(`Retrieved ${memos.length} memos shared with ${req.user.username}`);
+  Pagination.setHeaders(res, pageInfo);
+  return apiResponse.success(res, sharedMemos);
 }));
 
 /**
  * @swagger
- * /api/memos/{id}:
- *   put:
- *     summary: Update memo
- *     description: Update an existing memo
+ * /api/memos/public/{token}:
+ *   get:
+ *     summary: View memo through public link
+ *     description: |
+ *       Read-only view of a memo through a public link. No authentication is needed.
+ *       Password-protected links require the password in the X-Share-Password header.
  *     tags: [Memos]
  *     parameters:
  *       - in: path
- *         name: id
+ *         name: token
  *         required: true
  *         schema:
  *           type: string
- *         description: Memo ID
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               title:
- *                 type: string
- *                 maxLength: 200
- *               content:
- *                 type: string
- *                 maxLength: 10000
- *               templateId:
- *                 type: string
- *           example:
- *             title: "Updated Memo Title"
- *             content: "Updated memo content"
+ *         description: Public link token
+ *       - in: header
+ *         name: X-Share-Password
+ *         schema:
+ *           type: string
+ *         description: Link password (password-protected links only)
  *     responses:
  *       200:
- *         description: Memo updated successfully
+ *         description: Memo retrieved successfully
  *         content:
  *           application/json:
  *             schema:
- *               allOf:
- *                 - $ref: '#/components/schemas/ApiResponse'
- *                 - type: object
- *                   properties:
- *                     data:
- *                       $ref: '#/components/schemas/Memo'
- *       400:
- *         $ref: '#/components/responses/ValidationError'
+ *               $ref: '#/components/schemas/PublicMemo'
+ *       401:
+ *         description: Password required or incorrect (`errors.requiresPassword` is true)
  *       404:
- *         $ref: '#/components/responses/NotFoundError'
+ *         description: Link not found, revoked or expired
+ *       429:
+ *         description: Too many requests
  */
-router.put('/:id', asyncHandler(async (req, res) => {
-  const { title, content, templateId } = req.body;
-  
-  const updateData = {};
-  if (title !== undefined) updateData.title = title;
-  if (content !== undefined) updateData.content = content;
-  if (templateId !== undefined) {
-    // 템플릿 존재 확인
-    const template = await DesignTemplate.findById(templateId);
-    if (!template) {
-      return apiResponse.error(res, 'Design template not found', 404);
-    }
-    updateData.templateId = templateId;
+router.get('/public/:token', publicLinkLimiter, asyncHandler(async (req, res) => {
+  const resolved = await memoShareService.resolvePublicLink(req.params.token);
+  if (!resolved) {
+    return apiResponse.notFound(res, 'Shared memo');
   }
 
-  const memo = await Memo.findByIdAndUpdate(
-    req.params.id,
-    updateData,
-    { new: true, runValidators: true }
-  ).populate('userId', 'username email')
-   .populate('templateId', 'name preview backgroundColor textColor');
-
-  if (!memo) {
-    return apiResponse.notFound(res, 'Memo');
+  const { memo, link } = resolved;
+  const passwordValid = await memoShareService.verifyLinkPassword(link, req.get('X-Share-Password'));
+  if (!passwordValid) {
+    return apiResponse.error(res, 'This link is password protected', 401, { requiresPassword: true });
   }
 
-  logger.success(`Memo updated: ${memo.title}`);
-  return apiResponse.success(res, memo, 'Memo updated successfully');
+  // updatedAt이 바뀌지 않도록 timestamps 없이 갱신
+  Memo.updateOne(
+    { _id: memo._id, 'publicLinks._id': link._id },
+    { $set: { 'publicLinks.$.lastAccessedAt': new Date() } },
+    { timestamps: false }
+  ).catch(error => {
+    logger.warning(`Failed to update public link access time: ${error.message}`);
+  });
+
+  const [template, attachments] = await Promise.all([
+    DesignTemplate.findById(memo.templateId).select('name backgroundColor textColor borderStyle shadowStyle'),
+    memoShareService.getPublicAttachments(memo, link)
+  ]);
+
+  logger.info(`Memo viewed through public link: ${memo._id}`);
+  return apiResponse.success(res, {
+    id: memo._id.toString(),
+    title: memo.title,
+    content: memo.content,
+    format: memo.format,
+    html: markdownService.render(memo.content, memo.format),
+    tags: memo.tags,
+    template,
+    imageUrl: memo.imageUrl ? `${SERVER_ORIGIN}${memo.imageUrl}` : null,
+    attachments,
+    updatedAt: memo.updatedAt.toISOString()
+  });
 }));
 
 /**
  * @swagger
- * /api/memos/{id}:
- *   delete:
- *     summary: Delete memo
- *     description: Delete a memo by its ID
+ * /api/memos/tags:
+ *   get:
+ *     summary: List my tags
+ *     description: |
+ *       List the tags used in your memos with how many memos use each, most used first.
+ *       Use prefix for autocomplete. Memos in the trash are not counted.
  *     tags: [Memos]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
- *       - in: path
- *         name: id
- *         required: true
+ *       - in: query
+ *         name: prefix
  *         schema:
  *           type: string
- *         description: Memo ID
- *     responses:
- *       200:
- *         description: Memo deleted successfully
+ *           maxLength: 30
+ *         description: Only tags starting with this text (case-insensitive)
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *         description: Maximum number of tags
+ *     responses:
+ *       200:
+ *         description: Tags retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   tag:
+ *                     type: string
+ *                   count:
+ *                     type: integer
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.get('/tags', authenticateToken, asyncHandler(async (req, res) => {
+  const prefix = typeof req.query.prefix === 'string' ? req.query.prefix.trim().toLowerCase().slice(0, 30) : '';
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+  const tags = await Memo.aggregate([
+    {
+      $match: {
+        userId: { $in: [req.user.id, new mongoose.Types.ObjectId(req.user.id)] },
+        deletedAt: null
+      }
+    },
+    { $unwind: '$tags' },
+    ...(prefix ? [{ $match: { tags: { $regex: `^${memoSearchService.escapeRegex(prefix)}` } } }] : []),
+    { $group: { _id: '$tags', count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $limit: limit },
+    { $project: { _id: 0, tag: '$_id', count: 1 } }
+  ]);
+
+  return apiResponse.success(res, tags);
+}));
+
+/**
+ * @swagger
+ * /api/memos/counts:
+ *   get:
+ *     summary: Get memo counts for the sidebar
+ *     description: |
+ *       Count your memos by state. Active counts exclude archived memos and the trash.
+ *       Per-folder counts are in GET /api/folders and per-tag counts in GET /api/memos/tags.
+ *     tags: [Memos]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Counts retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 active:
+ *                   type: integer
+ *                 pinned:
+ *                   type: integer
+ *                 unfiled:
+ *                   type: integer
+ *                 archived:
+ *                   type: integer
+ *                 trash:
+ *                   type: integer
+ *                 shared:
+ *                   type: integer
+ *                   description: Memos shared with you
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.get('/counts', authenticateToken, asyncHandler(async (req, res) => {
+  const userObjectId = new mongoose.Types.ObjectId(req.user.id);
+
+  // 상태별 조건 (기존 메모에는 새 필드가 없을 수 있어 $ifNull로 비교)
+  const inTrash = { $ne: [{ $ifNull: ['$deletedAt', null] }, null] };
+  const isArchived = { $eq: ['$isArchived', true] };
+  const isActive = { $and: [{ $not: [inTrash] }, { $not: [isArchived] }] };
+  const countIf = (condition) => ({ $sum: { $cond: [condition, 1, 0] } });
+
+  const [counts] = await Memo.aggregate([
+    { $match: { userId: { $in: [req.user.id, userObjectId] } } },
+    {
+      $group: {
+        _id: null,
+        active: countIf(isActive),
+        pinned: countIf({ $and: [isActive, { $eq: ['$isPinned', true] }] }),
+        unfiled: countIf({ $and: [isActive, { $eq: [{ $ifNull: ['$folderId', null] }, null] }] }),
+        archived: countIf({ $and: [{ $not: [inTrash] }, isArchived] }),
+        trash: countIf(inTrash)
+      }
+    }
+  ]);
+
+  const shared = await Memo.countDocuments({ 'shares.userId': userObjectId, deletedAt: null });
+
+  const { _id, ...stateCounts } = counts || { active: 0, pinned: 0, unfiled: 0, archived: 0, trash: 0 };
+  return apiResponse.success(res, { ...stateCounts, shared });
+}));
+
+/**
+ * @swagger
+ * /api/memos/upcoming:
+ *   get:
+ *     summary: Get upcoming reminders and due dates
+ *     description: Your memos with a reminder or due date within the next days, soonest first
+ *     tags: [Memos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: integer
+ *           default: 7
+ *           maximum: 90
+ *         description: How many days ahead to look
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           maximum: 50
+ *         description: Maximum items per list
+ *     responses:
+ *       200:
+ *         description: Upcoming items retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 reminders:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/UpcomingMemo'
+ *                 dueDates:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/UpcomingMemo'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.get('/upcoming', authenticateToken, asyncHandler(async (req, res) => {
+  const days = Math.min(Math.max(parseInt(req.query.days) || 7, 1), 90);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+
+  const upcoming = await reminderService.getUpcoming(req.user.id, { days, limit });
+  return apiResponse.success(res, upcoming);
+}));
+
+/**
+ * 메모 상세 응답 형식 (조회 응답과 수정 충돌 시 서버의 현재 내용)
+ * @param {Memo} memo - 메모 문서
+ * @param {string} access - 요청한 사용자의 MEMO_ACCESS 값
+ */
+const formatMemoDetail = (memo, access) => ({
+  id: memo._id.toString(),
+  title: memo.title,
+  content: memo.content,
+  format: memo.format,
+  html: markdownService.render(memo.content, memo.format),
+  templateId: memo.templateId.toString(),
+  userId: memo.userId.toString(),
+  tags: memo.tags,
+  folderId: memo.folderId ? memo.folderId.toString() : null,
+  isPinned: memo.isPinned,
+  isArchived: memo.isArchived,
+  dueDate: memo.dueDate ? memo.dueDate.toISOString() : null,
+  reminder: reminderService.formatReminder(memo.reminder),
+  imageUrl: `${SERVER_ORIGIN}${memo.imageUrl}`,
+  access,
+  version: ConcurrencyControl.getVersion(memo),
+  createdAt: memo.createdAt.toISOString(),
+  updatedAt: memo.updatedAt.toISOString()
+});
+
+/**
+ * @swagger
+ * /api/memos/{id}:
+ *   get:
+ *     summary: Get memo by ID
+ *     description: |
+ *       Get a specific memo by its ID. Available to the author, users the memo is shared with
+ *       and memo moderators. `access` tells the caller's access level (owner, editor or viewer).
+ *     tags: [Memos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Memo ID
+ *     responses:
+ *       200:
+ *         description: Memo retrieved successfully
+ *         headers:
+ *           ETag:
+ *             description: |
+ *               "<version>-<hash>": changes whenever anything in the response changes (If-None-Match gives 304
+ *               only for an identical memo). Send it back as If-Match when updating; only the version is compared.
+ *             schema:
+ *               type: string
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/ApiResponse'
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/Memo'
+ *       304:
+ *         description: Not modified (If-None-Match matches the current ETag)
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
  *       404:
  *         $ref: '#/components/responses/NotFoundError'
  */
-router.delete('/:id', asyncHandler(async (req, res) => {
-  const memo = await Memo.findByIdAndDelete(req.params.id);
+router.get('/:id', authenticateToken, requireMemoAccess(MEMO_ACCESS.VIEWER), asyncHandler(async (req, res) => {
+  const memo = req.resource;
+  const detail = formatMemoDetail(memo, req.memoAccess);
 
-  if (!memo) {
-    return apiResponse.notFound(res, 'Memo');
-  }
+  // 수정 요청의 If-Match에 사용할 버전 + 캐시 재검증용 본문 해시
+  ConcurrencyControl.setRepresentationETag(res, memo, detail);
 
-  logger.success(`Memo deleted: ${memo.title}`);
-  return apiResponse.deleted(res);
+  logger.info(`Retrieved memo: ${memo.title}`);
+  return apiResponse.success(res, detail);
 }));
 
 /**
  * @swagger
- * /api/memos/with-image:
+ * /api/memos:
  *   post:
- *     summary: Create memo with image
- *     description: Create a new memo with image upload (requires authentication)
+ *     summary: Create new memo
+ *     description: Create a new memo (requires authentication)
  *     tags: [Memos]
  *     security:
  *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
- *         multipart/form-data:
+ *         application/json:
  *           schema:
- *             type: object
- *             properties:
- *               title:
- *                 type: string
- *                 maxLength: 200
- *               content:
- *                 type: string
- *                 maxLength: 10000
- *               templateId:
- *                 type: string
- *               image:
- *                 type: string
- *                 format: binary
- *             required: [title, content, templateId]
+ *             $ref: '#/components/schemas/MemoInput'
+ *           example:
+ *             title: "My First Memo"
+ *             content: "This is the content of my memo"
+ *             templateId: "507f1f77bcf86cd799439011"
  *     responses:
  *       200:
- *         description: Memo with image created successfully
+ *         description: Memo created successfully
  *         content:
  *           application/json:
  *             schema:
@@ -431,15 +851,8 @@ router.delete('/:id', asyncHandler(async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.post('/with-image', authenticateToken, (req, res, next) => {
-  uploadSingleImage(req, res, (err) => {
-    if (err) {
-      return handleUploadError(err, req, res, next);
-    }
-    next();
-  });
-}, asyncHandler(async (req, res) => {
-  const { title, content, templateId } = req.body;
+router.post('/', authenticateToken, asyncHandler(async (req, res) => {
+  const { title, content, templateId, tags, folderId, format, dueDate } = req.body;
   
   // 인증된 사용자의 ID 사용
   const userId = req.user.id;
@@ -456,50 +869,110 @@ router.post('/with-image', authenticateToken, (req, res, next) => {
     return apiResponse.error(res, 'Design template not found', 404);
   }
 
-  // 이미지 URL 생성 (업로드된 파일이 있는 경우)
-  let imageUrl = null;
-  if (req.file) {
-    // 상대 경로로 저장 (uploads 폴더 기준)
-    const relativePath = req.file.path.replace(path.join(__dirname, '../../'), '');
-    imageUrl = `/${relativePath.replace(/\\/g, '/')}`;  // Windows 경로 구분자 처리
-  }
+  // 폴더는 본인 폴더만 지정 가능
+  const folder = folderId ? await FolderService.resolveFolder(userId, folderId) : null;
 
   const memo = new Memo({
     title,
     content,
+    format,
     templateId,
     userId,
-    imageUrl
+    tags: Memo.normalizeTags(tags),
+    dueDate: dueDate || null,
+    folderId: folder ? folder._id : null
   });
 
   await memo.save();
+  await memoRevisionService.recordRevision(memo, req.user.id, { action: REVISION_ACTIONS.CREATE });
   
   // 프론트엔드가 기대하는 형식으로 메모 반환 (populate 없이)
   const createdMemo = {
     id: memo._id.toString(),
     title: memo.title,
     content: memo.content,
+    format: memo.format,
     templateId: memo.templateId.toString(),
     userId: memo.userId.toString(),
+    tags: memo.tags,
+    folderId: memo.folderId ? memo.folderId.toString() : null,
+    dueDate: memo.dueDate ? memo.dueDate.toISOString() : null,
     imageUrl: memo.imageUrl,
     createdAt: memo.createdAt.toISOString(),
     updatedAt: memo.updatedAt.toISOString()
   };
   
-  logger.success(`New memo with image created: ${memo.title} by ${req.user.username}`);
+  realtimeService.publishMemoEvent(REALTIME_EVENTS.MEMO_CREATED, memo);
+
+  logger.success(`New memo created: ${memo.title} by ${req.user.username}`);
   return apiResponse.success(res, createdMemo);
 }));
 
 /**
  * @swagger
- * /api/memos/stats/overview:
- *   get:
- *     summary: Get memos statistics
- *     description: Get comprehensive statistics about memos, users, and templates
+ * /api/memos/{id}:
+ *   put:
+ *     summary: Update memo
+ *     description: |
+ *       Update an existing memo (author or users it is shared with as editor).
+ *       Send the ETag from GET /api/memos/{id} as If-Match to avoid overwriting changes made in another
+ *       tab or by another editor. When the memo has changed since, nothing is saved and the response
+ *       holds the current server copy in current (with its ETag) so the client can merge.
+ *       Without If-Match the update is unconditional.
  *     tags: [Memos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Memo ID
+ *       - in: header
+ *         name: If-Match
+ *         schema:
+ *           type: string
+ *         description: ETag of the memo version being edited
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 maxLength: 200
+ *               content:
+ *                 type: string
+ *                 maxLength: 10000
+ *               format:
+ *                 type: string
+ *                 enum: [plain, markdown]
+ *               dueDate:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *               templateId:
+ *                 type: string
+ *               tags:
+ *                 type: array
+ *                 maxItems: 20
+ *                 items:
+ *                   type: string
+ *                   maxLength: 30
+ *           example:
+ *             title: "Updated Memo Title"
+ *             content: "Updated memo content"
  *     responses:
  *       200:
- *         description: Statistics retrieved successfully
+ *         description: Memo updated successfully
+ *         headers:
+ *           ETag:
+ *             description: New memo version
+ *             schema:
+ *               type: string
  *         content:
  *           application/json:
  *             schema:
@@ -508,126 +981,240 @@ router.post('/with-image', authenticateToken, (req, res, next) => {
  *                 - type: object
  *                   properties:
  *                     data:
- *                       type: object
- *                       properties:
- *                         totals:
- *                           type: object
- *                           properties:
- *                             memos:
- *                               type: integer
- *                             users:
- *                               type: integer
- *                             templates:
- *                               type: integer
- *                         recentMemos:
- *                           type: array
- *                           items:
- *                             $ref: '#/components/schemas/Memo'
- *                         memosByTemplate:
- *                           type: array
- *                           items:
- *                             type: object
- *                             properties:
- *                               templateId:
- *                                 type: string
- *                               templateName:
- *                                 type: string
- *                               preview:
- *                                 type: string
- *                               count:
- *                                 type: integer
+ *                       $ref: '#/components/schemas/Memo'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: Another request saved the memo while this one was being saved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/VersionConflict'
+ *       412:
+ *         description: If-Match does not match the current memo version
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/VersionConflict'
  */
-router.get('/stats/overview', asyncHandler(async (req, res) => {
-  const [
-    totalMemos,
-    totalUsers,
-    totalTemplates,
-    recentMemos,
-    memosByTemplate
-  ] = await Promise.all([
-    Memo.countDocuments(),
-    User.countDocuments(),
-    DesignTemplate.countDocuments(),
-    Memo.find()
-      .populate('userId', 'username')
-      .populate('templateId', 'name preview')
-      .sort({ createdAt: -1 })
-      .limit(5),
-    Memo.aggregate([
-      {
-        $group: {
-          _id: '$templateId',
-          count: { $sum: 1 }
-        }
-      },
-      {
-        $lookup: {
-          from: 'designtemplates',
-          localField: '_id',
-          foreignField: '_id',
-          as: 'template'
-        }
-      },
-      {
-        $unwind: '$template'
-      },
-      {
-        $project: {
-          _id: 0,
-          templateId: '$_id',
-          templateName: '$template.name',
-          preview: '$template.preview',
-          count: 1
-        }
-      },
-      {
-        $sort: { count: -1 }
-      }
-    ])
+router.put('/:id', authenticateToken, requireMemoAccess(MEMO_ACCESS.EDITOR), asyncHandler(async (req, res) => {
+  const { title, content, templateId, tags, format, dueDate } = req.body;
+  const memo = req.resource;
+
+  // 클라이언트가 읽은 뒤 다른 곳에서 수정되었으면 덮어쓰지 않고 현재 내용을 돌려줌
+  if (!ConcurrencyControl.matches(req, memo)) {
+    ConcurrencyControl.setETag(res, memo);
+    return apiResponse.conflict(res, 'Memo has been modified since you loaded it', 412, formatMemoDetail(memo, req.memoAccess));
+  }
+
+  // 리비전 기록 이전에 만들어진 메모는 수정 전 상태를 먼저 보존
+  await memoRevisionService.ensureBaseline(memo);
+
+  if (title !== undefined) memo.title = title;
+  if (content !== undefined) memo.content = content;
+  if (format !== undefined) memo.format = format;
+  if (dueDate !== undefined) memo.dueDate = dueDate || null;
+  if (tags !== undefined) memo.tags = Memo.normalizeTags(tags);
+  if (templateId !== undefined) {
+    // 템플릿 존재 확인
+    const template = await DesignTemplate.findById(templateId);
+    if (!template) {
+      return apiResponse.error(res, 'Design template not found', 404);
+    }
+    memo.templateId = templateId;
+  }
+
+  try {
+    await memo.save();
+  } catch (error) {
+    if (!ConcurrencyControl.isVersionError(error)) {
+      throw error;
+    }
+
+    // 조회와 저장 사이에 다른 요청이 먼저 저장함
+    const current = await Memo.findOne({ _id: memo._id, deletedAt: null });
+    if (!current) {
+      return apiResponse.notFound(res, 'Memo');
+    }
+    ConcurrencyControl.setETag(res, current);
+    return apiResponse.conflict(res, 'Memo was modified by another request while saving', 409, formatMemoDetail(current, req.memoAccess));
+  }
+
+  await memoRevisionService.recordRevision(memo, req.user.id);
+  ConcurrencyControl.setETag(res, memo);
+  realtimeService.publishMemoEvent(REALTIME_EVENTS.MEMO_UPDATED, memo);
+  await memo.populate([
+    { path: 'userId', select: 'username email' },
+    { path: 'templateId', select: 'name preview backgroundColor textColor' }
   ]);
 
-  logger.info('Retrieved memo statistics overview');
-  
-  return apiResponse.success(res, {
-    totals: {
-      memos: totalMemos,
-      users: totalUsers,
-      templates: totalTemplates
-    },
-    recentMemos,
-    memosByTemplate
-  });
+  logger.success(`Memo updated: ${memo.title} by ${req.user.username}`);
+  return apiResponse.success(res, memo, 'Memo updated successfully');
 }));
 
 /**
  * @swagger
- * /api/memos/{id}/duplicate:
+ * /api/memos/{id}:
+ *   delete:
+ *     summary: Move memo to trash
+ *     description: |
+ *       Move a memo to the trash (author only). It can be restored from the trash until it is
+ *       permanently deleted, which happens automatically after the retention period.
+ *     tags: [Memos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Memo ID
+ *     responses:
+ *       204:
+ *         description: Memo moved to trash
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.delete('/:id', authenticateToken, requireMemoOwnership, asyncHandler(async (req, res) => {
+  const memo = req.resource;
+  await memo.softDelete(req.user.id);
+  realtimeService.publishMemoEvent(REALTIME_EVENTS.MEMO_DELETED, memo);
+
+  logger.success(`Memo moved to trash: ${memo.title} by ${req.user.username}`);
+  return apiResponse.deleted(res);
+}));
+
+/**
+ * @swagger
+ * /api/memos/{id}/restore:
  *   post:
- *     summary: Duplicate memo
- *     description: Create a copy of an existing memo
+ *     summary: Restore memo from trash
+ *     description: Move a memo out of the trash (author only)
  *     tags: [Memos]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
  *         required: true
  *         schema:
  *           type: string
- *         description: Original memo ID
+ *         description: Memo ID
+ *     responses:
+ *       200:
+ *         description: Memo restored successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Memo'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.post('/:id/restore', authenticateToken, requireTrashedMemoOwnership, asyncHandler(async (req, res) => {
+  const memo = req.resource;
+  await memo.restore();
+  realtimeService.publishMemoEvent(REALTIME_EVENTS.MEMO_RESTORED, memo);
+
+  logger.success(`Memo restored from trash: ${memo.title} by ${req.user.username}`);
+  return apiResponse.success(res, memo, 'Memo restored successfully');
+}));
+
+/**
+ * @swagger
+ * /api/memos/{id}/permanent:
+ *   delete:
+ *     summary: Permanently delete memo
+ *     description: |
+ *       Permanently delete a memo that is in the trash (author only), together with its
+ *       revisions and attached files. This cannot be undone.
+ *     tags: [Memos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Memo ID
+ *     responses:
+ *       204:
+ *         description: Memo permanently deleted
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.delete('/:id/permanent', authenticateToken, requireTrashedMemoOwnership, asyncHandler(async (req, res) => {
+  const memo = req.resource;
+  await memoTrashService.purgeMemo(memo);
+  realtimeService.publishMemoEvent(REALTIME_EVENTS.MEMO_PURGED, memo);
+
+  logger.success(`Memo permanently deleted: ${memo.title} by ${req.user.username}`);
+  return apiResponse.deleted(res);
+}));
+
+/**
+ * @swagger
+ * /api/memos/with-image:
+ *   post:
+ *     summary: Create memo with image
+ *     description: Create a new memo with image upload (requires authentication)
+ *     tags: [Memos]
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
- *         application/json:
+ *         multipart/form-data:
  *           schema:
  *             type: object
  *             properties:
- *               userId:
+ *               title:
  *                 type: string
- *             required: [userId]
- *           example:
- *             userId: "507f1f77bcf86cd799439011"
+ *                 maxLength: 200
+ *               content:
+ *                 type: string
+ *                 maxLength: 10000
+ *               format:
+ *                 type: string
+ *                 enum: [plain, markdown]
+ *               dueDate:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *               templateId:
+ *                 type: string
+ *               tags:
+ *                 type: string
+ *                 description: Comma-separated tags
+ *               folderId:
+ *                 type: string
+ *                 description: One of your folders
+ *               image:
+ *                 type: string
+ *                 format: binary
+ *             required: [title, content, templateId]
  *     responses:
- *       201:
- *         description: Memo duplicated successfully
+ *       200:
+ *         description: Memo with image created successfully
  *         content:
  *           application/json:
  *             schema:
@@ -639,42 +1226,1289 @@ router.get('/stats/overview', asyncHandler(async (req, res) => {
  *                       $ref: '#/components/schemas/Memo'
  *       400:
  *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
  *       404:
- *         $ref: '#/components/responses/NotFoundError'
+ *         description: Design template not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.post('/:id/duplicate', asyncHandler(async (req, res) => {
-  const originalMemo = await Memo.findById(req.params.id);
+router.post('/with-image', authenticateToken, (req, res, next) => {
+  uploadSingleImage(req, res, (err) => {
+    if (err) {
+      return handleUploadError(err, req, res, next);
+    }
+    next();
+  });
+}, asyncHandler(async (req, res) => {
+  const { title, content, templateId, tags, folderId, format, dueDate } = req.body;
   
-  if (!originalMemo) {
-    return apiResponse.notFound(res, 'Memo');
+  // 인증된 사용자의 ID 사용
+  const userId = req.user.id;
+
+  // 기본 유효성 검증
+  if (!title || !content || !templateId) {
+    return apiResponse.error(res, 'Title, content, and templateId are required', 400);
   }
 
-  const { userId } = req.body;
-  if (!userId) {
-    return apiResponse.error(res, 'userId is required for duplication', 400);
+  // 템플릿 존재 확인 (사용자는 이미 인증됨)
+  const template = await DesignTemplate.findById(templateId);
+
+  if (!template) {
+    return apiResponse.error(res, 'Design template not found', 404);
   }
 
-  // 사용자 존재 확인
-  const user = await User.findById(userId);
-  if (!user) {
-    return apiResponse.error(res, 'User not found', 404);
+  // 폴더는 본인 폴더만 지정 가능
+  const folder = folderId ? await FolderService.resolveFolder(userId, folderId) : null;
+
+  // 이미지 URL 생성 (업로드된 파일이 있는 경우)
+  let imageUrl = null;
+  if (req.file) {
+    // 상대 경로로 저장 (uploads 폴더 기준)
+    const relativePath = req.file.path.replace(path.join(__dirname, '../../'), '');
+    imageUrl = `/${relativePath.replace(/\\/g, '/')}`;  // Windows 경로 구분자 처리
   }
 
-  const duplicatedMemo = new Memo({
-    title: `${originalMemo.title} (Copy)`,
-    content: originalMemo.content,
-    templateId: originalMemo.templateId,
-    userId: userId
+  const memo = new Memo({
+    title,
+    content,
+    format,
+    templateId,
+    userId,
+    tags: Memo.normalizeTags(tags),
+    dueDate: dueDate || null,
+    folderId: folder ? folder._id : null,
+    imageUrl
   });
 
-  await duplicatedMemo.save();
+  await memo.save();
+  await memoRevisionService.recordRevision(memo, req.user.id, { action: REVISION_ACTIONS.CREATE });
+  
+  // 프론트엔드가 기대하는 형식으로 메모 반환 (populate 없이)
+  const createdMemo = {
+    id: memo._id.toString(),
+    title: memo.title,
+    content: memo.content,
+    format: memo.format,
+    templateId: memo.templateId.toString(),
+    userId: memo.userId.toString(),
+    tags: memo.tags,
+    folderId: memo.folderId ? memo.folderId.toString() : null,
+    dueDate: memo.dueDate ? memo.dueDate.toISOString() : null,
+    imageUrl: memo.imageUrl,
+    createdAt: memo.createdAt.toISOString(),
+    updatedAt: memo.updatedAt.toISOString()
+  };
+  
+  realtimeService.publishMemoEvent(REALTIME_EVENTS.MEMO_CREATED, memo);
 
-  const populatedMemo = await Memo.findById(duplicatedMemo._id)
-    .populate('userId', 'username email')
-    .populate('templateId', 'name preview backgroundColor textColor');
+  logger.success(`New memo with image created: ${memo.title} by ${req.user.username}`);
+  return apiResponse.success(res, createdMemo);
+}));
 
-  logger.success(`Memo duplicated: ${originalMemo.title} -> ${duplicatedMemo.title}`);
-  return apiResponse.success(res, populatedMemo, 'Memo duplicated successfully', 201);
+/**
+ * @swagger
+ * /api/memos/stats/overview:
+ *   get:
+ *     summary: Get memos statistics
+ *     description: |
+ *       Get statistics about your own memos and memos shared with you,
+ *       together with the total number of users and templates
+ *     tags: [Memos]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Statistics retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         totals:
+ *                           type: object
+ *                           properties:
+ *                             memos:
+ *                               type: integer
+ *                             users:
+ *                               type: integer
+ *                             templates:
+ *                               type: integer
+ *                         recentMemos:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/Memo'
+ *                         memosByTemplate:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               templateId:
+ *                                 type: string
+ *                               templateName:
+ *                                 type: string
+ *                               preview:
+ *                                 type: string
+ *                               count:
+ *                                 type: integer
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.get('/stats/overview', authenticateToken, asyncHandler(async (req, res) => {
+  // 메모 통계는 본인 메모와 공유 받은 메모만
+  const memoFilter = { deletedAt: null, ...memoShareService.accessibleFilter(req.user.id) };
+  const [
+    totalMemos,
+    totalUsers,
+    totalTemplates,
+    recentMemos,
+    memosByTemplate
+  ] = await Promise.all([
+    Memo.countDocuments(memoFilter),
+    User.countDocuments(),
+    DesignTemplate.countDocuments(),
+    Memo.find(memoFilter)
+      .populate('userId', 'username')
+      .populate('templateId', 'name preview')
+      .sort({ createdAt: -1 })
+      .limit(5),
+    Memo.aggregate([
+      {
+        $match: memoFilter
+      },
+      {
+        $group: {
+          _id: '$templateId',
+          count: { $sum: 1 }
+        }
+      },
+      {
+        $lookup: {
+          from: 'designtemplates',
+          localField: '_id',
+          foreignField: '_id',
+          as: 'template'
+        }
+      },
+      {
+        $unwind: '$template'
+      },
+      {
+        $project: {
+          _id: 0,
+          templateId: '$_id',
+          templateName: '$template.name',
+          preview: '$template.preview',
+          count: 1
+        }
+      },
+      {
+        $sort: { count: -1 }
+      }
+    ])
+  ]);
+
+  logger.info('Retrieved memo statistics overview');
+  
+  return apiResponse.success(res, {
+    totals: {
+      memos: totalMemos,
+      users: totalUsers,
+      templates: totalTemplates
+    },
+    recentMemos,
+    memosByTemplate
+  });
+}));
+
+/**
+ * 리비전 번호 파싱 (1 이상의 정수가 아니면 null)
+ */
+const parseRevisionNumber = (value) => {
+  const revision = Number(value);
+  return Number.isInteger(revision) && revision >= 1 ? revision : null;
+};
+
+/**
+ * @swagger
+ * /api/memos/{id}/revisions:
+ *   get:
+ *     summary: List memo revisions
+ *     description: |
+ *       List the stored revisions of a memo, newest first (author or memo moderators only).
+ *       Content is omitted; fetch a single revision to see it.
+ *     tags: [Memos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Memo ID
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *         description: Items per page
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - $ref: '#/components/parameters/IncludeTotal'
+ *     responses:
+ *       200:
+ *         description: Revisions retrieved successfully
+ *         headers:
+ *           X-Has-More:
+ *             $ref: '#/components/headers/X-Has-More'
+ *           X-Next-Cursor:
+ *             $ref: '#/components/headers/X-Next-Cursor'
+ *           X-Total-Count:
+ *             $ref: '#/components/headers/X-Total-Count'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/MemoRevision'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.get('/:id/revisions', authenticateToken, requireMemoOwnership, asyncHandler(async (req, res) => {
+  const memo = req.resource;
+  const pagination = Pagination.parse(req.query, { defaultLimit: 20 });
+
+  const { items: revisions, pageInfo } = await Pagination.paginate(MemoRevision, { memoId: memo._id }, pagination, {
+    build: (query) => query.select('-content').populate('editedBy', 'username')
+  });
+
+  Pagination.setHeaders(res, pageInfo);
+  return apiResponse.success(res, revisions);
+}));
+
+/**
+ * @swagger
+ * /api/memos/{id}/revisions/diff:
+ *   get:
+ *     summary: Compare memo revisions
+ *     description: |
+ *       Compare two revisions of a memo. Title and template changes are returned as from/to pairs,
+ *       tag changes as added/removed lists and content as line-based hunks.
+ *     tags: [Memos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Memo ID
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Base revision number
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: integer
+ *         description: Revision number to compare with (defaults to the latest revision)
+ *     responses:
+ *       200:
+ *         description: Revision diff
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MemoRevisionDiff'
+ *       400:
+ *         description: Invalid revision numbers
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.get('/:id/revisions/diff', authenticateToken, requireMemoOwnership, asyncHandler(async (req, res) => {
+  const memo = req.resource;
+  const from = parseRevisionNumber(req.query.from);
+  const to = req.query.to === undefined ? null : parseRevisionNumber(req.query.to);
+
+  if (from === null || (req.query.to !== undefined && to === null)) {
+    return apiResponse.error(res, 'from and to must be revision numbers', 400);
+  }
+
+  const [fromRevision, toRevision] = await Promise.all([
+    memoRevisionService.getRevision(memo._id, from),
+    to === null ? memoRevisionService.getLatestRevision(memo._id) : memoRevisionService.getRevision(memo._id, to)
+  ]);
+
+  if (!fromRevision || !toRevision) {
+    return apiResponse.notFound(res, 'Revision');
+  }
+
+  return apiResponse.success(res, memoRevisionService.diffRevisions(fromRevision, toRevision));
+}));
+
+/**
+ * @swagger
+ * /api/memos/{id}/revisions/{revision}:
+ *   get:
+ *     summary: Get memo revision
+ *     description: Get the full snapshot of a memo revision
+ *     tags: [Memos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Memo ID
+ *       - in: path
+ *         name: revision
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Revision number
+ *     responses:
+ *       200:
+ *         description: Revision retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MemoRevision'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.get('/:id/revisions/:revision', authenticateToken, requireMemoOwnership, asyncHandler(async (req, res) => {
+  const revisionNumber = parseRevisionNumber(req.params.revision);
+  const revision = revisionNumber === null
+    ? null
+    : await MemoRevision.findOne({ memoId: req.resource._id, revision: revisionNumber }).populate('editedBy', 'username');
+
+  if (!revision) {
+    return apiResponse.notFound(res, 'Revision');
+  }
+
+  return apiResponse.success(res, revision);
+}));
+
+/**
+ * @swagger
+ * /api/memos/{id}/revisions/{revision}/restore:
+ *   post:
+ *     summary: Restore memo revision
+ *     description: |
+ *       Restore the title, content, template and tags of an old revision.
+ *       The restore is recorded as a new revision, so it can be undone as well.
+ *     tags: [Memos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Memo ID
+ *       - in: path
+ *         name: revision
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Revision number to restore
+ *     responses:
+ *       200:
+ *         description: Revision restored successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Memo'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: The design template of the revision no longer exists
+ */
+router.post('/:id/revisions/:revision/restore', authenticateToken, requireMemoOwnership, asyncHandler(async (req, res) => {
+  const memo = req.resource;
+  const revisionNumber = parseRevisionNumber(req.params.revision);
+  const revision = revisionNumber === null ? null : await memoRevisionService.getRevision(memo._id, revisionNumber);
+
+  if (!revision) {
+    return apiResponse.notFound(res, 'Revision');
+  }
+
+  const template = await DesignTemplate.findById(revision.templateId);
+  if (!template) {
+    return apiResponse.error(res, 'Design template of this revision no longer exists', 409);
+  }
+
+  memoRevisionService.applyRevision(memo, revision);
+  await memo.save();
+  await memoRevisionService.recordRevision(memo, req.user.id, {
+    action: REVISION_ACTIONS.RESTORE,
+    restoredFrom: revision.revision
+  });
+  ConcurrencyControl.setETag(res, memo);
+  realtimeService.publishMemoEvent(REALTIME_EVENTS.MEMO_UPDATED, memo);
+
+  logger.success(`Memo restored to revision ${revision.revision}: ${memo.title} by ${req.user.username}`);
+  return apiResponse.success(res, memo, 'Memo restored successfully');
+}));
+
+/**
+ * @swagger
+ * /api/memos/bulk:
+ *   post:
+ *     summary: Apply an action to several memos
+ *     description: |
+ *       Apply one action to up to 100 of your memos in a single call. Each memo is checked on its own
+ *       (it must exist, not be in the trash and belong to you) and reported in results; the changes to
+ *       the memos that pass are saved together in one transaction.
+ *       - delete: move to trash
+ *       - template: change the design template (templateId)
+ *       - move: move into one of your folders (folderId, null takes memos out of their folder)
+ *       - tag: add and/or remove tags (addTags, removeTags); a memo that would end up over the tag
+ *         limits (20 tags, 30 characters each) fails with 400
+ *       - duplicate: create copies in your account (duplicateId in each result)
+ *
+ *       With atomic true nothing changes unless every memo passes. transactional is false when the
+ *       database does not support transactions (standalone server).
+ *     tags: [Memos]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [action, ids]
+ *             properties:
+ *               action:
+ *                 type: string
+ *                 enum: [delete, template, move, tag, duplicate]
+ *               ids:
+ *                 type: array
+ *                 maxItems: 100
+ *                 items:
+ *                   type: string
+ *               atomic:
+ *                 type: boolean
+ *                 default: false
+ *               templateId:
+ *                 type: string
+ *                 description: Required for template
+ *               folderId:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Required for move
+ *               addTags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               removeTags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *           example:
+ *             action: "tag"
+ *             ids: ["60d5ecb74b24a1234567890a", "60d5ecb74b24a1234567890b"]
+ *             addTags: ["work"]
+ *             removeTags: ["inbox"]
+ *     responses:
+ *       200:
+ *         description: Action applied (check results for memos that failed)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 action:
+ *                   type: string
+ *                 transactional:
+ *                   type: boolean
+ *                 summary:
+ *                   type: object
+ *                   properties:
+ *                     requested:
+ *                       type: integer
+ *                     succeeded:
+ *                       type: integer
+ *                     failed:
+ *                       type: integer
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                       status:
+ *                         type: string
+ *                         enum: [success, failed]
+ *                       statusCode:
+ *                         type: integer
+ *                         description: Why the memo failed (400, 403 or 404)
+ *                       error:
+ *                         type: string
+ *                       duplicateId:
+ *                         type: string
+ *                         description: ID of the copy (duplicate only)
+ *       400:
+ *         description: Invalid action, ids or action options
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         description: Design template or folder not found
+ *       409:
+ *         description: atomic was true and some memos cannot be processed (per-memo results in errors)
+ */
+router.post('/bulk', authenticateToken, asyncHandler(async (req, res) => {
+  try {
+    const result = await MemoBulkService.execute(req.user, req.body || {});
+    return apiResponse.success(res, result, 'Bulk operation completed');
+  } catch (error) {
+    // atomic 요청이 취소된 경우 항목별 결과를 함께 응답
+    if (error instanceof BulkOperationError && error.results) {
+      return apiResponse.error(res, error.message, error.statusCode, error.results);
+    }
+    throw error;
+  }
+}));
+
+/**
+ * @swagger
+ * /api/memos/{id}/duplicate:
+ *   post:
+ *     summary: Duplicate memo
+ *     description: Create a copy of one of your memos in your own account
+ *     tags: [Memos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Original memo ID
+ *     responses:
+ *       201:
+ *         description: Memo duplicated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/Memo'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.post('/:id/duplicate', authenticateToken, requireMemoOwnership, asyncHandler(async (req, res) => {
+  const originalMemo = req.resource;
+
+  // 복사본은 항상 요청한 사용자의 계정에 생성
+  const duplicatedMemo = new Memo({
+    title: `${originalMemo.title} (Copy)`,
+    content: originalMemo.content,
+    format: originalMemo.format,
+    templateId: originalMemo.templateId,
+    userId: req.user.id,
+    tags: originalMemo.tags,
+    // 폴더는 작성자 본인이 복제할 때만 유지
+    folderId: originalMemo.userId.toString() === req.user.id ? originalMemo.folderId : null
+  });
+
+  await duplicatedMemo.save();
+  await memoRevisionService.recordRevision(duplicatedMemo, req.user.id, { action: REVISION_ACTIONS.CREATE });
+  realtimeService.publishMemoEvent(REALTIME_EVENTS.MEMO_CREATED, duplicatedMemo);
+
+  const populatedMemo = await Memo.findById(duplicatedMemo._id)
+    .populate('userId', 'username email')
+    .populate('templateId', 'name preview backgroundColor textColor');
+
+  logger.success(`Memo duplicated: ${originalMemo.title} -> ${duplicatedMemo.title}`);
+  return apiResponse.success(res, populatedMemo, 'Memo duplicated successfully', 201);
+}));
+
+/**
+ * @swagger
+ * /api/memos/{id}/organize:
+ *   put:
+ *     summary: Move, pin or archive memo
+ *     description: |
+ *       Change where a memo is filed and whether it is pinned or archived (author only).
+ *       Only the given fields change. folderId null takes the memo out of its folder.
+ *     tags: [Memos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Memo ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               folderId:
+ *                 type: string
+ *                 nullable: true
+ *               isPinned:
+ *                 type: boolean
+ *               isArchived:
+ *                 type: boolean
+ *           example:
+ *             folderId: "60d5ecb74b24a1234567890c"
+ *             isPinned: true
+ *     responses:
+ *       200:
+ *         description: Memo organized successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Memo'
+ *       400:
+ *         description: Invalid folder ID or flag value
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.put('/:id/organize', authenticateToken, requireMemoOwnership, asyncHandler(async (req, res) => {
+  const memo = req.resource;
+  const { folderId, isPinned, isArchived } = req.body || {};
+
+  for (const [field, value] of Object.entries({ isPinned, isArchived })) {
+    if (value !== undefined && typeof value !== 'boolean') {
+      return apiResponse.error(res, `${field} must be a boolean`, 400);
+    }
+  }
+
+  if (folderId !== undefined) {
+    // 폴더는 메모 작성자의 폴더만 지정 가능
+    const folder = folderId ? await FolderService.resolveFolder(memo.userId.toString(), folderId) : null;
+    memo.folderId = folder ? folder._id : null;
+  }
+  if (isPinned !== undefined && isPinned !== memo.isPinned) {
+    memo.setPinned(isPinned);
+  }
+  if (isArchived !== undefined && isArchived !== memo.isArchived) {
+    memo.setArchived(isArchived);
+  }
+
+  await memo.save();
+  realtimeService.publishMemoEvent(REALTIME_EVENTS.MEMO_UPDATED, memo);
+
+  logger.info(`Memo organized: ${memo.title} by ${req.user.username}`);
+  return apiResponse.success(res, memo, 'Memo organized successfully');
+}));
+
+/**
+ * @swagger
+ * /api/memos/{id}/reminder:
+ *   put:
+ *     summary: Set memo reminder
+ *     description: |
+ *       Set or replace the email reminder of a memo (author only). The email goes to the author.
+ *       - repeat none: one reminder at remindAt (must be in the future)
+ *       - repeat daily/weekly/monthly: repeats at the local time (and weekday or day of month) of remindAt
+ *       - repeat cron: repeats on a 5-field cron expression, at most once an hour
+ *
+ *       Times are computed in timezone, which defaults to your profile time zone.
+ *     tags: [Memos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Memo ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               remindAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: First reminder time (optional for cron)
+ *               repeat:
+ *                 type: string
+ *                 enum: [none, daily, weekly, monthly, cron]
+ *                 default: none
+ *               cron:
+ *                 type: string
+ *                 description: Required when repeat is cron
+ *               timezone:
+ *                 type: string
+ *                 description: IANA time zone
+ *           example:
+ *             remindAt: "2025-01-06T09:00:00+09:00"
+ *             repeat: "weekly"
+ *             timezone: "Asia/Seoul"
+ *     responses:
+ *       200:
+ *         description: Reminder set successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MemoReminder'
+ *       400:
+ *         description: Invalid time, repeat, cron expression or time zone
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.put('/:id/reminder', authenticateToken, requireMemoOwnership, asyncHandler(async (req, res) => {
+  const memo = req.resource;
+  const owner = await User.findById(memo.userId).select('timezone');
+
+  memo.reminder = reminderService.buildReminder(req.body || {}, owner ? owner.timezone : undefined);
+  await memo.save();
+  realtimeService.publishMemoEvent(REALTIME_EVENTS.MEMO_UPDATED, memo);
+
+  logger.info(`Reminder set on memo ${memo._id} (${memo.reminder.repeat}) by ${req.user.username}`);
+  return apiResponse.success(res, reminderService.formatReminder(memo.reminder), 'Reminder set successfully');
+}));
+
+/**
+ * @swagger
+ * /api/memos/{id}/reminder:
+ *   delete:
+ *     summary: Remove memo reminder
+ *     description: Remove the reminder of a memo (author only). The due date is kept.
+ *     tags: [Memos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Memo ID
+ *     responses:
+ *       204:
+ *         description: Reminder removed
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.delete('/:id/reminder', authenticateToken, requireMemoOwnership, asyncHandler(async (req, res) => {
+  const memo = req.resource;
+  if (!memo.reminder) {
+    return apiResponse.notFound(res, 'Reminder');
+  }
+
+  memo.reminder = null;
+  await memo.save();
+  realtimeService.publishMemoEvent(REALTIME_EVENTS.MEMO_UPDATED, memo);
+
+  logger.info(`Reminder removed from memo ${memo._id} by ${req.user.username}`);
+  return apiResponse.deleted(res);
+}));
+
+/**
+ * @swagger
+ * /api/memos/{id}/checklist:
+ *   get:
+ *     summary: Get memo checklist
+ *     description: |
+ *       List the checklist items (`- [ ] item` / `- [x] item`) of a markdown memo in document order.
+ *       The index matches data-checklist-index in the rendered HTML.
+ *     tags: [Memos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Memo ID
+ *     responses:
+ *       200:
+ *         description: Checklist retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/ChecklistItem'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.get('/:id/checklist', authenticateToken, requireMemoAccess(MEMO_ACCESS.VIEWER), asyncHandler(async (req, res) => {
+  const memo = req.resource;
+  const checklist = memo.format === CONTENT_FORMATS.MARKDOWN ? markdownService.getChecklist(memo.content) : [];
+
+  return apiResponse.success(res, checklist);
+}));
+
+/**
+ * @swagger
+ * /api/memos/{id}/checklist/{index}:
+ *   put:
+ *     summary: Check or uncheck checklist item
+ *     description: |
+ *       Change one checklist item of a markdown memo without sending the whole content
+ *       (author or users it is shared with as editor). Omit checked to flip the current state.
+ *     tags: [Memos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Memo ID
+ *       - in: path
+ *         name: index
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *         description: Checklist item index
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               checked:
+ *                 type: boolean
+ *           example:
+ *             checked: true
+ *     responses:
+ *       200:
+ *         description: Checklist item updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 item:
+ *                   $ref: '#/components/schemas/ChecklistItem'
+ *                 html:
+ *                   type: string
+ *                   description: Re-rendered memo HTML
+ *                 version:
+ *                   type: integer
+ *                   description: New memo version (also sent as ETag)
+ *                 updatedAt:
+ *                   type: string
+ *                   format: date-time
+ *       400:
+ *         description: Memo is not markdown, or invalid checked value
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.put('/:id/checklist/:index', authenticateToken, requireMemoAccess(MEMO_ACCESS.EDITOR), asyncHandler(async (req, res) => {
+  const memo = req.resource;
+  const index = Number(req.params.index);
+  const { checked } = req.body || {};
+
+  if (memo.format !== CONTENT_FORMATS.MARKDOWN) {
+    return apiResponse.error(res, 'Checklists are only available in markdown memos', 400);
+  }
+  if (checked !== undefined && typeof checked !== 'boolean') {
+    return apiResponse.error(res, 'checked must be a boolean', 400);
+  }
+
+  const result = Number.isInteger(index) ? markdownService.toggleChecklistItem(memo.content, index, checked) : null;
+  if (!result) {
+    return apiResponse.notFound(res, 'Checklist item');
+  }
+
+  await memoRevisionService.ensureBaseline(memo);
+  memo.content = result.content;
+  await memo.save();
+  await memoRevisionService.recordRevision(memo, req.user.id);
+  ConcurrencyControl.setETag(res, memo);
+  realtimeService.publishMemoEvent(REALTIME_EVENTS.MEMO_UPDATED, memo);
+
+  logger.info(`Checklist item ${index} ${result.item.checked ? 'checked' : 'unchecked'} in memo ${memo._id} by ${req.user.username}`);
+  return apiResponse.success(res, {
+    item: result.item,
+    html: markdownService.render(memo.content, memo.format),
+    version: ConcurrencyControl.getVersion(memo),
+    updatedAt: memo.updatedAt.toISOString()
+  });
+}));
+
+/**
+ * @swagger
+ * /api/memos/{id}/shares:
+ *   get:
+ *     summary: Get memo sharing settings
+ *     description: List the users a memo is shared with and its public links (author only)
+ *     tags: [Memos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Memo ID
+ *     responses:
+ *       200:
+ *         description: Sharing settings retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 shares:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/MemoShare'
+ *                 links:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/MemoPublicLink'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.get('/:id/shares', authenticateToken, requireMemoOwnership, asyncHandler(async (req, res) => {
+  const memo = req.resource;
+  await memo.populate('shares.userId', 'username');
+
+  return apiResponse.success(res, {
+    shares: memo.shares
+      .filter(grant => grant.userId) // 삭제된 사용자 제외
+      .map(formatShare),
+    links: memo.publicLinks.map(link => memoShareService.formatLink(link))
+  });
+}));
+
+/**
+ * 공유 항목 응답 형식
+ */
+const formatShare = (grant) => ({
+  userId: (grant.userId._id || grant.userId).toString(),
+  username: grant.userId.username,
+  role: grant.role,
+  grantedAt: grant.grantedAt
+});
+
+/**
+ * @swagger
+ * /api/memos/{id}/shares:
+ *   post:
+ *     summary: Share memo with a user
+ *     description: |
+ *       Give a user viewer (read-only) or editor access to a memo (author only).
+ *       Sharing again with the same user changes their role.
+ *     tags: [Memos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Memo ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               userId:
+ *                 type: string
+ *               username:
+ *                 type: string
+ *                 description: Used when userId is not given
+ *               role:
+ *                 type: string
+ *                 enum: [viewer, editor]
+ *             required: [role]
+ *           example:
+ *             username: "johndoe"
+ *             role: "editor"
+ *     responses:
+ *       200:
+ *         description: Memo shared successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MemoShare'
+ *       400:
+ *         description: Invalid role or sharing with the author
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.post('/:id/shares', authenticateToken, requireMemoOwnership, asyncHandler(async (req, res) => {
+  const memo = req.resource;
+  const { userId, username, role } = req.body;
+
+  if (!Object.values(SHARE_ROLES).includes(role)) {
+    return apiResponse.error(res, `role must be one of: ${Object.values(SHARE_ROLES).join(', ')}`, 400);
+  }
+  if (!userId && !username) {
+    return apiResponse.error(res, 'userId or username is required', 400);
+  }
+
+  const targetUser = userId
+    ? await User.findById(userId)
+    : await User.findOne({ username: String(username) });
+
+  if (!targetUser) {
+    return apiResponse.notFound(res, 'User');
+  }
+  if (memo.userId.toString() === targetUser._id.toString()) {
+    return apiResponse.error(res, 'Cannot share a memo with its author', 400);
+  }
+
+  const grant = await memoShareService.grantAccess(memo, targetUser, role, req.user.id);
+
+  logger.success(`Memo shared: ${memo.title} with ${targetUser.username} (${role}) by ${req.user.username}`);
+  return apiResponse.success(res, formatShare({ ...grant.toObject(), userId: targetUser }), 'Memo shared successfully');
+}));
+
+/**
+ * @swagger
+ * /api/memos/{id}/shares/{userId}:
+ *   delete:
+ *     summary: Stop sharing memo with a user
+ *     description: Revoke a user's access to a memo (author only)
+ *     tags: [Memos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Memo ID
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID to revoke
+ *     responses:
+ *       204:
+ *         description: Access revoked
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.delete('/:id/shares/:userId', authenticateToken, requireMemoOwnership, asyncHandler(async (req, res) => {
+  const revoked = await memoShareService.revokeAccess(req.resource, req.params.userId);
+  if (!revoked) {
+    return apiResponse.notFound(res, 'Share');
+  }
+
+  logger.success(`Memo share revoked: ${req.resource.title} for user ${req.params.userId} by ${req.user.username}`);
+  return apiResponse.deleted(res);
+}));
+
+/**
+ * @swagger
+ * /api/memos/{id}/links:
+ *   post:
+ *     summary: Create public link
+ *     description: |
+ *       Create a read-only public link to a memo (author only). The token is returned only once.
+ *       Optionally the link can expire and require a password.
+ *     tags: [Memos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Memo ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Expiry time (must be in the future)
+ *               password:
+ *                 type: string
+ *                 minLength: 4
+ *                 description: Password viewers must provide
+ *     responses:
+ *       201:
+ *         description: Public link created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/MemoPublicLink'
+ *                 - type: object
+ *                   properties:
+ *                     token:
+ *                       type: string
+ *                     url:
+ *                       type: string
+ *       400:
+ *         description: Invalid expiry time or password
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.post('/:id/links', authenticateToken, requireMemoOwnership, asyncHandler(async (req, res) => {
+  const memo = req.resource;
+  const { expiresAt, password } = req.body || {};
+
+  let expiryDate = null;
+  if (expiresAt !== undefined && expiresAt !== null) {
+    expiryDate = new Date(expiresAt);
+    if (Number.isNaN(expiryDate.getTime()) || expiryDate <= new Date()) {
+      return apiResponse.error(res, 'expiresAt must be a future date', 400);
+    }
+  }
+
+  if (password !== undefined && password !== null && (typeof password !== 'string' || password.length < 4)) {
+    return apiResponse.error(res, 'password must be at least 4 characters', 400);
+  }
+
+  const { link, token } = await memoShareService.createPublicLink(memo, {
+    expiresAt: expiryDate,
+    password: password || null
+  }, req.user.id);
+
+  logger.success(`Public link created for memo: ${memo.title} by ${req.user.username}`);
+  return apiResponse.success(res, {
+    ...memoShareService.formatLink(link),
+    token,
+    url: memoShareService.getPublicUrl(token)
+  }, 'Public link created', 201);
+}));
+
+/**
+ * @swagger
+ * /api/memos/{id}/links/{linkId}:
+ *   delete:
+ *     summary: Revoke public link
+ *     description: Revoke a public link so it can no longer be used (author only)
+ *     tags: [Memos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Memo ID
+ *       - in: path
+ *         name: linkId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Public link ID
+ *     responses:
+ *       204:
+ *         description: Link revoked
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ */
+router.delete('/:id/links/:linkId', authenticateToken, requireMemoOwnership, asyncHandler(async (req, res) => {
+  const revoked = await memoShareService.revokePublicLink(req.resource, req.params.linkId);
+  if (!revoked) {
+    return apiResponse.notFound(res, 'Link');
+  }
+
+  logger.success(`Public link revoked for memo: ${req.resource.title} by ${req.user.username}`);
+  return apiResponse.deleted(res);
 }));
 
 module.exports = router;
@@ -1,17 +1,322 @@
 const express = require('express');
 const router = express.Router();
-const { User } = require('../../models');
+const { User, Memo, USER_ROLES, PERMISSIONS, AuditLog, AUDIT_ACTIONS } = require('../../models');
 const { apiResponse, asyncHandler } = require('../../middleware/errorHandler');
+const {
+  authenticateToken,
+  optionalAuth,
+  requirePermission,
+  requireResourceOwnership,
+  requireRecentTwoFactor
+} = require('../../middleware/authMiddleware');
 const logger = require('../../util/logger');
+const { Pagination } = require('../../util/pagination');
+const { ListQuery, FILTER_TYPES } = require('../../util/listQuery');
 const { getRedisClient } = require('../../util/redisService');
+const RegistrationService = require('../../util/registrationService');
+const accountDeletionService = require('../../util/accountDeletionService');
+
+// 본인 계정 또는 사용자 관리 권한이 있는 경우만 수정/삭제 가능
+const requireAccountOwnership = requireResourceOwnership(User, {
+  ownerField: '_id',
+  resourceName: 'User',
+  bypassPermission: PERMISSIONS.USER_MANAGE
+});
+
+// 사용자의 메모 목록은 본인 또는 메모 관리 권한이 있는 경우만 조회 가능
+const requireMemoListAccess = requireResourceOwnership(User, {
+  ownerField: '_id',
+  resourceName: 'User',
+  bypassPermission: PERMISSIONS.MEMO_MODERATE
+});
+
+// 사용자 목록 필터/정렬 허용 목록
+const USER_LIST_QUERY = {
+  sortable: {
+    createdAt: 'createdAt',
+    updatedAt: 'updatedAt',
+    username: 'username',
+    email: 'email'
+  },
+  filters: {
+    role: { type: FILTER_TYPES.ENUM_LIST, values: Object.values(USER_ROLES) },
+    isEmailVerified: { type: FILTER_TYPES.BOOLEAN },
+    twoFactorEnabled: { type: FILTER_TYPES.BOOLEAN },
+    createdAt: { type: FILTER_TYPES.DATE_RANGE }
+  }
+};
+
+/**
+ * 공개 프로필 캐시 무효화 (Redis 오류는 무시)
+ */
+const invalidateUserCache = async (user) => {
+  try {
+    const redisClient = getRedisClient();
+    await redisClient.del(`user:${user._id.toString()}`);
+    logger.info(`User hash cache invalidated for: ${user.username}`);
+  } catch (redisError) {
+    logger.warning(`Failed to invalidate hash cache: ${redisError.message}`);
+  }
+};
+
+/**
+ * 프로필 수정 (본인/관리자 공통)
+ * 이메일은 인증 절차(/api/auth/change-email)를 거쳐야만 변경 가능
+ */
+const updateProfile = async (req, res, user) => {
+  const { username, email, timezone } = req.body;
+
+  if (email !== undefined) {
+    return apiResponse.error(res, 'Email cannot be changed here. Use /api/auth/change-email to verify the new address.', 400);
+  }
+
+  if (timezone !== undefined && !User.isValidTimeZone(timezone)) {
+    return apiResponse.error(res, 'Please enter a valid IANA time zone (e.g. Asia/Seoul)', 400);
+  }
+
+  if (username) user.username = username;
+  if (timezone) user.timezone = timezone;
+  await user.save();
+
+  await invalidateUserCache(user);
+
+  logger.success(`User updated: ${user.username}`);
+  return apiResponse.success(res, user.toPrivateProfile(), 'User updated successfully');
+};
+
+/**
+ * 본인 계정 삭제 요청 (유예 기간 후 삭제되도록 예약)
+ */
+const requestOwnDeletion = async (req, res, user) => {
+  const { password } = req.body;
+
+  if (!password) {
+    return apiResponse.error(res, 'Password is required to delete your account', 400);
+  }
+
+  if (user.deletionScheduledFor) {
+    return apiResponse.error(res, 'Account deletion is already scheduled', 409, {
+      deletionScheduledFor: user.deletionScheduledFor
+    });
+  }
+
+  if (!(await user.comparePassword(password))) {
+    return apiResponse.error(res, 'Password is incorrect', 401);
+  }
+
+  const deletionScheduledFor = await accountDeletionService.scheduleDeletion(user);
+
+  await AuditLog.record(AUDIT_ACTIONS.ACCOUNT_DELETION_SCHEDULED, {
+    userId: user._id,
+    ip: req.ip,
+    userAgent: req.headers['user-agent'] || null,
+    metadata: { deletionScheduledFor }
+  });
+
+  return apiResponse.success(res, {
+    message: 'Account deletion scheduled. You can cancel it until the scheduled date.',
+    deletionScheduledFor
+  }, 'Account deletion scheduled', 202);
+};
+
+/**
+ * @swagger
+ * /api/users/me:
+ *   get:
+ *     summary: Get my profile
+ *     description: Get the full profile of the authenticated user
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Profile retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/User'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.get('/me', authenticateToken, asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id);
+
+  if (!user) {
+    return apiResponse.notFound(res, 'User');
+  }
+
+  return apiResponse.success(res, user.toPrivateProfile());
+}));
+
+/**
+ * @swagger
+ * /api/users/me:
+ *   put:
+ *     summary: Update my profile
+ *     description: Update the authenticated user's profile (email changes go through /api/auth/change-email)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               username:
+ *                 type: string
+ *                 minLength: 3
+ *                 maxLength: 30
+ *               timezone:
+ *                 type: string
+ *                 description: IANA time zone used for reminders
+ *           example:
+ *             username: "updateduser"
+ *             timezone: "Asia/Seoul"
+ *     responses:
+ *       200:
+ *         description: Profile updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/User'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.put('/me', authenticateToken, asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id);
+
+  if (!user) {
+    return apiResponse.notFound(res, 'User');
+  }
+
+  return updateProfile(req, res, user);
+}));
+
+/**
+ * @swagger
+ * /api/users/me:
+ *   delete:
+ *     summary: Delete my account
+ *     description: |
+ *       Schedule deletion of the authenticated user's account. The account, memos and uploaded
+ *       files are removed after a grace period (ACCOUNT_DELETION_GRACE_DAYS, default 14 days),
+ *       until which the request can be cancelled at /api/users/me/deletion/cancel.
+ *       When two-factor authentication is enabled, a recent two-factor verification is
+ *       required (see /api/auth/2fa/step-up).
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               password:
+ *                 type: string
+ *             required: [password]
+ *     responses:
+ *       202:
+ *         description: Account deletion scheduled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 deletionScheduledFor:
+ *                   type: string
+ *                   format: date-time
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: Recent two-factor verification required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: Account deletion is already scheduled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.delete('/me', authenticateToken, requireRecentTwoFactor(), asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id);
+
+  if (!user) {
+    return apiResponse.notFound(res, 'User');
+  }
+
+  return requestOwnDeletion(req, res, user);
+}));
+
+/**
+ * @swagger
+ * /api/users/me/deletion/cancel:
+ *   post:
+ *     summary: Cancel account deletion
+ *     description: Cancel a scheduled account deletion during the grace period
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Account deletion cancelled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *       400:
+ *         description: No account deletion is scheduled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.post('/me/deletion/cancel', authenticateToken, asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id);
+
+  if (!user) {
+    return apiResponse.notFound(res, 'User');
+  }
+
+  if (!(await accountDeletionService.cancelDeletion(user))) {
+    return apiResponse.error(res, 'No account deletion is scheduled', 400);
+  }
+
+  await AuditLog.record(AUDIT_ACTIONS.ACCOUNT_DELETION_CANCELLED, {
+    userId: user._id,
+    ip: req.ip,
+    userAgent: req.headers['user-agent'] || null
+  });
+
+  return apiResponse.success(res, { message: 'Account deletion cancelled' });
+}));
 
 /**
  * @swagger
  * /api/users:
  *   get:
  *     summary: Get all users
- *     description: Get all users with optional search and pagination
+ *     description: Get all users with optional search and pagination (requires user:manage permission)
  *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: query
  *         name: page
@@ -24,15 +329,61 @@ const { getRedisClient } = require('../../util/redisService');
  *         schema:
  *           type: integer
  *           default: 10
+ *           maximum: 100
  *         description: Items per page
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - $ref: '#/components/parameters/IncludeTotal'
  *       - in: query
  *         name: search
  *         schema:
  *           type: string
  *         description: Search in username and email
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *         description: Filter by role (comma-separated; user, moderator, admin)
+ *       - in: query
+ *         name: isEmailVerified
+ *         schema:
+ *           type: boolean
+ *         description: Filter by email verification status
+ *       - in: query
+ *         name: twoFactorEnabled
+ *         schema:
+ *           type: boolean
+ *         description: Filter by two-factor authentication status
+ *       - in: query
+ *         name: createdAt
+ *         style: deepObject
+ *         explode: true
+ *         schema:
+ *           $ref: '#/components/schemas/DateRangeFilter'
+ *         description: Created date range, e.g. createdAt[gte]=2024-01-01
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *           enum: [createdAt, updatedAt, username, email]
+ *           default: createdAt
+ *         description: Sort field
+ *       - in: query
+ *         name: sortOrder
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: desc
+ *         description: Sort order
  *     responses:
  *       200:
  *         description: Users retrieved successfully
+ *         headers:
+ *           X-Has-More:
+ *             $ref: '#/components/headers/X-Has-More'
+ *           X-Next-Cursor:
+ *             $ref: '#/components/headers/X-Next-Cursor'
+ *           X-Total-Count:
+ *             $ref: '#/components/headers/X-Total-Count'
  *         content:
  *           application/json:
  *             schema:
@@ -49,40 +400,40 @@ const { getRedisClient } = require('../../util/redisService');
  *                             $ref: '#/components/schemas/User'
  *                         pagination:
  *                           $ref: '#/components/schemas/PaginationResponse'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
  */
-router.get('/', asyncHandler(async (req, res) => {
-  const { page = 1, limit = 10, search } = req.query;
-  
-  // 검색 쿼리 구성
-  let query = {};
+router.get('/', authenticateToken, requirePermission(PERMISSIONS.USER_MANAGE), asyncHandler(async (req, res) => {
+  const { search } = req.query;
+
+  // 검색 및 필터 쿼리 구성
+  const listQuery = ListQuery.parse(req.query, USER_LIST_QUERY);
+  let baseQuery = {};
   if (search) {
-    query = {
+    baseQuery = {
       $or: [
         { username: { $regex: search, $options: 'i' } },
         { email: { $regex: search, $options: 'i' } }
       ]
     };
   }
+  const query = ListQuery.combine(baseQuery, listQuery.conditions);
 
   // 페이지네이션
-  const skip = (page - 1) * limit;
-  const users = await User.find(query)
-    .select('-password') // 비밀번호 제외
-    .skip(skip)
-    .limit(parseInt(limit))
-    .sort({ createdAt: -1 });
+  const pagination = Pagination.parse(req.query, { defaultLimit: 10 });
+  const { items: users, pageInfo } = await Pagination.paginate(User, query, pagination, {
+    sort: listQuery.sort || { createdAt: -1 },
+    alwaysCount: pagination.page !== null
+  });
 
-  const total = await User.countDocuments(query);
+  logger.info(`Retrieved ${users.length} users (${pagination.cursor ? 'cursor' : `page ${pagination.page}`})`);
 
-  logger.info(`Retrieved ${users.length} users (page ${page})`);
-  
+  Pagination.setHeaders(res, pageInfo);
   return apiResponse.success(res, {
-    users,
-    pagination: {
-      current: parseInt(page),
-      pages: Math.ceil(total / limit),
-      total
-    }
+    users: users.map(user => user.toPrivateProfile()),
+    pagination: Pagination.toResponse(pageInfo)
   });
 }));
 
@@ -91,8 +442,14 @@ router.get('/', asyncHandler(async (req, res) => {
  * /api/users/{id}:
  *   get:
  *     summary: Get user by ID
- *     description: Get a specific user by their ID
+ *     description: |
+ *       Get a specific user by their ID. Other users and anonymous callers receive the
+ *       public profile only; the full profile is returned to the user themselves and to
+ *       callers with the user:manage permission.
  *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *       - {}
  *     parameters:
  *       - in: path
  *         name: id
@@ -106,70 +463,75 @@ router.get('/', asyncHandler(async (req, res) => {
  *         content:
  *           application/json:
  *             schema:
- *               allOf:
- *                 - $ref: '#/components/schemas/ApiResponse'
- *                 - type: object
- *                   properties:
- *                     data:
- *                       $ref: '#/components/schemas/User'
+ *               oneOf:
+ *                 - $ref: '#/components/schemas/PublicUser'
+ *                 - $ref: '#/components/schemas/User'
  *       404:
  *         $ref: '#/components/responses/NotFoundError'
  */
-router.get('/:id', asyncHandler(async (req, res) => {
+router.get('/:id', optionalAuth, asyncHandler(async (req, res) => {
   const userId = req.params.id;
   const cacheKey = `user:${userId}`;
-  
+
+  // 본인 또는 관리자는 캐시 없이 전체 프로필 조회
+  const canViewPrivate = req.user
+    && (req.user.id === userId || req.user.permissions.includes(PERMISSIONS.USER_MANAGE));
+
+  if (canViewPrivate) {
+    const user = await User.findById(userId);
+    if (!user) {
+      return apiResponse.notFound(res, 'User');
+    }
+    return apiResponse.success(res, user.toPrivateProfile());
+  }
+
   try {
-    // Redis에서 캐시된 사용자 정보 조회 (hash 사용)
+    // Redis에서 캐시된 공개 프로필 조회 (hash 사용)
     const redisClient = getRedisClient();
     const cachedUser = await redisClient.hGetAll(cacheKey);
-    
+
     if (cachedUser && Object.keys(cachedUser).length > 0) {
       // 캐시에 데이터가 있으면 캐시된 데이터 반환
-      const user = {
-        _id: cachedUser._id,
+      const profile = {
+        id: cachedUser.id,
         username: cachedUser.username,
-        email: cachedUser.email,
-        createdAt: new Date(cachedUser.createdAt),
-        updatedAt: new Date(cachedUser.updatedAt)
+        createdAt: new Date(cachedUser.createdAt)
       };
-      logger.info(`User retrieved from cache: ${user.username}`);
-      return apiResponse.success(res, user);
+      logger.info(`User retrieved from cache: ${profile.username}`);
+      return apiResponse.success(res, profile);
     }
-    
+
     // 캐시에 데이터가 없으면 DB에서 조회
-    const user = await User.findById(userId).select('-password');
-    
+    const user = await User.findById(userId);
+
     if (!user) {
       return apiResponse.notFound(res, 'User');
     }
-    
-    // DB에서 조회한 데이터를 Redis hash에 저장하고 60초간 캐시
-    const userData = user.toObject();
+
+    // 공개 프로필만 Redis hash에 저장하고 60초간 캐시
+    const profile = user.toPublicProfile();
     await redisClient.hSet(cacheKey, {
-      _id: userData._id.toString(),
-      username: userData.username,
-      email: userData.email,
-      createdAt: userData.createdAt.toISOString(),
-      updatedAt: userData.updatedAt.toISOString()
+      id: profile.id,
+      username: profile.username,
+      createdAt: profile.createdAt.toISOString()
     });
     await redisClient.expire(cacheKey, 60);
-    
+
     logger.info(`User retrieved from DB and cached: ${user.username}`);
-    return apiResponse.success(res, user);
-    
+    return apiResponse.success(res, profile);
+
   } catch (redisError) {
     // Redis 오류 시 DB에서 직접 조회 (fallback)
-    logger.warn(`Redis error, falling back to DB: ${redisError.message}`);
-    
-    const user = await User.findById(userId).select('-password');
-    
+    logger.warning(`Redis error, falling back to DB: ${redisError.message}`);
+
+    const user = await User.findById(userId);
+
     if (!user) {
       return apiResponse.notFound(res, 'User');
     }
-    
+
     logger.info(`User retrieved from DB (Redis fallback): ${user.username}`);
-    return apiResponse.success(res, user);
+    return apiResponse.success(res, user.toPublicProfile());
   }
 }));
 
@@ -178,51 +540,63 @@ router.get('/:id', asyncHandler(async (req, res) => {
  * /api/users:
  *   post:
  *     summary: Create new user
- *     description: Create a new user account
+ *     description: |
+ *       Create a new user account (requires user:manage permission).
+ *       The account goes through the same email verification as /api/auth/register.
  *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/UserInput'
+ *             allOf:
+ *               - $ref: '#/components/schemas/UserInput'
+ *               - type: object
+ *                 properties:
+ *                   role:
+ *                     type: string
+ *                     enum: [user, moderator, admin]
  *           example:
  *             username: "newuser"
  *             email: "user@example.com"
  *             password: "password123"
  *     responses:
  *       201:
- *         description: User created successfully
+ *         description: User created, verification email sent
  *         content:
  *           application/json:
  *             schema:
- *               allOf:
- *                 - $ref: '#/components/schemas/ApiResponse'
- *                 - type: object
- *                   properties:
- *                     data:
- *                       $ref: '#/components/schemas/User'
+ *               type: object
+ *               properties:
+ *                 user:
+ *                   $ref: '#/components/schemas/User'
+ *                 requiresEmailVerification:
+ *                   type: boolean
  *       400:
  *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       409:
+ *         description: Username or email already exists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.post('/', asyncHandler(async (req, res) => {
-  const { username, email, password } = req.body;
-
-  // 기본 유효성 검증
-  if (!username || !email || !password) {
-    return apiResponse.error(res, 'Username, email, and password are required', 400);
-  }
+router.post('/', authenticateToken, requirePermission(PERMISSIONS.USER_MANAGE), asyncHandler(async (req, res) => {
+  const { username, email, password, role } = req.body;
 
-  const user = new User({
-    username,
-    email,
-    password // 실제 환경에서는 해시화 필요
-  });
+  const user = await RegistrationService.register({ username, email, password, role });
 
-  await user.save();
-  
-  logger.success(`New user created: ${user.username}`);
-  return apiResponse.success(res, user, 'User created successfully', 201);
+  logger.success(`New user created by ${req.user.username}: ${user.username}`);
+  return apiResponse.success(res, {
+    user: user.toPrivateProfile(),
+    requiresEmailVerification: true
+  }, 'User created successfully', 201);
 }));
 
 /**
@@ -230,8 +604,12 @@ router.post('/', asyncHandler(async (req, res) => {
  * /api/users/{id}:
  *   put:
  *     summary: Update user
- *     description: Update user information
+ *     description: |
+ *       Update user information. Allowed for the user themselves and for callers with the
+ *       user:manage permission (email changes go through /api/auth/change-email).
  *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -250,59 +628,30 @@ router.post('/', asyncHandler(async (req, res) => {
  *                 type: string
  *                 minLength: 3
  *                 maxLength: 30
- *               email:
+ *               timezone:
  *                 type: string
- *                 format: email
+ *                 description: IANA time zone used for reminders
  *           example:
  *             username: "updateduser"
- *             email: "updated@example.com"
+ *             timezone: "Asia/Seoul"
  *     responses:
  *       200:
  *         description: User updated successfully
  *         content:
  *           application/json:
  *             schema:
- *               allOf:
- *                 - $ref: '#/components/schemas/ApiResponse'
- *                 - type: object
- *                   properties:
- *                     data:
- *                       $ref: '#/components/schemas/User'
+ *               $ref: '#/components/schemas/User'
  *       400:
  *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
  *       404:
  *         $ref: '#/components/responses/NotFoundError'
  */
-router.put('/:id', asyncHandler(async (req, res) => {
-  const userId = req.params.id;
-  const { username, email } = req.body;
-  const cacheKey = `user:${userId}`;
-  
-  const updateData = {};
-  if (username) updateData.username = username;
-  if (email) updateData.email = email;
-
-  const user = await User.findByIdAndUpdate(
-    userId,
-    updateData,
-    { new: true, runValidators: true }
-  ).select('-password');
-
-  if (!user) {
-    return apiResponse.notFound(res, 'User');
-  }
-
-  // 사용자 정보가 업데이트되었으므로 hash 캐시 무효화
-  try {
-    const redisClient = getRedisClient();
-    await redisClient.del(cacheKey);
-    logger.info(`User hash cache invalidated for: ${user.username}`);
-  } catch (redisError) {
-    logger.warn(`Failed to invalidate hash cache: ${redisError.message}`);
-  }
-
-  logger.success(`User updated: ${user.username}`);
-  return apiResponse.success(res, user, 'User updated successfully');
+router.put('/:id', authenticateToken, requireAccountOwnership, asyncHandler(async (req, res) => {
+  return updateProfile(req, res, req.resource);
 }));
 
 /**
@@ -310,8 +659,15 @@ router.put('/:id', asyncHandler(async (req, res) => {
  * /api/users/{id}:
  *   delete:
  *     summary: Delete user
- *     description: Delete a user by their ID
+ *     description: |
+ *       Delete a user account. For your own account this schedules deletion after the grace
+ *       period, the same as DELETE /api/users/me (password required). Callers with the
+ *       user:manage permission deleting another account remove it immediately, together
+ *       with its memos and uploaded files. When the caller has two-factor authentication
+ *       enabled, a recent two-factor verification is required (see /api/auth/2fa/step-up).
  *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -319,6 +675,15 @@ router.put('/:id', asyncHandler(async (req, res) => {
  *         schema:
  *           type: string
  *         description: User ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               password:
+ *                 type: string
+ *                 description: Required when deleting your own account
  *     responses:
  *       200:
  *         description: User deleted successfully
@@ -326,30 +691,41 @@ router.put('/:id', asyncHandler(async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ApiResponse'
+ *       202:
+ *         description: Own account deletion scheduled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 deletionScheduledFor:
+ *                   type: string
+ *                   format: date-time
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: Not your account, or recent two-factor verification required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  *       404:
  *         $ref: '#/components/responses/NotFoundError'
  */
-router.delete('/:id', asyncHandler(async (req, res) => {
-  const userId = req.params.id;
-  const cacheKey = `user:${userId}`;
-  
-  const user = await User.findByIdAndDelete(userId);
+router.delete('/:id', authenticateToken, requireAccountOwnership, requireRecentTwoFactor(), asyncHandler(async (req, res) => {
+  const user = req.resource;
 
-  if (!user) {
-    return apiResponse.notFound(res, 'User');
+  if (user._id.toString() === req.user.id) {
+    return requestOwnDeletion(req, res, user);
   }
 
-  // 사용자가 삭제되었으므로 hash 캐시 무효화
-  try {
-    const redisClient = getRedisClient();
-    await redisClient.del(cacheKey);
-    logger.info(`User hash cache invalidated for deleted user: ${user.username}`);
-  } catch (redisError) {
-    logger.warn(`Failed to invalidate hash cache: ${redisError.message}`);
-  }
+  // 관리자에 의한 삭제는 유예 기간 없이 즉시 정리
+  const { memos, files } = await accountDeletionService.purgeUser(user);
 
-  logger.success(`User deleted: ${user.username}`);
-  return apiResponse.deleted(res);
+  logger.success(`User deleted: ${user.username} by ${req.user.username}`);
+  return apiResponse.success(res, { message: 'User deleted successfully', memos, files });
 }));
 
 /**
@@ -357,8 +733,10 @@ router.delete('/:id', asyncHandler(async (req, res) => {
  * /api/users/{id}/memos:
  *   get:
  *     summary: Get user's memos
- *     description: Get all memos created by a specific user
+ *     description: Get all memos created by a specific user (the user themselves or moderators only)
  *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -377,10 +755,20 @@ router.delete('/:id', asyncHandler(async (req, res) => {
  *         schema:
  *           type: integer
  *           default: 10
+ *           maximum: 100
  *         description: Items per page
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - $ref: '#/components/parameters/IncludeTotal'
  *     responses:
  *       200:
  *         description: User's memos retrieved successfully
+ *         headers:
+ *           X-Has-More:
+ *             $ref: '#/components/headers/X-Has-More'
+ *           X-Next-Cursor:
+ *             $ref: '#/components/headers/X-Next-Cursor'
+ *           X-Total-Count:
+ *             $ref: '#/components/headers/X-Total-Count'
  *         content:
  *           application/json:
  *             schema:
@@ -397,37 +785,28 @@ router.delete('/:id', asyncHandler(async (req, res) => {
  *                             $ref: '#/components/schemas/Memo'
  *                         pagination:
  *                           $ref: '#/components/schemas/PaginationResponse'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
  *       404:
  *         $ref: '#/components/responses/NotFoundError'
  */
-router.get('/:id/memos', asyncHandler(async (req, res) => {
-  const { Memo } = require('../../models');
-  const { page = 1, limit = 10 } = req.query;
+router.get('/:id/memos', authenticateToken, requireMemoListAccess, asyncHandler(async (req, res) => {
+  const user = req.resource;
 
-  // 사용자 존재 확인
-  const user = await User.findById(req.params.id);
-  if (!user) {
-    return apiResponse.notFound(res, 'User');
-  }
-
-  const skip = (page - 1) * limit;
-  const memos = await Memo.find({ userId: req.params.id })
-    .populate('templateId', 'name preview')
-    .skip(skip)
-    .limit(parseInt(limit))
-    .sort({ createdAt: -1 });
-
-  const total = await Memo.countDocuments({ userId: req.params.id });
+  const pagination = Pagination.parse(req.query, { defaultLimit: 10 });
+  const { items: memos, pageInfo } = await Pagination.paginate(Memo, { userId: req.params.id, deletedAt: null }, pagination, {
+    build: (query) => query.populate('templateId', 'name preview'),
+    alwaysCount: pagination.page !== null
+  });
 
   logger.info(`Retrieved ${memos.length} memos for user: ${user.username}`);
-  
+
+  Pagination.setHeaders(res, pageInfo);
   return apiResponse.success(res, {
     memos,
-    pagination: {
-      current: parseInt(page),
-      pages: Math.ceil(total / limit),
-      total
-    }
+    pagination: Pagination.toResponse(pageInfo)
   });
 }));
 
@@ -1,18 +1,20 @@
 const express = require('express');
 const router = express.Router();
 const { apiResponse, asyncHandler } = require('../../middleware/errorHandler');
+const { optionalAuth } = require('../../middleware/authMiddleware');
+const { USER_ROLES, ROLE_PERMISSIONS } = require('../../models');
 
 // GET /app/auth - Get app auth status and user info
-router.get('/', asyncHandler(async (req, res) => {
-  // 더미 인증 상태 데이터
+router.get('/', optionalAuth, asyncHandler(async (req, res) => {
+  // 역할과 권한은 실제 사용자 정보에서 가져오고, 나머지는 더미 데이터
   const authData = {
-    isAuthenticated: true,
+    isAuthenticated: !!req.user,
     user: {
-      id: "user123",
-      username: "김철수",
-      email: "user@example.com",
+      id: req.user ? req.user.id : "user123",
+      username: req.user ? req.user.username : "김철수",
+      email: req.user ? req.user.email : "user@example.com",
       profileImage: "/uploads/profiles/default.jpg",
-      role: "user",
+      role: req.user ? req.user.role : USER_ROLES.USER,
       lastLoginAt: new Date().toISOString(),
       preferences: {
         theme: "light",
@@ -25,12 +27,7 @@ router.get('/', asyncHandler(async (req, res) => {
       expiresAt: new Date(Date.now() + 86400000).toISOString(),
       loginMethod: "email"
     },
-    permissions: [
-      "memo:read",
-      "memo:write", 
-      "template:read",
-      "profile:update"
-    ]
+    permissions: req.user ? req.user.permissions : ROLE_PERMISSIONS[USER_ROLES.USER]
   };
 
   return apiResponse.success(res, authData, 'Auth status retrieved successfully');
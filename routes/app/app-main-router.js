@@ -1,38 +1,57 @@
 const express = require('express');
 const router = express.Router();
+const { User, Memo, DesignTemplate } = require('../../models');
 const { apiResponse, asyncHandler } = require('../../middleware/errorHandler');
+const { authenticateToken } = require('../../middleware/authMiddleware');
+const reminderService = require('../../util/reminderService');
 
 // GET /app/main - Get app main dashboard data
-router.get('/', asyncHandler(async (req, res) => {
-  // 더미 데이터
+router.get('/', authenticateToken, asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id);
+  if (!user) {
+    return apiResponse.notFound(res, 'User');
+  }
+
+  const ownMemos = {
+    userId: { $in: [req.user.id, user._id] },
+    deletedAt: null
+  };
+  const weekAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+
+  const [totalMemos, totalTemplates, recentActivity, recentMemos, upcoming] = await Promise.all([
+    Memo.countDocuments(ownMemos),
+    DesignTemplate.countDocuments(),
+    Memo.countDocuments({ ...ownMemos, updatedAt: { $gte: weekAgo } }),
+    Memo.find({ ...ownMemos, isArchived: { $ne: true } })
+      .sort({ updatedAt: -1 })
+      .limit(5)
+      .select('title content templateId createdAt updatedAt'),
+    reminderService.getUpcoming(req.user.id, { days: 7, limit: 5 })
+  ]);
+
   const dashboardData = {
     user: {
-      id: "user123",
-      name: "김철수",
-      email: "user@example.com",
+      id: user._id.toString(),
+      name: user.username,
+      email: user.email,
+      timezone: user.timezone,
       profileImage: "/uploads/profiles/default.jpg"
     },
     stats: {
-      totalMemos: 25,
-      totalTemplates: 8,
-      recentActivity: 12
+      totalMemos,
+      totalTemplates,
+      recentActivity
     },
-    recentMemos: [
-      {
-        id: "memo1",
-        title: "오늘의 할 일",
-        content: "프로젝트 마무리하기",
-        createdAt: new Date().toISOString(),
-        templateId: "template1"
-      },
-      {
-        id: "memo2", 
-        title: "회의 메모",
-        content: "팀 미팅 내용 정리",
-        createdAt: new Date(Date.now() - 86400000).toISOString(),
-        templateId: "template2"
-      }
-    ],
+    recentMemos: recentMemos.map(memo => ({
+      id: memo._id.toString(),
+      title: memo.title,
+      content: memo.content,
+      createdAt: memo.createdAt.toISOString(),
+      updatedAt: memo.updatedAt.toISOString(),
+      templateId: memo.templateId ? memo.templateId.toString() : null
+    })),
+    upcomingReminders: upcoming.reminders,
+    upcomingDueDates: upcoming.dueDates,
     quickActions: [
       { name: "새 메모 작성", url: "/app/memos/new", icon: "✏️" },
       { name: "템플릿 보기", url: "/app/templates", icon: "🎨" },
@@ -6,7 +6,41 @@ const options = {
     info: {
       title: 'Oz-Mongo API Documentation',
       version: '1.0.0',
-      description: 'REST API documentation for Oz-Mongo application core services',
+      description: [
+        'REST API documentation for Oz-Mongo application core services',
+        '',
+        '### Realtime updates',
+        'Connect a WebSocket to `/ws` (REALTIME_PATH) with the access token as `Authorization: Bearer <token>`',
+        'or `?access_token=<token>`. Every message is JSON `{ type, data, timestamp }`:',
+        '- `connected` - `{ sessionId, userId }` right after the handshake',
+        '- `memo.created`, `memo.updated`, `memo.restored` - `{ memoId, memo }` for your own memos',
+        '- `memo.deleted` (moved to trash), `memo.purged` (permanently deleted) - `{ memoId }`',
+        '- `file.processing`, `file.processed`, `file.failed` - `{ fileId, domain, referenceId, status }` for your uploads',
+        '',
+        'Send `{ "type": "ping" }` to get a `pong`. The connection is closed with code 4001 when the token expires;',
+        'reconnect with a refreshed token. Failed messages get `error` - `{ type, statusCode, message }`.',
+        '',
+        '### Collaborative editing',
+        'Memos are edited together over the same connection with operational transformation. An operation is an array',
+        'walking the whole document: a positive integer retains that many characters, a string inserts it and a negative',
+        'integer deletes that many characters (`"hello"` → `"hey!"` is `[2, -3, "y!"]`).',
+        '- `collab.join` `{ memoId }` (viewer access) → `collab.joined` `{ memoId, title, format, access, content, version, participants }`',
+        '- `collab.operation` `{ memoId, version, operation }` (editor access) - `version` is the document version the operation',
+        '  was made against. The server transforms it over newer operations and sends `collab.operation`',
+        '  `{ memoId, version, operation, sessionId, userId }` to every participant; the event carrying your own `sessionId`',
+        '  is the acknowledgement. Keep one operation in flight, transform pending ones over incoming operations with your',
+        '  own operation first (your inserts win ties), and ignore events whose version is not newer than yours.',
+        '- `collab.cursor` `{ memoId, position, selectionEnd, version }` and joins/leaves → `collab.presence` `{ memoId, action, participant }`',
+        '- `collab.leave` `{ memoId }`; disconnecting leaves every session.',
+        '- Content changed outside the session (e.g. `PUT /api/memos/{id}`) is merged with the session edits and arrives as a',
+        '  `collab.operation` with `sessionId: null`. Other fields (title, tags, ...) do not affect the session.',
+        '- `collab.resync` `{ memoId, content, version }` - the outside change could not be merged (content too long);',
+        '  replace the content and drop pending operations. `collab.closed` `{ memoId }` - the memo was moved to trash.',
+        '',
+        'An `error` with status 409 means the session or your version is out of date: send `collab.join` again.',
+        'Content is saved to the memo every COLLAB_PERSIST_SECONDS and a revision is recorded every',
+        'COLLAB_CHECKPOINT_MINUTES and when the last participant leaves.'
+      ].join('\n'),
       contact: {
         name: 'API Support',
         email: 'api-support@oz-mongo.com'
@@ -35,6 +69,10 @@ const options = {
         name: 'Memos',
         description: 'Memo CRUD operations and related functionality'
       },
+      {
+        name: 'Folders',
+        description: 'Nested folders for organizing memos'
+      },
       {
         name: 'Design Templates',
         description: 'Design template management and statistics'
@@ -42,6 +80,14 @@ const options = {
       {
         name: 'Files',
         description: 'File upload, management, and access control'
+      },
+      {
+        name: 'Exports',
+        description: 'Personal data export archives'
+      },
+      {
+        name: 'Imports',
+        description: 'Import memos from Markdown/text, data exports and Evernote'
       }
     ],
     components: {
@@ -76,6 +122,27 @@ const options = {
               type: 'boolean',
               description: 'Email verification status'
             },
+            timezone: {
+              type: 'string',
+              description: 'IANA time zone used for reminders',
+              example: 'Asia/Seoul'
+            },
+            role: {
+              type: 'string',
+              enum: ['user', 'moderator', 'admin'],
+              description: 'User role'
+            },
+            permissions: {
+              type: 'array',
+              items: {
+                type: 'string'
+              },
+              description: 'Effective permissions (role permissions plus extra grants)'
+            },
+            twoFactorEnabled: {
+              type: 'boolean',
+              description: 'Whether TOTP two-factor authentication is enabled'
+            },
             createdAt: {
               type: 'string',
               format: 'date-time',
@@ -89,6 +156,26 @@ const options = {
           },
           required: ['id', 'username', 'email', 'isEmailVerified']
         },
+        PublicUser: {
+          type: 'object',
+          description: 'Public profile visible to other users',
+          properties: {
+            id: {
+              type: 'string',
+              description: 'User ID'
+            },
+            username: {
+              type: 'string',
+              description: 'Username'
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'User creation timestamp'
+            }
+          },
+          required: ['id', 'username']
+        },
         UserInput: {
           type: 'object',
           properties: {
@@ -130,6 +217,153 @@ const options = {
             token: {
               type: 'string',
               description: 'JWT authentication token'
+            },
+            refreshToken: {
+              type: 'string',
+              description: 'Single-use refresh token (rotated on every refresh)'
+            }
+          }
+        },
+        DataExport: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              description: 'Export ID'
+            },
+            status: {
+              type: 'string',
+              enum: ['processing', 'active', 'failed'],
+              description: 'processing while the archive is built, active when ready'
+            },
+            size: {
+              type: 'integer',
+              description: 'Archive size in bytes'
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            expiresAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'The archive and its download link expire at this time'
+            }
+          }
+        },
+        ImportJob: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              description: 'Import job ID'
+            },
+            userId: {
+              type: 'string'
+            },
+            source: {
+              type: 'string',
+              enum: ['zip', 'json', 'enex'],
+              description: 'zip (Markdown/text files or a data export archive), json (memos.json) or enex (Evernote)'
+            },
+            originalName: {
+              type: 'string',
+              description: 'Uploaded filename'
+            },
+            options: {
+              type: 'object',
+              properties: {
+                templateId: {
+                  type: 'string',
+                  description: 'Template used when the note has none (or it no longer exists)'
+                },
+                folderId: {
+                  type: 'string',
+                  nullable: true
+                }
+              }
+            },
+            status: {
+              type: 'string',
+              enum: ['queued', 'processing', 'completed', 'failed'],
+              description: 'completed even if some notes failed (see items); failed if the file could not be read'
+            },
+            progress: {
+              type: 'object',
+              properties: {
+                total: { type: 'integer' },
+                processed: { type: 'integer' },
+                imported: { type: 'integer' },
+                failed: { type: 'integer' }
+              }
+            },
+            items: {
+              type: 'array',
+              description: 'Per-note results (only in the job detail)',
+              items: {
+                type: 'object',
+                properties: {
+                  index: { type: 'integer' },
+                  name: {
+                    type: 'string',
+                    description: 'File path or note title in the source'
+                  },
+                  status: {
+                    type: 'string',
+                    enum: ['imported', 'failed']
+                  },
+                  memoId: {
+                    type: 'string',
+                    nullable: true
+                  },
+                  error: {
+                    type: 'string',
+                    nullable: true
+                  },
+                  warnings: {
+                    type: 'array',
+                    items: { type: 'string' },
+                    description: 'Parts of the note that could not be imported (e.g. unsupported attachments)'
+                  }
+                }
+              }
+            },
+            error: {
+              type: 'string',
+              nullable: true,
+              description: 'Reason the whole job failed'
+            },
+            startedAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true
+            },
+            completedAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true
+            },
+            expiresAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'The job report is deleted after this time (imported memos are kept)'
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
+        TwoFactorChallenge: {
+          type: 'object',
+          properties: {
+            requiresTwoFactor: {
+              type: 'boolean',
+              example: true
+            },
+            challengeToken: {
+              type: 'string',
+              description: 'Short-lived token to exchange at /api/auth/2fa/verify'
             }
           }
         },
@@ -170,6 +404,10 @@ const options = {
               maxLength: 10,
               description: 'Preview emoji or icon'
             },
+            version: {
+              type: 'integer',
+              description: 'Template version (same as the ETag)'
+            },
             createdAt: {
               type: 'string',
               format: 'date-time'
@@ -228,6 +466,16 @@ const options = {
               maxLength: 10000,
               description: 'Memo content'
             },
+            format: {
+              type: 'string',
+              enum: ['plain', 'markdown'],
+              default: 'plain',
+              description: 'How content is written'
+            },
+            html: {
+              type: 'string',
+              description: 'Sanitized HTML rendering of content (single memo and public link views only). Checklist items are disabled checkboxes with data-checklist-index.'
+            },
             templateId: {
               type: 'string',
               description: 'Design template ID'
@@ -236,11 +484,71 @@ const options = {
               type: 'string',
               description: 'User ID who created the memo'
             },
+            tags: {
+              type: 'array',
+              items: {
+                type: 'string'
+              },
+              description: 'Lowercase tags'
+            },
+            folderId: {
+              type: 'string',
+              nullable: true,
+              description: 'Folder ID (null when not in a folder)'
+            },
+            isPinned: {
+              type: 'boolean'
+            },
+            isArchived: {
+              type: 'boolean',
+              description: 'Archived memos are hidden from the default list'
+            },
+            dueDate: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true
+            },
+            reminder: {
+              allOf: [{ $ref: '#/components/schemas/MemoReminder' }],
+              nullable: true
+            },
             imageUrl: {
               type: 'string',
               nullable: true,
               description: 'Image URL if attached'
             },
+            access: {
+              type: 'string',
+              enum: ['owner', 'editor', 'viewer'],
+              description: 'Your access level (single memo and shared list only)'
+            },
+            version: {
+              type: 'integer',
+              description: 'Version of the editable content (same as the ETag)'
+            },
+            shares: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  userId: { type: 'string' },
+                  role: { type: 'string', enum: ['viewer', 'editor'] }
+                }
+              },
+              description: 'Users the memo is shared with (author only)'
+            },
+            score: {
+              type: 'number',
+              description: 'Relevance score (search results only)'
+            },
+            highlights: {
+              type: 'object',
+              description: 'HTML-escaped title and content snippet with matches wrapped in <mark> (search results only)',
+              properties: {
+                title: { type: 'string' },
+                content: { type: 'string' }
+              }
+            },
             createdAt: {
               type: 'string',
               format: 'date-time'
@@ -252,6 +560,214 @@ const options = {
           },
           required: ['id', 'title', 'content', 'templateId', 'userId']
         },
+        MemoReminder: {
+          type: 'object',
+          properties: {
+            remindAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              description: 'Next reminder time (null after a one-time reminder is sent)'
+            },
+            repeat: {
+              type: 'string',
+              enum: ['none', 'daily', 'weekly', 'monthly', 'cron']
+            },
+            cron: {
+              type: 'string',
+              nullable: true,
+              description: '5-field cron expression used for repeating reminders, in the reminder time zone'
+            },
+            timezone: {
+              type: 'string',
+              example: 'Asia/Seoul'
+            },
+            lastSentAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true
+            }
+          }
+        },
+        UpcomingMemo: {
+          type: 'object',
+          properties: {
+            memoId: { type: 'string' },
+            title: { type: 'string' },
+            dueDate: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true
+            },
+            reminder: {
+              allOf: [{ $ref: '#/components/schemas/MemoReminder' }],
+              nullable: true
+            }
+          }
+        },
+        ChecklistItem: {
+          type: 'object',
+          properties: {
+            index: {
+              type: 'integer',
+              description: 'Position among the checklist items (0-based)'
+            },
+            checked: { type: 'boolean' },
+            text: {
+              type: 'string',
+              description: 'First line of the item as written (markdown)'
+            },
+            line: {
+              type: 'integer',
+              description: 'Line number in content (0-based)'
+            }
+          }
+        },
+        MemoShare: {
+          type: 'object',
+          properties: {
+            userId: { type: 'string' },
+            username: { type: 'string' },
+            role: {
+              type: 'string',
+              enum: ['viewer', 'editor'],
+              description: 'viewer is read-only, editor can also update the memo'
+            },
+            grantedAt: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
+        MemoPublicLink: {
+          type: 'object',
+          properties: {
+            id: { type: 'string' },
+            hasPassword: { type: 'boolean' },
+            expiresAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            revokedAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true
+            },
+            lastAccessedAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true
+            },
+            active: {
+              type: 'boolean',
+              description: 'False once revoked or expired'
+            }
+          }
+        },
+        PublicMemo: {
+          type: 'object',
+          properties: {
+            id: { type: 'string' },
+            title: { type: 'string' },
+            content: { type: 'string' },
+            format: {
+              type: 'string',
+              enum: ['plain', 'markdown']
+            },
+            html: {
+              type: 'string',
+              description: 'Sanitized HTML rendering of content'
+            },
+            tags: {
+              type: 'array',
+              items: { type: 'string' }
+            },
+            template: {
+              type: 'object',
+              description: 'Template styling (name, colors, border and shadow)'
+            },
+            imageUrl: {
+              type: 'string',
+              nullable: true
+            },
+            attachments: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  id: { type: 'string' },
+                  originalName: { type: 'string' },
+                  mimeType: { type: 'string' },
+                  size: { type: 'integer' },
+                  url: {
+                    type: 'string',
+                    description: 'Short-lived download URL, valid only while the link is active'
+                  }
+                }
+              }
+            },
+            updatedAt: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
+        Folder: {
+          type: 'object',
+          properties: {
+            id: { type: 'string' },
+            userId: { type: 'string' },
+            name: {
+              type: 'string',
+              maxLength: 100
+            },
+            parentId: {
+              type: 'string',
+              nullable: true,
+              description: 'Parent folder ID (null for top-level folders)'
+            },
+            ancestors: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Folder IDs from the top level down to the parent'
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            updatedAt: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
+        FolderNode: {
+          allOf: [
+            { $ref: '#/components/schemas/Folder' },
+            {
+              type: 'object',
+              properties: {
+                memoCount: {
+                  type: 'integer',
+                  description: 'Memos directly in this folder'
+                },
+                totalMemoCount: {
+                  type: 'integer',
+                  description: 'Memos in this folder and its subfolders'
+                },
+                children: {
+                  type: 'array',
+                  items: { $ref: '#/components/schemas/FolderNode' }
+                }
+              }
+            }
+          ]
+        },
         MemoInput: {
           type: 'object',
           properties: {
@@ -263,8 +779,31 @@ const options = {
               type: 'string',
               maxLength: 10000
             },
+            format: {
+              type: 'string',
+              enum: ['plain', 'markdown'],
+              default: 'plain'
+            },
+            dueDate: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true
+            },
             templateId: {
               type: 'string'
+            },
+            tags: {
+              type: 'array',
+              maxItems: 20,
+              items: {
+                type: 'string',
+                maxLength: 30
+              }
+            },
+            folderId: {
+              type: 'string',
+              nullable: true,
+              description: 'One of your folders'
             }
           },
           required: ['title', 'content', 'templateId']
@@ -294,7 +833,7 @@ const options = {
             },
             domain: {
               type: 'string',
-              enum: ['memo', 'profile-image', 'template-image', 'attachment'],
+              enum: ['memo', 'profile-image', 'template-image', 'attachment', 'data-export'],
               description: 'Domain type'
             },
             referenceId: {
@@ -360,24 +899,205 @@ const options = {
             }
           }
         },
+        VersionConflict: {
+          type: 'object',
+          properties: {
+            success: {
+              type: 'boolean',
+              example: false
+            },
+            message: {
+              type: 'string'
+            },
+            current: {
+              type: 'object',
+              description: 'Current server copy (Memo or DesignTemplate) to merge with'
+            }
+          }
+        },
+        MemoRevision: {
+          type: 'object',
+          properties: {
+            id: { type: 'string' },
+            memoId: { type: 'string' },
+            revision: {
+              type: 'integer',
+              description: 'Revision number (starts at 1 per memo)'
+            },
+            action: {
+              type: 'string',
+              enum: ['create', 'update', 'restore']
+            },
+            restoredFrom: {
+              type: 'integer',
+              nullable: true,
+              description: 'Restored revision number (restore only)'
+            },
+            changedFields: {
+              type: 'array',
+              items: {
+                type: 'string',
+                enum: ['title', 'content', 'format', 'templateId', 'tags']
+              }
+            },
+            editedBy: {
+              type: 'object',
+              properties: {
+                id: { type: 'string' },
+                username: { type: 'string' }
+              }
+            },
+            title: { type: 'string' },
+            content: {
+              type: 'string',
+              description: 'Omitted in revision lists'
+            },
+            format: {
+              type: 'string',
+              enum: ['plain', 'markdown']
+            },
+            templateId: { type: 'string' },
+            tags: {
+              type: 'array',
+              items: { type: 'string' }
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
+        MemoRevisionDiff: {
+          type: 'object',
+          properties: {
+            from: { type: 'integer' },
+            to: { type: 'integer' },
+            changes: {
+              type: 'object',
+              description: 'Only changed fields are present',
+              properties: {
+                title: {
+                  type: 'object',
+                  properties: {
+                    from: { type: 'string' },
+                    to: { type: 'string' }
+                  }
+                },
+                format: {
+                  type: 'object',
+                  properties: {
+                    from: { type: 'string' },
+                    to: { type: 'string' }
+                  }
+                },
+                templateId: {
+                  type: 'object',
+                  properties: {
+                    from: { type: 'string' },
+                    to: { type: 'string' }
+                  }
+                },
+                tags: {
+                  type: 'object',
+                  properties: {
+                    added: { type: 'array', items: { type: 'string' } },
+                    removed: { type: 'array', items: { type: 'string' } }
+                  }
+                },
+                content: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      type: { type: 'string', enum: ['equal', 'added', 'removed'] },
+                      lines: { type: 'array', items: { type: 'string' } }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        },
+        DateRangeFilter: {
+          type: 'object',
+          description: 'Date range filter using gt, gte, lt and lte operators (ISO 8601 dates)',
+          properties: {
+            gt: { type: 'string', format: 'date-time' },
+            gte: { type: 'string', format: 'date-time' },
+            lt: { type: 'string', format: 'date-time' },
+            lte: { type: 'string', format: 'date-time' }
+          }
+        },
         PaginationResponse: {
           type: 'object',
           properties: {
             current: {
               type: 'integer',
-              description: 'Current page number'
+              description: 'Current page number (page mode only)'
             },
             pages: {
               type: 'integer',
-              description: 'Total pages'
+              description: 'Total pages (page mode only)'
             },
             total: {
               type: 'integer',
-              description: 'Total items count'
+              description: 'Total items count (page mode, or when includeTotal=true)'
+            },
+            limit: {
+              type: 'integer',
+              description: 'Items per page'
+            },
+            hasMore: {
+              type: 'boolean',
+              description: 'Whether more items follow'
+            },
+            nextCursor: {
+              type: 'string',
+              nullable: true,
+              description: 'Opaque cursor for the next page'
             }
           }
         }
       },
+      parameters: {
+        Cursor: {
+          in: 'query',
+          name: 'cursor',
+          schema: {
+            type: 'string'
+          },
+          description: 'Opaque cursor from X-Next-Cursor for stable createdAt-ordered pagination (page is ignored)'
+        },
+        IncludeTotal: {
+          in: 'query',
+          name: 'includeTotal',
+          schema: {
+            type: 'boolean',
+            default: false
+          },
+          description: 'Count all matching items and return it in X-Total-Count'
+        }
+      },
+      headers: {
+        'X-Has-More': {
+          description: 'Whether more items follow',
+          schema: {
+            type: 'boolean'
+          }
+        },
+        'X-Next-Cursor': {
+          description: 'Cursor for the next page (only when more items follow)',
+          schema: {
+            type: 'string'
+          }
+        },
+        'X-Total-Count': {
+          description: 'Total number of matching items (only when counted)',
+          schema: {
+            type: 'integer'
+          }
+        }
+      },
       responses: {
         UnauthorizedError: {
           description: 'Authentication information is missing or invalid',
@@ -51,6 +51,7 @@ const options = {
                 id: { type: 'string' },
                 name: { type: 'string' },
                 email: { type: 'string', format: 'email' },
+                timezone: { type: 'string' },
                 profileImage: { type: 'string' }
               }
             },
@@ -71,10 +72,21 @@ const options = {
                   title: { type: 'string' },
                   content: { type: 'string' },
                   createdAt: { type: 'string', format: 'date-time' },
-                  templateId: { type: 'string' }
+                  updatedAt: { type: 'string', format: 'date-time' },
+                  templateId: { type: 'string', nullable: true }
                 }
               }
             },
+            upcomingReminders: {
+              type: 'array',
+              description: 'Memos with a reminder in the next 7 days, soonest first',
+              items: { $ref: '#/components/schemas/UpcomingItem' }
+            },
+            upcomingDueDates: {
+              type: 'array',
+              description: 'Memos due in the next 7 days, soonest first',
+              items: { $ref: '#/components/schemas/UpcomingItem' }
+            },
             quickActions: {
               type: 'array',
               items: {
@@ -88,6 +100,25 @@ const options = {
             }
           }
         },
+        UpcomingItem: {
+          type: 'object',
+          properties: {
+            memoId: { type: 'string' },
+            title: { type: 'string' },
+            dueDate: { type: 'string', format: 'date-time', nullable: true },
+            reminder: {
+              type: 'object',
+              nullable: true,
+              properties: {
+                remindAt: { type: 'string', format: 'date-time' },
+                repeat: { type: 'string', enum: ['none', 'daily', 'weekly', 'monthly', 'cron'] },
+                cron: { type: 'string', nullable: true },
+                timezone: { type: 'string' },
+                lastSentAt: { type: 'string', format: 'date-time', nullable: true }
+              }
+            }
+          }
+        },
         Notification: {
           type: 'object',
           properties: {
@@ -139,7 +170,7 @@ const options = {
                 username: { type: 'string' },
                 email: { type: 'string', format: 'email' },
                 profileImage: { type: 'string' },
-                role: { type: 'string' },
+                role: { type: 'string', enum: ['user', 'moderator', 'admin'] },
                 lastLoginAt: { type: 'string', format: 'date-time' },
                 preferences: {
                   type: 'object',
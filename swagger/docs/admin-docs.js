@@ -154,4 +154,55 @@
  *               $ref: '#/components/schemas/ErrorResponse'
  */
 
+/**
+ * @swagger
+ * /admin/users/{id}/role:
+ *   put:
+ *     summary: Update user role
+ *     description: Change the role and extra permissions of a specific user (admin only)
+ *     tags: [User Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [user, moderator, admin]
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Extra permissions granted on top of the role
+ *           example:
+ *             role: "moderator"
+ *             permissions: ["email:manage"]
+ *     responses:
+ *       200:
+ *         description: User role updated successfully
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+
 module.exports = {};
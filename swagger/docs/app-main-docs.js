@@ -3,8 +3,12 @@
  * /app/main:
  *   get:
  *     summary: Get app main dashboard data
- *     description: Retrieve dashboard data including user info, stats, and recent activity
+ *     description: |
+ *       Retrieve dashboard data for the authenticated user: profile, memo stats, recently updated memos,
+ *       and reminders and due dates in the next 7 days (up to 5 each).
  *     tags: [App Main]
+ *     security:
+ *       - bearerAuth: []
  *     responses:
  *       200:
  *         description: Dashboard data retrieved successfully
@@ -17,6 +21,8 @@
  *                   properties:
  *                     data:
  *                       $ref: '#/components/schemas/DashboardData'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
  */
 
 /**
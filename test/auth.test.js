@@ -0,0 +1,74 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { User } = require('../models');
+const authRouter = require('../routes/api/auth');
+const RefreshTokenService = require('../util/refreshTokenService');
+const { refreshTokenMiddleware } = require('../middleware/authMiddleware');
+
+describe('GET /api/auth/verify-email', () => {
+  let server;
+  let baseUrl;
+  const originalFindOne = User.findOne;
+  const lookups = [];
+
+  before(async () => {
+    // DB 없이 실행: 조회 조건만 기록
+    User.findOne = async (query) => {
+      lookups.push(query);
+      return null;
+    };
+
+    const app = express();
+    app.use('/api/auth', authRouter);
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/auth`;
+  });
+
+  after(async () => {
+    User.findOne = originalFindOne;
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('rejects an object token with 400 before looking up the user', async () => {
+    const response = await fetch(`${baseUrl}/verify-email?email=victim@example.com&token[$ne]=1`);
+
+    assert.equal(response.status, 400);
+    assert.equal(lookups.length, 0);
+  });
+
+  it('rejects an object email with 400', async () => {
+    const response = await fetch(`${baseUrl}/verify-email?email[$gt]=&token=123456`);
+
+    assert.equal(response.status, 400);
+    assert.equal(lookups.length, 0);
+  });
+
+  it('requires both email and token', async () => {
+    const response = await fetch(`${baseUrl}/verify-email?email=victim@example.com`);
+    const body = await response.json();
+
+    assert.equal(response.status, 400);
+    assert.equal(body.message, 'Email and verification token are required');
+  });
+});
+
+describe('refreshTokenMiddleware', () => {
+  it('keeps the user document on req.refreshUser and a plain user on req.user', async (t) => {
+    const userDoc = new User({ username: 'alice', email: 'alice@example.com', password: 'Password1!' });
+    t.mock.method(RefreshTokenService, 'rotate', async () => ({ user: userDoc, refreshToken: 'new-token' }));
+    const req = { body: { refreshToken: 'old-token' }, headers: {}, ip: '127.0.0.1' };
+    let called = false;
+
+    await refreshTokenMiddleware(req, {}, () => { called = true; });
+
+    assert.equal(called, true);
+    assert.equal(req.refreshUser, userDoc);
+    assert.equal(req.refreshToken, 'new-token');
+    assert.equal(req.user.id, userDoc._id.toString());
+    assert.equal(req.user.username, 'alice');
+    assert.equal(req.user.password, undefined);
+    assert.equal(typeof req.user.save, 'undefined');
+  });
+});
@@ -0,0 +1,74 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const express = require('express');
+const { ConcurrencyControl } = require('../util/concurrencyControl');
+
+// fetch는 조건부 요청에 Cache-Control: no-cache를 붙여 304가 나오지 않으므로 http 모듈 사용
+const get = (url, headers = {}) => new Promise((resolve, reject) => {
+  http.get(url, { headers }, (response) => {
+    let data = '';
+    response.on('data', chunk => { data += chunk; });
+    response.on('end', () => resolve({ status: response.statusCode, etag: response.headers.etag, body: data }));
+  }).on('error', reject);
+});
+
+const requestWith = (ifMatch) => ({ get: (name) => (name === 'If-Match' ? ifMatch : undefined) });
+
+describe('ConcurrencyControl.matches', () => {
+  const doc = { __v: 5 };
+
+  it('accepts a missing or wildcard If-Match', () => {
+    assert.equal(ConcurrencyControl.matches(requestWith(undefined), doc), true);
+    assert.equal(ConcurrencyControl.matches(requestWith('*'), doc), true);
+  });
+
+  it('compares only the version of a representation ETag', () => {
+    assert.equal(ConcurrencyControl.matches(requestWith('"5-abc"'), doc), true);
+    assert.equal(ConcurrencyControl.matches(requestWith('W/"5-x-y"'), doc), true);
+    assert.equal(ConcurrencyControl.matches(requestWith('"4-abc"'), doc), false);
+  });
+
+  it('still accepts a version-only ETag', () => {
+    assert.equal(ConcurrencyControl.matches(requestWith('"3", "5"'), doc), true);
+    assert.equal(ConcurrencyControl.matches(requestWith('"50"'), doc), false);
+  });
+});
+
+describe('ConcurrencyControl.setRepresentationETag', () => {
+  const memo = { __v: 2 };
+  let body;
+  let server;
+  let url;
+
+  before(async () => {
+    const app = express();
+    app.get('/memo', (req, res) => {
+      ConcurrencyControl.setRepresentationETag(res, memo, body);
+      res.json(body);
+    });
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    url = `http://127.0.0.1:${server.address().port}/memo`;
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('answers 304 only while the whole representation is unchanged', async () => {
+    body = { title: 'a', isPinned: false, version: 2 };
+    const { etag } = await get(url);
+    assert.match(etag, /^"2-/);
+
+    const unchanged = await get(url, { 'If-None-Match': etag });
+    assert.equal(unchanged.status, 304);
+
+    // 고정은 버전을 올리지 않지만 응답은 달라짐
+    body = { ...body, isPinned: true };
+    const pinned = await get(url, { 'If-None-Match': etag });
+    assert.equal(pinned.status, 200);
+    assert.notEqual(pinned.etag, etag);
+    assert.equal(JSON.parse(pinned.body).isPinned, true);
+  });
+});
@@ -0,0 +1,193 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { TextOperation, OperationError } = require('../util/textOperation');
+const realtimeService = require('../util/realtimeService');
+const collabService = require('../util/collabService');
+const { COLLAB_EVENTS } = require('../util/collabService');
+
+/**
+ * 같은 문서에 동시에 만든 두 operation을 양쪽 순서로 적용해 결과가 같은지 확인
+ * @returns {string} - 수렴한 문서
+ */
+const converge = (doc, a, b) => {
+  const [aPrime, bPrime] = TextOperation.transform(a, b);
+  const left = TextOperation.apply(TextOperation.apply(doc, a), bPrime);
+  const right = TextOperation.apply(TextOperation.apply(doc, b), aPrime);
+  assert.equal(left, right);
+  return left;
+};
+
+// 재현 가능한 난수 (mulberry32)
+const createRandom = (seed) => () => {
+  seed = (seed + 0x6D2B79F5) | 0;
+  let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+  t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+const randomOperation = (random, doc) => {
+  const components = [];
+  let index = 0;
+  while (index < doc.length) {
+    const length = 1 + Math.floor(random() * Math.min(5, doc.length - index));
+    const roll = random();
+    if (roll < 0.4) {
+      components.push(length);
+    } else if (roll < 0.7) {
+      components.push(-length);
+    } else {
+      components.push('xyz'.slice(0, 1 + Math.floor(random() * 3)), length);
+    }
+    index += length;
+  }
+  if (random() < 0.5) {
+    components.push('!');
+  }
+  return TextOperation.normalize(components.length > 0 ? components : ['?']);
+};
+
+describe('TextOperation.normalize', () => {
+  it('merges adjacent components of the same kind', () => {
+    assert.deepEqual(TextOperation.normalize([1, 2, 'a', 'b', -1, -2]), [3, 'ab', -3]);
+  });
+
+  it('puts an insert before an adjacent delete', () => {
+    assert.deepEqual(TextOperation.normalize([2, -3, 'y!']), [2, 'y!', -3]);
+    assert.deepEqual(TextOperation.normalize(['a', -1, 'b']), ['ab', -1]);
+  });
+
+  it('rejects empty, invalid and oversized operations', () => {
+    assert.throws(() => TextOperation.normalize([]), OperationError);
+    assert.throws(() => TextOperation.normalize('abc'), OperationError);
+    assert.throws(() => TextOperation.normalize([0]), OperationError);
+    assert.throws(() => TextOperation.normalize([1.5]), OperationError);
+    assert.throws(() => TextOperation.normalize(['']), OperationError);
+    assert.throws(() => TextOperation.normalize(new Array(1001).fill(1)), OperationError);
+  });
+});
+
+describe('TextOperation.apply', () => {
+  it('applies retain, insert and delete', () => {
+    assert.equal(TextOperation.apply('hello', [2, 'y!', -3]), 'hey!');
+  });
+
+  it('rejects an operation for a document of another length with 409', () => {
+    assert.throws(() => TextOperation.apply('hello', [3, 'x']), { statusCode: 409 });
+  });
+});
+
+describe('TextOperation.transform', () => {
+  it('puts the first operation first when both insert at the same spot', () => {
+    assert.equal(converge('ab', [1, 'X', 1], [1, 'Y', 1]), 'aXYb');
+    assert.equal(converge('', ['X'], ['Y']), 'XY');
+  });
+
+  it('deletes overlapping ranges only once', () => {
+    assert.equal(converge('abcdef', [1, -3, 2], [2, -3, 1]), 'af');
+    assert.equal(converge('abcdef', [-6], [1, -2, 3]), '');
+  });
+
+  it('keeps an insert made inside a range the other side deleted', () => {
+    assert.equal(converge('abcdef', [-6], [3, 'X', 3]), 'X');
+  });
+
+  it('rejects operations for different documents with 409', () => {
+    assert.throws(() => TextOperation.transform([3], [4]), { statusCode: 409 });
+  });
+
+  it('converges for random concurrent operations', () => {
+    const random = createRandom(42);
+    for (let round = 0; round < 500; round++) {
+      const doc = 'abcdefghij'.slice(0, Math.floor(random() * 11));
+      converge(doc, randomOperation(random, doc), randomOperation(random, doc));
+    }
+  });
+});
+
+describe('TextOperation.fromDiff', () => {
+  it('turns the old text into the new text', () => {
+    const cases = [
+      ['', ''],
+      ['', 'abc'],
+      ['abc', ''],
+      ['hello world', 'hello big world'],
+      ['aaaa', 'aa'],
+      ['abcabc', 'abXabc'],
+      ['same', 'same']
+    ];
+    for (const [oldText, newText] of cases) {
+      assert.equal(TextOperation.apply(oldText, TextOperation.fromDiff(oldText, newText)), newText);
+    }
+  });
+
+  it('changes only the words that differ', () => {
+    assert.deepEqual(TextOperation.fromDiff('hello world', 'hello big world'), [6, 'big ', 5]);
+    assert.deepEqual(TextOperation.fromDiff('hello world', 'Hello world!'), ['Hello', -5, 6, '!']);
+  });
+
+  it('replaces the changed part at once when too many words differ', () => {
+    const oldText = 'a '.repeat(600);
+    const newText = 'b '.repeat(600);
+    // 공통 접미사(마지막 공백)만 유지
+    assert.deepEqual(TextOperation.fromDiff(oldText, newText), [newText.slice(0, -1), -(oldText.length - 1), 1]);
+  });
+});
+
+describe('collabService.mergeExternalContent', () => {
+  const createContext = () => {
+    const callbacks = [];
+    return { callbacks, after: (callback) => callbacks.push(callback) };
+  };
+
+  it('keeps session edits and applies the outside change as an operation', async (t) => {
+    const publish = t.mock.method(realtimeService, 'publishToRoom', async () => {});
+    const state = collabService.createState({ content: 'hello world', __v: 3 });
+    state.content = 'hello big world';
+    state.version = 4;
+    state.dirty = true;
+    const context = createContext();
+
+    collabService.mergeExternalContent('memo-1', state, 'Hello world!', context);
+
+    assert.equal(state.content, 'Hello big world!');
+    assert.equal(state.savedContent, 'Hello world!');
+    assert.equal(state.version, 5);
+    assert.equal(state.dirty, true);
+
+    // 세션 참여자는 외부 변경을 일반 operation으로 받음
+    const entry = state.history[state.history.length - 1];
+    assert.equal(entry.sessionId, null);
+    assert.equal(TextOperation.apply('hello big world', entry.operation), 'Hello big world!');
+
+    await Promise.all(context.callbacks.map(callback => callback()));
+    assert.equal(publish.mock.calls[0].arguments[1], COLLAB_EVENTS.OPERATION);
+  });
+
+  it('is not dirty when the session had no edits of its own', () => {
+    const state = collabService.createState({ content: 'draft', __v: 0 });
+
+    collabService.mergeExternalContent('memo-2', state, 'final draft', createContext());
+
+    assert.equal(state.content, 'final draft');
+    assert.equal(state.dirty, false);
+  });
+
+  it('restarts from the saved content when the merge is too long', async (t) => {
+    const publish = t.mock.method(realtimeService, 'publishToRoom', async () => {});
+    const state = collabService.createState({ content: '', __v: 0 });
+    state.content = 'a'.repeat(6000);
+    state.history = [{ version: 1, operation: ['a'.repeat(6000)], sessionId: 's1' }];
+    state.version = 1;
+    state.dirty = true;
+    const context = createContext();
+
+    collabService.mergeExternalContent('memo-3', state, 'b'.repeat(6000), context);
+
+    assert.equal(state.content, 'b'.repeat(6000));
+    assert.deepEqual(state.history, []);
+    assert.equal(state.dirty, false);
+
+    await Promise.all(context.callbacks.map(callback => callback()));
+    assert.equal(publish.mock.calls[0].arguments[1], COLLAB_EVENTS.RESYNC);
+  });
+});
@@ -0,0 +1,166 @@
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { setRedisClient } = require('../util/redisService');
+const jwtService = require('../util/jwtService');
+const RefreshTokenService = require('../util/refreshTokenService');
+const tokenRevocationService = require('../util/tokenRevocationService');
+const { TokenRevocationService, RevocationUnavailableError } = require('../util/tokenRevocationService');
+const { verifyAccessToken } = require('../middleware/authMiddleware');
+
+/**
+ * 테스트용 인메모리 Redis 대체 클라이언트 (사용하는 명령만 구현)
+ */
+class InMemoryRedis {
+  constructor() {
+    this.store = new Map();
+  }
+
+  read(key) {
+    const entry = this.store.get(key);
+    if (entry && entry.expiresAt && entry.expiresAt <= Date.now()) {
+      this.store.delete(key);
+      return null;
+    }
+    return entry ? entry.value : null;
+  }
+
+  async set(key, value, options = {}) {
+    this.store.set(key, {
+      value: String(value),
+      expiresAt: options.EX ? Date.now() + options.EX * 1000 : null
+    });
+    return 'OK';
+  }
+
+  async get(key) {
+    return this.read(key);
+  }
+
+  async exists(key) {
+    return this.read(key) === null ? 0 : 1;
+  }
+
+  async incr(key) {
+    const value = parseInt(this.read(key) || '0', 10) + 1;
+    await this.set(key, value);
+    return value;
+  }
+}
+
+/**
+ * 모든 명령이 실패하는 클라이언트 (Redis 장애)
+ */
+const unavailableRedis = new Proxy({}, {
+  get: () => async () => {
+    throw new Error('connect ECONNREFUSED 127.0.0.1:6379');
+  }
+});
+
+const USER_ID = '64b000000000000000000001';
+
+const issueToken = (tokenVersion = 0) => {
+  const token = jwtService.generateToken({ userId: USER_ID, tokenVersion });
+  return { token, decoded: jwtService.verifyToken(token) };
+};
+
+describe('tokenRevocationService', () => {
+  beforeEach(() => {
+    setRedisClient(new InMemoryRedis());
+  });
+
+  after(() => {
+    setRedisClient(null);
+  });
+
+  it('revokes a single token until it expires', async () => {
+    const { decoded } = issueToken();
+    const { decoded: other } = issueToken();
+
+    assert.equal(await tokenRevocationService.revokeToken(decoded), true);
+    assert.equal(await tokenRevocationService.isRevoked(decoded), true);
+    assert.equal(await tokenRevocationService.isRevoked(other), false);
+  });
+
+  it('does not store tokens that are already expired', async () => {
+    const decoded = { jti: 'expired', userId: USER_ID, exp: Math.floor(Date.now() / 1000) - 1 };
+
+    assert.equal(await tokenRevocationService.revokeToken(decoded), false);
+  });
+
+  it('revokes tokens issued before the token version was bumped', async () => {
+    const { decoded: before } = issueToken(await tokenRevocationService.getTokenVersion(USER_ID));
+
+    const version = await tokenRevocationService.bumpTokenVersion(USER_ID);
+    const { decoded: afterBump } = issueToken(await tokenRevocationService.getTokenVersion(USER_ID));
+
+    assert.equal(version, 1);
+    assert.equal(await tokenRevocationService.isRevoked(before), true);
+    assert.equal(await tokenRevocationService.isRevoked(afterBump), false);
+  });
+
+  it('fails closed when Redis is unavailable', async () => {
+    setRedisClient(unavailableRedis);
+    const { decoded } = issueToken();
+
+    await assert.rejects(tokenRevocationService.isRevoked(decoded), RevocationUnavailableError);
+    await assert.rejects(tokenRevocationService.getTokenVersion(USER_ID), { statusCode: 503 });
+  });
+
+  it('ends every session by bumping the token version and revoking refresh tokens', async (t) => {
+    const revokeAll = t.mock.method(RefreshTokenService, 'revokeAllForUser', async () => {});
+    const { decoded } = issueToken(await tokenRevocationService.getTokenVersion(USER_ID));
+
+    await tokenRevocationService.revokeAllSessions(USER_ID, 'password_changed');
+
+    assert.equal(await tokenRevocationService.isRevoked(decoded), true);
+    assert.deepEqual(revokeAll.mock.calls[0].arguments, [USER_ID, 'password_changed']);
+  });
+
+  it('fails when sessions cannot be ended, even with fail-open configured', async (t) => {
+    setRedisClient(unavailableRedis);
+    const revokeAll = t.mock.method(RefreshTokenService, 'revokeAllForUser', async () => {});
+    const previous = process.env.TOKEN_REVOCATION_FAIL_OPEN;
+    process.env.TOKEN_REVOCATION_FAIL_OPEN = 'true';
+    const failOpenService = new TokenRevocationService();
+    process.env.TOKEN_REVOCATION_FAIL_OPEN = previous;
+
+    await assert.rejects(tokenRevocationService.revokeAllSessions(USER_ID, 'password_changed'), { statusCode: 503 });
+    await assert.rejects(failOpenService.revokeAllSessions(USER_ID, 'password_changed'), RevocationUnavailableError);
+    assert.equal(revokeAll.mock.callCount(), 0);
+  });
+
+  it('skips the check when fail-open is configured', async () => {
+    setRedisClient(unavailableRedis);
+    const previous = process.env.TOKEN_REVOCATION_FAIL_OPEN;
+    process.env.TOKEN_REVOCATION_FAIL_OPEN = 'true';
+    const failOpenService = new TokenRevocationService();
+    process.env.TOKEN_REVOCATION_FAIL_OPEN = previous;
+
+    assert.equal(await failOpenService.isRevoked(issueToken().decoded), false);
+    assert.equal(await failOpenService.getTokenVersion(USER_ID), 0);
+  });
+});
+
+describe('verifyAccessToken', () => {
+  after(() => {
+    setRedisClient(null);
+  });
+
+  it('rejects revoked tokens with 401', async () => {
+    setRedisClient(new InMemoryRedis());
+    const { token, decoded } = issueToken();
+    await tokenRevocationService.revokeToken(decoded);
+
+    const result = await verifyAccessToken(token);
+    assert.equal(result.statusCode, 401);
+    assert.equal(result.error, 'Token has been revoked');
+  });
+
+  it('responds with 503 when the revocation check cannot run', async () => {
+    setRedisClient(unavailableRedis);
+    const { token } = issueToken();
+
+    const result = await verifyAccessToken(token);
+    assert.equal(result.statusCode, 503);
+  });
+});
@@ -0,0 +1,198 @@
+const { User, Memo, Folder, File, RefreshToken, AuditLog, AUDIT_ACTIONS } = require('../models');
+const FileService = require('./fileService');
+const memoRevisionService = require('./memoRevisionService');
+const memoImportService = require('./memoImportService');
+const emailService = require('./emailService');
+const bruteForceService = require('./bruteForceService');
+const { ATTEMPT_SCOPES } = bruteForceService;
+const { getRedisClient } = require('./redisService');
+const logger = require('./logger');
+
+/**
+ * 계정 삭제 관리
+ * 본인 삭제 요청은 유예 기간 후 삭제되도록 예약하고, 주기적으로 만료된 요청을 처리합니다.
+ * 삭제 시 메모(리비전 포함), 업로드 파일(디스크 포함), 가져오기 작업, 리프레시 토큰, Redis 캐시를 함께 정리합니다.
+ */
+class AccountDeletionService {
+  constructor() {
+    this.gracePeriodDays = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 14;
+    this.checkIntervalMs = (parseInt(process.env.ACCOUNT_DELETION_CHECK_MINUTES) || 60) * 60 * 1000;
+    this.processingInterval = null;
+    this.isRunning = false;
+  }
+
+  /**
+   * 계정 삭제 예약
+   * @param {User} user - 사용자 문서
+   * @returns {Promise<Date>} - 삭제 예정 시각
+   */
+  async scheduleDeletion(user) {
+    const now = new Date();
+    user.deletionRequestedAt = now;
+    user.deletionScheduledFor = new Date(now.getTime() + this.gracePeriodDays * 24 * 60 * 60 * 1000);
+    await user.save();
+
+    try {
+      await emailService.sendAccountDeletionScheduledEmail(user.email, user.username, user.deletionScheduledFor);
+    } catch (error) {
+      logger.error(`Failed to send deletion scheduled email: ${error.message}`);
+    }
+
+    logger.info(`Account deletion scheduled for ${user.username} at ${user.deletionScheduledFor.toISOString()}`);
+    return user.deletionScheduledFor;
+  }
+
+  /**
+   * 계정 삭제 예약 취소
+   * @param {User} user - 사용자 문서
+   * @returns {Promise<boolean>} - 취소된 예약이 있었는지 여부
+   */
+  async cancelDeletion(user) {
+    if (!user.deletionScheduledFor) {
+      return false;
+    }
+
+    user.deletionRequestedAt = null;
+    user.deletionScheduledFor = null;
+    await user.save();
+
+    logger.info(`Account deletion cancelled for ${user.username}`);
+    return true;
+  }
+
+  /**
+   * 사용자와 관련 데이터 즉시 삭제
+   * @param {User} user - 사용자 문서
+   * @returns {Promise<{memos: number, files: number}>} - 삭제된 항목 수
+   */
+  async purgeUser(user) {
+    const userId = user._id.toString();
+    // userId/uploadedBy는 Mixed 타입이므로 ObjectId와 문자열 모두 조회
+    const ownerIds = [user._id, userId];
+
+    // 진행 중인 가져오기가 삭제 중인 계정에 메모를 더 만들지 않도록 먼저 삭제
+    await memoImportService.deleteUserJobs(user._id);
+
+    const memoIds = await Memo.find({ userId: { $in: ownerIds } }).distinct('_id');
+    const { deletedCount: memos } = await Memo.deleteMany({ _id: { $in: memoIds } });
+    await memoRevisionService.deleteRevisions(memoIds);
+
+    // 다른 사용자 메모에 남은 공유 권한 정리
+    await Memo.updateMany(
+      { 'shares.userId': user._id },
+      { $pull: { shares: { userId: user._id } } },
+      { timestamps: false }
+    );
+
+    const files = await File.find({ uploadedBy: { $in: ownerIds } }).select('_id');
+    let deletedFiles = 0;
+    for (const file of files) {
+      try {
+        await FileService.hardDeleteFile(file._id);
+        deletedFiles++;
+      } catch (error) {
+        logger.error(`Failed to delete file ${file._id} of user ${userId}: ${error.message}`);
+      }
+    }
+
+    await Folder.deleteMany({ userId: user._id });
+    await RefreshToken.deleteMany({ userId: user._id });
+    await this.purgeCaches(userId);
+    await user.deleteOne();
+
+    await AuditLog.record(AUDIT_ACTIONS.ACCOUNT_DELETED, {
+      userId: user._id,
+      metadata: { memos, files: deletedFiles }
+    });
+
+    try {
+      await emailService.sendAccountDeletedEmail(user.email, user.username);
+    } catch (error) {
+      logger.error(`Failed to send account deleted email: ${error.message}`);
+    }
+
+    logger.success(`Account purged: ${user.username} (${memos} memos, ${deletedFiles} files)`);
+    return { memos, files: deletedFiles };
+  }
+
+  /**
+   * 사용자 관련 Redis 키 삭제 (Redis 오류는 무시)
+   */
+  async purgeCaches(userId) {
+    try {
+      const bruteForceKeys = Object.values(ATTEMPT_SCOPES).flatMap(scope =>
+        ['fails', 'last', 'lock', 'unlock'].map(suffix => bruteForceService.accountKey(scope, userId, suffix))
+      );
+
+      const redisClient = getRedisClient();
+      await redisClient.del([`user:${userId}`, `auth:token-version:${userId}`, ...bruteForceKeys]);
+    } catch (error) {
+      logger.warning(`Failed to purge Redis caches for user ${userId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * 유예 기간이 끝난 삭제 요청 처리
+   * @returns {Promise<number>} - 삭제된 계정 수
+   */
+  async processDueDeletions() {
+    if (this.isRunning) {
+      return 0;
+    }
+
+    this.isRunning = true;
+    let processed = 0;
+
+    try {
+      const dueUsers = await User.find({ deletionScheduledFor: { $ne: null, $lte: new Date() } });
+
+      for (const user of dueUsers) {
+        try {
+          await this.purgeUser(user);
+          processed++;
+        } catch (error) {
+          logger.error(`Failed to purge account ${user.username}: ${error.message}`);
+        }
+      }
+    } catch (error) {
+      logger.error(`Account deletion processing error: ${error.message}`);
+    } finally {
+      this.isRunning = false;
+    }
+
+    return processed;
+  }
+
+  /**
+   * 주기적 처리 시작
+   */
+  startProcessing() {
+    if (this.processingInterval) {
+      logger.warning('Account deletion processing is already running');
+      return;
+    }
+
+    this.processingInterval = setInterval(() => {
+      this.processDueDeletions();
+    }, this.checkIntervalMs);
+    this.processingInterval.unref();
+
+    logger.info(`Account deletion processing started (grace period: ${this.gracePeriodDays} days)`);
+  }
+
+  /**
+   * 주기적 처리 중지
+   */
+  stopProcessing() {
+    if (this.processingInterval) {
+      clearInterval(this.processingInterval);
+      this.processingInterval = null;
+    }
+    logger.info('Account deletion processing stopped');
+  }
+}
+
+// 싱글톤 인스턴스
+const accountDeletionService = new AccountDeletionService();
+
+module.exports = accountDeletionService;
@@ -0,0 +1,236 @@
+const crypto = require('crypto');
+const { getRedisClient } = require('./redisService');
+const logger = require('./logger');
+
+// 보호 대상 범위
+const ATTEMPT_SCOPES = {
+  LOGIN: 'login',
+  VERIFY_EMAIL: 'verify-email',
+  EMAIL_CHANGE: 'email-change',
+  TWO_FACTOR: 'two-factor'
+};
+
+// 범위별 설정
+// - freeAttempts: 지연 없이 허용되는 실패 횟수 (이후 1, 2, 4... 초씩 대기 시간 증가)
+// - maxAccountFailures / maxIpFailures: 잠금이 발생하는 실패 횟수 (windowSeconds 동안 누적)
+const SCOPE_CONFIG = {
+  [ATTEMPT_SCOPES.LOGIN]: {
+    freeAttempts: 3,
+    maxDelaySeconds: 30,
+    maxAccountFailures: 10,
+    maxIpFailures: 50,
+    windowSeconds: 15 * 60,
+    lockSeconds: 15 * 60
+  },
+  [ATTEMPT_SCOPES.VERIFY_EMAIL]: {
+    freeAttempts: 2,
+    maxDelaySeconds: 30,
+    maxAccountFailures: 5,
+    maxIpFailures: 30,
+    windowSeconds: 60 * 60,
+    lockSeconds: 60 * 60
+  },
+  [ATTEMPT_SCOPES.EMAIL_CHANGE]: {
+    freeAttempts: 2,
+    maxDelaySeconds: 30,
+    maxAccountFailures: 5,
+    maxIpFailures: 30,
+    windowSeconds: 60 * 60,
+    lockSeconds: 60 * 60
+  },
+  [ATTEMPT_SCOPES.TWO_FACTOR]: {
+    freeAttempts: 2,
+    maxDelaySeconds: 30,
+    maxAccountFailures: 5,
+    maxIpFailures: 30,
+    windowSeconds: 15 * 60,
+    lockSeconds: 15 * 60
+  }
+};
+
+/**
+ * 무차별 대입 방지 (Redis)
+ * 계정별/IP별 실패 횟수를 기록하고, 점진적 지연과 임시 잠금을 적용합니다.
+ * Redis를 사용할 수 없으면 제한 없이 통과시킵니다 (선택적 의존성).
+ */
+class BruteForceService {
+  constructor() {
+    this.prefix = 'bf:';
+  }
+
+  accountKey(scope, account, suffix) {
+    return `${this.prefix}${scope}:acct:${account}:${suffix}`;
+  }
+
+  ipKey(scope, ip, suffix) {
+    return `${this.prefix}${scope}:ip:${ip}:${suffix}`;
+  }
+
+  /**
+   * 시도 가능 여부 확인
+   * @param {string} scope - 보호 범위 (ATTEMPT_SCOPES)
+   * @param {Object} target - { account, ip }
+   * @returns {Promise<{allowed: boolean, reason?: string, retryAfter?: number}>}
+   */
+  async check(scope, { account, ip }) {
+    const config = SCOPE_CONFIG[scope];
+
+    try {
+      const redisClient = getRedisClient();
+
+      if (ip) {
+        const ipLockTtl = await redisClient.ttl(this.ipKey(scope, ip, 'lock'));
+        if (ipLockTtl > 0) {
+          return { allowed: false, reason: 'ip_blocked', retryAfter: ipLockTtl };
+        }
+      }
+
+      if (!account) {
+        return { allowed: true };
+      }
+
+      const lockTtl = await redisClient.ttl(this.accountKey(scope, account, 'lock'));
+      if (lockTtl > 0) {
+        return { allowed: false, reason: 'account_locked', retryAfter: lockTtl };
+      }
+
+      const [failures, lastFailureAt] = await Promise.all([
+        redisClient.get(this.accountKey(scope, account, 'fails')),
+        redisClient.get(this.accountKey(scope, account, 'last'))
+      ]);
+
+      const failureCount = failures ? parseInt(failures, 10) : 0;
+      if (failureCount >= config.freeAttempts && lastFailureAt) {
+        const delaySeconds = Math.min(2 ** (failureCount - config.freeAttempts), config.maxDelaySeconds);
+        const retryAfter = Math.ceil((parseInt(lastFailureAt, 10) + delaySeconds * 1000 - Date.now()) / 1000);
+        if (retryAfter > 0) {
+          return { allowed: false, reason: 'too_soon', retryAfter };
+        }
+      }
+
+      return { allowed: true };
+    } catch (error) {
+      logger.warning(`Brute force check skipped (${scope}): ${error.message}`);
+      return { allowed: true };
+    }
+  }
+
+  /**
+   * 실패 기록
+   * @param {string} scope - 보호 범위 (ATTEMPT_SCOPES)
+   * @param {Object} target - { account, ip }
+   * @returns {Promise<{failures: number, accountLocked: boolean, ipBlocked: boolean, lockSeconds: number}>}
+   *   accountLocked/ipBlocked는 이번 실패로 잠금이 새로 발생한 경우에만 true
+   */
+  async recordFailure(scope, { account, ip }) {
+    const config = SCOPE_CONFIG[scope];
+    const result = { failures: 0, accountLocked: false, ipBlocked: false, lockSeconds: config.lockSeconds };
+
+    try {
+      const redisClient = getRedisClient();
+
+      if (account) {
+        const failsKey = this.accountKey(scope, account, 'fails');
+        result.failures = await redisClient.incr(failsKey);
+        if (result.failures === 1) {
+          await redisClient.expire(failsKey, config.windowSeconds);
+        }
+        await redisClient.set(this.accountKey(scope, account, 'last'), Date.now().toString(), { EX: config.windowSeconds });
+
+        if (result.failures >= config.maxAccountFailures) {
+          await redisClient.set(this.accountKey(scope, account, 'lock'), '1', { EX: config.lockSeconds });
+          await redisClient.del([failsKey, this.accountKey(scope, account, 'last')]);
+          result.accountLocked = true;
+          logger.warning(`Account locked (${scope}): ${account} after ${result.failures} failures`);
+        }
+      }
+
+      if (ip) {
+        const ipFailsKey = this.ipKey(scope, ip, 'fails');
+        const ipFailures = await redisClient.incr(ipFailsKey);
+        if (ipFailures === 1) {
+          await redisClient.expire(ipFailsKey, config.windowSeconds);
+        }
+
+        if (ipFailures >= config.maxIpFailures) {
+          await redisClient.set(this.ipKey(scope, ip, 'lock'), '1', { EX: config.lockSeconds });
+          await redisClient.del(ipFailsKey);
+          result.ipBlocked = true;
+          logger.warning(`IP blocked (${scope}): ${ip} after ${ipFailures} failures`);
+        }
+      }
+    } catch (error) {
+      logger.warning(`Failed to record attempt failure (${scope}): ${error.message}`);
+    }
+
+    return result;
+  }
+
+  /**
+   * 성공 시 계정 실패 기록 초기화
+   */
+  async reset(scope, account) {
+    try {
+      const redisClient = getRedisClient();
+      await redisClient.del([
+        this.accountKey(scope, account, 'fails'),
+        this.accountKey(scope, account, 'last')
+      ]);
+    } catch (error) {
+      logger.warning(`Failed to reset attempt counter (${scope}): ${error.message}`);
+    }
+  }
+
+  /**
+   * 계정 잠금 해제
+   */
+  async unlock(scope, account) {
+    const redisClient = getRedisClient();
+    await redisClient.del([
+      this.accountKey(scope, account, 'lock'),
+      this.accountKey(scope, account, 'fails'),
+      this.accountKey(scope, account, 'last')
+    ]);
+    logger.info(`Account unlocked (${scope}): ${account}`);
+  }
+
+  /**
+   * 잠금 해제 토큰 생성 (평문은 이메일로 전달, Redis에는 해시 저장)
+   * @returns {Promise<string>} - 평문 토큰
+   */
+  async createUnlockToken(scope, account) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const redisClient = getRedisClient();
+    await redisClient.set(this.accountKey(scope, account, 'unlock'), this.hashToken(token), {
+      EX: SCOPE_CONFIG[scope].lockSeconds
+    });
+    return token;
+  }
+
+  /**
+   * 잠금 해제 토큰 검증 및 소모 (1회용)
+   * @returns {Promise<boolean>}
+   */
+  async consumeUnlockToken(scope, account, token) {
+    const redisClient = getRedisClient();
+    const key = this.accountKey(scope, account, 'unlock');
+    const storedHash = await redisClient.get(key);
+
+    if (!storedHash || storedHash !== this.hashToken(String(token))) {
+      return false;
+    }
+
+    await redisClient.del(key);
+    return true;
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+}
+
+// 싱글톤 인스턴스
+const bruteForceService = new BruteForceService();
+
+module.exports = bruteForceService;
+module.exports.ATTEMPT_SCOPES = ATTEMPT_SCOPES;
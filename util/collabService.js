@@ -0,0 +1,657 @@
+const crypto = require('crypto');
+const database = require('./database');
+const { Memo, MEMO_ACCESS } = require('../models');
+const { getRedisClient } = require('./redisService');
+const realtimeService = require('./realtimeService');
+const { REALTIME_EVENTS } = require('./realtimeService');
+const memoShareService = require('./memoShareService');
+const memoRevisionService = require('./memoRevisionService');
+const { ConcurrencyControl } = require('./concurrencyControl');
+const { TextOperation } = require('./textOperation');
+const logger = require('./logger');
+
+const mongoose = database.getMongoose();
+
+const ROOM_PREFIX = 'memo:';
+// 버전 차이가 이보다 크게 뒤처진 클라이언트는 다시 참여해야 함
+const HISTORY_LIMIT = 200;
+// Memo 스키마의 content 최대 길이
+const MAX_CONTENT_LENGTH = 10000;
+// 편집 상태/참여자 정보 보관 시간 (저장 주기마다 갱신)
+const STATE_TTL_SECONDS = 60 * 60;
+const LOCK_TTL_MS = 5000;
+const LOCK_RETRY_MS = 25;
+const LOCK_MAX_ATTEMPTS = 200;
+
+// 잠금을 잡은 쪽만 해제
+const RELEASE_LOCK_SCRIPT = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+  return redis.call('del', KEYS[1])
+end
+return 0`;
+
+// 클라이언트가 보내는 메시지 종류
+const COLLAB_MESSAGES = {
+  JOIN: 'collab.join',
+  LEAVE: 'collab.leave',
+  OPERATION: 'collab.operation',
+  CURSOR: 'collab.cursor'
+};
+
+// 클라이언트로 보내는 이벤트 종류
+const COLLAB_EVENTS = {
+  JOINED: 'collab.joined',         // 참여한 연결에만: 현재 본문과 버전, 참여자
+  OPERATION: 'collab.operation',   // 적용된 operation (보낸 연결에는 확인 응답)
+  PRESENCE: 'collab.presence',     // 참여/퇴장/커서 이동
+  RESYNC: 'collab.resync',         // 세션 밖의 본문 변경과 합칠 수 없어 저장된 본문으로 다시 시작
+  CLOSED: 'collab.closed'          // 메모가 삭제되어 세션 종료
+};
+
+const PRESENCE_ACTIONS = {
+  JOIN: 'join',
+  LEAVE: 'leave',
+  CURSOR: 'cursor'
+};
+
+/**
+ * 협업 편집 오류 (실시간 채널이 statusCode와 함께 error 이벤트로 응답)
+ */
+class CollabError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'CollabError';
+    this.statusCode = statusCode;
+  }
+}
+
+const getRoom = (memoId) => `${ROOM_PREFIX}${memoId}`;
+
+/**
+ * 참여자 목록 저장소
+ * Redis가 연결되어 있으면 메모별 해시(sessionId → 참여자)에, 아니면 현재 프로세스 메모리에 보관합니다.
+ */
+class PresenceStore {
+  constructor(service) {
+    this.service = service;
+    this.local = new Map(); // memoId → Map<sessionId, participant>
+  }
+
+  getKey(memoId) {
+    return `collab:presence:${memoId}`;
+  }
+
+  async add(memoId, participant) {
+    const redis = this.service.getRedis();
+    if (!redis) {
+      if (!this.local.has(memoId)) {
+        this.local.set(memoId, new Map());
+      }
+      this.local.get(memoId).set(participant.sessionId, participant);
+      return;
+    }
+
+    await redis.hSet(this.getKey(memoId), participant.sessionId, JSON.stringify(participant));
+    await redis.expire(this.getKey(memoId), STATE_TTL_SECONDS);
+  }
+
+  async update(memoId, sessionId, changes) {
+    const redis = this.service.getRedis();
+    if (!redis) {
+      const participant = this.local.has(memoId) && this.local.get(memoId).get(sessionId);
+      return participant ? Object.assign(participant, changes) : null;
+    }
+
+    const raw = await redis.hGet(this.getKey(memoId), sessionId);
+    if (!raw) {
+      return null;
+    }
+    const participant = { ...JSON.parse(raw), ...changes };
+    await redis.hSet(this.getKey(memoId), sessionId, JSON.stringify(participant));
+    return participant;
+  }
+
+  /**
+   * @returns {Promise<number>} - 남은 참여자 수
+   */
+  async remove(memoId, sessionId) {
+    const redis = this.service.getRedis();
+    if (!redis) {
+      const participants = this.local.get(memoId);
+      if (!participants) {
+        return 0;
+      }
+      participants.delete(sessionId);
+      if (participants.size === 0) {
+        this.local.delete(memoId);
+      }
+      return participants.size;
+    }
+
+    await redis.hDel(this.getKey(memoId), sessionId);
+    return redis.hLen(this.getKey(memoId));
+  }
+
+  async list(memoId) {
+    const redis = this.service.getRedis();
+    if (!redis) {
+      return [...(this.local.get(memoId) || new Map()).values()];
+    }
+
+    const values = await redis.hVals(this.getKey(memoId));
+    return values.map(value => JSON.parse(value));
+  }
+
+  async count(memoId) {
+    const redis = this.service.getRedis();
+    if (!redis) {
+      return this.local.has(memoId) ? this.local.get(memoId).size : 0;
+    }
+    return redis.hLen(this.getKey(memoId));
+  }
+}
+
+/**
+ * 메모 협업 편집 (실시간 채널 위의 Operational Transformation)
+ *
+ *   1. collab.join { memoId } → collab.joined { content, version, participants, ... }
+ *   2. collab.operation { memoId, version, operation }
+ *      version은 operation을 만든 기준 버전입니다. 서버는 그 이후에 적용된 operation들에 맞춰
+ *      변환한 뒤 적용하고 버전을 1 올려 모든 참여자에게 collab.operation으로 보냅니다.
+ *      보낸 연결은 자신의 sessionId가 담긴 이벤트를 확인 응답으로 받습니다.
+ *   3. collab.cursor { memoId, position, selectionEnd, version } → collab.presence
+ *
+ * 편집 상태(본문, 버전, 최근 operation 기록)는 Redis에 두고 메모별 잠금으로 여러 프로세스의 적용 순서를 맞춥니다.
+ * Redis가 없으면 현재 프로세스 메모리에서 처리합니다.
+ * 변경된 본문은 COLLAB_PERSIST_SECONDS마다 Memo에 저장하고, 리비전은 COLLAB_CHECKPOINT_MINUTES마다
+ * 또는 마지막 참여자가 나갈 때 기록합니다.
+ */
+class CollabService {
+  constructor() {
+    this.persistIntervalMs = (parseInt(process.env.COLLAB_PERSIST_SECONDS) || 5) * 1000;
+    this.checkpointIntervalMs = (parseInt(process.env.COLLAB_CHECKPOINT_MINUTES) || 5) * 60 * 1000;
+    this.persistInterval = null;
+    this.isRunning = false;
+    this.documents = new Map(); // Redis가 없을 때의 편집 상태: memoId → state
+    this.queues = new Map(); // 현재 프로세스 안의 메모별 처리 순서: memoId → Promise
+    this.presence = new PresenceStore(this);
+
+    realtimeService.registerHandler(COLLAB_MESSAGES.JOIN, (ws, data) => this.join(ws, data));
+    realtimeService.registerHandler(COLLAB_MESSAGES.LEAVE, (ws, data) => {
+      const memoId = this.parseMemoId(data);
+      this.assertJoined(ws, memoId);
+      return this.leave(ws, memoId);
+    });
+    realtimeService.registerHandler(COLLAB_MESSAGES.OPERATION, (ws, data) => this.applyOperation(ws, data));
+    realtimeService.registerHandler(COLLAB_MESSAGES.CURSOR, (ws, data) => this.moveCursor(ws, data));
+    realtimeService.onDisconnect((ws, rooms) => Promise.all(rooms
+      .filter(room => room.startsWith(ROOM_PREFIX))
+      .map(room => this.leave(ws, room.slice(ROOM_PREFIX.length)))));
+  }
+
+  /**
+   * 사용 가능한 Redis 클라이언트 (연결되지 않았으면 null)
+   */
+  getRedis() {
+    try {
+      const client = getRedisClient();
+      return client.isReady ? client : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  parseMemoId(data) {
+    const memoId = data && data.memoId;
+    if (typeof memoId !== 'string' || !mongoose.isValidObjectId(memoId)) {
+      throw new CollabError('Valid memoId is required');
+    }
+    return memoId;
+  }
+
+  parsePosition(value, name) {
+    if (!Number.isInteger(value) || value < 0) {
+      throw new CollabError(`${name} must be a non-negative integer`);
+    }
+    return value;
+  }
+
+  assertJoined(ws, memoId) {
+    if (!ws.rooms.has(getRoom(memoId))) {
+      throw new CollabError('Join the memo first', 409);
+    }
+  }
+
+  /**
+   * 메모와 요청 사용자의 접근 수준 확인
+   * @param {string} memoId - 메모 ID
+   * @param {Object} user - 연결의 사용자
+   * @param {string} requiredAccess - MEMO_ACCESS 값
+   * @param {string} [fields] - 조회할 필드 (생략하면 전체)
+   * @returns {Promise<{memo: Memo, access: string}>}
+   */
+  async loadMemo(memoId, user, requiredAccess, fields) {
+    const query = Memo.findOne({ _id: memoId, deletedAt: null });
+    const memo = await (fields ? query.select(fields) : query);
+    if (!memo) {
+      throw new CollabError('Memo not found', 404);
+    }
+
+    const access = memoShareService.resolveAccess(memo, user);
+    if (!Memo.satisfiesAccess(access, requiredAccess)) {
+      throw new CollabError(access ? 'Editor access is required' : 'Memo not found', access ? 403 : 404);
+    }
+    return { memo, access };
+  }
+
+  /**
+   * 메모 편집 상태를 잠근 채로 작업 실행
+   * work는 context.state를 고치거나 바꿀 수 있고 (null이면 상태 삭제),
+   * context.after(fn)로 등록한 알림은 상태를 저장한 뒤 잠금을 풀기 전에 순서대로 실행됩니다.
+   * @param {string} memoId - 메모 ID
+   * @param {Function} work - async (context) => result
+   */
+  withDocument(memoId, work) {
+    const previous = this.queues.get(memoId) || Promise.resolve();
+    const run = previous.then(() => this.runLocked(memoId, work));
+    const tail = run.catch(() => {});
+
+    this.queues.set(memoId, tail);
+    tail.then(() => {
+      if (this.queues.get(memoId) === tail) {
+        this.queues.delete(memoId);
+      }
+    });
+    return run;
+  }
+
+  async runLocked(memoId, work) {
+    const redis = this.getRedis();
+    const callbacks = [];
+    const context = { state: null, after: (callback) => callbacks.push(callback) };
+
+    if (!redis) {
+      context.state = this.documents.get(memoId) || null;
+      const result = await work(context);
+      if (context.state) {
+        this.documents.set(memoId, context.state);
+      } else {
+        this.documents.delete(memoId);
+      }
+      await this.runCallbacks(callbacks);
+      return result;
+    }
+
+    const stateKey = `collab:doc:${memoId}`;
+    const lockKey = `collab:lock:${memoId}`;
+    const token = await this.acquireLock(redis, lockKey);
+
+    try {
+      const raw = await redis.get(stateKey);
+      context.state = raw ? JSON.parse(raw) : null;
+      const result = await work(context);
+      if (context.state) {
+        await redis.set(stateKey, JSON.stringify(context.state), { EX: STATE_TTL_SECONDS });
+      } else {
+        await redis.del(stateKey);
+      }
+      await this.runCallbacks(callbacks);
+      return result;
+    } finally {
+      await redis.eval(RELEASE_LOCK_SCRIPT, { keys: [lockKey], arguments: [token] })
+        .catch(error => logger.warning(`Failed to release collab lock ${lockKey}: ${error.message}`));
+    }
+  }
+
+  async acquireLock(redis, lockKey) {
+    const token = crypto.randomUUID();
+    for (let attempt = 0; attempt < LOCK_MAX_ATTEMPTS; attempt++) {
+      const acquired = await redis.set(lockKey, token, {
+        condition: 'NX',
+        expiration: { type: 'PX', value: LOCK_TTL_MS }
+      });
+      if (acquired) {
+        return token;
+      }
+      await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+    }
+    throw new CollabError('Memo is busy, please try again', 503);
+  }
+
+  async runCallbacks(callbacks) {
+    for (const callback of callbacks) {
+      await callback();
+    }
+  }
+
+  createState(memo) {
+    return {
+      content: memo.content || '',
+      // 마지막으로 불러오거나 저장한 본문 (세션 밖의 본문 변경을 찾는 기준)
+      savedContent: memo.content || '',
+      version: 0,
+      memoVersion: ConcurrencyControl.getVersion(memo),
+      history: [], // [{ version, operation, sessionId }]
+      dirty: false,
+      lastEditorId: null,
+      checkpointPending: false,
+      lastCheckpointAt: Date.now()
+    };
+  }
+
+  /**
+   * 편집 세션 참여 (이미 참여 중이면 현재 상태를 다시 받음)
+   */
+  async join(ws, data) {
+    const memoId = this.parseMemoId(data);
+    const { memo, access } = await this.loadMemo(memoId, ws.user, MEMO_ACCESS.VIEWER);
+    const room = getRoom(memoId);
+
+    const participant = {
+      sessionId: ws.sessionId,
+      userId: ws.user.id,
+      username: ws.user.username,
+      access,
+      cursor: null,
+      joinedAt: new Date().toISOString()
+    };
+    await this.presence.add(memoId, participant);
+
+    await this.withDocument(memoId, async (context) => {
+      if (!context.state) {
+        context.state = this.createState(memo);
+      }
+      const { content, version } = context.state;
+
+      // 상태를 읽은 시점 이후의 operation부터 받도록 잠금 안에서 방에 참여
+      context.after(async () => {
+        realtimeService.joinRoom(ws, room);
+        realtimeService.send(ws, COLLAB_EVENTS.JOINED, {
+          memoId,
+          title: memo.title,
+          format: memo.format,
+          access,
+          content,
+          version,
+          participants: await this.presence.list(memoId)
+        });
+      });
+    });
+
+    await realtimeService.publishToRoom(room, COLLAB_EVENTS.PRESENCE, {
+      memoId,
+      action: PRESENCE_ACTIONS.JOIN,
+      participant
+    });
+    logger.debug(`Collab session joined: memo ${memoId} by ${ws.user.username}`);
+  }
+
+  /**
+   * 편집 세션에서 나감 (마지막 참여자면 저장 후 상태 정리)
+   */
+  async leave(ws, memoId) {
+    realtimeService.leaveRoom(ws, getRoom(memoId));
+    const remaining = await this.presence.remove(memoId, ws.sessionId);
+
+    await realtimeService.publishToRoom(getRoom(memoId), COLLAB_EVENTS.PRESENCE, {
+      memoId,
+      action: PRESENCE_ACTIONS.LEAVE,
+      participant: { sessionId: ws.sessionId, userId: ws.user.id, username: ws.user.username }
+    });
+
+    if (remaining === 0) {
+      await this.persist(memoId, { checkpoint: true, close: true });
+    }
+  }
+
+  /**
+   * 클라이언트 operation 적용
+   */
+  async applyOperation(ws, data) {
+    const memoId = this.parseMemoId(data);
+    this.assertJoined(ws, memoId);
+    const baseVersion = this.parsePosition(data.version, 'version');
+    let operation = TextOperation.normalize(data.operation);
+
+    // 참여 후 권한이 회수되었을 수 있으므로 매번 확인
+    await this.loadMemo(memoId, ws.user, MEMO_ACCESS.EDITOR, 'userId shares');
+
+    await this.withDocument(memoId, async (context) => {
+      const state = context.state;
+      if (!state) {
+        throw new CollabError('Editing session has ended, please join again', 409);
+      }
+
+      const oldestVersion = state.history.length > 0 ? state.history[0].version - 1 : state.version;
+      if (baseVersion > state.version || baseVersion < oldestVersion) {
+        throw new CollabError('Document version is out of date, please join again', 409);
+      }
+
+      // 기준 버전 이후에 적용된 operation들에 맞춰 변환
+      state.history
+        .filter(entry => entry.version > baseVersion)
+        .forEach(entry => {
+          [operation] = TextOperation.transform(operation, entry.operation);
+        });
+
+      const content = TextOperation.apply(state.content, operation);
+      if (content.length > MAX_CONTENT_LENGTH) {
+        throw new CollabError(`Memo content cannot exceed ${MAX_CONTENT_LENGTH} characters`);
+      }
+
+      state.content = content;
+      state.version += 1;
+      state.history.push({ version: state.version, operation, sessionId: ws.sessionId });
+      if (state.history.length > HISTORY_LIMIT) {
+        state.history.splice(0, state.history.length - HISTORY_LIMIT);
+      }
+      state.dirty = true;
+      state.lastEditorId = ws.user.id;
+
+      const event = {
+        memoId,
+        version: state.version,
+        operation,
+        sessionId: ws.sessionId,
+        userId: ws.user.id
+      };
+      context.after(() => realtimeService.publishToRoom(getRoom(memoId), COLLAB_EVENTS.OPERATION, event));
+    });
+  }
+
+  /**
+   * 커서/선택 영역 이동 알림
+   */
+  async moveCursor(ws, data) {
+    const memoId = this.parseMemoId(data);
+    this.assertJoined(ws, memoId);
+
+    const position = this.parsePosition(data.position, 'position');
+    const cursor = {
+      position,
+      selectionEnd: data.selectionEnd === undefined ? position : this.parsePosition(data.selectionEnd, 'selectionEnd'),
+      version: this.parsePosition(data.version, 'version')
+    };
+
+    const participant = await this.presence.update(memoId, ws.sessionId, { cursor });
+    if (!participant) {
+      throw new CollabError('Join the memo first', 409);
+    }
+
+    await realtimeService.publishToRoom(getRoom(memoId), COLLAB_EVENTS.PRESENCE, {
+      memoId,
+      action: PRESENCE_ACTIONS.CURSOR,
+      participant
+    });
+  }
+
+  /**
+   * 세션 밖(REST API 등)에서 바뀐 본문을 세션 본문과 합침
+   * 마지막 저장 이후의 세션 변경과 외부 변경을 각각 operation으로 만들어 변환한 뒤
+   * 외부 변경을 세션의 operation으로 적용하므로 참여자는 일반 operation처럼 받습니다.
+   * 합친 본문이 최대 길이를 넘으면 저장된 본문으로 세션을 다시 시작합니다 (RESYNC).
+   */
+  mergeExternalContent(memoId, state, externalContent, context) {
+    const local = TextOperation.fromDiff(state.savedContent, state.content);
+    const external = TextOperation.fromDiff(state.savedContent, externalContent);
+    const [, operation] = TextOperation.transform(local, external);
+    const merged = TextOperation.apply(state.content, operation);
+
+    state.savedContent = externalContent;
+    state.version += 1;
+
+    if (merged.length > MAX_CONTENT_LENGTH) {
+      state.content = externalContent;
+      state.history = [];
+      state.dirty = false;
+      context.after(() => realtimeService.publishToRoom(getRoom(memoId), COLLAB_EVENTS.RESYNC, {
+        memoId,
+        content: state.content,
+        version: state.version
+      }));
+      return;
+    }
+
+    state.content = merged;
+    state.history.push({ version: state.version, operation, sessionId: null });
+    if (state.history.length > HISTORY_LIMIT) {
+      state.history.splice(0, state.history.length - HISTORY_LIMIT);
+    }
+    state.dirty = merged !== externalContent;
+
+    const event = { memoId, version: state.version, operation, sessionId: null, userId: null };
+    context.after(() => realtimeService.publishToRoom(getRoom(memoId), COLLAB_EVENTS.OPERATION, event));
+  }
+
+  /**
+   * 편집 상태를 Memo에 저장하고 필요하면 리비전 기록
+   * 세션 밖에서 메모가 수정되었으면 본문이 바뀐 경우에만 세션 본문과 합치고
+   * (제목/태그 등만 바뀌었으면 세션 본문 그대로 저장), 세션 편집 내용은 버리지 않습니다.
+   * @param {string} memoId - 메모 ID
+   * @param {Object} options - { checkpoint: 주기와 관계없이 리비전 기록, close: 참여자가 없으면 상태 삭제 }
+   */
+  persist(memoId, { checkpoint = false, close = false } = {}) {
+    const room = getRoom(memoId);
+
+    return this.withDocument(memoId, async (context) => {
+      const state = context.state;
+      if (!state) {
+        return;
+      }
+
+      const memo = await Memo.findOne({ _id: memoId, deletedAt: null });
+      if (!memo) {
+        context.state = null;
+        context.after(() => realtimeService.publishToRoom(room, COLLAB_EVENTS.CLOSED, { memoId, reason: 'Memo was deleted' }));
+        return;
+      }
+
+      if (ConcurrencyControl.getVersion(memo) !== state.memoVersion) {
+        const externalContent = memo.content || '';
+        if (externalContent !== state.savedContent) {
+          this.mergeExternalContent(memoId, state, externalContent, context);
+        }
+        state.memoVersion = ConcurrencyControl.getVersion(memo);
+        // 세션 밖의 수정은 그쪽에서 리비전을 기록함
+        state.checkpointPending = false;
+      }
+
+      if (state.dirty) {
+        // 리비전 기록 이전에 만들어진 메모는 수정 전 상태를 먼저 보존
+        await memoRevisionService.ensureBaseline(memo);
+        memo.content = state.content;
+        try {
+          await memo.save();
+        } catch (error) {
+          if (!ConcurrencyControl.isVersionError(error)) {
+            throw error;
+          }
+          // 조회와 저장 사이에 다른 요청이 먼저 저장함 (세션 본문은 그대로 두고 다음 주기에 합쳐서 저장)
+          return;
+        }
+
+        state.memoVersion = ConcurrencyControl.getVersion(memo);
+        state.savedContent = state.content;
+        state.dirty = false;
+        state.checkpointPending = true;
+        context.after(() => realtimeService.publishMemoEvent(REALTIME_EVENTS.MEMO_UPDATED, memo));
+      }
+
+      if (state.checkpointPending && (checkpoint || Date.now() - state.lastCheckpointAt >= this.checkpointIntervalMs)) {
+        await memoRevisionService.recordRevision(memo, state.lastEditorId || memo.userId);
+        state.checkpointPending = false;
+        state.lastCheckpointAt = Date.now();
+      }
+
+      if (close && await this.presence.count(memoId) === 0) {
+        context.state = null;
+      }
+    });
+  }
+
+  /**
+   * 현재 프로세스에 참여자가 있는 메모 저장
+   * @returns {Promise<number>} - 확인한 메모 수
+   */
+  async persistActiveDocuments() {
+    if (this.isRunning) {
+      return 0;
+    }
+
+    this.isRunning = true;
+    let checked = 0;
+
+    try {
+      const memoIds = realtimeService.getActiveRooms()
+        .filter(room => room.startsWith(ROOM_PREFIX))
+        .map(room => room.slice(ROOM_PREFIX.length));
+
+      for (const memoId of memoIds) {
+        try {
+          await this.persist(memoId);
+          checked++;
+        } catch (error) {
+          logger.error(`Failed to persist collab document for memo ${memoId}: ${error.message}`);
+        }
+      }
+    } finally {
+      this.isRunning = false;
+    }
+    return checked;
+  }
+
+  /**
+   * 주기적 저장 시작
+   */
+  startPersisting() {
+    if (this.persistInterval) {
+      logger.warning('Collab persisting is already running');
+      return;
+    }
+
+    this.persistInterval = setInterval(() => {
+      this.persistActiveDocuments();
+    }, this.persistIntervalMs);
+    this.persistInterval.unref();
+
+    logger.info(`Collab persisting started (every ${this.persistIntervalMs / 1000}s)`);
+  }
+
+  /**
+   * 주기적 저장 중지
+   */
+  stopPersisting() {
+    if (this.persistInterval) {
+      clearInterval(this.persistInterval);
+      this.persistInterval = null;
+    }
+    logger.info('Collab persisting stopped');
+  }
+}
+
+// 싱글톤 인스턴스
+const collabService = new CollabService();
+
+module.exports = collabService;
+module.exports.CollabError = CollabError;
+module.exports.COLLAB_MESSAGES = COLLAB_MESSAGES;
+module.exports.COLLAB_EVENTS = COLLAB_EVENTS;
@@ -0,0 +1,85 @@
+const crypto = require('crypto');
+
+/**
+ * 버전 기반 낙관적 동시성 제어
+ * 문서의 버전(__v, 스키마의 optimisticConcurrency로 관리)을 ETag로 내려주고
+ * 수정 요청의 If-Match 헤더가 현재 버전과 다르면 수정하지 않습니다.
+ *
+ *   GET  → ETag: "<버전>" 또는 "<버전>-<본문 해시>" (버전 관리 대상이 아닌 필드도 응답에 있는 경우)
+ *   PUT  → If-Match: GET의 ETag (버전만 비교, 없거나 *이면 검사하지 않음)
+ *          버전이 다르면 412, 읽은 뒤 저장하는 사이에 다른 요청이 먼저 저장하면 409
+ *          두 경우 모두 응답의 current에 서버의 현재 내용을 담아 클라이언트가 병합할 수 있게 합니다.
+ */
+
+const CONCURRENCY_HEADERS = ['ETag'];
+
+class ConcurrencyControl {
+  /**
+   * 문서 버전
+   * @param {Document} doc - Mongoose 문서
+   * @returns {number}
+   */
+  static getVersion(doc) {
+    return doc.__v || 0;
+  }
+
+  /**
+   * 문서 버전의 ETag 값
+   */
+  static toETag(doc) {
+    return `"${ConcurrencyControl.getVersion(doc)}"`;
+  }
+
+  /**
+   * 응답에 ETag 헤더 설정
+   */
+  static setETag(res, doc) {
+    res.set('ETag', ConcurrencyControl.toETag(doc));
+  }
+
+  /**
+   * 응답 본문 전체를 반영한 ETag 설정 (GET 재검증용)
+   * 버전은 편집 필드가 바뀔 때만 오르므로 고정/보관/폴더/공유처럼 버전과 무관한 필드가 바뀌어도
+   * If-None-Match가 304로 처리되지 않도록 본문 해시를 덧붙입니다.
+   * @param {Object} res - Express 응답
+   * @param {Document} doc - 문서
+   * @param {Object} body - 응답 본문
+   */
+  static setRepresentationETag(res, doc, body) {
+    const digest = crypto.createHash('sha1').update(JSON.stringify(body)).digest('base64url').slice(0, 16);
+    res.set('ETag', `"${ConcurrencyControl.getVersion(doc)}-${digest}"`);
+  }
+
+  /**
+   * If-Match 헤더가 문서의 현재 버전과 맞는지 확인
+   * 헤더가 없거나 *이면 조건 없는 수정으로 보고 true를 반환합니다.
+   * @param {Object} req - Express 요청
+   * @param {Document} doc - 현재 문서
+   * @returns {boolean}
+   */
+  static matches(req, doc) {
+    const header = req.get('If-Match');
+    if (!header || header.trim() === '*') {
+      return true;
+    }
+
+    // 약한 비교: W/ 접두사는 무시하고, "<버전>-<본문 해시>" 형식이면 버전만 비교
+    const version = String(ConcurrencyControl.getVersion(doc));
+    return header.split(',').some(value => {
+      const tag = value.trim().replace(/^W\//, '').replace(/^"(.*)"$/, '$1');
+      return tag.split('-')[0] === version;
+    });
+  }
+
+  /**
+   * 저장 중 다른 요청이 먼저 문서를 수정해 발생한 오류인지 확인
+   */
+  static isVersionError(error) {
+    return !!error && error.name === 'VersionError';
+  }
+}
+
+module.exports = {
+  ConcurrencyControl,
+  CONCURRENCY_HEADERS
+};
@@ -0,0 +1,294 @@
+const path = require('path');
+const fs = require('fs');
+const archiver = require('archiver');
+const { Memo, Folder, File, DOMAIN_TYPES, FILE_STATUS } = require('../models');
+const jwtService = require('./jwtService');
+const emailService = require('./emailService');
+const logger = require('./logger');
+
+const SERVER_ORIGIN = process.env.SERVER_ORIGIN || 'http://localhost:3001';
+// 이 시간이 지나도 처리 중인 내보내기는 중단된 것으로 봄 (서버 재시작 등)
+const STALE_EXPORT_MS = 30 * 60 * 1000;
+
+/**
+ * 개인 데이터 내보내기
+ * 사용자 프로필, 메모(템플릿 정보 포함), 파일 메타데이터와 원본 파일을 ZIP으로 묶고
+ * 완료되면 만료 시간이 있는 다운로드 링크를 이메일로 보냅니다.
+ * 압축 파일은 File 모델(data-export 도메인)로 관리하며 expiresAt TTL로 레코드가 정리됩니다.
+ * 압축 파일은 정적 서빙되는 uploads/ 밖의 exports/ 디렉토리에 저장합니다.
+ */
+class DataExportService {
+  constructor() {
+    this.exportDir = path.join(__dirname, '../exports');
+    this.ttlHours = parseInt(process.env.DATA_EXPORT_TTL_HOURS) || 48;
+    this.cleanupInterval = null;
+  }
+
+  /**
+   * 내보내기 요청
+   * 이미 처리 중인 요청이 있으면 새로 만들지 않고 기존 요청을 반환합니다.
+   * 중단된 요청(STALE_EXPORT_MS 이상 처리 중)은 실패로 표시하고 새로 만듭니다.
+   * @param {User} user - 사용자 문서
+   * @returns {Promise<{exportFile: File, created: boolean}>}
+   */
+  async requestExport(user) {
+    const ownerFilter = { uploadedBy: { $in: [user._id, user._id.toString()] } };
+    await this.recoverInterruptedExports(ownerFilter);
+
+    const pending = await File.findOne({
+      ...ownerFilter,
+      domain: DOMAIN_TYPES.DATA_EXPORT,
+      status: FILE_STATUS.PROCESSING
+    });
+
+    if (pending) {
+      return { exportFile: pending, created: false };
+    }
+
+    await fs.promises.mkdir(this.exportDir, { recursive: true });
+
+    const exportFile = new File({
+      originalName: `memo-export-${new Date().toISOString().slice(0, 10)}.zip`,
+      domain: DOMAIN_TYPES.DATA_EXPORT,
+      referenceId: user._id.toString(),
+      uploadedBy: user._id.toString(),
+      status: FILE_STATUS.PROCESSING,
+      isPublic: false,
+      expiresAt: this.getExpiryDate()
+    });
+
+    const filename = `export-${user._id}-${exportFile._id}.zip`;
+    exportFile.metadata = {
+      original: {
+        filename,
+        path: path.join(this.exportDir, filename),
+        url: `/api/exports/${exportFile._id}/download`,
+        size: 0,
+        mimeType: 'application/zip',
+        extension: 'zip'
+      }
+    };
+
+    await exportFile.save();
+
+    // 응답을 막지 않도록 압축 파일은 백그라운드에서 생성
+    setImmediate(() => {
+      this.buildExport(exportFile, user).catch(error => {
+        logger.error(`Data export ${exportFile._id} failed: ${error.message}`);
+      });
+    });
+
+    logger.info(`Data export requested by ${user.username}: ${exportFile._id}`);
+    return { exportFile, created: true };
+  }
+
+  /**
+   * 압축 파일 생성 및 완료 이메일 발송
+   * @param {File} exportFile - 내보내기 File 레코드
+   * @param {User} user - 사용자 문서
+   */
+  async buildExport(exportFile, user) {
+    const archivePath = exportFile.metadata.original.path;
+
+    try {
+      const ownerIds = [user._id, user._id.toString()];
+
+      const [memos, folders, files] = await Promise.all([
+        Memo.find({ userId: { $in: ownerIds } })
+          .populate('templateId', 'name description backgroundColor textColor preview')
+          .sort({ createdAt: 1 }),
+        Folder.find({ userId: user._id }).sort({ createdAt: 1 }),
+        File.find({
+          uploadedBy: { $in: ownerIds },
+          domain: { $ne: DOMAIN_TYPES.DATA_EXPORT },
+          status: { $ne: FILE_STATUS.DELETED }
+        }).sort({ createdAt: 1 })
+      ]);
+
+      const size = await this.writeArchive(archivePath, {
+        'profile.json': {
+          ...user.toPrivateProfile(),
+          exportedAt: new Date().toISOString()
+        },
+        'memos.json': memos.map(memo => memo.toJSON()),
+        'folders.json': folders.map(folder => folder.toJSON()),
+        'files.json': files.map(file => file.toJSON())
+      }, files);
+
+      exportFile.metadata.original.size = size;
+      exportFile.status = FILE_STATUS.ACTIVE;
+      exportFile.expiresAt = this.getExpiryDate();
+      await exportFile.save();
+
+      logger.success(`Data export ready for ${user.username}: ${memos.length} memos, ${files.length} files (${size} bytes)`);
+    } catch (error) {
+      exportFile.status = FILE_STATUS.FAILED;
+      await exportFile.save().catch(() => {});
+      await fs.promises.unlink(archivePath).catch(() => {});
+      throw error;
+    }
+
+    try {
+      await emailService.sendDataExportReadyEmail(
+        user.email,
+        user.username,
+        this.getDownloadUrl(exportFile),
+        exportFile.expiresAt
+      );
+    } catch (error) {
+      logger.error(`Failed to send data export email: ${error.message}`);
+    }
+  }
+
+  /**
+   * ZIP 파일 작성
+   * @param {string} archivePath - 저장 경로
+   * @param {Object} documents - 파일명별 JSON 문서
+   * @param {Array<File>} files - 원본 파일을 포함할 File 레코드
+   * @returns {Promise<number>} - 압축 파일 크기 (바이트)
+   */
+  async writeArchive(archivePath, documents, files) {
+    const output = fs.createWriteStream(archivePath);
+    const archive = archiver('zip', { zlib: { level: 9 } });
+
+    const finished = new Promise((resolve, reject) => {
+      output.on('close', resolve);
+      output.on('error', reject);
+      archive.on('error', reject);
+      archive.on('warning', (error) => logger.warning(`Data export warning: ${error.message}`));
+    });
+
+    archive.pipe(output);
+
+    for (const [name, content] of Object.entries(documents)) {
+      archive.append(JSON.stringify(content, null, 2), { name });
+    }
+
+    for (const file of files) {
+      const sourcePath = file.metadata.original.path;
+      try {
+        await fs.promises.access(sourcePath);
+        const safeName = file.originalName.replace(/[\\/:*?"<>|]/g, '_');
+        archive.file(sourcePath, { name: `files/${file._id}-${safeName}` });
+      } catch (error) {
+        logger.warning(`Skipping missing file in data export: ${sourcePath}`);
+      }
+    }
+
+    await archive.finalize();
+    await finished;
+
+    return archive.pointer();
+  }
+
+  /**
+   * 이메일로 보내는 다운로드 링크 (압축 파일 만료 시각까지 유효)
+   * @param {File} exportFile - 내보내기 File 레코드
+   * @returns {string}
+   */
+  getDownloadUrl(exportFile) {
+    const expiresInSeconds = Math.max(Math.floor((exportFile.expiresAt.getTime() - Date.now()) / 1000), 1);
+    const token = jwtService.generateDownloadToken({
+      userId: exportFile.uploadedBy.toString(),
+      fileId: exportFile._id.toString()
+    }, expiresInSeconds);
+
+    return `${SERVER_ORIGIN}${exportFile.metadata.original.url}?token=${encodeURIComponent(token)}`;
+  }
+
+  getExpiryDate() {
+    return new Date(Date.now() + this.ttlHours * 60 * 60 * 1000);
+  }
+
+  /**
+   * 만료된 압축 파일 삭제
+   * File 레코드는 expiresAt TTL로 MongoDB가 삭제하므로 디스크의 파일만 정리합니다.
+   * @returns {Promise<number>} - 삭제된 파일 수
+   */
+  async cleanupExpiredArchives() {
+    let removed = 0;
+
+    try {
+      const entries = await fs.promises.readdir(this.exportDir);
+      const cutoff = Date.now() - this.ttlHours * 60 * 60 * 1000;
+
+      for (const entry of entries) {
+        const entryPath = path.join(this.exportDir, entry);
+        const stat = await fs.promises.stat(entryPath);
+        if (stat.isFile() && stat.mtimeMs < cutoff) {
+          await fs.promises.unlink(entryPath);
+          removed++;
+        }
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error(`Failed to clean up data exports: ${error.message}`);
+      }
+    }
+
+    if (removed > 0) {
+      logger.info(`Removed ${removed} expired data export archives`);
+    }
+    return removed;
+  }
+
+  /**
+   * 서버 재시작 등으로 중단된 내보내기를 실패로 표시하고 작성 중이던 압축 파일 삭제
+   * @param {Object} filter - 추가 조건 (예: 특정 사용자)
+   * @returns {Promise<number>} - 정리한 내보내기 수
+   */
+  async recoverInterruptedExports(filter = {}) {
+    let recovered = 0;
+
+    try {
+      const staleExports = await File.find({
+        ...filter,
+        domain: DOMAIN_TYPES.DATA_EXPORT,
+        status: FILE_STATUS.PROCESSING,
+        updatedAt: { $lt: new Date(Date.now() - STALE_EXPORT_MS) }
+      });
+
+      for (const exportFile of staleExports) {
+        exportFile.status = FILE_STATUS.FAILED;
+        await exportFile.save();
+        await fs.promises.unlink(exportFile.metadata.original.path).catch(() => {});
+        recovered++;
+      }
+    } catch (error) {
+      logger.error(`Failed to recover interrupted data exports: ${error.message}`);
+    }
+
+    if (recovered > 0) {
+      logger.warning(`Marked ${recovered} interrupted data exports as failed`);
+    }
+    return recovered;
+  }
+
+  /**
+   * 만료 파일 정리와 중단된 내보내기 정리 작업 시작 (시작 시 한 번, 이후 1시간마다)
+   */
+  startCleanup() {
+    if (this.cleanupInterval) {
+      return;
+    }
+
+    this.recoverInterruptedExports();
+    this.cleanupInterval = setInterval(() => {
+      this.cleanupExpiredArchives();
+      this.recoverInterruptedExports();
+    }, 60 * 60 * 1000);
+    this.cleanupInterval.unref();
+  }
+
+  stopCleanup() {
+    if (this.cleanupInterval) {
+      clearInterval(this.cleanupInterval);
+      this.cleanupInterval = null;
+    }
+  }
+}
+
+// 싱글톤 인스턴스
+const dataExportService = new DataExportService();
+
+module.exports = dataExportService;
@@ -211,6 +211,175 @@ class EmailService {
       throw error;
     }
   }
+
+  async sendEmailChangeVerificationEmail(newEmail, username, verificationCode) {
+    if (!this.isConfigured) {
+      logger.error('Email service is not configured');
+      throw new Error('Email service is not configured');
+    }
+
+    const mailOptions = {
+      from: process.env.GMAIL_USER || 'noreply@memoapp.com',
+      to: newEmail,
+      subject: '메모 앱 - 이메일 주소 변경 인증',
+      html: `
+        <h2>이메일 주소 변경</h2>
+        <p>안녕하세요, ${username}님!</p>
+        <p>계정의 이메일 주소를 이 주소로 변경하도록 요청하셨습니다.</p>
+        <p>아래 인증 코드를 입력하여 변경을 완료하세요.</p>
+        <h3>${verificationCode}</h3>
+        <p>이 코드는 1시간 후에 만료됩니다. 본인이 요청하지 않은 경우 이 이메일을 무시해주세요.</p>
+      `
+    };
+
+    try {
+      const info = await this.transporter.sendMail(mailOptions);
+      logger.success(`Email change verification sent to ${newEmail}: ${info.messageId}`);
+      return true;
+    } catch (error) {
+      logger.error(`Failed to send email change verification: ${error.message}`);
+      throw error;
+    }
+  }
+
+  async sendAccountLockedEmail(email, username, unlockToken, lockMinutes) {
+    if (!this.isConfigured) {
+      logger.error('Email service is not configured');
+      throw new Error('Email service is not configured');
+    }
+
+    const unlockUrl = `${process.env.FRONTEND_URL || 'http://localhost:3001'}/unlock-account?token=${unlockToken}&email=${encodeURIComponent(email)}`;
+
+    const mailOptions = {
+      from: process.env.GMAIL_USER || 'noreply@memoapp.com',
+      to: email,
+      subject: '메모 앱 - 계정이 일시적으로 잠겼습니다',
+      html: `
+        <h2>계정 잠금 알림</h2>
+        <p>안녕하세요, ${username}님!</p>
+        <p>로그인 실패가 반복되어 계정이 ${lockMinutes}분 동안 잠겼습니다.</p>
+        <p>본인이 시도한 것이라면 <a href="${unlockUrl}">여기를 클릭하여 잠금을 해제하세요</a>.</p>
+        <p>본인이 시도하지 않았다면 비밀번호를 변경하는 것을 권장합니다.</p>
+      `
+    };
+
+    try {
+      const info = await this.transporter.sendMail(mailOptions);
+      logger.success(`Account locked email sent to ${email}: ${info.messageId}`);
+      return true;
+    } catch (error) {
+      logger.error(`Failed to send account locked email: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * 계정 삭제 예약 안내 이메일 발송
+   * @param {string} email - 수신자 이메일
+   * @param {string} username - 사용자명
+   * @param {Date} scheduledFor - 삭제 예정 시각
+   * @returns {Promise<boolean>} - 발송 성공 여부
+   */
+  async sendAccountDeletionScheduledEmail(email, username, scheduledFor) {
+    if (!this.isConfigured) {
+      logger.error('Email service is not configured');
+      throw new Error('Email service is not configured');
+    }
+
+    const mailOptions = {
+      from: process.env.GMAIL_USER || 'noreply@memoapp.com',
+      to: email,
+      subject: '메모 앱 - 계정 삭제가 예약되었습니다',
+      html: `
+        <h2>계정 삭제 예약 안내</h2>
+        <p>안녕하세요, ${username}님!</p>
+        <p>요청하신 계정 삭제가 <strong>${scheduledFor.toISOString().slice(0, 10)}</strong>에 진행됩니다.</p>
+        <p>삭제 전까지는 로그인 후 언제든지 삭제를 취소할 수 있습니다.</p>
+        <p>본인이 요청하지 않았다면 즉시 로그인하여 삭제를 취소하고 비밀번호를 변경하세요.</p>
+      `
+    };
+
+    try {
+      const info = await this.transporter.sendMail(mailOptions);
+      logger.success(`Account deletion scheduled email sent to ${email}: ${info.messageId}`);
+      return true;
+    } catch (error) {
+      logger.error(`Failed to send account deletion scheduled email: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * 계정 삭제 완료 이메일 발송
+   * @param {string} email - 수신자 이메일
+   * @param {string} username - 사용자명
+   * @returns {Promise<boolean>} - 발송 성공 여부
+   */
+  async sendAccountDeletedEmail(email, username) {
+    if (!this.isConfigured) {
+      logger.error('Email service is not configured');
+      throw new Error('Email service is not configured');
+    }
+
+    const mailOptions = {
+      from: process.env.GMAIL_USER || 'noreply@memoapp.com',
+      to: email,
+      subject: '메모 앱 - 계정이 삭제되었습니다',
+      html: `
+        <h2>계정 삭제 완료</h2>
+        <p>안녕하세요, ${username}님!</p>
+        <p>계정과 함께 작성하신 메모와 업로드한 파일이 모두 삭제되었습니다.</p>
+        <p>그동안 메모 앱을 이용해 주셔서 감사합니다.</p>
+      `
+    };
+
+    try {
+      const info = await this.transporter.sendMail(mailOptions);
+      logger.success(`Account deleted email sent to ${email}: ${info.messageId}`);
+      return true;
+    } catch (error) {
+      logger.error(`Failed to send account deleted email: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * 개인 데이터 내보내기 완료 이메일 발송
+   * @param {string} email - 수신자 이메일
+   * @param {string} username - 사용자명
+   * @param {string} downloadUrl - 다운로드 링크
+   * @param {Date} expiresAt - 링크 만료 시각
+   * @returns {Promise<boolean>} - 발송 성공 여부
+   */
+  async sendDataExportReadyEmail(email, username, downloadUrl, expiresAt) {
+    if (!this.isConfigured) {
+      logger.error('Email service is not configured');
+      throw new Error('Email service is not configured');
+    }
+
+    const mailOptions = {
+      from: process.env.GMAIL_USER || 'noreply@memoapp.com',
+      to: email,
+      subject: '메모 앱 - 요청하신 데이터 내보내기가 준비되었습니다',
+      html: `
+        <h2>데이터 내보내기 완료</h2>
+        <p>안녕하세요, ${username}님!</p>
+        <p>요청하신 개인 데이터(프로필, 메모, 업로드 파일)가 압축 파일로 준비되었습니다.</p>
+        <p><a href="${downloadUrl}">여기를 클릭하여 다운로드하세요</a>.</p>
+        <p>이 링크는 ${expiresAt.toISOString().replace('T', ' ').slice(0, 16)} (UTC)까지 유효합니다.</p>
+        <p>본인이 요청하지 않았다면 비밀번호를 변경하는 것을 권장합니다.</p>
+      `
+    };
+
+    try {
+      const info = await this.transporter.sendMail(mailOptions);
+      logger.success(`Data export email sent to ${email}: ${info.messageId}`);
+      return true;
+    } catch (error) {
+      logger.error(`Failed to send data export email: ${error.message}`);
+      throw error;
+    }
+  }
 }
 
 // 싱글톤 인스턴스
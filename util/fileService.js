@@ -9,6 +9,10 @@ try {
   console.warn('Sharp not installed. Image resizing features will be disabled.');
 }
 const logger = require('./logger');
+const realtimeService = require('./realtimeService');
+const { REALTIME_EVENTS } = realtimeService;
+const { Pagination } = require('./pagination');
+const { ListQuery } = require('./listQuery');
 
 class FileService {
   /**
@@ -105,6 +109,7 @@ class FileService {
     try {
       fileRecord.status = FILE_STATUS.PROCESSING;
       await fileRecord.save();
+      realtimeService.publishFileEvent(REALTIME_EVENTS.FILE_PROCESSING, fileRecord);
       
       for (const sizeConfig of sizesToProcess) {
         await this.createSingleResizedVersion(fileRecord, sizeConfig);
@@ -112,12 +117,14 @@ class FileService {
       
       fileRecord.status = FILE_STATUS.ACTIVE;
       await fileRecord.save();
+      realtimeService.publishFileEvent(REALTIME_EVENTS.FILE_PROCESSED, fileRecord);
       
       logger.success(`Created ${sizesToProcess.length} resized versions for ${fileRecord.originalName}`);
       return fileRecord;
     } catch (error) {
       fileRecord.status = FILE_STATUS.FAILED;
       await fileRecord.save();
+      realtimeService.publishFileEvent(REALTIME_EVENTS.FILE_FAILED, fileRecord);
       logger.error(`Failed to create resized versions: ${error.message}`);
       throw error;
     }
@@ -264,13 +271,19 @@ class FileService {
   /**
    * 사용자별 파일 조회
    * @param {string} uploaderId - 업로더 ID
-   * @param {Object} options - 조회 옵션
-   * @returns {Promise<Array>}
+   * @param {Object} options - 조회 옵션 ({ conditions, sort, pagination })
+   * @returns {Promise<{items: Array, pageInfo: Object}>}
    */
   static async getFilesByUploader(uploaderId, options = {}) {
+    const {
+      conditions = [],
+      sort = null,
+      pagination = Pagination.parse({}, { defaultLimit: 20 })
+    } = options;
+
     try {
-      const files = await File.findByUploader(uploaderId, options);
-      return files;
+      const filter = ListQuery.combine(File.uploaderFilter(uploaderId), conditions);
+      return await Pagination.paginate(File, filter, pagination, { sort: sort || { createdAt: -1 } });
     } catch (error) {
       logger.error(`Failed to get files by uploader: ${error.message}`);
       throw error;
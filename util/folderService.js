@@ -0,0 +1,315 @@
+const database = require('./database');
+const { Folder, FOLDER_LIMITS, Memo } = require('../models');
+const logger = require('./logger');
+
+const mongoose = database.getMongoose();
+
+// 폴더 삭제 시 안에 있던 메모 처리 방식
+const FOLDER_DELETE_MODES = {
+  MOVE: 'move',   // 삭제한 폴더의 상위 폴더로 이동
+  TRASH: 'trash'  // 휴지통으로 이동
+};
+
+/**
+ * 폴더 작업 오류 (errorHandler가 statusCode로 응답)
+ */
+class FolderError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'FolderError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * 사용자별 중첩 폴더 관리
+ * 폴더는 ancestors(최상위부터 상위 폴더까지의 ID 경로)를 가지며 메모는 folderId로 폴더를 참조합니다.
+ * 폴더를 옮기면 하위 폴더의 경로를 한 트랜잭션에서 함께 갱신하므로
+ * 폴더 안의 메모와 하위 폴더는 중간 상태 없이 한 번에 이동합니다.
+ */
+class FolderService {
+  /**
+   * 사용자의 폴더 조회 (다른 사용자의 폴더이면 404)
+   * @param {string} userId - 사용자 ID
+   * @param {string} folderId - 폴더 ID
+   * @returns {Promise<Folder>}
+   */
+  static async resolveFolder(userId, folderId) {
+    if (!mongoose.isValidObjectId(folderId)) {
+      throw new FolderError('Invalid folder ID');
+    }
+
+    const folder = await Folder.findOne({ _id: folderId, userId });
+    if (!folder) {
+      throw new FolderError('Folder not found', 404);
+    }
+    return folder;
+  }
+
+  /**
+   * 폴더 생성
+   * @param {string} userId - 사용자 ID
+   * @param {Object} data - { name, parentId }
+   * @returns {Promise<Folder>}
+   */
+  static async createFolder(userId, { name, parentId = null }) {
+    const parent = parentId ? await FolderService.resolveFolder(userId, parentId) : null;
+    const ancestors = parent ? [...parent.ancestors, parent._id] : [];
+
+    if (ancestors.length + 1 > FOLDER_LIMITS.MAX_DEPTH) {
+      throw new FolderError(`Folders cannot be nested more than ${FOLDER_LIMITS.MAX_DEPTH} levels deep`);
+    }
+
+    const folderName = FolderService.normalizeName(name);
+    await FolderService.assertNameAvailable(userId, parent ? parent._id : null, folderName);
+
+    const folder = await Folder.create({
+      userId,
+      name: folderName,
+      parentId: parent ? parent._id : null,
+      ancestors
+    });
+
+    logger.info(`Folder created: ${folder.name} (${folder._id})`);
+    return folder;
+  }
+
+  /**
+   * 폴더 이름 변경
+   * @param {Folder} folder - 폴더 문서
+   * @param {string} name - 새 이름
+   */
+  static async renameFolder(folder, name) {
+    const folderName = FolderService.normalizeName(name);
+    if (folderName === folder.name) {
+      return folder;
+    }
+
+    await FolderService.assertNameAvailable(folder.userId, folder.parentId, folderName, folder._id);
+    folder.name = folderName;
+    await folder.save();
+    return folder;
+  }
+
+  /**
+   * 폴더 이동 (하위 폴더와 모든 메모가 함께 이동)
+   * @param {Folder} folder - 이동할 폴더
+   * @param {string|null} parentId - 새 상위 폴더 ID (null이면 최상위)
+   * @returns {Promise<Folder>} - 이동된 폴더
+   */
+  static async moveFolder(folder, parentId) {
+    const parent = parentId ? await FolderService.resolveFolder(folder.userId, parentId) : null;
+    const newParentId = parent ? parent._id : null;
+
+    if (String(newParentId) === String(folder.parentId)) {
+      return folder;
+    }
+
+    if (parent && (parent._id.equals(folder._id) || parent.ancestors.some(id => id.equals(folder._id)))) {
+      throw new FolderError('Cannot move a folder into itself or one of its subfolders');
+    }
+
+    await FolderService.assertNameAvailable(folder.userId, newParentId, folder.name, folder._id);
+
+    const newAncestors = parent ? [...parent.ancestors, parent._id] : [];
+    const depth = folder.ancestors.length;
+    let descendants = [];
+
+    await FolderService.withTransaction(async (session) => {
+      // 이동 중 하위 폴더가 추가되지 않도록 트랜잭션 안에서 조회
+      descendants = await Folder.find({ userId: folder.userId, ancestors: folder._id })
+        .select('ancestors')
+        .session(session);
+
+      const subtreeHeight = descendants.reduce(
+        (height, descendant) => Math.max(height, descendant.ancestors.length - depth),
+        0
+      );
+      if (newAncestors.length + 1 + subtreeHeight > FOLDER_LIMITS.MAX_DEPTH) {
+        throw new FolderError(`Folders cannot be nested more than ${FOLDER_LIMITS.MAX_DEPTH} levels deep`);
+      }
+
+      await Folder.updateOne(
+        { _id: folder._id },
+        { $set: { parentId: newParentId, ancestors: newAncestors } },
+        { session }
+      );
+
+      if (descendants.length > 0) {
+        await Folder.bulkWrite(descendants.map(descendant => ({
+          updateOne: {
+            filter: { _id: descendant._id },
+            update: {
+              $set: { ancestors: [...newAncestors, folder._id, ...descendant.ancestors.slice(depth + 1)] }
+            }
+          }
+        })), { session });
+      }
+    });
+
+    logger.info(`Folder moved: ${folder.name} -> ${newParentId || 'root'} (${descendants.length} subfolders)`);
+    return Folder.findById(folder._id);
+  }
+
+  /**
+   * 폴더와 하위 폴더 삭제
+   * 안에 있던 메모는 상위 폴더로 옮기거나 휴지통으로 보냅니다 (휴지통의 메모는 상위 폴더로 이동).
+   * @param {Folder} folder - 삭제할 폴더
+   * @param {Object} options - { mode, deletedBy }
+   * @returns {Promise<{folders: number, memos: number}>} - 삭제된 폴더 수, 처리된 메모 수
+   */
+  static async deleteFolder(folder, { mode = FOLDER_DELETE_MODES.MOVE, deletedBy = null } = {}) {
+    if (!Object.values(FOLDER_DELETE_MODES).includes(mode)) {
+      throw new FolderError(`mode must be one of: ${Object.values(FOLDER_DELETE_MODES).join(', ')}`);
+    }
+
+    let result = { folders: 0, memos: 0 };
+
+    await FolderService.withTransaction(async (session) => {
+      const subfolderIds = await Folder.find({ userId: folder.userId, ancestors: folder._id })
+        .session(session)
+        .distinct('_id');
+      const folderIds = [folder._id, ...subfolderIds];
+      let handledMemos = 0;
+
+      if (mode === FOLDER_DELETE_MODES.TRASH) {
+        const trashed = await Memo.updateMany(
+          { folderId: { $in: folderIds }, deletedAt: null },
+          { $set: { deletedAt: new Date(), deletedBy } },
+          { session }
+        );
+        handledMemos = trashed.modifiedCount;
+      }
+
+      const moved = await Memo.updateMany(
+        { folderId: { $in: folderIds } },
+        { $set: { folderId: folder.parentId } },
+        { session, timestamps: false }
+      );
+      const { deletedCount } = await Folder.deleteMany({ _id: { $in: folderIds } }, { session });
+
+      result = {
+        folders: deletedCount,
+        memos: mode === FOLDER_DELETE_MODES.TRASH ? handledMemos : moved.modifiedCount
+      };
+    });
+
+    logger.info(`Folder deleted: ${folder.name} (${result.folders} folders, ${result.memos} memos ${mode === FOLDER_DELETE_MODES.TRASH ? 'trashed' : 'moved'})`);
+    return result;
+  }
+
+  /**
+   * 사이드바용 폴더 트리 (폴더별 메모 수 포함, 휴지통/보관 메모 제외)
+   * @param {string} userId - 사용자 ID
+   * @returns {Promise<Array<Object>>} - 최상위 폴더 목록 (children에 하위 폴더)
+   */
+  static async getFolderTree(userId) {
+    const objectId = new mongoose.Types.ObjectId(userId);
+    const [folders, counts] = await Promise.all([
+      Folder.find({ userId: objectId }).sort({ name: 1 }),
+      Memo.aggregate([
+        {
+          $match: {
+            userId: { $in: [userId, objectId] },
+            folderId: { $ne: null },
+            deletedAt: null,
+            isArchived: { $ne: true }
+          }
+        },
+        { $group: { _id: '$folderId', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const countMap = new Map(counts.map(entry => [entry._id.toString(), entry.count]));
+    const nodes = new Map(folders.map(folder => [folder._id.toString(), {
+      ...folder.toJSON(),
+      memoCount: countMap.get(folder._id.toString()) || 0,
+      totalMemoCount: 0,
+      children: []
+    }]));
+
+    const roots = [];
+    for (const node of nodes.values()) {
+      const parent = node.parentId ? nodes.get(node.parentId) : null;
+      (parent ? parent.children : roots).push(node);
+    }
+
+    // 하위 폴더를 포함한 메모 수
+    const sumCounts = (node) => {
+      node.totalMemoCount = node.memoCount + node.children.reduce((sum, child) => sum + sumCounts(child), 0);
+      return node.totalMemoCount;
+    };
+    roots.forEach(sumCounts);
+
+    return roots;
+  }
+
+  /**
+   * 폴더 이름 정규화
+   */
+  static normalizeName(name) {
+    const folderName = typeof name === 'string' ? name.trim() : '';
+    if (!folderName) {
+      throw new FolderError('Folder name is required');
+    }
+    if (folderName.length > FOLDER_LIMITS.MAX_NAME_LENGTH) {
+      throw new FolderError(`Folder name cannot exceed ${FOLDER_LIMITS.MAX_NAME_LENGTH} characters`);
+    }
+    return folderName;
+  }
+
+  /**
+   * 같은 위치에 같은 이름의 폴더가 있으면 409
+   */
+  static async assertNameAvailable(userId, parentId, name, excludeId = null) {
+    const conflict = await Folder.exists({
+      userId,
+      parentId,
+      name,
+      ...(excludeId ? { _id: { $ne: excludeId } } : {})
+    });
+
+    if (conflict) {
+      throw new FolderError(`A folder named '${name}' already exists in this location`, 409);
+    }
+  }
+
+  /**
+   * 트랜잭션 안에서 작업 실행 (일시적 오류는 드라이버가 재시도)
+   * 트랜잭션을 지원하지 않는 MongoDB(단독 서버)에서는 트랜잭션 없이 다시 실행합니다.
+   * 트랜잭션이 시작되지 않아 첫 시도에서 저장된 내용은 없습니다.
+   * @param {Function} work - async (session) => {} (트랜잭션 없이 실행하면 session은 null)
+   * @returns {Promise<boolean>} - 트랜잭션으로 실행했는지 여부
+   */
+  static async withTransaction(work) {
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(() => work(session));
+      return true;
+    } catch (error) {
+      if (!FolderService.isTransactionUnsupported(error)) {
+        throw error;
+      }
+      logger.warning('Transactions are not supported by this MongoDB deployment; running without one');
+    } finally {
+      await session.endSession();
+    }
+
+    await work(null);
+    return false;
+  }
+
+  /**
+   * 단독 서버처럼 트랜잭션을 지원하지 않는 배포에서 발생하는 오류인지 확인
+   */
+  static isTransactionUnsupported(error) {
+    return Boolean(error) && (error.code === 20
+      || /Transaction numbers are only allowed on a replica set member or mongos/.test(error.message));
+  }
+}
+
+module.exports = {
+  FolderService,
+  FolderError,
+  FOLDER_DELETE_MODES
+};
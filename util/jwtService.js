@@ -1,11 +1,22 @@
 const logger = require('./logger');
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcrypt');
 
+// 토큰 종류 (액세스 토큰과 리프레시 토큰을 구분)
+const TOKEN_TYPES = {
+  ACCESS: 'access',
+  REFRESH: 'refresh',
+  TWO_FACTOR_CHALLENGE: '2fa_challenge',
+  DOWNLOAD: 'download'
+};
+
 class JWTService {
   constructor() {
     this.jwtSecret = process.env.JWT_SECRET || 'fallback-secret-key-for-development-only';
     this.jwtExpire = process.env.JWT_EXPIRE || '7d';
+    this.refreshExpire = process.env.JWT_REFRESH_EXPIRE || '30d';
+    this.challengeExpire = process.env.TWO_FACTOR_CHALLENGE_EXPIRE || '5m';
     this.saltRounds = parseInt(process.env.BCRYPT_SALT_ROUNDS) || 12;
     
     if (!process.env.JWT_SECRET) {
@@ -56,8 +67,9 @@ class JWTService {
    */
   generateToken(payload) {
     try {
-      const token = jwt.sign(payload, this.jwtSecret, {
+      const token = jwt.sign({ ...payload, type: TOKEN_TYPES.ACCESS }, this.jwtSecret, {
         expiresIn: this.jwtExpire,
+        jwtid: crypto.randomUUID(),
         issuer: 'memo-app',
         audience: 'memo-app-users'
       });
@@ -70,11 +82,122 @@ class JWTService {
   }
 
   /**
-   * JWT 토큰 검증
+   * JWT 토큰 검증 (액세스 토큰 전용)
+   * 리프레시 토큰과 2단계 인증 챌린지 토큰은 액세스 토큰으로 사용할 수 없습니다.
    * @param {string} token - 검증할 JWT 토큰
    * @returns {Object|null} - 디코딩된 페이로드 또는 null
    */
   verifyToken(token) {
+    const decoded = this.verifySignature(token);
+    if (decoded && decoded.type && decoded.type !== TOKEN_TYPES.ACCESS) {
+      logger.warning(`Non-access token (${decoded.type}) used as access token`);
+      return null;
+    }
+    return decoded;
+  }
+
+  /**
+   * 리프레시 토큰 검증
+   * @param {string} token - 검증할 리프레시 토큰
+   * @returns {Object|null} - 디코딩된 페이로드 또는 null
+   */
+  verifyRefreshToken(token) {
+    const decoded = this.verifySignature(token);
+    if (!decoded || decoded.type !== TOKEN_TYPES.REFRESH || !decoded.jti || !decoded.familyId) {
+      if (decoded) logger.warning('Non-refresh token used as refresh token');
+      return null;
+    }
+    return decoded;
+  }
+
+  /**
+   * 2단계 인증 챌린지 토큰 생성
+   * 비밀번호 확인 후 TOTP 코드 입력 단계까지만 사용하는 짧은 수명의 토큰입니다.
+   * @param {string} userId - 사용자 ID
+   * @returns {string} - 챌린지 토큰
+   */
+  generateChallengeToken(userId) {
+    try {
+      return jwt.sign({ userId, type: TOKEN_TYPES.TWO_FACTOR_CHALLENGE }, this.jwtSecret, {
+        expiresIn: this.challengeExpire,
+        jwtid: crypto.randomUUID(),
+        issuer: 'memo-app',
+        audience: 'memo-app-users'
+      });
+    } catch (error) {
+      logger.error(`Challenge token generation failed: ${error.message}`);
+      throw new Error('Challenge token generation failed');
+    }
+  }
+
+  /**
+   * 2단계 인증 챌린지 토큰 검증
+   * @param {string} token - 검증할 챌린지 토큰
+   * @returns {Object|null} - 디코딩된 페이로드 또는 null
+   */
+  verifyChallengeToken(token) {
+    const decoded = this.verifySignature(token);
+    if (!decoded || decoded.type !== TOKEN_TYPES.TWO_FACTOR_CHALLENGE) {
+      if (decoded) logger.warning('Non-challenge token used as 2FA challenge token');
+      return null;
+    }
+    return decoded;
+  }
+
+  /**
+   * 다운로드 링크용 토큰 생성
+   * 이메일로 전달되는 링크처럼 Authorization 헤더 없이 특정 파일에 접근할 때 사용합니다.
+   * @param {Object} payload - { userId, fileId, linkId } (linkId는 공개 링크로 발급한 경우)
+   * @param {number} expiresInSeconds - 유효 시간 (초)
+   * @returns {string} - 다운로드 토큰
+   */
+  generateDownloadToken(payload, expiresInSeconds) {
+    try {
+      const { userId, fileId, linkId } = payload;
+      const claims = { userId, fileId, type: TOKEN_TYPES.DOWNLOAD };
+      if (linkId) {
+        claims.linkId = linkId;
+      }
+      return jwt.sign(claims, this.jwtSecret, {
+        expiresIn: expiresInSeconds,
+        issuer: 'memo-app',
+        audience: 'memo-app-users'
+      });
+    } catch (error) {
+      logger.error(`Download token generation failed: ${error.message}`);
+      throw new Error('Download token generation failed');
+    }
+  }
+
+  /**
+   * 다운로드 토큰 검증
+   * @param {string} token - 검증할 다운로드 토큰
+   * @returns {Object|null} - 디코딩된 페이로드 또는 null
+   */
+  verifyDownloadToken(token) {
+    const decoded = this.verifySignature(token);
+    if (!decoded || decoded.type !== TOKEN_TYPES.DOWNLOAD || !decoded.fileId) {
+      if (decoded) logger.warning('Non-download token used as download token');
+      return null;
+    }
+    return decoded;
+  }
+
+  /**
+   * 서명 없이 토큰 디코딩 (만료 시간 등 조회용)
+   * @param {string} token - JWT 토큰
+   * @returns {Object|null} - 디코딩된 페이로드 또는 null
+   */
+  decodeToken(token) {
+    return jwt.decode(token);
+  }
+
+  /**
+   * 서명/만료/발급자 검증 (토큰 종류와 무관)
+   * @param {string} token - JWT 토큰
+   * @returns {Object|null} - 디코딩된 페이로드 또는 null
+   */
+  verifySignature(token) {
     try {
       const decoded = jwt.verify(token, this.jwtSecret, {
         issuer: 'memo-app',
@@ -118,14 +241,24 @@ class JWTService {
 
   /**
    * 리프레시 토큰 생성
+   * 서버에 저장된 토큰 레코드와 매칭하기 위해 jti와 familyId가 필요합니다.
    * @param {Object} payload - 토큰에 포함할 데이터
+   * @param {string} payload.userId - 사용자 ID
+   * @param {string} payload.jti - 토큰 고유 ID
+   * @param {string} payload.familyId - 토큰 패밀리 ID (로그인 1회당 1개)
    * @returns {string} - 리프레시 토큰
    */
   generateRefreshToken(payload) {
     // 리프레시 토큰은 보통 더 긴 만료 시간을 가짐
     try {
-      const refreshToken = jwt.sign(payload, this.jwtSecret, {
-        expiresIn: '30d',
+      const { userId, jti, familyId } = payload;
+      if (!userId || !jti || !familyId) {
+        throw new Error('userId, jti and familyId are required');
+      }
+
+      const refreshToken = jwt.sign({ userId, familyId, type: TOKEN_TYPES.REFRESH }, this.jwtSecret, {
+        expiresIn: this.refreshExpire,
+        jwtid: jti,
         issuer: 'memo-app',
         audience: 'memo-app-users'
       });
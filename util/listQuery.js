@@ -0,0 +1,210 @@
+/**
+ * 목록 API 공통 필터/정렬 문법
+ * 엔드포인트마다 허용할 필터와 정렬 필드를 명세(spec)로 선언하고,
+ * 명세에 없는 정렬 필드나 잘못된 값은 400 오류로 거부합니다.
+ *
+ * 쿼리 문법:
+ *   createdAt[gte]=2024-01-01&createdAt[lt]=2024-02-01   - 날짜 범위 (gt, gte, lt, lte)
+ *   templateId=id1,id2                                    - 목록 중 하나 (반복 파라미터도 허용)
+ *   tag=work,urgent                                       - 모든 태그 포함
+ *   hasAttachment=true                                    - 불리언
+ *   sortBy=updatedAt&sortOrder=asc                        - 허용된 필드로 정렬
+ *
+ * 명세 예시:
+ *   {
+ *     sortable: { createdAt: 'createdAt', size: 'metadata.original.size' },
+ *     filters: {
+ *       createdAt: { type: FILTER_TYPES.DATE_RANGE },
+ *       domain: { type: FILTER_TYPES.ENUM_LIST, values: ['memo', 'attachment'] },
+ *       hasAttachment: { type: FILTER_TYPES.BOOLEAN, build: (value) => ({ ... }) }
+ *     }
+ *   }
+ */
+
+const database = require('./database');
+const mongoose = database.getMongoose();
+
+const OBJECT_ID_PATTERN = /^[0-9a-fA-F]{24}$/;
+const DATE_OPERATORS = ['gt', 'gte', 'lt', 'lte'];
+const MAX_LIST_VALUES = 50;
+
+const FILTER_TYPES = {
+  DATE_RANGE: 'dateRange',
+  BOOLEAN: 'boolean',
+  ID_LIST: 'idList',         // ObjectId 목록 (문자열/ObjectId 저장 모두 일치)
+  ENUM_LIST: 'enumList',     // 허용 값 목록 중 하나
+  STRING_LIST: 'stringList'  // 문자열 목록 (match: 'all' | 'any')
+};
+
+/**
+ * 목록 쿼리 오류 (errorHandler가 statusCode로 응답)
+ */
+class ListQueryError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ListQueryError';
+    this.statusCode = statusCode;
+  }
+}
+
+class ListQuery {
+  /**
+   * 필터/정렬 파라미터 파싱
+   * 명세에 없는 쿼리 파라미터(page, search 등)는 무시합니다.
+   * @param {Object} query - req.query
+   * @param {Object} spec - { sortable, filters }
+   * @returns {{conditions: Array<Object>, sort: Object|null}} - sort는 sortBy가 없으면 null
+   */
+  static parse(query = {}, spec = {}) {
+    const conditions = [];
+
+    for (const [name, definition] of Object.entries(spec.filters || {})) {
+      const raw = query[name];
+      if (raw === undefined || raw === '') {
+        continue;
+      }
+
+      const field = definition.field || name;
+      const value = ListQuery.parseValue(name, raw, definition);
+      conditions.push(definition.build
+        ? definition.build(value)
+        : ListQuery.buildCondition(field, value, definition));
+    }
+
+    return {
+      conditions,
+      sort: ListQuery.parseSort(query, spec.sortable || {})
+    };
+  }
+
+  /**
+   * 기존 조건과 파싱된 조건을 하나의 MongoDB 필터로 합치기
+   * @param {Object} baseFilter - 라우트에서 만든 기본 조건
+   * @param {Array<Object>} conditions - parse() 결과의 conditions
+   * @returns {Object}
+   */
+  static combine(baseFilter, conditions) {
+    const parts = [baseFilter, ...conditions].filter(part => part && Object.keys(part).length > 0);
+
+    if (parts.length === 0) {
+      return {};
+    }
+    return parts.length === 1 ? parts[0] : { $and: parts };
+  }
+
+  static parseSort(query, sortable) {
+    const { sortBy, sortOrder } = query;
+
+    if (sortOrder !== undefined && !['asc', 'desc'].includes(sortOrder)) {
+      throw new ListQueryError('sortOrder must be one of: asc, desc');
+    }
+
+    if (sortBy === undefined || sortBy === '') {
+      return null;
+    }
+
+    if (typeof sortBy !== 'string' || !Object.prototype.hasOwnProperty.call(sortable, sortBy)) {
+      throw new ListQueryError(`sortBy must be one of: ${Object.keys(sortable).join(', ')}`);
+    }
+
+    return { [sortable[sortBy]]: sortOrder === 'asc' ? 1 : -1 };
+  }
+
+  static parseValue(name, raw, definition) {
+    switch (definition.type) {
+      case FILTER_TYPES.DATE_RANGE:
+        return ListQuery.parseDateRange(name, raw);
+      case FILTER_TYPES.BOOLEAN:
+        return ListQuery.parseBoolean(name, raw);
+      case FILTER_TYPES.ID_LIST:
+        return ListQuery.parseList(name, raw).map(value => {
+          if (!OBJECT_ID_PATTERN.test(value)) {
+            throw new ListQueryError(`${name} contains an invalid ID: ${value}`);
+          }
+          return value;
+        });
+      case FILTER_TYPES.ENUM_LIST:
+        return ListQuery.parseList(name, raw).map(value => {
+          if (!definition.values.includes(value)) {
+            throw new ListQueryError(`${name} must be one of: ${definition.values.join(', ')}`);
+          }
+          return value;
+        });
+      case FILTER_TYPES.STRING_LIST:
+        return ListQuery.parseList(name, raw).map(value => definition.normalize ? definition.normalize(value) : value);
+      default:
+        throw new Error(`Unknown filter type: ${definition.type}`);
+    }
+  }
+
+  static parseDateRange(name, raw) {
+    // createdAt=2024-01-01 처럼 연산자 없이 오면 거부
+    if (typeof raw !== 'object' || Array.isArray(raw)) {
+      throw new ListQueryError(`${name} must use range operators, e.g. ${name}[gte]=2024-01-01`);
+    }
+
+    const range = {};
+    for (const [operator, value] of Object.entries(raw)) {
+      if (!DATE_OPERATORS.includes(operator)) {
+        throw new ListQueryError(`${name}[${operator}] is not supported (use ${DATE_OPERATORS.join(', ')})`);
+      }
+
+      const date = typeof value === 'string' ? new Date(value) : new Date(NaN);
+      if (Number.isNaN(date.getTime())) {
+        throw new ListQueryError(`${name}[${operator}] must be a valid date`);
+      }
+      range[`$${operator}`] = date;
+    }
+
+    return range;
+  }
+
+  static parseBoolean(name, raw) {
+    if (raw === 'true' || raw === true) return true;
+    if (raw === 'false' || raw === false) return false;
+    throw new ListQueryError(`${name} must be true or false`);
+  }
+
+  static parseList(name, raw) {
+    const values = (Array.isArray(raw) ? raw : [raw])
+      .flatMap(value => {
+        if (typeof value !== 'string') {
+          throw new ListQueryError(`${name} must be a comma-separated list`);
+        }
+        return value.split(',');
+      })
+      .map(value => value.trim())
+      .filter(Boolean);
+
+    if (values.length === 0) {
+      throw new ListQueryError(`${name} must not be empty`);
+    }
+    if (values.length > MAX_LIST_VALUES) {
+      throw new ListQueryError(`${name} cannot contain more than ${MAX_LIST_VALUES} values`);
+    }
+
+    return [...new Set(values)];
+  }
+
+  static buildCondition(field, value, definition) {
+    switch (definition.type) {
+      case FILTER_TYPES.DATE_RANGE:
+      case FILTER_TYPES.BOOLEAN:
+        return { [field]: value };
+      case FILTER_TYPES.ID_LIST: {
+        // Mixed 타입 필드는 문자열과 ObjectId가 섞여 저장될 수 있어 두 형태 모두 조회
+        return { [field]: { $in: [...value, ...value.map(id => new mongoose.Types.ObjectId(id))] } };
+      }
+      case FILTER_TYPES.STRING_LIST:
+        return { [field]: definition.match === 'any' ? { $in: value } : { $all: value } };
+      default:
+        return { [field]: { $in: value } };
+    }
+  }
+}
+
+module.exports = {
+  ListQuery,
+  ListQueryError,
+  FILTER_TYPES
+};
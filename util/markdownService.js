@@ -0,0 +1,171 @@
+const MarkdownIt = require('markdown-it');
+const sanitizeHtml = require('sanitize-html');
+const { CONTENT_FORMATS } = require('../models');
+
+// 목록 항목 맨 앞의 체크박스 ("[ ] 할 일", "[x] 완료")
+const CHECKBOX_PATTERN = /^\[([ xX])\](?=\s|$)\s?/;
+// 원본 줄에서 목록 기호 뒤의 체크박스 위치 (인용문/들여쓰기 포함)
+const CHECKBOX_LINE_PATTERN = /^(\s*(?:>\s*)*(?:[-*+]|\d+[.)])\s+)\[([ xX])\]/;
+
+const SANITIZE_OPTIONS = {
+  allowedTags: [
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'p', 'br', 'hr', 'blockquote', 'pre', 'code',
+    'ul', 'ol', 'li', 'strong', 'em', 's', 'del', 'a', 'img', 'input',
+    'table', 'thead', 'tbody', 'tr', 'th', 'td'
+  ],
+  allowedAttributes: {
+    a: ['href', 'title', 'rel', 'target'],
+    img: ['src', 'alt', 'title'],
+    input: ['type', 'checked', 'disabled', 'data-checklist-index'],
+    li: ['class'],
+    ol: ['start'],
+    code: ['class'],
+    th: ['style'],
+    td: ['style']
+  },
+  allowedClasses: {
+    li: ['task-list-item'],
+    code: [/^language-[\w-]+$/]
+  },
+  allowedStyles: {
+    th: { 'text-align': [/^(left|right|center)$/] },
+    td: { 'text-align': [/^(left|right|center)$/] }
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  allowedSchemesByTag: { img: ['http', 'https'] },
+  allowProtocolRelative: false,
+  transformTags: {
+    // 외부 링크는 새 탭에서 열고 참조 정보를 넘기지 않음
+    a: sanitizeHtml.simpleTransform('a', { rel: 'noopener noreferrer nofollow', target: '_blank' }),
+    // 체크박스 외의 input은 제거
+    input: (tagName, attribs) => (attribs.type === 'checkbox'
+      ? { tagName, attribs }
+      : { tagName: '', attribs: {} })
+  }
+};
+
+/**
+ * 체크리스트 항목 토큰 찾기 (렌더링과 토글이 같은 기준으로 번호를 매김)
+ * 목록 항목의 첫 문단이 "[ ]" 또는 "[x]"로 시작하면 체크리스트 항목입니다.
+ * @param {Array<Token>} tokens - markdown-it 블록 토큰
+ * @returns {Array<{listItem: Token, inline: Token, checked: boolean}>}
+ */
+const findChecklistTokens = (tokens) => {
+  const items = [];
+  for (let i = 2; i < tokens.length; i++) {
+    if (tokens[i].type === 'inline'
+      && tokens[i - 1].type === 'paragraph_open'
+      && tokens[i - 2].type === 'list_item_open') {
+      const match = CHECKBOX_PATTERN.exec(tokens[i].content);
+      if (match) {
+        items.push({ listItem: tokens[i - 2], inline: tokens[i], checked: match[1] !== ' ' });
+      }
+    }
+  }
+  return items;
+};
+
+/**
+ * markdown-it 플러그인: 체크리스트 항목을 비활성 체크박스로 렌더링
+ * 체크 상태 변경은 data-checklist-index 번호로 체크리스트 API를 호출합니다.
+ */
+const checklistPlugin = (md) => {
+  md.core.ruler.push('checklist', (state) => {
+    findChecklistTokens(state.tokens).forEach(({ listItem, inline, checked }, index) => {
+      const firstText = inline.children[0];
+      if (!firstText || firstText.type !== 'text') {
+        return;
+      }
+
+      firstText.content = firstText.content.replace(CHECKBOX_PATTERN, '');
+      const checkbox = new state.Token('html_inline', '', 0);
+      checkbox.content = `<input type="checkbox" disabled data-checklist-index="${index}"${checked ? ' checked' : ''}> `;
+      inline.children.unshift(checkbox);
+      listItem.attrJoin('class', 'task-list-item');
+    });
+  });
+};
+
+/**
+ * 메모 본문 렌더링
+ * 마크다운은 원시 HTML을 허용하지 않고(html: false) 렌더링 결과도 sanitize-html로 한 번 더 정리해
+ * 스크립트, 이벤트 속성, javascript: 링크가 응답에 포함되지 않도록 합니다.
+ */
+class MarkdownService {
+  constructor() {
+    this.md = new MarkdownIt({
+      html: false,
+      linkify: true,
+      breaks: true
+    }).use(checklistPlugin);
+  }
+
+  /**
+   * 본문을 안전한 HTML로 변환
+   * @param {string} content - 메모 본문
+   * @param {string} format - CONTENT_FORMATS 값
+   * @returns {string}
+   */
+  render(content, format = CONTENT_FORMATS.PLAIN) {
+    if (format !== CONTENT_FORMATS.MARKDOWN) {
+      return this.escapeHtml(content || '').replace(/\r?\n/g, '<br>\n');
+    }
+    return sanitizeHtml(this.md.render(content || ''), SANITIZE_OPTIONS);
+  }
+
+  /**
+   * 체크리스트 항목 목록
+   * @param {string} content - 마크다운 본문
+   * @returns {Array<{index: number, checked: boolean, text: string, line: number}>} - line은 0부터 시작
+   */
+  getChecklist(content) {
+    const tokens = this.md.parse(content || '', {});
+    return findChecklistTokens(tokens).map(({ listItem, inline, checked }, index) => ({
+      index,
+      checked,
+      text: inline.content.replace(CHECKBOX_PATTERN, '').split('\n')[0],
+      line: listItem.map[0]
+    }));
+  }
+
+  /**
+   * 체크리스트 항목 하나의 체크 상태만 바꾼 본문 반환
+   * @param {string} content - 마크다운 본문
+   * @param {number} index - 체크리스트 항목 번호 (0부터)
+   * @param {boolean} [checked] - 지정하지 않으면 현재 상태를 반전
+   * @returns {{content: string, item: Object}|null} - 항목이 없으면 null
+   */
+  toggleChecklistItem(content, index, checked) {
+    const item = this.getChecklist(content).find(candidate => candidate.index === index);
+    if (!item) {
+      return null;
+    }
+
+    const nextChecked = typeof checked === 'boolean' ? checked : !item.checked;
+    const lines = content.split('\n');
+    const match = CHECKBOX_LINE_PATTERN.exec(lines[item.line]);
+    if (!match) {
+      return null;
+    }
+
+    lines[item.line] = `${match[1]}[${nextChecked ? 'x' : ' '}]${lines[item.line].slice(match[0].length)}`;
+    return {
+      content: lines.join('\n'),
+      item: { ...item, checked: nextChecked }
+    };
+  }
+
+  escapeHtml(value) {
+    return value
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+}
+
+// 싱글톤 인스턴스
+const markdownService = new MarkdownService();
+
+module.exports = markdownService;
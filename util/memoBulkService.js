@@ -0,0 +1,343 @@
+const database = require('./database');
+const { Memo, DesignTemplate, PERMISSIONS, REVISION_ACTIONS } = require('../models');
+const { FolderService } = require('./folderService');
+const memoRevisionService = require('./memoRevisionService');
+const realtimeService = require('./realtimeService');
+const { REALTIME_EVENTS } = require('./realtimeService');
+const logger = require('./logger');
+
+const mongoose = database.getMongoose();
+
+// 일괄 작업 종류
+const BULK_ACTIONS = {
+  DELETE: 'delete',         // 휴지통으로 이동
+  TEMPLATE: 'template',     // 디자인 템플릿 변경 (templateId)
+  MOVE: 'move',             // 폴더 이동 (folderId, null이면 폴더에서 꺼냄)
+  TAG: 'tag',               // 태그 추가/제거 (addTags, removeTags)
+  DUPLICATE: 'duplicate'    // 복제
+};
+
+const BULK_LIMITS = {
+  MAX_IDS: 100
+};
+
+// 항목별 처리 결과
+const BULK_ITEM_STATUS = {
+  SUCCESS: 'success',
+  FAILED: 'failed'
+};
+
+/**
+ * 일괄 작업 오류 (errorHandler가 statusCode로 응답)
+ * atomic 요청이 일부 항목 때문에 취소되면 results에 항목별 결과를 담습니다.
+ */
+class BulkOperationError extends Error {
+  constructor(message, statusCode = 400, results = null) {
+    super(message);
+    this.name = 'BulkOperationError';
+    this.statusCode = statusCode;
+    this.results = results;
+  }
+}
+
+/**
+ * 여러 메모에 같은 작업을 한 번에 적용
+ * 항목마다 존재 여부와 소유권(작성자 또는 메모 관리 권한)을 확인하고, 통과한 메모의 변경은 한 트랜잭션에서 함께 저장합니다.
+ * atomic이면 한 항목이라도 실패할 때 아무것도 바꾸지 않습니다.
+ * 트랜잭션을 지원하지 않는 MongoDB(단독 서버)에서는 트랜잭션 없이 실행하고 응답의 transactional을 false로 알립니다.
+ */
+class MemoBulkService {
+  /**
+   * 일괄 작업 실행
+   * @param {Object} user - req.user
+   * @param {Object} input - { action, ids, atomic, templateId, folderId, addTags, removeTags }
+   * @returns {Promise<Object>} - { action, transactional, summary, results }
+   */
+  static async execute(user, input = {}) {
+    const { action, atomic = false } = input;
+    if (!Object.values(BULK_ACTIONS).includes(action)) {
+      throw new BulkOperationError(`action must be one of: ${Object.values(BULK_ACTIONS).join(', ')}`);
+    }
+    if (typeof atomic !== 'boolean') {
+      throw new BulkOperationError('atomic must be a boolean');
+    }
+
+    const ids = MemoBulkService.normalizeIds(input.ids);
+    const options = await MemoBulkService.prepareOptions(user, action, input);
+
+    let outcome = null;
+    const work = async (session) => {
+      // 트랜잭션이 재시도되면 처음부터 다시 확인
+      outcome = await MemoBulkService.runAction(user, action, ids, { ...options, atomic }, session);
+    };
+
+    const transactional = await FolderService.withTransaction(work);
+
+    await MemoBulkService.afterCommit(user, action, outcome);
+
+    const succeeded = outcome.results.filter(item => item.status === BULK_ITEM_STATUS.SUCCESS).length;
+    logger.info(`Bulk memo ${action} by ${user.username}: ${succeeded}/${ids.length} succeeded`);
+
+    return {
+      action,
+      transactional,
+      summary: {
+        requested: ids.length,
+        succeeded,
+        failed: ids.length - succeeded
+      },
+      results: outcome.results
+    };
+  }
+
+  /**
+   * 요청의 메모 ID 목록 검증 (중복 제거, 순서 유지)
+   */
+  static normalizeIds(ids) {
+    if (!Array.isArray(ids) || ids.length === 0) {
+      throw new BulkOperationError('ids must be a non-empty array of memo IDs');
+    }
+
+    const unique = [...new Set(ids.map(id => String(id)))];
+    if (unique.length > BULK_LIMITS.MAX_IDS) {
+      throw new BulkOperationError(`Cannot process more than ${BULK_LIMITS.MAX_IDS} memos at once`);
+    }
+    return unique;
+  }
+
+  /**
+   * 작업별 입력 검증 (모든 항목에 공통인 대상은 한 번만 조회)
+   */
+  static async prepareOptions(user, action, input) {
+    switch (action) {
+      case BULK_ACTIONS.TEMPLATE: {
+        if (!input.templateId || !mongoose.isValidObjectId(input.templateId)) {
+          throw new BulkOperationError('Valid templateId is required');
+        }
+        const template = await DesignTemplate.findById(input.templateId).select('_id');
+        if (!template) {
+          throw new BulkOperationError('Design template not found', 404);
+        }
+        return { templateId: template._id };
+      }
+
+      case BULK_ACTIONS.MOVE: {
+        if (input.folderId === undefined) {
+          throw new BulkOperationError('folderId is required (null to take memos out of their folder)');
+        }
+        // 폴더는 요청한 사용자의 폴더만 지정 가능
+        const folder = input.folderId ? await FolderService.resolveFolder(user.id, input.folderId) : null;
+        return { folder };
+      }
+
+      case BULK_ACTIONS.TAG: {
+        const addTags = Memo.normalizeTags(input.addTags || []);
+        // 제한을 넘는 기존 태그도 제거할 수 있도록 제거 목록은 제한 확인 생략
+        const removeTags = Memo.normalizeTags(input.removeTags || [], { checkLimits: false });
+        if (addTags.length === 0 && removeTags.length === 0) {
+          throw new BulkOperationError('addTags or removeTags is required');
+        }
+        return { addTags, removeTags };
+      }
+
+      default:
+        return {};
+    }
+  }
+
+  /**
+   * 항목별 확인 후 작업 적용
+   * @returns {Promise<{results: Array<Object>, memos: Array<Memo>, changedIds: Array, duplicates: Array<Memo>}>}
+   */
+  static async runAction(user, action, ids, options, session) {
+    const validIds = ids.filter(id => mongoose.isValidObjectId(id));
+    const memos = await Memo.find({ _id: { $in: validIds }, deletedAt: null }).session(session);
+    const memoMap = new Map(memos.map(memo => [memo._id.toString(), memo]));
+    const canModerate = (user.permissions || []).includes(PERMISSIONS.MEMO_MODERATE);
+
+    const results = [];
+    const allowed = [];
+    const allowedItems = [];
+    for (const id of ids) {
+      const memo = memoMap.get(id);
+      const failure = MemoBulkService.checkItem(user, id, memo, canModerate, action, options);
+      if (failure) {
+        results.push({ id, status: BULK_ITEM_STATUS.FAILED, ...failure });
+      } else {
+        const item = { id, status: BULK_ITEM_STATUS.SUCCESS };
+        results.push(item);
+        allowed.push(memo);
+        allowedItems.push(item);
+      }
+    }
+
+    // 트랜잭션이 없어도 아무것도 바꾸지 않도록 쓰기 전에 확인
+    if (options.atomic && allowed.length < ids.length) {
+      throw new BulkOperationError('Some memos cannot be processed; no changes were made', 409, results);
+    }
+
+    const outcome = { results, memos: allowed, changedIds: [], duplicates: [] };
+    if (allowed.length === 0) {
+      return outcome;
+    }
+
+    const allowedIds = allowed.map(memo => memo._id);
+    switch (action) {
+      case BULK_ACTIONS.DELETE:
+        await Memo.updateMany(
+          { _id: { $in: allowedIds } },
+          { $set: { deletedAt: new Date(), deletedBy: user.id } },
+          { session }
+        );
+        outcome.changedIds = allowedIds;
+        break;
+
+      case BULK_ACTIONS.TEMPLATE: {
+        const changed = allowed.filter(memo => String(memo.templateId) !== String(options.templateId));
+        await MemoBulkService.ensureBaselines(changed);
+        // templateId는 버전 관리 필드이므로 버전도 올림
+        await Memo.updateMany(
+          { _id: { $in: changed.map(memo => memo._id) } },
+          { $set: { templateId: options.templateId }, $inc: { __v: 1 } },
+          { session }
+        );
+        outcome.changedIds = changed.map(memo => memo._id);
+        break;
+      }
+
+      case BULK_ACTIONS.MOVE: {
+        const folderId = options.folder ? options.folder._id : null;
+        const changed = allowed.filter(memo => String(memo.folderId || null) !== String(folderId));
+        await Memo.updateMany(
+          { _id: { $in: changed.map(memo => memo._id) } },
+          { $set: { folderId } },
+          { session }
+        );
+        outcome.changedIds = changed.map(memo => memo._id);
+        break;
+      }
+
+      case BULK_ACTIONS.TAG: {
+        const updates = allowed
+          .map(memo => ({ memo, tags: MemoBulkService.applyTagChanges(memo, options) }))
+          .filter(({ memo, tags }) => tags.length !== memo.tags.length || tags.some(tag => !memo.tags.includes(tag)));
+
+        await MemoBulkService.ensureBaselines(updates.map(({ memo }) => memo));
+        if (updates.length > 0) {
+          // bulkWrite는 스키마 검증을 거치지 않으므로 태그 제한은 checkItem에서 확인함
+          await Memo.bulkWrite(updates.map(({ memo, tags }) => ({
+            updateOne: {
+              filter: { _id: memo._id },
+              update: { $set: { tags }, $inc: { __v: 1 } }
+            }
+          })), { session });
+        }
+        outcome.changedIds = updates.map(({ memo }) => memo._id);
+        break;
+      }
+
+      case BULK_ACTIONS.DUPLICATE:
+        for (const [index, memo] of allowed.entries()) {
+          // 복사본은 항상 요청한 사용자의 계정에 생성 (폴더는 작성자 본인이 복제할 때만 유지)
+          const duplicate = new Memo({
+            title: `${memo.title} (Copy)`,
+            content: memo.content,
+            format: memo.format,
+            templateId: memo.templateId,
+            userId: user.id,
+            tags: memo.tags,
+            folderId: memo.userId.toString() === user.id ? memo.folderId : null
+          });
+          await duplicate.save({ session });
+
+          outcome.duplicates.push(duplicate);
+          allowedItems[index].duplicateId = duplicate._id.toString();
+        }
+        break;
+    }
+
+    return outcome;
+  }
+
+  /**
+   * 항목 하나의 처리 가능 여부
+   * @returns {Object|null} - 실패 시 { statusCode, error }
+   */
+  static checkItem(user, id, memo, canModerate, action, options) {
+    if (!mongoose.isValidObjectId(id)) {
+      return { statusCode: 400, error: 'Invalid memo ID' };
+    }
+    if (!memo) {
+      return { statusCode: 404, error: 'Memo not found' };
+    }
+    if (memo.userId.toString() !== user.id && !canModerate) {
+      return { statusCode: 403, error: 'Access denied. You can only access your own resources.' };
+    }
+    // 폴더는 메모 작성자의 폴더여야 함
+    if (action === BULK_ACTIONS.MOVE && options.folder && memo.userId.toString() !== options.folder.userId.toString()) {
+      return { statusCode: 400, error: 'Folder belongs to another user' };
+    }
+    if (action === BULK_ACTIONS.TAG) {
+      const tagError = Memo.checkTagLimits(MemoBulkService.applyTagChanges(memo, options));
+      if (tagError) {
+        return { statusCode: 400, error: tagError };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * 태그 추가/제거 후의 태그 목록
+   */
+  static applyTagChanges(memo, { addTags, removeTags }) {
+    return [...new Set([...memo.tags, ...addTags])].filter(tag => !removeTags.includes(tag));
+  }
+
+  /**
+   * 리비전 기록 이전에 만들어진 메모는 수정 전 상태를 먼저 보존
+   */
+  static async ensureBaselines(memos) {
+    for (const memo of memos) {
+      await memoRevisionService.ensureBaseline(memo);
+    }
+  }
+
+  /**
+   * 커밋 후 리비전 기록과 실시간 이벤트 발행
+   */
+  static async afterCommit(user, action, { memos, changedIds, duplicates }) {
+    if (action === BULK_ACTIONS.DELETE) {
+      memos.forEach(memo => realtimeService.publishMemoEvent(REALTIME_EVENTS.MEMO_DELETED, memo));
+      return;
+    }
+
+    if (action === BULK_ACTIONS.DUPLICATE) {
+      for (const duplicate of duplicates) {
+        await memoRevisionService.recordRevision(duplicate, user.id, { action: REVISION_ACTIONS.CREATE });
+        realtimeService.publishMemoEvent(REALTIME_EVENTS.MEMO_CREATED, duplicate);
+      }
+      return;
+    }
+
+    if (changedIds.length === 0) {
+      return;
+    }
+
+    const updated = await Memo.find({ _id: { $in: changedIds } });
+    const recordsRevision = action === BULK_ACTIONS.TEMPLATE || action === BULK_ACTIONS.TAG;
+    for (const memo of updated) {
+      if (recordsRevision) {
+        await memoRevisionService.recordRevision(memo, user.id);
+      }
+      realtimeService.publishMemoEvent(REALTIME_EVENTS.MEMO_UPDATED, memo);
+    }
+  }
+}
+
+module.exports = {
+  MemoBulkService,
+  BulkOperationError,
+  BULK_ACTIONS,
+  BULK_LIMITS,
+  BULK_ITEM_STATUS
+};
@@ -0,0 +1,1034 @@
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+const yauzl = require('yauzl');
+const { XMLParser } = require('fast-xml-parser');
+const database = require('./database');
+const {
+  User, Memo, DesignTemplate, ImportJob, DOMAIN_TYPES, CONTENT_FORMATS, REVISION_ACTIONS,
+  IMPORT_SOURCES, IMPORT_STATUS, IMPORT_ITEM_STATUS
+} = require('../models');
+const FileService = require('./fileService');
+const { FolderService } = require('./folderService');
+const memoRevisionService = require('./memoRevisionService');
+const realtimeService = require('./realtimeService');
+const { REALTIME_EVENTS } = require('./realtimeService');
+const logger = require('./logger');
+
+const mongoose = database.getMongoose();
+
+const IMPORT_LIMITS = {
+  MAX_UPLOAD_BYTES: 50 * 1024 * 1024,
+  MAX_NOTES: 1000,
+  MAX_ENTRY_BYTES: 20 * 1024 * 1024,     // ZIP 안의 파일 하나
+  MAX_ARCHIVE_BYTES: 200 * 1024 * 1024,  // ZIP 안의 파일 전체 (압축 해제 기준, 작업 디렉토리에 풂)
+  MAX_IMAGE_BYTES: 5 * 1024 * 1024,      // 이미지 업로드와 같은 제한
+  MAX_TITLE_LENGTH: 200,
+  MAX_CONTENT_LENGTH: 10000
+};
+
+// 가져올 수 있는 이미지 형식 (저장 확장자는 원본 이름이 아니라 형식으로 정함)
+const IMAGE_TYPES = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp'
+};
+const IMAGE_EXTENSIONS = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp'
+};
+const NOTE_EXTENSIONS = {
+  '.md': CONTENT_FORMATS.MARKDOWN,
+  '.markdown': CONTENT_FORMATS.MARKDOWN,
+  '.txt': CONTENT_FORMATS.PLAIN
+};
+
+// 진행 상황 저장 주기 (항목 수)
+const PROGRESS_SAVE_EVERY = 10;
+// 이 시간 동안 진행 상황이 갱신되지 않은 작업은 중단된 것으로 봄 (서버 재시작 등)
+const STALE_JOB_MS = 10 * 60 * 1000;
+
+// 마크다운 이미지: ![alt](target "title")
+const MARKDOWN_IMAGE_PATTERN = /!\[[^\]]*\]\(\s*<?([^)\s>]+)>?(?:\s+"[^"]*")?\s*\)/g;
+// Evernote 날짜 형식: 20240131T235959Z
+const ENEX_DATE_PATTERN = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/;
+
+/**
+ * 가져오기 오류 (errorHandler가 statusCode로 응답)
+ * 작업 처리 중에 발생하면 메시지를 작업 또는 항목의 error로 기록합니다.
+ */
+class ImportError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ImportError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * 메모 가져오기
+ * 업로드한 파일을 imports/ 디렉토리에 임시 저장하고 백그라운드 작업으로 메모를 만듭니다.
+ * ZIP 내용과 ENEX 이미지는 작업 디렉토리(imports/<작업 ID>/)에 풀어 두고 메모리에는 목록만 유지합니다.
+ *   - ZIP: .md/.txt 파일마다 메모 하나 (마크다운의 상대 경로 이미지도 함께 가져옴),
+ *          memos.json이 있으면 데이터 내보내기 압축 파일로 보고 첨부 파일까지 가져옴
+ *   - JSON: 데이터 내보내기의 memos.json
+ *   - ENEX: Evernote 노트 (본문은 마크다운으로 변환, 이미지 리소스 포함)
+ * 이미지는 메모 도메인의 File로 저장하고 본문의 이미지 주소를 새 주소로 바꿉니다.
+ * 항목별 결과(메모 ID 또는 오류)는 ImportJob.items에 남깁니다.
+ */
+class MemoImportService {
+  constructor() {
+    this.importDir = path.join(__dirname, '../imports');
+    this.uploadRoot = path.join(__dirname, '../uploads');
+    this.retentionDays = parseInt(process.env.MEMO_IMPORT_RETENTION_DAYS) || 7;
+    this.recoveryInterval = null;
+
+    this.enexParser = new XMLParser({
+      ignoreAttributes: false,
+      attributeNamePrefix: '@_',
+      textNodeName: '#text',
+      parseTagValue: false,
+      isArray: (name) => ['note', 'tag', 'resource'].includes(name)
+    });
+    // ENML 본문은 순서를 유지해야 하므로 preserveOrder로 읽음
+    this.enmlParser = new XMLParser({
+      ignoreAttributes: false,
+      attributeNamePrefix: '@_',
+      preserveOrder: true,
+      trimValues: false,
+      parseTagValue: false,
+      htmlEntities: true
+    });
+  }
+
+  /**
+   * 가져오기 작업 생성
+   * 실패하면 업로드된 임시 파일을 삭제합니다.
+   * @param {Object} user - req.user
+   * @param {Object} upload - multer가 저장한 파일 (req.file)
+   * @param {Object} options - { templateId, folderId }
+   * @returns {Promise<ImportJob>}
+   */
+  async createJob(user, upload, { templateId, folderId } = {}) {
+    try {
+      const source = this.detectSource(upload.originalname);
+
+      if (!templateId || !mongoose.isValidObjectId(templateId)) {
+        throw new ImportError('A valid templateId is required');
+      }
+      const template = await DesignTemplate.findById(templateId).select('_id');
+      if (!template) {
+        throw new ImportError('Design template not found', 404);
+      }
+      // 폴더는 본인 폴더만 지정 가능
+      const folder = folderId ? await FolderService.resolveFolder(user.id, folderId) : null;
+
+      // 진행 중인 작업은 사용자당 하나 (부분 unique 인덱스로 동시 요청도 막음)
+      const job = await ImportJob.create({
+        userId: user.id,
+        source,
+        originalName: upload.originalname.slice(0, 255),
+        uploadPath: upload.path,
+        options: {
+          templateId: template._id,
+          folderId: folder ? folder._id : null
+        },
+        expiresAt: new Date(Date.now() + this.retentionDays * 24 * 60 * 60 * 1000)
+      }).catch(error => {
+        if (error.code === 11000) {
+          throw new ImportError('An import is already in progress', 409);
+        }
+        throw error;
+      });
+
+      // 응답을 막지 않도록 백그라운드에서 처리
+      setImmediate(() => {
+        this.processJob(job._id).catch(error => {
+          logger.error(`Memo import ${job._id} failed: ${error.message}`);
+        });
+      });
+
+      logger.info(`Memo import requested by ${user.username}: ${job._id} (${source})`);
+      return job;
+    } catch (error) {
+      await fs.promises.unlink(upload.path).catch(() => {});
+      throw error;
+    }
+  }
+
+  detectSource(filename) {
+    switch (path.extname(filename || '').toLowerCase()) {
+      case '.zip':
+        return IMPORT_SOURCES.ZIP;
+      case '.json':
+        return IMPORT_SOURCES.JSON;
+      case '.enex':
+        return IMPORT_SOURCES.ENEX;
+      default:
+        throw new ImportError('Only .zip, .json and .enex files can be imported');
+    }
+  }
+
+  /**
+   * 가져오기 작업 처리
+   * @param {string} jobId - ImportJob ID
+   */
+  async processJob(jobId) {
+    const job = await ImportJob.findOneAndUpdate(
+      { _id: jobId, status: IMPORT_STATUS.QUEUED },
+      { $set: { status: IMPORT_STATUS.PROCESSING, startedAt: new Date() } },
+      { new: true }
+    );
+    if (!job) {
+      return;
+    }
+
+    const workDir = this.getWorkDir(job);
+    let cancelled = false;
+    try {
+      const notes = await this.readNotes(job, workDir);
+      if (notes.length === 0) {
+        throw new ImportError('No notes found in the file');
+      }
+      if (notes.length > IMPORT_LIMITS.MAX_NOTES) {
+        throw new ImportError(`Cannot import more than ${IMPORT_LIMITS.MAX_NOTES} notes at once`);
+      }
+
+      job.progress.total = notes.length;
+      await job.save();
+
+      const templateIds = await this.findExistingTemplates(notes);
+
+      for (const [index, note] of notes.entries()) {
+        // 계정 삭제로 작업이 지워졌으면 삭제된 계정에 메모를 만들지 않도록 중단
+        if (!(await this.isJobAlive(job))) {
+          cancelled = true;
+          break;
+        }
+
+        try {
+          const { memo, warnings } = await this.importNote(job, note, templateIds);
+          job.items.push({ index, name: note.name, status: IMPORT_ITEM_STATUS.IMPORTED, memoId: memo._id, warnings });
+          job.progress.imported++;
+        } catch (error) {
+          job.items.push({ index, name: note.name, status: IMPORT_ITEM_STATUS.FAILED, error: this.describeError(error) });
+          job.progress.failed++;
+        }
+
+        job.progress.processed++;
+        if (job.progress.processed % PROGRESS_SAVE_EVERY === 0) {
+          await job.save();
+        }
+      }
+
+      if (cancelled) {
+        logger.warning(`Memo import ${job._id} stopped: the job or its owner was deleted`);
+        return;
+      }
+
+      job.status = IMPORT_STATUS.COMPLETED;
+      logger.success(`Memo import ${job._id} completed: ${job.progress.imported} imported, ${job.progress.failed} failed`);
+    } catch (error) {
+      job.status = IMPORT_STATUS.FAILED;
+      job.error = this.describeError(error);
+      logger.error(`Memo import ${job._id} failed: ${error.message}`);
+    } finally {
+      await fs.promises.unlink(job.uploadPath).catch(() => {});
+      await fs.promises.rm(workDir, { recursive: true, force: true }).catch(() => {});
+      if (!cancelled) {
+        job.uploadPath = null;
+        job.completedAt = new Date();
+        await job.save();
+      }
+    }
+  }
+
+  /**
+   * 작업과 작업을 요청한 사용자가 아직 있는지 확인 (계정 삭제 시 작업도 삭제됨)
+   */
+  async isJobAlive(job) {
+    const [jobExists, ownerExists] = await Promise.all([
+      ImportJob.exists({ _id: job._id }),
+      User.exists({ _id: job.userId })
+    ]);
+    return Boolean(jobExists && ownerExists);
+  }
+
+  /**
+   * 사용자의 가져오기 작업 삭제 (계정 삭제)
+   * 진행 중인 작업은 다음 항목을 처리하기 전에 중단됩니다.
+   * @param {string} userId - 사용자 ID
+   * @returns {Promise<number>} - 삭제한 작업 수
+   */
+  async deleteUserJobs(userId) {
+    const jobs = await ImportJob.find({ userId }).select('_id uploadPath');
+    for (const job of jobs) {
+      if (job.uploadPath) {
+        await fs.promises.unlink(job.uploadPath).catch(() => {});
+      }
+      await fs.promises.rm(this.getWorkDir(job), { recursive: true, force: true }).catch(() => {});
+    }
+
+    const { deletedCount } = await ImportJob.deleteMany({ userId });
+    return deletedCount;
+  }
+
+  /**
+   * 작업 중에 ZIP 내용과 이미지를 풀어 두는 디렉토리 (작업이 끝나면 삭제)
+   */
+  getWorkDir(job) {
+    return path.join(this.importDir, job._id.toString());
+  }
+
+  /**
+   * 원본 형식별로 노트 목록 읽기
+   * 노트: { name, title, content, format, tags, createdAt, updatedAt, templateId, images, warnings, error }
+   * images: [{ name, mimeType, path, size, ref }] - path는 workDir에 풀어 둔 파일, ref는 본문에서 새 주소로 바꿀 문자열
+   */
+  async readNotes(job, workDir) {
+    switch (job.source) {
+      case IMPORT_SOURCES.ZIP: {
+        await fs.promises.mkdir(workDir, { recursive: true });
+        const entries = await this.readZip(job.uploadPath, workDir);
+        const exportIndex = [...entries.keys()].find(name => path.posix.basename(name) === 'memos.json');
+        if (exportIndex) {
+          const memos = this.parseJson(await this.readEntry(entries.get(exportIndex)));
+          return this.parseJsonExport(memos, entries, path.posix.dirname(exportIndex));
+        }
+        return this.parseTextFiles(entries);
+      }
+      case IMPORT_SOURCES.JSON: {
+        const data = await fs.promises.readFile(job.uploadPath);
+        return this.parseJsonExport(this.parseJson(data), null, '.');
+      }
+      case IMPORT_SOURCES.ENEX: {
+        await fs.promises.mkdir(workDir, { recursive: true });
+        const data = await fs.promises.readFile(job.uploadPath, 'utf8');
+        return this.parseEnex(data, workDir);
+      }
+      default:
+        throw new ImportError(`Unsupported import source: ${job.source}`);
+    }
+  }
+
+  /**
+   * ZIP에서 가져올 수 있는 파일만 workDir에 풀기
+   * 내용은 메모리에 두지 않고 필요할 때 디스크에서 읽습니다.
+   * @returns {Promise<Map<string, {path: string|null, size: number, modifiedAt: Date}>>} - path가 null이면 너무 큰 파일
+   */
+  readZip(filePath, workDir) {
+    return new Promise((resolve, reject) => {
+      yauzl.open(filePath, { lazyEntries: true }, (openError, zipfile) => {
+        if (openError) {
+          return reject(new ImportError(`Invalid ZIP file: ${openError.message}`));
+        }
+
+        const entries = new Map();
+        let totalBytes = 0;
+        let extracted = 0;
+
+        zipfile.on('error', error => reject(new ImportError(`Invalid ZIP file: ${error.message}`)));
+        zipfile.on('end', () => resolve(entries));
+        zipfile.on('entry', (entry) => {
+          const name = entry.fileName;
+          if (name.endsWith('/') || !this.isImportableEntry(name)) {
+            return zipfile.readEntry();
+          }
+          if (entry.uncompressedSize > IMPORT_LIMITS.MAX_ENTRY_BYTES) {
+            entries.set(name, { path: null, size: entry.uncompressedSize, modifiedAt: entry.getLastModDate() });
+            return zipfile.readEntry();
+          }
+
+          totalBytes += entry.uncompressedSize;
+          if (totalBytes > IMPORT_LIMITS.MAX_ARCHIVE_BYTES) {
+            zipfile.close();
+            return reject(new ImportError('ZIP contents are too large'));
+          }
+
+          zipfile.openReadStream(entry, (streamError, stream) => {
+            if (streamError) {
+              return reject(new ImportError(`Invalid ZIP file: ${streamError.message}`));
+            }
+            // 압축 파일 안의 경로는 쓰지 않고 순번으로 저장 (경로 조작 방지)
+            const entryPath = path.join(workDir, String(++extracted));
+            pipeline(stream, fs.createWriteStream(entryPath))
+              .then(() => {
+                entries.set(name, { path: entryPath, size: entry.uncompressedSize, modifiedAt: entry.getLastModDate() });
+                zipfile.readEntry();
+              })
+              .catch(error => {
+                zipfile.close();
+                reject(new ImportError(`Invalid ZIP file: ${error.message}`));
+              });
+          });
+        });
+        zipfile.readEntry();
+      });
+    });
+  }
+
+  readEntry(entry) {
+    return fs.promises.readFile(entry.path);
+  }
+
+  isImportableEntry(name) {
+    const segments = name.split('/');
+    // macOS 리소스 포크와 숨김 파일 제외
+    if (segments.some(segment => segment === '__MACOSX' || segment.startsWith('.'))) {
+      return false;
+    }
+    const extension = path.posix.extname(name).toLowerCase();
+    return Boolean(NOTE_EXTENSIONS[extension] || IMAGE_EXTENSIONS[extension]) || extension === '.json';
+  }
+
+  /**
+   * .md/.txt 파일을 노트로 변환
+   */
+  async parseTextFiles(entries) {
+    const notes = [];
+    const names = [...entries.keys()]
+      .filter(name => NOTE_EXTENSIONS[path.posix.extname(name).toLowerCase()])
+      .sort((a, b) => a.localeCompare(b));
+
+    for (const name of names) {
+      const entry = entries.get(name);
+      const format = NOTE_EXTENSIONS[path.posix.extname(name).toLowerCase()];
+      if (!entry.path) {
+        notes.push({ name, error: 'File is too large' });
+        continue;
+      }
+
+      const data = await this.readEntry(entry);
+      const { attributes, body } = this.parseFrontMatter(data.toString('utf8').replace(/^﻿/, ''));
+      const heading = format === CONTENT_FORMATS.MARKDOWN ? /^#\s+(.+?)\s*#*\s*$/m.exec(body) : null;
+      const note = {
+        name,
+        title: attributes.title || (heading ? heading[1] : path.posix.basename(name, path.posix.extname(name))),
+        content: body.trim(),
+        format,
+        tags: attributes.tags || [],
+        createdAt: this.parseDate(attributes.created || attributes.date) || entry.modifiedAt,
+        updatedAt: this.parseDate(attributes.updated || attributes.modified) || entry.modifiedAt,
+        images: [],
+        warnings: []
+      };
+
+      if (format === CONTENT_FORMATS.MARKDOWN) {
+        this.collectZipImages(note, entries, path.posix.dirname(name));
+      }
+      notes.push(this.limitNote(note));
+    }
+    return notes;
+  }
+
+  /**
+   * 마크다운 앞의 YAML front matter에서 title, tags, 날짜 읽기 (단순한 key: value 형식만)
+   */
+  parseFrontMatter(text) {
+    const match = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?/.exec(text);
+    if (!match) {
+      return { attributes: {}, body: text };
+    }
+
+    const attributes = {};
+    let listKey = null;
+    for (const line of match[1].split(/\r?\n/)) {
+      const item = /^\s*-\s+(.+)$/.exec(line);
+      if (item && listKey) {
+        attributes[listKey].push(this.unquote(item[1]));
+        continue;
+      }
+
+      const pair = /^([A-Za-z_][\w-]*):\s*(.*)$/.exec(line);
+      if (!pair) {
+        continue;
+      }
+      const key = pair[1].toLowerCase();
+      const value = pair[2].trim();
+      listKey = null;
+
+      if (key === 'tags') {
+        if (!value) {
+          attributes.tags = [];
+          listKey = 'tags';
+        } else {
+          attributes.tags = value.replace(/^\[|\]$/g, '').split(',').map(tag => this.unquote(tag.trim())).filter(Boolean);
+        }
+      } else {
+        attributes[key] = this.unquote(value);
+      }
+    }
+    return { attributes, body: text.slice(match[0].length) };
+  }
+
+  unquote(value) {
+    return value.replace(/^(['"])(.*)\1$/, '$2');
+  }
+
+  /**
+   * 마크다운이 상대 경로로 참조하는 ZIP 안의 이미지 찾기
+   */
+  collectZipImages(note, entries, baseDir) {
+    const seen = new Set();
+    for (const [, target] of note.content.matchAll(MARKDOWN_IMAGE_PATTERN)) {
+      if (seen.has(target) || /^([a-z][a-z0-9+.-]*:|\/\/|#)/i.test(target)) {
+        continue;
+      }
+      seen.add(target);
+
+      let decoded;
+      try {
+        decoded = decodeURIComponent(target);
+      } catch (error) {
+        decoded = target;
+      }
+      const entryName = path.posix.normalize(path.posix.join(baseDir, decoded)).replace(/^\.\//, '');
+      const entry = entries.get(entryName);
+      const mimeType = IMAGE_EXTENSIONS[path.posix.extname(entryName).toLowerCase()];
+
+      if (!entry || !mimeType) {
+        note.warnings.push(`Image not found in archive: ${decoded}`);
+      } else if (!entry.path) {
+        note.warnings.push(`Image is too large: ${decoded}`);
+      } else {
+        note.images.push({ name: path.posix.basename(entryName), mimeType, path: entry.path, size: entry.size, ref: target });
+      }
+    }
+  }
+
+  parseJson(data) {
+    try {
+      return JSON.parse(data.toString('utf8').replace(/^﻿/, ''));
+    } catch (error) {
+      throw new ImportError(`Invalid JSON file: ${error.message}`);
+    }
+  }
+
+  /**
+   * 데이터 내보내기 형식(memos.json)을 노트로 변환
+   * 내보내기 압축 파일이면 files.json과 files/ 안의 원본으로 메모에 첨부된 이미지를 함께 가져옵니다.
+   * @param {Array|Object} memos - memos.json 내용 (배열 또는 { memos: [...] })
+   * @param {Map|null} entries - ZIP 파일 목록 (JSON만 올린 경우 null)
+   * @param {string} baseDir - ZIP 안에서 memos.json이 있는 디렉토리
+   */
+  async parseJsonExport(memos, entries, baseDir) {
+    const list = Array.isArray(memos) ? memos : memos && memos.memos;
+    if (!Array.isArray(list)) {
+      throw new ImportError('JSON file must contain an array of memos');
+    }
+
+    const files = await this.readExportFiles(entries, baseDir);
+
+    return list.map((item, index) => {
+      if (!item || typeof item !== 'object') {
+        return { name: `#${index + 1}`, error: 'Memo must be an object' };
+      }
+
+      const name = item.title ? String(item.title) : `#${index + 1}`;
+      if (item.attachedFiles != null && !Array.isArray(item.attachedFiles)) {
+        return { name, error: 'attachedFiles must be an array' };
+      }
+
+      const memoId = String(item.id || item._id || '');
+      const template = item.templateId;
+      const note = {
+        name,
+        title: item.title,
+        content: typeof item.content === 'string' ? item.content : '',
+        format: Object.values(CONTENT_FORMATS).includes(item.format) ? item.format : CONTENT_FORMATS.PLAIN,
+        tags: Array.isArray(item.tags) ? item.tags : [],
+        createdAt: this.parseDate(item.createdAt),
+        updatedAt: this.parseDate(item.updatedAt),
+        // 내보낸 메모의 템플릿은 populate된 객체
+        templateId: template && typeof template === 'object' ? String(template.id || template._id || '') : template,
+        images: [],
+        warnings: []
+      };
+
+      const attachedIds = (item.attachedFiles || []).map(String);
+      const memoFiles = files.filter(file => attachedIds.includes(file.id)
+        || (memoId && file.referenceId === memoId && [DOMAIN_TYPES.MEMO, DOMAIN_TYPES.ATTACHMENT].includes(file.domain)));
+
+      for (const file of memoFiles) {
+        if (!file.path) {
+          note.warnings.push(`Attached file not included in the import: ${file.originalName}`);
+        } else if (!IMAGE_TYPES[file.mimeType]) {
+          note.warnings.push(`Only images can be imported, skipped: ${file.originalName}`);
+        } else {
+          note.images.push({ name: file.originalName, mimeType: file.mimeType, path: file.path, size: file.size, ref: file.url });
+        }
+      }
+      if (item.imageUrl && !memoFiles.some(file => file.url === item.imageUrl)) {
+        note.warnings.push('Legacy image is not included in the export and was skipped');
+      }
+      return this.limitNote(note);
+    });
+  }
+
+  /**
+   * 내보내기 압축 파일의 files.json과 원본 파일 연결
+   * @returns {Promise<Array<{id, domain, referenceId, originalName, mimeType, url, path, size}>>}
+   */
+  async readExportFiles(entries, baseDir) {
+    if (!entries) {
+      return [];
+    }
+
+    const prefix = baseDir === '.' ? '' : `${baseDir}/`;
+    const index = entries.get(`${prefix}files.json`);
+    if (!index || !index.path) {
+      return [];
+    }
+
+    const records = this.parseJson(await this.readEntry(index));
+    if (!Array.isArray(records)) {
+      return [];
+    }
+
+    return records.filter(record => record && record.id).map(record => {
+      const original = (record.metadata && record.metadata.original) || {};
+      // 원본은 files/<파일 ID>-<이름>으로 저장됨
+      const entryName = [...entries.keys()].find(name => name.startsWith(`${prefix}files/${record.id}-`));
+      const entry = entryName ? entries.get(entryName) : null;
+
+      return {
+        id: String(record.id),
+        domain: record.domain,
+        referenceId: record.referenceId ? String(record.referenceId) : null,
+        originalName: record.originalName || entryName || String(record.id),
+        mimeType: original.mimeType,
+        url: original.url,
+        path: entry ? entry.path : null,
+        size: entry ? entry.size : 0
+      };
+    });
+  }
+
+  /**
+   * Evernote ENEX를 노트로 변환
+   * 이미지 리소스는 workDir에 저장하고 노트에는 경로만 남깁니다.
+   */
+  async parseEnex(xml, workDir) {
+    let document;
+    try {
+      document = this.enexParser.parse(xml);
+    } catch (error) {
+      throw new ImportError(`Invalid ENEX file: ${error.message}`);
+    }
+
+    const exportNode = document['en-export'];
+    if (!exportNode) {
+      throw new ImportError('Invalid ENEX file: en-export element not found');
+    }
+
+    const notes = [];
+    for (const [index, item] of (exportNode.note || []).entries()) {
+      const name = this.textOf(item.title) || `#${index + 1}`;
+      try {
+        const resources = new Map();
+        for (const resource of item.resource || []) {
+          const data = Buffer.from(this.textOf(resource.data).replace(/\s+/g, ''), 'base64');
+          const attributes = resource['resource-attributes'] || {};
+          const hash = crypto.createHash('md5').update(data).digest('hex');
+          const mimeType = this.textOf(resource.mime);
+          // 가져오지 않는 형식은 저장하지 않음
+          const resourcePath = IMAGE_TYPES[mimeType] ? path.join(workDir, hash) : null;
+          if (resourcePath) {
+            await fs.promises.writeFile(resourcePath, data);
+          }
+          resources.set(hash, {
+            path: resourcePath,
+            size: data.length,
+            mimeType,
+            name: this.textOf(attributes['file-name'])
+          });
+        }
+
+        const note = {
+          name,
+          title: this.textOf(item.title),
+          format: CONTENT_FORMATS.MARKDOWN,
+          tags: (item.tag || []).map(tag => this.textOf(tag)),
+          createdAt: this.parseEnexDate(this.textOf(item.created)),
+          updatedAt: this.parseEnexDate(this.textOf(item.updated)),
+          images: [],
+          warnings: []
+        };
+        note.content = this.convertEnml(this.textOf(item.content), resources, note);
+        notes.push(this.limitNote(note));
+      } catch (error) {
+        notes.push({ name, error: `Invalid note content: ${error.message}` });
+      }
+    }
+    return notes;
+  }
+
+  textOf(value) {
+    if (value === undefined || value === null) {
+      return '';
+    }
+    if (typeof value === 'object') {
+      return String(value['#text'] || '');
+    }
+    return String(value);
+  }
+
+  parseEnexDate(value) {
+    const match = ENEX_DATE_PATTERN.exec(value || '');
+    return match ? new Date(Date.UTC(match[1], match[2] - 1, match[3], match[4], match[5], match[6])) : null;
+  }
+
+  /**
+   * 본문이 너무 긴 노트는 내용을 버리고 실패로 표시 (작업 내내 메모리에 두지 않도록)
+   * 이미지 주소를 바꾸면 길이가 달라지므로 여유를 두고, 정확한 확인은 importNote에서 합니다.
+   */
+  limitNote(note) {
+    if (note.content && note.content.length > IMPORT_LIMITS.MAX_CONTENT_LENGTH * 2) {
+      return { name: note.name, error: `Content cannot exceed ${IMPORT_LIMITS.MAX_CONTENT_LENGTH} characters` };
+    }
+    return note;
+  }
+
+  parseDate(value) {
+    if (!value) {
+      return null;
+    }
+    const date = value instanceof Date ? value : new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+
+  /**
+   * ENML(Evernote 본문 XHTML)을 마크다운으로 변환
+   * 이미지 리소스(en-media)는 note.images에 추가하고 자리 표시 주소로 참조합니다.
+   */
+  convertEnml(enml, resources, note) {
+    const nodes = this.enmlParser.parse(enml.replace(/<!DOCTYPE[^>]*>/i, ''));
+    const root = nodes.find(node => node['en-note']);
+    const markdown = this.renderEnmlNodes(root ? root['en-note'] : nodes, { resources, note, list: null });
+
+    return markdown
+      .split('\n')
+      .map(line => line.replace(/[ \t]+$/, ''))
+      .join('\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+
+  renderEnmlNodes(nodes, context) {
+    return (nodes || []).map(node => this.renderEnmlNode(node, context)).join('');
+  }
+
+  renderEnmlNode(node, context) {
+    if (node['#text'] !== undefined) {
+      // 태그 사이의 줄바꿈/들여쓰기는 공백 하나로
+      return String(node['#text']).replace(/\s+/g, ' ');
+    }
+
+    const tag = Object.keys(node).find(key => key !== ':@');
+    if (!tag || tag === '?xml') {
+      return '';
+    }
+    const attributes = node[':@'] || {};
+    const children = node[tag];
+    const inner = () => this.renderEnmlNodes(children, context);
+
+    switch (tag) {
+      case 'br':
+        return '\n';
+      case 'div':
+      case 'p':
+        return `\n${inner().trim()}\n`;
+      case 'h1':
+      case 'h2':
+      case 'h3':
+      case 'h4':
+      case 'h5':
+      case 'h6':
+        return `\n${'#'.repeat(Number(tag[1]))} ${inner().trim()}\n\n`;
+      case 'b':
+      case 'strong':
+        return this.wrapInline(inner(), '**');
+      case 'i':
+      case 'em':
+        return this.wrapInline(inner(), '*');
+      case 's':
+      case 'strike':
+      case 'del':
+        return this.wrapInline(inner(), '~~');
+      case 'code':
+        return this.wrapInline(inner(), '`');
+      case 'pre':
+        return `\n\`\`\`\n${this.renderEnmlText(children)}\n\`\`\`\n`;
+      case 'blockquote':
+        return `\n${inner().trim().split('\n').map(line => `> ${line}`).join('\n')}\n`;
+      case 'hr':
+        return '\n---\n';
+      case 'a': {
+        const text = inner().trim();
+        const href = attributes['@_href'];
+        return href && /^(https?|mailto):/i.test(href) ? `[${text || href}](${href})` : text;
+      }
+      case 'ul':
+      case 'ol': {
+        const list = { ordered: tag === 'ol', index: 0 };
+        return `\n${this.renderEnmlNodes(children, { ...context, list })}\n`;
+      }
+      case 'li': {
+        const list = context.list || { ordered: false, index: 0 };
+        list.index++;
+        const marker = list.ordered ? `${list.index}.` : '-';
+        // 중첩 목록 등 여러 줄이면 표시 너비만큼 들여쓰기
+        const body = inner().trim().replace(/\n+/g, `\n${' '.repeat(marker.length + 1)}`);
+        return `${marker} ${body}\n`;
+      }
+      case 'en-todo':
+        // 체크리스트 항목 (문단 맨 앞에 오는 경우가 대부분)
+        return attributes['@_checked'] === 'true' ? '- [x] ' : '- [ ] ';
+      case 'en-media':
+        return this.renderEnmlMedia(attributes, context);
+      case 'tr':
+        return `\n${inner().trim()}`;
+      case 'td':
+      case 'th':
+        return `${inner().trim()} | `;
+      case 'table':
+        return `\n${inner()}\n`;
+      default:
+        return inner();
+    }
+  }
+
+  renderEnmlText(nodes) {
+    return (nodes || []).map(node => {
+      if (node['#text'] !== undefined) {
+        return String(node['#text']);
+      }
+      const tag = Object.keys(node).find(key => key !== ':@');
+      return tag === 'br' ? '\n' : this.renderEnmlText(node[tag]);
+    }).join('');
+  }
+
+  wrapInline(text, marker) {
+    const trimmed = text.trim();
+    return trimmed ? `${marker}${trimmed}${marker}` : text;
+  }
+
+  renderEnmlMedia(attributes, { resources, note }) {
+    const hash = String(attributes['@_hash'] || '').toLowerCase();
+    const resource = resources.get(hash);
+    if (!resource) {
+      note.warnings.push(`Embedded resource not found: ${hash}`);
+      return '';
+    }
+
+    const name = resource.name || `${hash}.${IMAGE_TYPES[resource.mimeType] || 'bin'}`;
+    if (!IMAGE_TYPES[resource.mimeType]) {
+      note.warnings.push(`Only images can be imported, skipped: ${name}`);
+      return '';
+    }
+
+    const ref = `enex-media:${hash}`;
+    if (!note.images.some(image => image.ref === ref)) {
+      note.images.push({ name, mimeType: resource.mimeType, path: resource.path, size: resource.size, ref });
+    }
+    return `![${name.replace(/[[\]]/g, '')}](${ref})`;
+  }
+
+  /**
+   * 노트에서 사용할 수 있는 템플릿 ID (JSON 내보내기의 템플릿이 아직 있는지 확인)
+   * @returns {Promise<Set<string>>}
+   */
+  async findExistingTemplates(notes) {
+    const ids = [...new Set(notes
+      .map(note => note.templateId)
+      .filter(id => id && mongoose.isValidObjectId(id))
+      .map(String))];
+    if (ids.length === 0) {
+      return new Set();
+    }
+
+    const templates = await DesignTemplate.find({ _id: { $in: ids } }).select('_id');
+    return new Set(templates.map(template => template._id.toString()));
+  }
+
+  /**
+   * 노트 하나를 메모로 저장
+   * 이미지를 먼저 File로 저장하고, 메모 저장에 실패하면 저장한 이미지를 삭제합니다.
+   * @returns {Promise<{memo: Memo, warnings: Array<string>}>}
+   */
+  async importNote(job, note, templateIds) {
+    if (note.error) {
+      throw new ImportError(note.error);
+    }
+
+    const userId = job.userId.toString();
+    const warnings = [...(note.warnings || [])];
+    const title = String(note.title || '').trim() || 'Untitled';
+    const createdAt = note.createdAt || new Date();
+    const memo = new Memo({
+      title: title.slice(0, IMPORT_LIMITS.MAX_TITLE_LENGTH),
+      content: note.content,
+      format: note.format,
+      templateId: note.templateId && templateIds.has(String(note.templateId)) ? note.templateId : job.options.templateId,
+      userId,
+      tags: Memo.normalizeTags(note.tags),
+      folderId: job.options.folderId,
+      createdAt,
+      updatedAt: note.updatedAt && note.updatedAt >= createdAt ? note.updatedAt : createdAt
+    });
+
+    if (!memo.content || !memo.content.trim()) {
+      throw new ImportError('Note has no content');
+    }
+    if (title.length > IMPORT_LIMITS.MAX_TITLE_LENGTH) {
+      warnings.push(`Title was shortened to ${IMPORT_LIMITS.MAX_TITLE_LENGTH} characters`);
+    }
+
+    const savedFiles = [];
+    try {
+      let content = memo.content;
+      for (const image of note.images || []) {
+        if (image.size > IMPORT_LIMITS.MAX_IMAGE_BYTES) {
+          warnings.push(`Image is larger than ${IMPORT_LIMITS.MAX_IMAGE_BYTES / 1024 / 1024}MB, skipped: ${image.name}`);
+          continue;
+        }
+        const file = await this.saveImage(userId, memo, image);
+        savedFiles.push(file);
+        content = content.split(image.ref).join(file.metadata.original.url);
+      }
+
+      if (content.length > IMPORT_LIMITS.MAX_CONTENT_LENGTH) {
+        throw new ImportError(`Content cannot exceed ${IMPORT_LIMITS.MAX_CONTENT_LENGTH} characters`);
+      }
+
+      memo.content = content;
+      memo.attachedFiles = savedFiles.map(file => file._id);
+      // 원본의 작성/수정 시각 유지
+      await memo.save({ timestamps: false });
+    } catch (error) {
+      for (const file of savedFiles) {
+        await FileService.hardDeleteFile(file._id).catch(deleteError => {
+          logger.warning(`Failed to remove imported image ${file._id}: ${deleteError.message}`);
+        });
+      }
+      throw error;
+    }
+
+    await memoRevisionService.recordRevision(memo, userId, { action: REVISION_ACTIONS.CREATE });
+    realtimeService.publishMemoEvent(REALTIME_EVENTS.MEMO_CREATED, memo);
+    return { memo, warnings };
+  }
+
+  /**
+   * 이미지를 uploads/memo 아래에 저장하고 File 레코드 생성
+   */
+  async saveImage(userId, memo, image) {
+    const now = new Date();
+    const directory = path.join(
+      this.uploadRoot,
+      DOMAIN_TYPES.MEMO,
+      String(now.getFullYear()),
+      String(now.getMonth() + 1).padStart(2, '0')
+    );
+    await fs.promises.mkdir(directory, { recursive: true });
+
+    const extension = IMAGE_TYPES[image.mimeType];
+    const baseName = path.basename(image.name, path.extname(image.name)).replace(/[^a-zA-Z0-9가-힣]/g, '_').slice(0, 100);
+    const filename = `${DOMAIN_TYPES.MEMO}_${userId}_${Date.now()}_${crypto.randomBytes(4).toString('hex')}_${baseName}.${extension}`;
+    const filePath = path.join(directory, filename);
+    await fs.promises.copyFile(image.path, filePath);
+
+    try {
+      return await FileService.saveFile({
+        originalname: `${baseName}.${extension}`,
+        filename,
+        path: filePath,
+        size: image.size,
+        mimetype: image.mimeType
+      }, DOMAIN_TYPES.MEMO, memo._id.toString(), userId);
+    } catch (error) {
+      await fs.promises.unlink(filePath).catch(() => {});
+      throw error;
+    }
+  }
+
+  describeError(error) {
+    if (error instanceof ImportError) {
+      return error.message;
+    }
+    if (error && error.name === 'ValidationError') {
+      return Object.values(error.errors).map(fieldError => fieldError.message).join(', ');
+    }
+    logger.error(`Unexpected memo import error: ${error && error.message}`);
+    return 'Unexpected error while importing';
+  }
+
+  /**
+   * 서버 재시작 등으로 중단된 작업을 실패로 표시
+   * @returns {Promise<number>} - 정리한 작업 수
+   */
+  async recoverInterruptedJobs() {
+    let recovered = 0;
+
+    try {
+      const staleJobs = await ImportJob.find({
+        status: { $in: [IMPORT_STATUS.QUEUED, IMPORT_STATUS.PROCESSING] },
+        updatedAt: { $lt: new Date(Date.now() - STALE_JOB_MS) }
+      });
+
+      for (const job of staleJobs) {
+        if (job.uploadPath) {
+          await fs.promises.unlink(job.uploadPath).catch(() => {});
+        }
+        await fs.promises.rm(this.getWorkDir(job), { recursive: true, force: true }).catch(() => {});
+        job.status = IMPORT_STATUS.FAILED;
+        job.error = 'Import was interrupted, please try again';
+        job.uploadPath = null;
+        job.completedAt = new Date();
+        await job.save();
+        recovered++;
+      }
+    } catch (error) {
+      logger.error(`Failed to recover interrupted imports: ${error.message}`);
+    }
+
+    if (recovered > 0) {
+      logger.warning(`Marked ${recovered} interrupted memo imports as failed`);
+    }
+    return recovered;
+  }
+
+  /**
+   * 중단된 작업 정리 시작 (10분마다)
+   */
+  startRecovery() {
+    if (this.recoveryInterval) {
+      return;
+    }
+
+    this.recoverInterruptedJobs();
+    this.recoveryInterval = setInterval(() => {
+      this.recoverInterruptedJobs();
+    }, STALE_JOB_MS);
+    this.recoveryInterval.unref();
+  }
+
+  stopRecovery() {
+    if (this.recoveryInterval) {
+      clearInterval(this.recoveryInterval);
+      this.recoveryInterval = null;
+    }
+  }
+}
+
+// 싱글톤 인스턴스
+const memoImportService = new MemoImportService();
+
+module.exports = memoImportService;
+module.exports.ImportError = ImportError;
+module.exports.IMPORT_LIMITS = IMPORT_LIMITS;
@@ -0,0 +1,250 @@
+const { MemoRevision, REVISION_ACTIONS, REVISION_FIELDS } = require('../models');
+const logger = require('./logger');
+
+// 줄 단위 diff 계산 한도 (줄 수 곱이 이보다 크면 전체 교체로 표시)
+const MAX_DIFF_CELLS = 1000000;
+
+/**
+ * 메모 리비전 관리
+ * 메모가 생성/수정/복원될 때마다 저장 후 상태를 스냅샷으로 MemoRevision에 기록하고,
+ * 메모별 보관 개수(MEMO_REVISION_LIMIT)를 넘는 오래된 리비전은 삭제합니다.
+ * 리비전 간 차이는 저장하지 않고 조회 시 스냅샷끼리 비교해 계산합니다.
+ */
+class MemoRevisionService {
+  constructor() {
+    // 0 이하이면 무제한 보관
+    this.maxRevisions = parseInt(process.env.MEMO_REVISION_LIMIT) || 50;
+  }
+
+  /**
+   * 메모의 현재 상태를 리비전으로 기록
+   * 기록 실패가 메모 저장 응답에 영향을 주지 않도록 예외를 삼키고 null을 반환합니다.
+   * @param {Memo} memo - 저장된 메모 문서
+   * @param {string} editorId - 수정한 사용자 ID
+   * @param {Object} options - { action, restoredFrom }
+   * @returns {Promise<MemoRevision|null>}
+   */
+  async recordRevision(memo, editorId, { action = REVISION_ACTIONS.UPDATE, restoredFrom = null } = {}) {
+    try {
+      const snapshot = this.snapshot(memo);
+
+      // 동시 수정으로 번호가 겹치면 다시 시도
+      for (let attempt = 0; attempt < 3; attempt++) {
+        const latest = await this.getLatestRevision(memo._id);
+        const changedFields = latest ? this.getChangedFields(latest, snapshot) : [...REVISION_FIELDS];
+
+        // 변경 사항이 없는 수정은 기록하지 않음
+        if (latest && action === REVISION_ACTIONS.UPDATE && changedFields.length === 0) {
+          return latest;
+        }
+
+        try {
+          const revision = await MemoRevision.create({
+            memoId: memo._id,
+            revision: latest ? latest.revision + 1 : 1,
+            action,
+            restoredFrom,
+            changedFields,
+            editedBy: editorId,
+            ...snapshot
+          });
+
+          await this.pruneRevisions(memo._id);
+          return revision;
+        } catch (error) {
+          if (error.code !== 11000) {
+            throw error;
+          }
+        }
+      }
+
+      throw new Error('Revision number conflict');
+    } catch (error) {
+      logger.error(`Failed to record revision for memo ${memo._id}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * 리비전 기록이 없는 기존 메모는 수정 전 상태를 첫 리비전으로 남김
+   * @param {Memo} memo - 수정 전 메모 문서
+   */
+  async ensureBaseline(memo) {
+    const exists = await MemoRevision.exists({ memoId: memo._id });
+    if (!exists) {
+      await this.recordRevision(memo, memo.userId, { action: REVISION_ACTIONS.CREATE });
+    }
+  }
+
+  getLatestRevision(memoId) {
+    return MemoRevision.findOne({ memoId }).sort({ revision: -1 });
+  }
+
+  getRevision(memoId, revision) {
+    return MemoRevision.findOne({ memoId, revision });
+  }
+
+  /**
+   * 보관 개수를 넘는 오래된 리비전 삭제
+   * @param {ObjectId} memoId - 메모 ID
+   * @returns {Promise<number>} - 삭제된 리비전 수
+   */
+  async pruneRevisions(memoId) {
+    if (this.maxRevisions <= 0) {
+      return 0;
+    }
+
+    const expired = await MemoRevision.find({ memoId })
+      .sort({ revision: -1 })
+      .skip(this.maxRevisions)
+      .select('_id');
+
+    if (expired.length === 0) {
+      return 0;
+    }
+
+    const { deletedCount } = await MemoRevision.deleteMany({ _id: { $in: expired.map(doc => doc._id) } });
+    return deletedCount;
+  }
+
+  /**
+   * 메모 삭제 시 리비전 정리
+   * @param {Array<ObjectId>} memoIds - 메모 ID 목록
+   */
+  async deleteRevisions(memoIds) {
+    const { deletedCount } = await MemoRevision.deleteMany({ memoId: { $in: memoIds } });
+    return deletedCount;
+  }
+
+  /**
+   * 리비전 스냅샷을 메모에 적용 (저장은 호출하는 쪽에서)
+   * @param {Memo} memo - 메모 문서
+   * @param {MemoRevision} revision - 복원할 리비전
+   */
+  applyRevision(memo, revision) {
+    memo.title = revision.title;
+    memo.content = revision.content;
+    memo.format = revision.format;
+    memo.templateId = revision.templateId;
+    memo.tags = [...revision.tags];
+  }
+
+  /**
+   * 두 리비전 비교
+   * @param {MemoRevision} from - 기준 리비전
+   * @param {MemoRevision} to - 비교 리비전
+   * @returns {Object} - 필드별 변경 내용 (본문은 줄 단위 diff)
+   */
+  diffRevisions(from, to) {
+    const changes = {};
+
+    if (from.title !== to.title) {
+      changes.title = { from: from.title, to: to.title };
+    }
+
+    if (from.format !== to.format) {
+      changes.format = { from: from.format, to: to.format };
+    }
+
+    if (String(from.templateId) !== String(to.templateId)) {
+      changes.templateId = { from: String(from.templateId), to: String(to.templateId) };
+    }
+
+    const added = to.tags.filter(tag => !from.tags.includes(tag));
+    const removed = from.tags.filter(tag => !to.tags.includes(tag));
+    if (added.length > 0 || removed.length > 0) {
+      changes.tags = { added, removed };
+    }
+
+    if (from.content !== to.content) {
+      changes.content = this.diffLines(from.content, to.content);
+    }
+
+    return {
+      from: from.revision,
+      to: to.revision,
+      changes
+    };
+  }
+
+  /**
+   * 줄 단위 diff (최장 공통 부분 수열)
+   * @param {string} before - 이전 텍스트
+   * @param {string} after - 이후 텍스트
+   * @returns {Array<{type: string, lines: Array<string>}>} - equal/removed/added 구간 목록
+   */
+  diffLines(before, after) {
+    const a = before.split('\n');
+    const b = after.split('\n');
+
+    if (a.length * b.length > MAX_DIFF_CELLS) {
+      return [
+        { type: 'removed', lines: a },
+        { type: 'added', lines: b }
+      ];
+    }
+
+    // lcs[i][j] = a[i..], b[j..]의 최장 공통 부분 수열 길이
+    const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        lcs[i][j] = a[i] === b[j]
+          ? lcs[i + 1][j + 1] + 1
+          : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+
+    const hunks = [];
+    const push = (type, line) => {
+      const last = hunks[hunks.length - 1];
+      if (last && last.type === type) {
+        last.lines.push(line);
+      } else {
+        hunks.push({ type, lines: [line] });
+      }
+    };
+
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+      if (a[i] === b[j]) {
+        push('equal', a[i]);
+        i++;
+        j++;
+      } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+        push('removed', a[i++]);
+      } else {
+        push('added', b[j++]);
+      }
+    }
+    while (i < a.length) push('removed', a[i++]);
+    while (j < b.length) push('added', b[j++]);
+
+    return hunks;
+  }
+
+  snapshot(memo) {
+    const templateId = memo.templateId && memo.templateId._id ? memo.templateId._id : memo.templateId;
+    return {
+      title: memo.title,
+      content: memo.content,
+      format: memo.format,
+      templateId: templateId.toString(),
+      tags: [...(memo.tags || [])]
+    };
+  }
+
+  getChangedFields(previous, snapshot) {
+    return REVISION_FIELDS.filter(field => {
+      if (field === 'tags') {
+        return previous.tags.join(',') !== snapshot.tags.join(',');
+      }
+      return String(previous[field]) !== String(snapshot[field]);
+    });
+  }
+}
+
+// 싱글톤 인스턴스
+const memoRevisionService = new MemoRevisionService();
+
+module.exports = memoRevisionService;
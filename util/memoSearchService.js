@@ -0,0 +1,208 @@
+/**
+ * 메모 전문 검색
+ * MongoDB 텍스트 인덱스는 공백 단위로 토큰을 나누므로 조사가 붙는 한국어는
+ * "회의를" 처럼 저장되어 "회의" 검색에 걸리지 않습니다.
+ * 이를 보완하기 위해 한글 구간을 2글자 단위(bigram)로 쪼갠 searchTokens를 함께 색인하고
+ * 검색어도 같은 방식으로 확장합니다.
+ *
+ * 검색 문법:
+ *   회의 일정      - 단어 중 하나라도 포함 (관련도 순)
+ *   "주간 회의"    - 구문 전체 포함
+ *   -취소          - 단어 또는 구문 제외 ( -"지난 회의" )
+ */
+
+const MAX_QUERY_LENGTH = 200;
+const MAX_TERMS = 20;
+const HANGUL_RUN = /[가-힣]{2,}/g;
+const HANGUL_CHAR = /[가-힣]/;
+
+class MemoSearchService {
+  constructor() {
+    this.snippetRadius = 80;
+  }
+
+  /**
+   * 검색어 파싱
+   * @param {string} raw - 사용자가 입력한 검색어
+   * @returns {{terms: string[], phrases: string[], excluded: string[]}}
+   */
+  parseQuery(raw) {
+    const parsed = { terms: [], phrases: [], excluded: [] };
+    const input = String(raw || '').slice(0, MAX_QUERY_LENGTH);
+    const pattern = /(-?)"([^"]*)"|(-?)([^\s"]+)/g;
+    let match;
+
+    while ((match = pattern.exec(input)) !== null) {
+      const negated = match[1] === '-' || match[3] === '-';
+      const value = (match[2] !== undefined ? match[2] : match[4]).trim();
+
+      if (!value || value === '-') {
+        continue;
+      }
+
+      if (negated) {
+        parsed.excluded.push(value);
+      } else if (match[2] !== undefined) {
+        parsed.phrases.push(value);
+      } else {
+        parsed.terms.push(value);
+      }
+    }
+
+    parsed.terms = [...new Set(parsed.terms)].slice(0, MAX_TERMS);
+    parsed.phrases = [...new Set(parsed.phrases)].slice(0, MAX_TERMS);
+    parsed.excluded = [...new Set(parsed.excluded)].slice(0, MAX_TERMS);
+    return parsed;
+  }
+
+  /**
+   * 검색 조건이 하나라도 있는지 (제외 조건만으로는 검색할 수 없음)
+   */
+  hasPositiveTerms(parsed) {
+    return parsed.terms.length > 0 || parsed.phrases.length > 0;
+  }
+
+  /**
+   * 한글 bigram 토큰 생성
+   * @param {...string} texts - 색인할 텍스트
+   * @returns {string} - 공백으로 구분된 토큰
+   */
+  buildSearchTokens(...texts) {
+    const tokens = new Set();
+
+    for (const text of texts) {
+      for (const run of String(text || '').match(HANGUL_RUN) || []) {
+        for (const token of this.toBigrams(run)) {
+          tokens.add(token);
+        }
+      }
+    }
+
+    return [...tokens].join(' ');
+  }
+
+  toBigrams(word) {
+    const bigrams = [];
+    for (let i = 0; i < word.length - 1; i++) {
+      bigrams.push(word.slice(i, i + 2));
+    }
+    return bigrams;
+  }
+
+  /**
+   * MongoDB 쿼리 조건 생성
+   * 단어와 구문은 $text로, 제외 조건은 부분 일치도 걸러내도록 정규식으로 처리합니다.
+   * @param {Object} parsed - parseQuery 결과
+   * @returns {Object} - Memo.find()에 합칠 조건
+   */
+  buildQuery(parsed) {
+    const searchParts = [];
+
+    for (const term of parsed.terms) {
+      searchParts.push(term);
+      if (HANGUL_CHAR.test(term)) {
+        for (const run of term.match(HANGUL_RUN) || []) {
+          searchParts.push(...this.toBigrams(run));
+        }
+      }
+    }
+
+    for (const phrase of parsed.phrases) {
+      searchParts.push(`"${phrase}"`);
+    }
+
+    const query = {
+      $text: { $search: [...new Set(searchParts)].join(' ') }
+    };
+
+    if (parsed.excluded.length > 0) {
+      query.$nor = parsed.excluded.flatMap(value => {
+        const regex = new RegExp(this.escapeRegex(value), 'i');
+        return [{ title: regex }, { content: regex }];
+      });
+    }
+
+    return query;
+  }
+
+  /**
+   * 검색어가 강조된 제목과 본문 스니펫 생성
+   * 결과는 HTML로 렌더링할 수 있도록 이스케이프되며 일치 부분은 <mark>로 감쌉니다.
+   * @param {Memo} memo - 메모 문서
+   * @param {Object} parsed - parseQuery 결과
+   * @returns {{title: string, content: string}}
+   */
+  buildHighlights(memo, parsed) {
+    const needles = [...parsed.phrases, ...parsed.terms]
+      .sort((a, b) => b.length - a.length);
+    const matcher = needles.length > 0
+      ? new RegExp(needles.map(value => this.escapeRegex(value)).join('|'), 'gi')
+      : null;
+
+    return {
+      title: this.highlight(memo.title, matcher),
+      content: this.highlight(this.extractSnippet(memo.content, matcher), matcher)
+    };
+  }
+
+  /**
+   * 처음 일치하는 위치 주변의 본문 일부 추출
+   */
+  extractSnippet(text, matcher) {
+    const source = String(text || '');
+    const radius = this.snippetRadius;
+
+    let index = -1;
+    if (matcher) {
+      matcher.lastIndex = 0;
+      const match = matcher.exec(source);
+      index = match ? match.index : -1;
+    }
+
+    if (index < 0) {
+      return source.length > radius * 2 ? `${source.slice(0, radius * 2)}…` : source;
+    }
+
+    const start = Math.max(index - radius, 0);
+    const end = Math.min(index + radius, source.length);
+    return `${start > 0 ? '…' : ''}${source.slice(start, end)}${end < source.length ? '…' : ''}`;
+  }
+
+  highlight(text, matcher) {
+    const source = String(text || '');
+    if (!matcher) {
+      return this.escapeHtml(source);
+    }
+
+    let result = '';
+    let cursor = 0;
+    matcher.lastIndex = 0;
+
+    let match;
+    while ((match = matcher.exec(source)) !== null) {
+      result += this.escapeHtml(source.slice(cursor, match.index));
+      result += `<mark>${this.escapeHtml(match[0])}</mark>`;
+      cursor = match.index + match[0].length;
+    }
+
+    return result + this.escapeHtml(source.slice(cursor));
+  }
+
+  escapeRegex(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  escapeHtml(value) {
+    return value
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+}
+
+// 싱글톤 인스턴스
+const memoSearchService = new MemoSearchService();
+
+module.exports = memoSearchService;
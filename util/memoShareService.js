@@ -0,0 +1,309 @@
+const crypto = require('crypto');
+const database = require('./database');
+const { Memo, File, DOMAIN_TYPES, FILE_STATUS, RESIZE_TYPES, MEMO_ACCESS, PERMISSIONS } = require('../models');
+const jwtService = require('./jwtService');
+const logger = require('./logger');
+
+const mongoose = database.getMongoose();
+const SERVER_ORIGIN = process.env.SERVER_ORIGIN || 'http://localhost:3001';
+
+// 메모 ID를 referenceId로 사용하는 파일 도메인
+const MEMO_FILE_DOMAINS = [DOMAIN_TYPES.MEMO, DOMAIN_TYPES.ATTACHMENT];
+// 파일 다운로드 링크 유효 시간 (짧게 유지해 권한이 바뀌면 곧 무효화)
+const FILE_DOWNLOAD_TOKEN_SECONDS = (parseInt(process.env.FILE_DOWNLOAD_TOKEN_MINUTES) || 10) * 60;
+// 리사이즈 버전 파일명 (<원본 이름>_<타입>.<확장자>)
+const RESIZED_SUFFIX_PATTERN = new RegExp(`_(${Object.values(RESIZE_TYPES)
+  .filter(type => type !== RESIZE_TYPES.ORIGINAL)
+  .join('|')})(\\.[^./]+)$`);
+
+/**
+ * 메모 공유 관리
+ * 사용자별 열람/편집 권한과 공개 읽기 전용 링크(만료 시각, 비밀번호 선택)를 관리하고
+ * 메모와 첨부 파일 접근 시 권한을 판별합니다.
+ * 공개 링크 토큰은 생성 시 한 번만 반환하고 DB에는 SHA-256 해시만 저장합니다.
+ */
+class MemoShareService {
+  /**
+   * 요청 사용자의 메모 접근 수준
+   * 메모 관리 권한이 있으면 작성자와 같은 수준으로 취급합니다.
+   * @param {Memo} memo - 메모 문서
+   * @param {Object} user - req.user
+   * @returns {string|null} - MEMO_ACCESS 값 또는 null
+   */
+  resolveAccess(memo, user) {
+    if (!user) {
+      return null;
+    }
+    if ((user.permissions || []).includes(PERMISSIONS.MEMO_MODERATE)) {
+      return MEMO_ACCESS.OWNER;
+    }
+    return memo.getAccessRole(user.id);
+  }
+
+  /**
+   * 본인 메모와 공유 받은 메모 조회 조건
+   * @param {string} userId - 사용자 ID
+   * @returns {Object}
+   */
+  accessibleFilter(userId) {
+    const objectId = new mongoose.Types.ObjectId(userId);
+    return {
+      $or: [
+        { userId: { $in: [userId, objectId] } },
+        { 'shares.userId': objectId }
+      ]
+    };
+  }
+
+  /**
+   * 사용자에게 권한 부여 (이미 있으면 권한 변경)
+   * @param {Memo} memo - 메모 문서
+   * @param {User} targetUser - 공유 받을 사용자
+   * @param {string} role - SHARE_ROLES 값
+   * @param {string} grantedBy - 공유한 사용자 ID
+   * @returns {Promise<Object>} - 저장된 공유 항목
+   */
+  async grantAccess(memo, targetUser, role, grantedBy) {
+    const existing = memo.shares.find(grant => grant.userId.toString() === targetUser._id.toString());
+
+    if (existing) {
+      existing.role = role;
+      existing.grantedBy = grantedBy;
+      existing.grantedAt = new Date();
+    } else {
+      memo.shares.push({ userId: targetUser._id, role, grantedBy });
+    }
+
+    await memo.save();
+    logger.info(`Memo ${memo._id} shared with ${targetUser.username} as ${role}`);
+    return memo.shares.find(grant => grant.userId.toString() === targetUser._id.toString());
+  }
+
+  /**
+   * 사용자 권한 회수
+   * @returns {Promise<boolean>} - 회수된 권한이 있었는지 여부
+   */
+  async revokeAccess(memo, userId) {
+    const before = memo.shares.length;
+    memo.shares = memo.shares.filter(grant => grant.userId.toString() !== userId);
+
+    if (memo.shares.length === before) {
+      return false;
+    }
+
+    await memo.save();
+    logger.info(`Memo ${memo._id} share revoked for user ${userId}`);
+    return true;
+  }
+
+  /**
+   * 공개 링크 생성
+   * @param {Memo} memo - 메모 문서
+   * @param {Object} options - { expiresAt, password }
+   * @param {string} createdBy - 생성한 사용자 ID
+   * @returns {Promise<{link: Object, token: string}>} - token은 응답에 한 번만 포함
+   */
+  async createPublicLink(memo, { expiresAt = null, password = null } = {}, createdBy) {
+    const token = crypto.randomBytes(24).toString('base64url');
+
+    memo.publicLinks.push({
+      tokenHash: this.hashToken(token),
+      passwordHash: password ? await jwtService.hashPassword(password) : null,
+      expiresAt,
+      createdBy
+    });
+    await memo.save();
+
+    const link = memo.publicLinks[memo.publicLinks.length - 1];
+    logger.info(`Public link created for memo ${memo._id}`);
+    return { link, token };
+  }
+
+  /**
+   * 공개 링크 폐기
+   * @returns {Promise<boolean>} - 폐기된 링크가 있었는지 여부
+   */
+  async revokePublicLink(memo, linkId) {
+    const link = memo.publicLinks.id(linkId);
+    if (!link || link.revokedAt) {
+      return false;
+    }
+
+    link.revokedAt = new Date();
+    await memo.save();
+    logger.info(`Public link ${linkId} revoked for memo ${memo._id}`);
+    return true;
+  }
+
+  /**
+   * 공개 링크 토큰으로 메모 조회 (폐기/만료된 링크와 휴지통의 메모는 제외)
+   * @param {string} token - 공개 링크 토큰
+   * @returns {Promise<{memo: Memo, link: Object}|null>}
+   */
+  async resolvePublicLink(token) {
+    const tokenHash = this.hashToken(String(token || ''));
+    const memo = await Memo.findOne({ 'publicLinks.tokenHash': tokenHash, deletedAt: null });
+    if (!memo) {
+      return null;
+    }
+
+    const link = memo.publicLinks.find(candidate => candidate.tokenHash === tokenHash);
+    if (!this.isLinkActive(link)) {
+      return null;
+    }
+
+    return { memo, link };
+  }
+
+  /**
+   * 공개 링크 비밀번호 확인 (비밀번호가 없는 링크는 항상 통과)
+   */
+  async verifyLinkPassword(link, password) {
+    if (!link.passwordHash) {
+      return true;
+    }
+    if (typeof password !== 'string' || !password) {
+      return false;
+    }
+    return jwtService.comparePassword(password, link.passwordHash);
+  }
+
+  isLinkActive(link) {
+    return Boolean(link)
+      && !link.revokedAt
+      && (!link.expiresAt || link.expiresAt > new Date());
+  }
+
+  /**
+   * 첨부 파일 접근 가능 여부
+   * 공개 파일, 업로더 본인, 또는 referenceId가 가리키는 메모를 열람할 수 있는 사용자만 허용합니다.
+   * @param {File} file - 파일 문서
+   * @param {Object} user - req.user (없으면 비로그인)
+   * @returns {Promise<boolean>}
+   */
+  async canAccessFile(file, user) {
+    if (file.isPublic) {
+      return true;
+    }
+    if (!user) {
+      return false;
+    }
+    if (file.uploadedBy && file.uploadedBy.toString() === user.id) {
+      return true;
+    }
+
+    const memo = await this.findReferencedMemo(file.domain, file.referenceId);
+    return Boolean(memo && this.resolveAccess(memo, user));
+  }
+
+  /**
+   * 다운로드 토큰으로 파일에 접근할 수 있는지 확인
+   * 공개 링크로 발급된 토큰은 링크가 아직 유효할 때만 허용하므로 링크를 폐기하거나 만료되면 바로 막힙니다.
+   * 사용자에게 발급된 토큰은 다운로드 시점의 권한으로 다시 확인합니다.
+   * @param {File} file - 파일 문서
+   * @param {Object} decoded - 검증된 다운로드 토큰 페이로드
+   * @param {Object} user - 토큰 발급 대상 사용자 (req.user 형식, 없으면 null)
+   * @returns {Promise<boolean>}
+   */
+  async canDownloadFile(file, decoded, user) {
+    if (decoded.linkId) {
+      const memo = await this.findReferencedMemo(file.domain, file.referenceId);
+      const link = memo && memo.publicLinks.id(decoded.linkId);
+      return this.isLinkActive(link);
+    }
+    return this.canAccessFile(file, user);
+  }
+
+  /**
+   * 권한 확인 후 내려주는 파일 다운로드 주소 (짧은 유효 시간의 토큰 포함)
+   * @param {File} file - 파일 문서
+   * @param {Object} grant - { userId } 또는 공개 링크의 { linkId }
+   * @returns {string}
+   */
+  getFileDownloadUrl(file, { userId = null, linkId = null } = {}) {
+    const fileId = file._id.toString();
+    const token = jwtService.generateDownloadToken({
+      userId,
+      fileId,
+      linkId: linkId ? linkId.toString() : null
+    }, FILE_DOWNLOAD_TOKEN_SECONDS);
+    return `${SERVER_ORIGIN}/api/files/${fileId}/download?token=${encodeURIComponent(token)}`;
+  }
+
+  /**
+   * 정적 업로드 경로(/uploads)로 그대로 제공해도 되는 공개 파일인지 확인
+   * 비공개 첨부 파일은 권한을 확인하는 다운로드 주소로만 제공합니다.
+   * @param {string} url - /uploads/... 경로 (리사이즈 버전 포함)
+   * @returns {Promise<boolean>}
+   */
+  async isPublicUpload(url) {
+    const originalUrl = url.replace(RESIZED_SUFFIX_PATTERN, '$2');
+    const file = await File.exists({
+      'metadata.original.url': { $in: [url, originalUrl] },
+      status: FILE_STATUS.ACTIVE,
+      isPublic: true
+    });
+    return Boolean(file);
+  }
+
+  /**
+   * 파일의 referenceId가 가리키는 메모 (메모 관련 도메인이 아니거나 없으면 null)
+   */
+  async findReferencedMemo(domain, referenceId) {
+    if (!MEMO_FILE_DOMAINS.includes(domain) || !mongoose.isValidObjectId(referenceId)) {
+      return null;
+    }
+    return Memo.findOne({ _id: referenceId, deletedAt: null });
+  }
+
+  /**
+   * 공개 링크로 열람할 때 함께 보여줄 첨부 파일 정보
+   * 주소는 업로드 경로가 아니라 링크가 유효한 동안에만 쓸 수 있는 다운로드 주소입니다.
+   * @param {Memo} memo - 메모 문서
+   * @param {Object} link - 열람에 사용한 공개 링크
+   * @returns {Promise<Array<Object>>}
+   */
+  async getPublicAttachments(memo, link) {
+    const files = await File.find({
+      domain: { $in: MEMO_FILE_DOMAINS },
+      referenceId: { $in: [memo._id, memo._id.toString()] },
+      status: FILE_STATUS.ACTIVE
+    }).sort({ createdAt: 1 });
+
+    return files.map(file => ({
+      id: file._id.toString(),
+      originalName: file.originalName,
+      mimeType: file.metadata.original.mimeType,
+      size: file.metadata.original.size,
+      url: this.getFileDownloadUrl(file, { linkId: link._id })
+    }));
+  }
+
+  /**
+   * 공개 링크 응답 형식 (토큰 해시와 비밀번호 해시는 제외)
+   */
+  formatLink(link) {
+    return {
+      id: link._id.toString(),
+      hasPassword: Boolean(link.passwordHash),
+      expiresAt: link.expiresAt,
+      createdAt: link.createdAt,
+      revokedAt: link.revokedAt,
+      lastAccessedAt: link.lastAccessedAt,
+      active: this.isLinkActive(link)
+    };
+  }
+
+  getPublicUrl(token) {
+    return `${SERVER_ORIGIN}/api/memos/public/${token}`;
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+}
+
+// 싱글톤 인스턴스
+const memoShareService = new MemoShareService();
+
+module.exports = memoShareService;
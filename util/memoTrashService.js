@@ -0,0 +1,130 @@
+const { Memo, File, DOMAIN_TYPES } = require('../models');
+const FileService = require('./fileService');
+const memoRevisionService = require('./memoRevisionService');
+const realtimeService = require('./realtimeService');
+const logger = require('./logger');
+
+/**
+ * 메모 휴지통 관리
+ * 삭제된 메모는 deletedAt이 설정된 채 보관 기간 동안 휴지통에 남고,
+ * 보관 기간이 지나면 첨부 파일(디스크 포함)과 리비전까지 영구 삭제합니다.
+ */
+class MemoTrashService {
+  constructor() {
+    this.retentionDays = parseInt(process.env.MEMO_TRASH_RETENTION_DAYS) || 30;
+    this.checkIntervalMs = (parseInt(process.env.MEMO_TRASH_CHECK_MINUTES) || 60) * 60 * 1000;
+    this.purgeInterval = null;
+    this.isRunning = false;
+  }
+
+  /**
+   * 휴지통에서 영구 삭제될 예정 시각
+   * @param {Memo} memo - 휴지통의 메모
+   * @returns {Date}
+   */
+  getPurgeDate(memo) {
+    return new Date(memo.deletedAt.getTime() + this.retentionDays * 24 * 60 * 60 * 1000);
+  }
+
+  /**
+   * 메모 영구 삭제
+   * File로 관리되는 첨부 파일은 FileService를 통해 디스크에서도 삭제합니다.
+   * @param {Memo} memo - 메모 문서
+   * @returns {Promise<{files: number, revisions: number}>} - 함께 삭제된 항목 수
+   */
+  async purgeMemo(memo) {
+    const memoId = memo._id.toString();
+    const files = await File.find({
+      $or: [
+        { _id: { $in: memo.attachedFiles || [] } },
+        { domain: DOMAIN_TYPES.MEMO, referenceId: { $in: [memo._id, memoId] } }
+      ]
+    }).select('_id');
+
+    let deletedFiles = 0;
+    for (const file of files) {
+      try {
+        await FileService.hardDeleteFile(file._id);
+        deletedFiles++;
+      } catch (error) {
+        logger.error(`Failed to delete file ${file._id} of memo ${memoId}: ${error.message}`);
+      }
+    }
+
+    const revisions = await memoRevisionService.deleteRevisions([memo._id]);
+    await memo.deleteOne();
+
+    logger.info(`Memo permanently deleted: ${memo.title} (${deletedFiles} files, ${revisions} revisions)`);
+    return { files: deletedFiles, revisions };
+  }
+
+  /**
+   * 보관 기간이 지난 휴지통 메모 영구 삭제
+   * @returns {Promise<number>} - 삭제된 메모 수
+   */
+  async purgeExpired() {
+    if (this.isRunning) {
+      return 0;
+    }
+
+    this.isRunning = true;
+    let purged = 0;
+
+    try {
+      const cutoff = new Date(Date.now() - this.retentionDays * 24 * 60 * 60 * 1000);
+      const expiredMemos = await Memo.find({ deletedAt: { $ne: null, $lte: cutoff } });
+
+      for (const memo of expiredMemos) {
+        try {
+          await this.purgeMemo(memo);
+          realtimeService.publishMemoEvent(realtimeService.REALTIME_EVENTS.MEMO_PURGED, memo);
+          purged++;
+        } catch (error) {
+          logger.error(`Failed to purge memo ${memo._id}: ${error.message}`);
+        }
+      }
+    } catch (error) {
+      logger.error(`Memo trash purge error: ${error.message}`);
+    } finally {
+      this.isRunning = false;
+    }
+
+    if (purged > 0) {
+      logger.success(`Purged ${purged} memos from trash`);
+    }
+    return purged;
+  }
+
+  /**
+   * 주기적 영구 삭제 시작
+   */
+  startPurging() {
+    if (this.purgeInterval) {
+      logger.warning('Memo trash purging is already running');
+      return;
+    }
+
+    this.purgeInterval = setInterval(() => {
+      this.purgeExpired();
+    }, this.checkIntervalMs);
+    this.purgeInterval.unref();
+
+    logger.info(`Memo trash purging started (retention: ${this.retentionDays} days)`);
+  }
+
+  /**
+   * 주기적 영구 삭제 중지
+   */
+  stopPurging() {
+    if (this.purgeInterval) {
+      clearInterval(this.purgeInterval);
+      this.purgeInterval = null;
+    }
+    logger.info('Memo trash purging stopped');
+  }
+}
+
+// 싱글톤 인스턴스
+const memoTrashService = new MemoTrashService();
+
+module.exports = memoTrashService;
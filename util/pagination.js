@@ -0,0 +1,217 @@
+/**
+ * 목록 API 공통 페이지네이션
+ * page/limit 방식과 함께 createdAt/_id 기준의 불투명(opaque) 커서 방식을 지원합니다.
+ * 커서 방식은 중간에 문서가 추가되어도 항목이 중복되거나 누락되지 않습니다.
+ *
+ * 기존 클라이언트가 배열 응답을 그대로 받을 수 있도록 메타데이터는 응답 헤더로 전달합니다.
+ *   X-Has-More     - 다음 항목 존재 여부
+ *   X-Next-Cursor  - 다음 요청에 cursor로 전달할 값
+ *   X-Total-Count  - 전체 개수 (includeTotal=true 요청 시)
+ */
+
+const OBJECT_ID_PATTERN = /^[0-9a-fA-F]{24}$/;
+
+const PAGINATION_HEADERS = ['X-Has-More', 'X-Next-Cursor', 'X-Total-Count'];
+
+/**
+ * 페이지네이션 파라미터 오류 (errorHandler가 statusCode로 응답)
+ */
+class PaginationError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'PaginationError';
+    this.statusCode = statusCode;
+  }
+}
+
+class Pagination {
+  /**
+   * 쿼리 파라미터 파싱
+   * @param {Object} query - req.query ({ page, limit, cursor, includeTotal })
+   * @param {Object} options - { defaultLimit, maxLimit }
+   * @returns {{limit: number, page: number|null, skip: number, cursor: Object|null, includeTotal: boolean}}
+   */
+  static parse(query = {}, { defaultLimit = 10, maxLimit = 100 } = {}) {
+    const limit = query.limit === undefined ? defaultLimit : Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new PaginationError('limit must be a positive integer');
+    }
+
+    const includeTotal = query.includeTotal === 'true' || query.includeTotal === true;
+
+    // 커서가 있으면 page는 무시
+    if (query.cursor) {
+      return {
+        limit: Math.min(limit, maxLimit),
+        page: null,
+        skip: 0,
+        cursor: Pagination.decodeCursor(query.cursor),
+        includeTotal
+      };
+    }
+
+    const page = query.page === undefined ? 1 : Number(query.page);
+    if (!Number.isInteger(page) || page < 1) {
+      throw new PaginationError('page must be a positive integer');
+    }
+
+    const cappedLimit = Math.min(limit, maxLimit);
+    return {
+      limit: cappedLimit,
+      page,
+      skip: (page - 1) * cappedLimit,
+      cursor: null,
+      includeTotal
+    };
+  }
+
+  /**
+   * 목록 조회
+   * 커서는 createdAt 정렬에서만 발급/사용할 수 있습니다.
+   * @param {Model} Model - Mongoose 모델
+   * @param {Object} filter - 조회 조건
+   * @param {Object} pagination - parse() 결과
+   * @param {Object} options - { sort, build: (query) => query, alwaysCount }
+   * @returns {Promise<{items: Array, pageInfo: Object}>}
+   */
+  static async paginate(Model, filter, pagination, { sort = { createdAt: -1 }, build = null, alwaysCount = false } = {}) {
+    const direction = Pagination.getCursorDirection(sort);
+
+    if (pagination.cursor && direction === null) {
+      throw new PaginationError('cursor can only be used with createdAt ordering');
+    }
+    if (pagination.cursor && pagination.cursor.direction !== direction) {
+      throw new PaginationError('cursor does not match the requested sort order');
+    }
+
+    const finalSort = direction === null ? sort : { createdAt: direction, _id: direction };
+    const listFilter = pagination.cursor
+      ? { $and: [filter, Pagination.cursorFilter(pagination.cursor)] }
+      : filter;
+
+    // 다음 항목 존재 여부 확인을 위해 하나 더 조회
+    let query = Model.find(listFilter)
+      .sort(finalSort)
+      .skip(pagination.skip)
+      .limit(pagination.limit + 1);
+    if (build) {
+      query = build(query);
+    }
+
+    const shouldCount = alwaysCount || pagination.includeTotal;
+    const [documents, total] = await Promise.all([
+      query,
+      shouldCount ? Model.countDocuments(filter) : Promise.resolve(null)
+    ]);
+
+    const hasMore = documents.length > pagination.limit;
+    const items = hasMore ? documents.slice(0, pagination.limit) : documents;
+    const last = items[items.length - 1];
+
+    return {
+      items,
+      pageInfo: {
+        limit: pagination.limit,
+        page: pagination.page,
+        hasMore,
+        nextCursor: hasMore && direction !== null && last
+          ? Pagination.encodeCursor(last, direction)
+          : null,
+        total
+      }
+    };
+  }
+
+  /**
+   * createdAt 정렬이면 방향(1 | -1), 아니면 null
+   */
+  static getCursorDirection(sort) {
+    const keys = Object.keys(sort || {});
+    const isCreatedAtSort = keys[0] === 'createdAt'
+      && keys.every(key => key === 'createdAt' || key === '_id');
+
+    if (!isCreatedAtSort) {
+      return null;
+    }
+    return Number(sort.createdAt) === 1 ? 1 : -1;
+  }
+
+  static cursorFilter({ createdAt, id, direction }) {
+    const operator = direction === 1 ? '$gt' : '$lt';
+    return {
+      $or: [
+        { createdAt: { [operator]: createdAt } },
+        { createdAt, _id: { [operator]: id } }
+      ]
+    };
+  }
+
+  static encodeCursor(document, direction) {
+    const payload = JSON.stringify({
+      t: document.createdAt.toISOString(),
+      i: document._id.toString(),
+      d: direction
+    });
+    return Buffer.from(payload).toString('base64url');
+  }
+
+  static decodeCursor(cursor) {
+    try {
+      const { t, i, d } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+      const createdAt = new Date(t);
+
+      if (Number.isNaN(createdAt.getTime()) || !OBJECT_ID_PATTERN.test(i) || (d !== 1 && d !== -1)) {
+        throw new Error('Malformed cursor');
+      }
+
+      return { createdAt, id: i, direction: d };
+    } catch (error) {
+      throw new PaginationError('Invalid cursor');
+    }
+  }
+
+  /**
+   * 페이지네이션 메타데이터를 응답 헤더로 설정
+   * @param {Response} res - Express 응답
+   * @param {Object} pageInfo - paginate() 결과의 pageInfo
+   */
+  static setHeaders(res, pageInfo) {
+    res.set('X-Has-More', String(pageInfo.hasMore));
+    if (pageInfo.nextCursor) {
+      res.set('X-Next-Cursor', pageInfo.nextCursor);
+    }
+    if (pageInfo.total !== null) {
+      res.set('X-Total-Count', String(pageInfo.total));
+    }
+  }
+
+  /**
+   * 본문에 pagination 객체를 포함하는 엔드포인트용 메타데이터
+   * page 방식에서는 기존 current/pages/total 필드를 유지합니다.
+   */
+  static toResponse(pageInfo) {
+    const response = {
+      limit: pageInfo.limit,
+      hasMore: pageInfo.hasMore,
+      nextCursor: pageInfo.nextCursor
+    };
+
+    if (pageInfo.page !== null) {
+      response.current = pageInfo.page;
+    }
+    if (pageInfo.total !== null) {
+      response.total = pageInfo.total;
+      if (pageInfo.page !== null) {
+        response.pages = Math.ceil(pageInfo.total / pageInfo.limit);
+      }
+    }
+
+    return response;
+  }
+}
+
+module.exports = {
+  Pagination,
+  PaginationError,
+  PAGINATION_HEADERS
+};
@@ -0,0 +1,400 @@
+const crypto = require('crypto');
+const { WebSocketServer, WebSocket } = require('ws');
+const { getRedisClient } = require('./redisService');
+const jwtService = require('./jwtService');
+const { verifyAccessToken } = require('../middleware/authMiddleware');
+const logger = require('./logger');
+
+const REALTIME_PATH = process.env.REALTIME_PATH || '/ws';
+const REALTIME_CHANNEL = 'realtime:events';
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+const MAX_MESSAGE_BYTES = 64 * 1024;
+
+// 클라이언트로 보내는 이벤트 종류
+const REALTIME_EVENTS = {
+  CONNECTED: 'connected',
+  PONG: 'pong',
+  ERROR: 'error',                   // 클라이언트 메시지 처리 실패
+  MEMO_CREATED: 'memo.created',
+  MEMO_UPDATED: 'memo.updated',
+  MEMO_DELETED: 'memo.deleted',     // 휴지통으로 이동
+  MEMO_RESTORED: 'memo.restored',   // 휴지통에서 복원
+  MEMO_PURGED: 'memo.purged',       // 영구 삭제
+  FILE_PROCESSING: 'file.processing',
+  FILE_PROCESSED: 'file.processed',
+  FILE_FAILED: 'file.failed'
+};
+
+// 인증 만료 시 연결 종료 코드 (4000번대는 애플리케이션 정의)
+const CLOSE_CODES = {
+  TOKEN_EXPIRED: 4001
+};
+
+/**
+ * 실시간 푸시 채널 (WebSocket)
+ * bin/www의 HTTP 서버에 붙어 REALTIME_PATH로 들어온 업그레이드 요청을 받습니다.
+ * 연결은 REST API와 같은 액세스 토큰으로 인증하며 (Authorization 헤더 또는 access_token 쿼리),
+ * 이벤트는 해당 사용자의 모든 연결(기기, 탭)로 전달됩니다.
+ *
+ * 여러 Node 프로세스에서 실행될 때는 Redis pub/sub으로 이벤트를 모든 프로세스에 뿌리고
+ * 각 프로세스가 자신에게 연결된 세션으로 전달합니다. Redis가 없으면 현재 프로세스의 세션에만 전달합니다.
+ */
+class RealtimeService {
+  constructor() {
+    this.wss = null;
+    this.sessions = new Map(); // userId → Set<WebSocket>
+    this.rooms = new Map(); // room → Set<WebSocket> (예: 같은 메모를 편집 중인 연결)
+    this.messageHandlers = new Map(); // 클라이언트 메시지 type → handler(socket, data)
+    this.disconnectHandlers = [];
+    this.subscriber = null;
+    this.heartbeatInterval = null;
+
+    this.registerHandler('ping', (socket) => this.send(socket, REALTIME_EVENTS.PONG));
+  }
+
+  /**
+   * HTTP 서버에 WebSocket 엔드포인트 연결
+   * @param {http.Server} server - bin/www에서 만든 서버
+   */
+  attach(server) {
+    if (this.wss) {
+      logger.warning('Realtime server is already attached');
+      return;
+    }
+
+    this.wss = new WebSocketServer({ noServer: true, maxPayload: MAX_MESSAGE_BYTES });
+    server.on('upgrade', (req, socket, head) => {
+      this.handleUpgrade(req, socket, head).catch(error => {
+        logger.error(`Realtime upgrade failed: ${error.message}`);
+        this.rejectUpgrade(socket, 500, 'Internal Server Error');
+      });
+    });
+
+    // 응답 없는 연결 정리
+    this.heartbeatInterval = setInterval(() => this.checkHeartbeats(), HEARTBEAT_INTERVAL_MS);
+    this.heartbeatInterval.unref();
+
+    logger.info(`Realtime endpoint attached at ${REALTIME_PATH}`);
+  }
+
+  /**
+   * 업그레이드 요청 인증 후 연결 수립
+   */
+  async handleUpgrade(req, socket, head) {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname !== REALTIME_PATH) {
+      return this.rejectUpgrade(socket, 404, 'Not Found');
+    }
+
+    // 브라우저는 WebSocket에 헤더를 붙일 수 없어 쿼리로도 토큰을 받음
+    const token = jwtService.extractTokenFromHeader(req.headers.authorization)
+      || url.searchParams.get('access_token');
+    const result = await verifyAccessToken(token);
+    if (result.error) {
+      logger.warning(`Realtime connection rejected: ${result.error}`);
+      return this.rejectUpgrade(socket, result.statusCode, result.error);
+    }
+
+    this.wss.handleUpgrade(req, socket, head, (ws) => {
+      this.registerSocket(ws, result.user, result.decoded);
+    });
+  }
+
+  rejectUpgrade(socket, statusCode, message) {
+    if (socket.destroyed) {
+      return;
+    }
+    socket.write(`HTTP/1.1 ${statusCode} ${message}\r\nConnection: close\r\n\r\n`);
+    socket.destroy();
+  }
+
+  /**
+   * 인증된 연결 등록
+   */
+  registerSocket(ws, user, tokenPayload) {
+    ws.user = user;
+    ws.sessionId = crypto.randomUUID();
+    ws.rooms = new Set();
+    ws.isAlive = true;
+
+    if (!this.sessions.has(user.id)) {
+      this.sessions.set(user.id, new Set());
+    }
+    this.sessions.get(user.id).add(ws);
+
+    // 토큰이 만료되면 연결도 종료 (클라이언트는 새 토큰으로 다시 연결)
+    if (tokenPayload.exp) {
+      const remainingMs = tokenPayload.exp * 1000 - Date.now();
+      ws.expiryTimer = setTimeout(() => ws.close(CLOSE_CODES.TOKEN_EXPIRED, 'Token expired'), Math.max(remainingMs, 0));
+      ws.expiryTimer.unref();
+    }
+
+    ws.on('pong', () => {
+      ws.isAlive = true;
+    });
+    ws.on('message', (raw) => this.handleMessage(ws, raw));
+    ws.on('close', () => this.unregisterSocket(ws));
+    ws.on('error', (error) => logger.warning(`Realtime socket error (${user.username}): ${error.message}`));
+
+    this.send(ws, REALTIME_EVENTS.CONNECTED, { sessionId: ws.sessionId, userId: user.id });
+    logger.debug(`Realtime session opened: ${user.username} (${ws.sessionId})`);
+  }
+
+  unregisterSocket(ws) {
+    clearTimeout(ws.expiryTimer);
+
+    // 참여 중이던 방 목록과 함께 알림
+    const rooms = [...ws.rooms];
+    rooms.forEach(room => this.leaveRoom(ws, room));
+    this.disconnectHandlers.forEach((handler) => {
+      Promise.resolve()
+        .then(() => handler(ws, rooms))
+        .catch(error => logger.error(`Realtime disconnect handler failed: ${error.message}`));
+    });
+
+    const userSessions = this.sessions.get(ws.user.id);
+    if (userSessions) {
+      userSessions.delete(ws);
+      if (userSessions.size === 0) {
+        this.sessions.delete(ws.user.id);
+      }
+    }
+    logger.debug(`Realtime session closed: ${ws.user.username} (${ws.sessionId})`);
+  }
+
+  /**
+   * 클라이언트 메시지 처리기 등록
+   * @param {string} type - 메시지 type
+   * @param {Function} handler - (socket, data) => void
+   */
+  registerHandler(type, handler) {
+    this.messageHandlers.set(type, handler);
+  }
+
+  /**
+   * 연결 종료 처리기 등록
+   * @param {Function} handler - (socket, rooms) => void, rooms는 참여 중이던 방 목록
+   */
+  onDisconnect(handler) {
+    this.disconnectHandlers.push(handler);
+  }
+
+  joinRoom(ws, room) {
+    if (!this.rooms.has(room)) {
+      this.rooms.set(room, new Set());
+    }
+    this.rooms.get(room).add(ws);
+    ws.rooms.add(room);
+  }
+
+  leaveRoom(ws, room) {
+    ws.rooms.delete(room);
+
+    const members = this.rooms.get(room);
+    if (members) {
+      members.delete(ws);
+      if (members.size === 0) {
+        this.rooms.delete(room);
+      }
+    }
+  }
+
+  /**
+   * 현재 프로세스에서 참여 중인 연결이 있는 방
+   * @returns {Array<string>}
+   */
+  getActiveRooms() {
+    return [...this.rooms.keys()];
+  }
+
+  /**
+   * 클라이언트 메시지 ({ type, data } JSON) 처리
+   */
+  async handleMessage(ws, raw) {
+    let message;
+    try {
+      message = JSON.parse(raw.toString());
+    } catch (error) {
+      return this.send(ws, REALTIME_EVENTS.ERROR, { message: 'Messages must be JSON' });
+    }
+
+    const handler = message && this.messageHandlers.get(message.type);
+    if (!handler) {
+      return this.send(ws, REALTIME_EVENTS.ERROR, { message: `Unknown message type: ${message && message.type}` });
+    }
+
+    try {
+      await handler(ws, message.data || {});
+    } catch (error) {
+      logger.error(`Realtime message '${message.type}' failed: ${error.message}`);
+      this.send(ws, REALTIME_EVENTS.ERROR, {
+        type: message.type,
+        statusCode: error.statusCode || 500,
+        message: error.statusCode ? error.message : 'Failed to process message'
+      });
+    }
+  }
+
+  /**
+   * 연결 하나에 이벤트 전송
+   */
+  send(ws, type, data = {}) {
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify({ type, data, timestamp: new Date().toISOString() }));
+    }
+  }
+
+  /**
+   * 사용자들의 모든 연결에 이벤트 발행 (모든 프로세스)
+   * 실패해도 예외를 던지지 않으므로 API 응답에 영향을 주지 않습니다.
+   * @param {string|Array<string>} userIds - 받을 사용자 ID
+   * @param {string} type - REALTIME_EVENTS 값
+   * @param {Object} data - 이벤트 데이터
+   */
+  async publish(userIds, type, data = {}) {
+    const recipients = [...new Set([].concat(userIds).filter(Boolean).map(String))];
+    if (recipients.length === 0) {
+      return;
+    }
+
+    return this.broadcast({ userIds: recipients, type, data });
+  }
+
+  /**
+   * 방에 참여 중인 모든 연결에 이벤트 발행 (모든 프로세스)
+   * 같은 방에 발행한 이벤트는 발행한 순서대로 전달됩니다.
+   * @param {string} room - 방 이름
+   * @param {string} type - 이벤트 type
+   * @param {Object} data - 이벤트 데이터
+   */
+  async publishToRoom(room, type, data = {}) {
+    return this.broadcast({ room, type, data });
+  }
+
+  async broadcast(envelope) {
+    // 구독 중이면 Redis를 거쳐 현재 프로세스에도 전달됨
+    if (this.subscriber) {
+      try {
+        await getRedisClient().publish(REALTIME_CHANNEL, JSON.stringify(envelope));
+        return;
+      } catch (error) {
+        logger.warning(`Realtime publish failed, delivering locally only: ${error.message}`);
+      }
+    }
+
+    this.deliver(envelope);
+  }
+
+  /**
+   * 현재 프로세스에 연결된 세션으로 전달
+   * @param {Object} envelope - { userIds, type, data } 또는 { room, type, data }
+   */
+  deliver({ userIds, room, type, data }) {
+    if (room) {
+      const members = this.rooms.get(room);
+      if (members) {
+        members.forEach(ws => this.send(ws, type, data));
+      }
+      return;
+    }
+
+    for (const userId of userIds || []) {
+      const userSessions = this.sessions.get(userId);
+      if (userSessions) {
+        userSessions.forEach(ws => this.send(ws, type, data));
+      }
+    }
+  }
+
+  /**
+   * 메모 이벤트 발행 (메모 작성자에게)
+   * @param {string} type - REALTIME_EVENTS.MEMO_* 값
+   * @param {Memo} memo - 메모 문서 (populate 전)
+   */
+  publishMemoEvent(type, memo) {
+    const ownerId = memo.userId && memo.userId._id ? memo.userId._id : memo.userId;
+    const removed = type === REALTIME_EVENTS.MEMO_DELETED || type === REALTIME_EVENTS.MEMO_PURGED;
+
+    return this.publish(String(ownerId), type, {
+      memoId: memo._id.toString(),
+      memo: removed ? undefined : memo.toJSON()
+    });
+  }
+
+  /**
+   * 파일 처리 이벤트 발행 (업로드한 사용자에게)
+   * @param {string} type - REALTIME_EVENTS.FILE_* 값
+   * @param {File} file - 파일 문서
+   */
+  publishFileEvent(type, file) {
+    return this.publish(String(file.uploadedBy), type, {
+      fileId: file._id.toString(),
+      domain: file.domain,
+      referenceId: file.referenceId ? file.referenceId.toString() : null,
+      status: file.status
+    });
+  }
+
+  /**
+   * Redis 구독 시작 (connectRedis 이후 호출)
+   * 구독 연결은 명령을 보낼 수 없으므로 별도 클라이언트를 사용합니다.
+   */
+  async startFanout() {
+    if (this.subscriber) {
+      logger.warning('Realtime fan-out is already running');
+      return;
+    }
+
+    const subscriber = getRedisClient().duplicate();
+    subscriber.on('error', (error) => logger.error(`Realtime subscriber error: ${error.message}`));
+    await subscriber.connect();
+    await subscriber.subscribe(REALTIME_CHANNEL, (raw) => {
+      try {
+        this.deliver(JSON.parse(raw));
+      } catch (error) {
+        logger.warning(`Invalid realtime message: ${error.message}`);
+      }
+    });
+
+    this.subscriber = subscriber;
+    logger.info('Realtime fan-out subscribed to Redis');
+  }
+
+  checkHeartbeats() {
+    if (!this.wss) {
+      return;
+    }
+    this.wss.clients.forEach((ws) => {
+      if (!ws.isAlive) {
+        return ws.terminate();
+      }
+      ws.isAlive = false;
+      ws.ping();
+    });
+  }
+
+  /**
+   * 모든 연결과 구독 종료
+   */
+  async stop() {
+    clearInterval(this.heartbeatInterval);
+    this.heartbeatInterval = null;
+
+    if (this.wss) {
+      this.wss.clients.forEach(ws => ws.close(1001, 'Server shutting down'));
+      this.wss.close();
+      this.wss = null;
+    }
+    if (this.subscriber) {
+      await this.subscriber.quit().catch(() => {});
+      this.subscriber = null;
+    }
+    logger.info('Realtime service stopped');
+  }
+}
+
+// 싱글톤 인스턴스
+const realtimeService = new RealtimeService();
+
+module.exports = realtimeService;
+module.exports.REALTIME_EVENTS = REALTIME_EVENTS;
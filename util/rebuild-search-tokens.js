@@ -0,0 +1,37 @@
+// 메모 검색 토큰 재생성 스크립트 (전문 검색 도입 이전 메모 색인용)
+// 사용법: npm run rebuild-search-tokens
+require('dotenv').config();
+const database = require('./database');
+const logger = require('./logger');
+const memoSearchService = require('./memoSearchService');
+const { Memo } = require('../models');
+
+async function rebuildSearchTokens() {
+  try {
+    await database.connect();
+
+    // 텍스트 인덱스가 없으면 생성
+    await Memo.syncIndexes();
+
+    let updated = 0;
+    const cursor = Memo.find().select('title content').cursor();
+
+    for await (const memo of cursor) {
+      await Memo.updateOne(
+        { _id: memo._id },
+        { $set: { searchTokens: memoSearchService.buildSearchTokens(memo.title, memo.content) } },
+        { timestamps: false }
+      );
+      updated++;
+    }
+
+    logger.success(`Search tokens rebuilt for ${updated} memos`);
+  } catch (error) {
+    logger.error(`Failed to rebuild search tokens: ${error.message}`);
+  } finally {
+    await database.close();
+    process.exit(0);
+  }
+}
+
+rebuildSearchTokens();
@@ -60,7 +60,15 @@ const getRedisClient = () => {
   return client;
 };
 
+/**
+ * 외부에서 생성한 클라이언트 주입 (로컬 Redis 또는 테스트용 인메모리 대체 클라이언트)
+ */
+const setRedisClient = (customClient) => {
+  client = customClient;
+};
+
 module.exports = {
   connectRedis,
-  getRedisClient
+  getRedisClient,
+  setRedisClient
 };
@@ -0,0 +1,132 @@
+const crypto = require('crypto');
+const { RefreshToken, REVOKE_REASONS, User } = require('../models');
+const jwtService = require('./jwtService');
+const logger = require('./logger');
+
+/**
+ * 리프레시 토큰 오류 (라우트/미들웨어에서 상태 코드로 응답)
+ */
+class RefreshTokenError extends Error {
+  constructor(message, statusCode = 401) {
+    super(message);
+    this.name = 'RefreshTokenError';
+    this.statusCode = statusCode;
+  }
+}
+
+class RefreshTokenService {
+  /**
+   * 리프레시 토큰 발급 및 저장
+   * @param {Object} user - 사용자 문서
+   * @param {Object} options - 발급 옵션
+   * @param {string} options.familyId - 기존 패밀리 ID (회전 시), 없으면 새 패밀리 생성
+   * @param {string} options.ip - 요청 IP
+   * @param {string} options.userAgent - 요청 User-Agent
+   * @returns {Promise<{refreshToken: string, record: RefreshToken}>}
+   */
+  static async issue(user, options = {}) {
+    const jti = crypto.randomUUID();
+    const familyId = options.familyId || crypto.randomUUID();
+
+    const refreshToken = jwtService.generateRefreshToken({
+      userId: user._id.toString(),
+      jti,
+      familyId
+    });
+
+    const { exp } = jwtService.decodeToken(refreshToken);
+
+    const record = await RefreshToken.create({
+      jti,
+      userId: user._id,
+      familyId,
+      createdByIp: options.ip || null,
+      userAgent: options.userAgent || null,
+      expiresAt: new Date(exp * 1000)
+    });
+
+    logger.debug(`Refresh token issued for user ${user._id} (family ${familyId})`);
+    return { refreshToken, record };
+  }
+
+  /**
+   * 리프레시 토큰 회전
+   * 사용된 토큰은 소모 처리하고 같은 패밀리의 새 토큰을 발급합니다.
+   * 이미 사용된 토큰이 다시 제시되면 패밀리 전체를 폐기합니다.
+   * @param {string} refreshToken - 클라이언트가 제시한 리프레시 토큰
+   * @param {Object} options - 요청 정보 (ip, userAgent)
+   * @returns {Promise<{user: User, refreshToken: string, familyId: string}>}
+   */
+  static async rotate(refreshToken, options = {}) {
+    const decoded = jwtService.verifyRefreshToken(refreshToken);
+    if (!decoded) {
+      throw new RefreshTokenError('Invalid refresh token');
+    }
+
+    // 원자적으로 "미사용 → 사용" 전환 (동시 요청 시 하나만 성공)
+    const record = await RefreshToken.findOneAndUpdate(
+      { jti: decoded.jti, usedAt: null, revokedAt: null },
+      { usedAt: new Date() },
+      { new: true }
+    );
+
+    if (!record) {
+      const existing = await RefreshToken.findOne({ jti: decoded.jti });
+
+      if (existing && existing.usedAt && !existing.revokedAt) {
+        // 이미 회전된 토큰의 재사용 → 탈취 가능성, 패밀리 전체 폐기
+        await RefreshToken.revokeFamily(existing.familyId, REVOKE_REASONS.REUSE_DETECTED);
+        logger.warning(`Refresh token reuse detected for user ${existing.userId}, family ${existing.familyId} revoked`);
+        throw new RefreshTokenError('Refresh token reuse detected. Please log in again.');
+      }
+
+      throw new RefreshTokenError('Refresh token has been revoked or does not exist');
+    }
+
+    const user = await User.findById(record.userId);
+    if (!user || !user.isEmailVerified) {
+      throw new RefreshTokenError('User not found or email not verified');
+    }
+
+    const { refreshToken: newRefreshToken, record: newRecord } = await this.issue(user, {
+      familyId: record.familyId,
+      ip: options.ip,
+      userAgent: options.userAgent
+    });
+
+    record.replacedBy = newRecord.jti;
+    await record.save();
+
+    return { user, refreshToken: newRefreshToken, familyId: record.familyId };
+  }
+
+  /**
+   * 리프레시 토큰이 속한 패밀리 폐기 (로그아웃 등)
+   * @param {string} refreshToken - 리프레시 토큰
+   * @param {string} reason - 폐기 사유
+   * @returns {Promise<boolean>} - 폐기 여부
+   */
+  static async revokeByToken(refreshToken, reason = REVOKE_REASONS.LOGOUT) {
+    const decoded = jwtService.verifyRefreshToken(refreshToken);
+    if (!decoded) {
+      return false;
+    }
+
+    await RefreshToken.revokeFamily(decoded.familyId, reason);
+    logger.info(`Refresh token family revoked: ${decoded.familyId} (${reason})`);
+    return true;
+  }
+
+  /**
+   * 사용자의 모든 리프레시 토큰 폐기
+   * @param {string} userId - 사용자 ID
+   * @param {string} reason - 폐기 사유
+   * @returns {Promise<void>}
+   */
+  static async revokeAllForUser(userId, reason) {
+    const result = await RefreshToken.revokeAllForUser(userId, reason);
+    logger.info(`Revoked ${result.modifiedCount} refresh tokens for user ${userId} (${reason})`);
+  }
+}
+
+module.exports = RefreshTokenService;
@@ -0,0 +1,77 @@
+const { User, USER_ROLES } = require('../models');
+const emailService = require('./emailService');
+const logger = require('./logger');
+
+/**
+ * 회원 가입 오류 (라우트에서 상태 코드로 응답)
+ */
+class RegistrationError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'RegistrationError';
+    this.statusCode = statusCode;
+  }
+}
+
+class RegistrationService {
+  /**
+   * 이메일 미인증 상태의 사용자 생성 후 인증 메일 발송
+   * /api/auth/register와 관리자 사용자 생성이 같은 인증 절차를 거치도록 공유합니다.
+   * @param {Object} input - { username, email, password, role }
+   * @returns {Promise<User>} - 생성된 사용자 문서
+   */
+  static async register({ username, email, password, role = USER_ROLES.USER }) {
+    // 기본 유효성 검증
+    if (!username || !email || !password) {
+      throw new RegistrationError('Username, email, and password are required', 400);
+    }
+
+    // 중복 사용자 확인
+    const existingUser = await User.findOne({
+      $or: [
+        { username: username },
+        { email: email }
+      ]
+    });
+
+    if (existingUser) {
+      if (existingUser.username === username) {
+        throw new RegistrationError('Username already exists', 409);
+      }
+      if (existingUser.email === email) {
+        throw new RegistrationError('Email already exists', 409);
+      }
+    }
+
+    // 이메일 인증 토큰 생성 (1시간 유효)
+    const verificationToken = emailService.generateVerificationToken();
+    const verificationExpires = new Date(Date.now() + 60 * 60 * 1000); // 1시간 후
+
+    // 새 사용자 생성 (이메일 미인증 상태)
+    // 비밀번호는 User 모델의 pre-save 미들웨어에서 자동으로 해시화됨
+    const user = new User({
+      username,
+      email,
+      password,
+      role,
+      isEmailVerified: false,
+      emailVerificationToken: verificationToken,
+      emailVerificationExpires: verificationExpires
+    });
+
+    await user.save();
+
+    // 인증 이메일 발송
+    try {
+      await emailService.sendVerificationEmail(email, username, verificationToken);
+      logger.success(`Registration email sent to: ${email}`);
+    } catch (emailError) {
+      logger.error(`Failed to send verification email: ${emailError.message}`);
+      // 이메일 발송 실패 시에도 사용자는 생성되지만 알림
+    }
+
+    return user;
+  }
+}
+
+module.exports = RegistrationService;
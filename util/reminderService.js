@@ -0,0 +1,370 @@
+const { CronExpressionParser } = require('cron-parser');
+const database = require('./database');
+const { Memo, User, REMINDER_REPEATS } = require('../models');
+const emailQueue = require('./emailQueue');
+const logger = require('./logger');
+
+const mongoose = database.getMongoose();
+const SERVER_ORIGIN = process.env.SERVER_ORIGIN || 'http://localhost:3001';
+
+// 반복 알림의 최소 간격 (너무 잦은 cron 식 방지)
+const MIN_REPEAT_INTERVAL_MS = 60 * 60 * 1000;
+// 최소 간격 확인 시 검사할 발생 횟수
+const INTERVAL_CHECK_OCCURRENCES = 24;
+
+/**
+ * 알림 설정 오류 (errorHandler가 statusCode로 응답)
+ */
+class ReminderError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ReminderError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * 메모 알림 관리
+ * 알림 시각이 된 메모를 주기적으로 찾아 작성자에게 보낼 알림 메일을 emailQueue에 넣습니다.
+ * 매일/매주/매월 반복은 첫 알림의 현지 시각으로 cron 식을 만들어 저장하고,
+ * 다음 알림 시각은 알림의 시간대 기준으로 계산하므로 서머타임이 있어도 현지 시각이 유지됩니다.
+ * 여러 서버가 동시에 실행돼도 remindAt 조건부 갱신으로 한 번만 발송합니다.
+ */
+class ReminderService {
+  constructor() {
+    this.checkIntervalMs = (parseInt(process.env.REMINDER_CHECK_SECONDS) || 60) * 1000;
+    this.batchSize = 100;
+    this.checkInterval = null;
+    this.isRunning = false;
+  }
+
+  /**
+   * 요청 값으로 알림 설정 만들기
+   * @param {Object} input - { remindAt, repeat, cron, timezone }
+   * @param {string} defaultTimezone - timezone이 없을 때 쓸 사용자 시간대
+   * @returns {Object} - Memo.reminder에 저장할 값
+   */
+  buildReminder({ remindAt, repeat = REMINDER_REPEATS.NONE, cron, timezone } = {}, defaultTimezone) {
+    const zone = timezone || defaultTimezone;
+    if (!User.isValidTimeZone(zone)) {
+      throw new ReminderError('timezone must be a valid IANA time zone (e.g. Asia/Seoul)');
+    }
+
+    if (!Object.values(REMINDER_REPEATS).includes(repeat)) {
+      throw new ReminderError(`repeat must be one of: ${Object.values(REMINDER_REPEATS).join(', ')}`);
+    }
+
+    const now = new Date();
+    const firstAt = remindAt !== undefined && remindAt !== null ? new Date(remindAt) : null;
+    if (firstAt && Number.isNaN(firstAt.getTime())) {
+      throw new ReminderError('remindAt must be a valid date');
+    }
+    if (!firstAt && repeat !== REMINDER_REPEATS.CRON) {
+      throw new ReminderError('remindAt is required');
+    }
+
+    if (repeat === REMINDER_REPEATS.NONE) {
+      if (firstAt <= now) {
+        throw new ReminderError('remindAt must be in the future');
+      }
+      return { remindAt: firstAt, repeat, cron: null, timezone: zone, lastSentAt: null };
+    }
+
+    const expression = repeat === REMINDER_REPEATS.CRON
+      ? this.validateCron(cron, zone)
+      : this.buildRepeatCron(repeat, firstAt, zone);
+
+    // 첫 알림이 미래이면 그대로, 아니면 지금 이후의 첫 반복 시각
+    const nextAt = firstAt && firstAt > now ? firstAt : this.getNextOccurrence(expression, zone, now);
+    if (!nextAt) {
+      throw new ReminderError('The repeat schedule has no upcoming occurrence');
+    }
+
+    return { remindAt: nextAt, repeat, cron: expression, timezone: zone, lastSentAt: null };
+  }
+
+  /**
+   * 매일/매주/매월 반복을 첫 알림의 현지 시각 기준 cron 식으로 변환
+   * 매월 반복에서 해당 날짜가 없는 달(예: 31일)은 건너뜁니다.
+   */
+  buildRepeatCron(repeat, firstAt, timezone) {
+    const { minute, hour, day, weekday } = this.getLocalParts(firstAt, timezone);
+
+    switch (repeat) {
+      case REMINDER_REPEATS.DAILY:
+        return `${minute} ${hour} * * *`;
+      case REMINDER_REPEATS.WEEKLY:
+        return `${minute} ${hour} * * ${weekday}`;
+      case REMINDER_REPEATS.MONTHLY:
+        return `${minute} ${hour} ${day} * *`;
+      default:
+        throw new ReminderError(`Unsupported repeat: ${repeat}`);
+    }
+  }
+
+  /**
+   * 사용자가 입력한 cron 식 확인 (분 시 일 월 요일의 5필드, 최소 간격 1시간)
+   */
+  validateCron(cron, timezone) {
+    const expression = typeof cron === 'string' ? cron.trim().replace(/\s+/g, ' ') : '';
+    if (expression.split(' ').length !== 5) {
+      throw new ReminderError('cron must have 5 fields: minute hour day-of-month month day-of-week');
+    }
+
+    let interval;
+    try {
+      interval = CronExpressionParser.parse(expression, { tz: timezone });
+    } catch (error) {
+      throw new ReminderError(`Invalid cron expression: ${error.message}`);
+    }
+
+    let previous = null;
+    for (let i = 0; i < INTERVAL_CHECK_OCCURRENCES && interval.hasNext(); i++) {
+      const occurrence = interval.next().toDate();
+      if (previous && occurrence - previous < MIN_REPEAT_INTERVAL_MS) {
+        throw new ReminderError('Recurring reminders cannot fire more than once an hour');
+      }
+      previous = occurrence;
+    }
+
+    return expression;
+  }
+
+  /**
+   * cron 식의 다음 발생 시각
+   * @returns {Date|null}
+   */
+  getNextOccurrence(expression, timezone, after = new Date()) {
+    try {
+      const interval = CronExpressionParser.parse(expression, { currentDate: after, tz: timezone });
+      return interval.hasNext() ? interval.next().toDate() : null;
+    } catch (error) {
+      logger.error(`Failed to compute next reminder for "${expression}": ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * 시간대 기준 현지 시각 구성 요소
+   * @returns {{minute: number, hour: number, day: number, weekday: number}} - weekday는 0(일)~6(토)
+   */
+  getLocalParts(date, timezone) {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      minute: 'numeric',
+      hour: 'numeric',
+      day: 'numeric',
+      weekday: 'short'
+    }).formatToParts(date).map(part => [part.type, part.value]));
+
+    return {
+      minute: parseInt(parts.minute),
+      hour: parseInt(parts.hour),
+      day: parseInt(parts.day),
+      weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday)
+    };
+  }
+
+  /**
+   * 알림 시각이 지난 메모 처리
+   * @returns {Promise<number>} - 큐에 넣은 알림 수
+   */
+  async processDueReminders() {
+    if (this.isRunning) {
+      return 0;
+    }
+
+    this.isRunning = true;
+    let sent = 0;
+
+    try {
+      const now = new Date();
+      const dueMemos = await Memo.find({
+        'reminder.remindAt': { $ne: null, $lte: now },
+        deletedAt: null
+      })
+        .sort({ 'reminder.remindAt': 1 })
+        .limit(this.batchSize);
+
+      for (const memo of dueMemos) {
+        try {
+          if (await this.fireReminder(memo, now)) {
+            sent++;
+          }
+        } catch (error) {
+          logger.error(`Failed to process reminder for memo ${memo._id}: ${error.message}`);
+        }
+      }
+    } catch (error) {
+      logger.error(`Reminder processing error: ${error.message}`);
+    } finally {
+      this.isRunning = false;
+    }
+
+    if (sent > 0) {
+      logger.info(`Queued ${sent} memo reminders`);
+    }
+    return sent;
+  }
+
+  /**
+   * 알림 하나 발송 (다음 알림 시각으로 먼저 갱신한 서버만 발송)
+   * 놓친 반복 알림은 한 번만 보내고 지금 이후의 다음 시각으로 넘어갑니다.
+   * @returns {Promise<boolean>} - 발송 여부
+   */
+  async fireReminder(memo, now = new Date()) {
+    const { reminder } = memo;
+    const dueAt = reminder.remindAt;
+    const nextAt = reminder.repeat === REMINDER_REPEATS.NONE
+      ? null
+      : this.getNextOccurrence(reminder.cron, reminder.timezone, now);
+
+    const claimed = await Memo.updateOne(
+      { _id: memo._id, 'reminder.remindAt': dueAt },
+      { $set: { 'reminder.remindAt': nextAt, 'reminder.lastSentAt': now } },
+      { timestamps: false }
+    );
+    if (claimed.modifiedCount === 0) {
+      return false;
+    }
+
+    try {
+      const owner = await User.findById(memo.userId).select('email username timezone');
+      if (!owner) {
+        logger.warning(`Reminder skipped, owner not found for memo ${memo._id}`);
+        return false;
+      }
+
+      await emailQueue.addToQueue({
+        to: owner.email,
+        subject: `메모 앱 - 알림: ${memo.title}`,
+        content: this.buildReminderContent(memo, owner),
+        userId: owner._id.toString(),
+        memoId: memo._id.toString(),
+        type: 'memo_reminder'
+      });
+      return true;
+    } catch (error) {
+      // 큐에 넣지 못하면 다음 확인 때 다시 시도하도록 되돌림
+      await Memo.updateOne(
+        { _id: memo._id, 'reminder.remindAt': nextAt },
+        { $set: { 'reminder.remindAt': dueAt, 'reminder.lastSentAt': reminder.lastSentAt } },
+        { timestamps: false }
+      );
+      throw error;
+    }
+  }
+
+  buildReminderContent(memo, owner) {
+    const timezone = owner.timezone || memo.reminder.timezone;
+    const lines = [
+      `${owner.username}님, 설정하신 메모 알림입니다.`,
+      '',
+      `제목: ${memo.title}`
+    ];
+
+    if (memo.dueDate) {
+      lines.push(`마감: ${this.formatDate(memo.dueDate, timezone)}`);
+    }
+    lines.push('', memo.content.slice(0, 300), '', `${SERVER_ORIGIN}/api/memos/${memo._id}`);
+
+    return lines.join('\n');
+  }
+
+  formatDate(date, timezone) {
+    return new Intl.DateTimeFormat('ko-KR', {
+      timeZone: timezone,
+      dateStyle: 'long',
+      timeStyle: 'short'
+    }).format(date);
+  }
+
+  /**
+   * 다가오는 알림과 마감일
+   * @param {string} userId - 사용자 ID
+   * @param {Object} options - { days, limit }
+   * @returns {Promise<{reminders: Array<Object>, dueDates: Array<Object>}>}
+   */
+  async getUpcoming(userId, { days = 7, limit = 10 } = {}) {
+    const now = new Date();
+    const until = new Date(now.getTime() + days * 24 * 60 * 60 * 1000);
+    const baseFilter = {
+      userId: { $in: [userId, new mongoose.Types.ObjectId(userId)] },
+      deletedAt: null
+    };
+
+    const [reminderMemos, dueMemos] = await Promise.all([
+      Memo.find({ ...baseFilter, 'reminder.remindAt': { $gte: now, $lte: until } })
+        .sort({ 'reminder.remindAt': 1 })
+        .limit(limit)
+        .select('title reminder dueDate'),
+      Memo.find({ ...baseFilter, dueDate: { $gte: now, $lte: until } })
+        .sort({ dueDate: 1 })
+        .limit(limit)
+        .select('title reminder dueDate')
+    ]);
+
+    const toItem = (memo) => ({
+      memoId: memo._id.toString(),
+      title: memo.title,
+      dueDate: memo.dueDate ? memo.dueDate.toISOString() : null,
+      reminder: this.formatReminder(memo.reminder)
+    });
+
+    return {
+      reminders: reminderMemos.map(toItem),
+      dueDates: dueMemos.map(toItem)
+    };
+  }
+
+  /**
+   * 알림 응답 형식
+   */
+  formatReminder(reminder) {
+    if (!reminder) {
+      return null;
+    }
+    return {
+      remindAt: reminder.remindAt ? reminder.remindAt.toISOString() : null,
+      repeat: reminder.repeat,
+      cron: reminder.cron,
+      timezone: reminder.timezone,
+      lastSentAt: reminder.lastSentAt ? reminder.lastSentAt.toISOString() : null
+    };
+  }
+
+  /**
+   * 주기적 알림 확인 시작
+   */
+  startScheduling() {
+    if (this.checkInterval) {
+      logger.warning('Reminder scheduling is already running');
+      return;
+    }
+
+    this.checkInterval = setInterval(() => {
+      this.processDueReminders();
+    }, this.checkIntervalMs);
+    this.checkInterval.unref();
+
+    logger.info(`Reminder scheduling started (every ${this.checkIntervalMs / 1000}s)`);
+  }
+
+  /**
+   * 주기적 알림 확인 중지
+   */
+  stopScheduling() {
+    if (this.checkInterval) {
+      clearInterval(this.checkInterval);
+      this.checkInterval = null;
+    }
+    logger.info('Reminder scheduling stopped');
+  }
+}
+
+// 싱글톤 인스턴스
+const reminderService = new ReminderService();
+
+module.exports = reminderService;
+module.exports.ReminderError = ReminderError;
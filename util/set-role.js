@@ -0,0 +1,42 @@
+// 사용자 역할 지정 스크립트 (최초 관리자 지정용)
+// 사용법: npm run set-role -- <username|email> <user|moderator|admin>
+require('dotenv').config();
+const database = require('./database');
+const logger = require('./logger');
+const { User, USER_ROLES } = require('../models');
+
+async function setRole(identifier, role) {
+  try {
+    if (!identifier || !Object.values(USER_ROLES).includes(role)) {
+      logger.error(`Usage: npm run set-role -- <username|email> <${Object.values(USER_ROLES).join('|')}>`);
+      return;
+    }
+
+    await database.connect();
+
+    const user = await User.findOne({
+      $or: [
+        { username: identifier },
+        { email: identifier }
+      ]
+    });
+
+    if (!user) {
+      logger.error(`User not found: ${identifier}`);
+      return;
+    }
+
+    const oldRole = user.role;
+    user.role = role;
+    await user.save();
+
+    logger.success(`Role updated for ${user.username}: ${oldRole} -> ${role}`);
+  } catch (error) {
+    logger.error(`Failed to set role: ${error.message}`);
+  } finally {
+    await database.close();
+    process.exit(0);
+  }
+}
+
+setRole(process.argv[2], process.argv[3]);
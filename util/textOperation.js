@@ -0,0 +1,301 @@
+/**
+ * 협업 편집용 텍스트 operation (Operational Transformation)
+ * operation은 문서 처음부터 끝까지 훑는 구성 요소의 배열입니다.
+ *   양의 정수 n  - n글자 유지 (retain)
+ *   문자열 s     - s 삽입 (insert)
+ *   음의 정수 -n - n글자 삭제 (delete)
+ * 예: "hello" → "hey!" 는 [2, -3, "y!"]
+ *
+ * 같은 버전의 문서에 대해 만들어진 두 operation a, b는 transform(a, b)로
+ * 각각 상대가 먼저 적용된 문서에 적용할 수 있는 a', b'로 바꿀 수 있습니다.
+ * (apply(apply(doc, a), b') === apply(apply(doc, b), a'))
+ */
+
+// 한 operation의 최대 구성 요소 수
+const MAX_COMPONENTS = 1000;
+// fromDiff가 단어 단위로 비교할 최대 변경 단어 수 (넘으면 바뀐 구간 전체를 교체)
+const MAX_DIFF_EDITS = 1000;
+// fromDiff의 비교 단위: 단어, 공백, 그 밖의 글자 하나
+const DIFF_TOKEN_PATTERN = /[\p{L}\p{N}_]+|\s+|[^\p{L}\p{N}_\s]/gu;
+
+/**
+ * operation 오류 (errorHandler/실시간 채널이 statusCode로 응답)
+ */
+class OperationError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'OperationError';
+    this.statusCode = statusCode;
+  }
+}
+
+const isRetain = (component) => Number.isInteger(component) && component > 0;
+const isInsert = (component) => typeof component === 'string' && component.length > 0;
+const isDelete = (component) => Number.isInteger(component) && component < 0;
+
+class TextOperation {
+  /**
+   * 클라이언트가 보낸 operation 검증 및 정규화
+   * 인접한 같은 종류의 구성 요소를 합치고, 삭제와 삽입이 붙어 있으면 삽입을 앞에 둡니다.
+   * @param {Array} components - operation 구성 요소
+   * @returns {Array}
+   */
+  static normalize(components) {
+    if (!Array.isArray(components) || components.length === 0) {
+      throw new OperationError('operation must be a non-empty array');
+    }
+    if (components.length > MAX_COMPONENTS) {
+      throw new OperationError(`operation cannot have more than ${MAX_COMPONENTS} components`);
+    }
+
+    const result = [];
+    for (const component of components) {
+      if (isRetain(component)) {
+        TextOperation.retain(result, component);
+      } else if (isInsert(component)) {
+        TextOperation.insert(result, component);
+      } else if (isDelete(component)) {
+        TextOperation.delete(result, component);
+      } else {
+        throw new OperationError('operation components must be non-zero integers or non-empty strings');
+      }
+    }
+    return result;
+  }
+
+  static retain(operation, count) {
+    const last = operation.length - 1;
+    if (isRetain(operation[last])) {
+      operation[last] += count;
+    } else {
+      operation.push(count);
+    }
+  }
+
+  static insert(operation, text) {
+    const last = operation.length - 1;
+    if (isInsert(operation[last])) {
+      operation[last] += text;
+    } else if (isDelete(operation[last])) {
+      // 삭제 → 삽입 순서를 삽입 → 삭제로 통일 (결과는 같음)
+      if (isInsert(operation[last - 1])) {
+        operation[last - 1] += text;
+      } else {
+        operation.splice(last, 0, text);
+      }
+    } else {
+      operation.push(text);
+    }
+  }
+
+  static delete(operation, count) {
+    const last = operation.length - 1;
+    if (isDelete(operation[last])) {
+      operation[last] += count;
+    } else {
+      operation.push(count);
+    }
+  }
+
+  /**
+   * 두 문서의 차이를 operation으로 변환
+   * 공통 앞/뒷부분을 제외한 구간을 단어 단위로 비교하므로 여러 곳을 고친 변경도 고친 단어만 바뀝니다
+   * (다른 operation과 변환해도 그 사이의 편집이 제자리에 남음).
+   * 변경이 MAX_DIFF_EDITS 단어를 넘으면 구간 전체를 한 번에 교체합니다.
+   * @param {string} oldText - 원래 문서
+   * @param {string} newText - 바뀐 문서
+   * @returns {Array} - oldText에 적용하면 newText가 되는 operation
+   */
+  static fromDiff(oldText, newText) {
+    let prefix = 0;
+    const maxPrefix = Math.min(oldText.length, newText.length);
+    while (prefix < maxPrefix && oldText[prefix] === newText[prefix]) {
+      prefix++;
+    }
+
+    let suffix = 0;
+    const maxSuffix = maxPrefix - prefix;
+    while (suffix < maxSuffix && oldText[oldText.length - 1 - suffix] === newText[newText.length - 1 - suffix]) {
+      suffix++;
+    }
+
+    const operation = [];
+    const removed = oldText.slice(prefix, oldText.length - suffix);
+    const inserted = newText.slice(prefix, newText.length - suffix);
+    if (prefix > 0) TextOperation.retain(operation, prefix);
+
+    const edits = TextOperation.diffEdits(
+      removed.match(DIFF_TOKEN_PATTERN) || [],
+      inserted.match(DIFF_TOKEN_PATTERN) || []
+    );
+    if (edits) {
+      for (const edit of edits) {
+        if (isRetain(edit)) TextOperation.retain(operation, edit);
+        else if (isInsert(edit)) TextOperation.insert(operation, edit);
+        else TextOperation.delete(operation, edit);
+      }
+    } else {
+      if (inserted) TextOperation.insert(operation, inserted);
+      if (removed) TextOperation.delete(operation, -removed.length);
+    }
+
+    if (suffix > 0) TextOperation.retain(operation, suffix);
+    return operation;
+  }
+
+  /**
+   * 단어 목록의 최소 편집 (Myers 알고리즘)
+   * @param {Array<string>} a - 원래 단어 목록
+   * @param {Array<string>} b - 바뀐 단어 목록
+   * @returns {Array|null} - 앞에서부터의 구성 요소 (단어 하나씩), 변경이 MAX_DIFF_EDITS를 넘으면 null
+   */
+  static diffEdits(a, b) {
+    const max = Math.min(a.length + b.length, MAX_DIFF_EDITS);
+    const offset = max + 1;
+    const v = new Int32Array(2 * max + 3);
+    // 단계별 v (되짚어 가며 편집을 복원할 때 사용, 단계 d에서는 k = -d-1..d+1만 필요)
+    const trace = [];
+
+    let found = false;
+    for (let d = 0; d <= max && !found; d++) {
+      trace.push(v.slice(offset - d - 1, offset + d + 2));
+      for (let k = -d; k <= d; k += 2) {
+        let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+          ? v[offset + k + 1]
+          : v[offset + k - 1] + 1;
+        let y = x - k;
+        while (x < a.length && y < b.length && a[x] === b[y]) {
+          x++;
+          y++;
+        }
+        v[offset + k] = x;
+        if (x >= a.length && y >= b.length) {
+          found = true;
+          break;
+        }
+      }
+    }
+    if (!found) {
+      return null;
+    }
+
+    const edits = [];
+    let x = a.length;
+    let y = b.length;
+    for (let d = trace.length - 1; d >= 0; d--) {
+      const snapshot = trace[d];
+      const at = (k) => snapshot[k + d + 1];
+      const k = x - y;
+      const prevK = k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+      const prevX = d === 0 ? 0 : at(prevK);
+      const prevY = d === 0 ? 0 : prevX - prevK;
+
+      while (x > prevX && y > prevY) {
+        edits.push(a[x - 1].length);
+        x--;
+        y--;
+      }
+      if (d > 0) {
+        edits.push(x === prevX ? b[prevY] : -a[prevX].length);
+        x = prevX;
+        y = prevY;
+      }
+    }
+    return edits.reverse();
+  }
+
+  /**
+   * operation이 적용될 문서 길이
+   */
+  static baseLength(operation) {
+    return operation.reduce((length, component) => (
+      isInsert(component) ? length : length + Math.abs(component)
+    ), 0);
+  }
+
+  /**
+   * 문서에 operation 적용
+   * @param {string} text - 문서
+   * @param {Array} operation - 정규화된 operation
+   * @returns {string}
+   */
+  static apply(text, operation) {
+    if (TextOperation.baseLength(operation) !== text.length) {
+      throw new OperationError(`operation expects a document of length ${TextOperation.baseLength(operation)}, but it is ${text.length}`, 409);
+    }
+
+    const parts = [];
+    let index = 0;
+    for (const component of operation) {
+      if (isRetain(component)) {
+        parts.push(text.slice(index, index + component));
+        index += component;
+      } else if (isInsert(component)) {
+        parts.push(component);
+      } else {
+        index -= component;
+      }
+    }
+    return parts.join('');
+  }
+
+  /**
+   * 동시에 만들어진 두 operation 변환
+   * 같은 위치에 동시에 삽입하면 a의 삽입이 앞에 옵니다.
+   * @param {Array} a - operation
+   * @param {Array} b - operation (a와 같은 문서 기준)
+   * @returns {[Array, Array]} - [b 이후에 적용할 a', a 이후에 적용할 b']
+   */
+  static transform(a, b) {
+    if (TextOperation.baseLength(a) !== TextOperation.baseLength(b)) {
+      throw new OperationError('Both operations must apply to the same document', 409);
+    }
+
+    const aPrime = [];
+    const bPrime = [];
+    let i = 0;
+    let j = 0;
+    let componentA = a[i++];
+    let componentB = b[j++];
+
+    while (componentA !== undefined || componentB !== undefined) {
+      if (isInsert(componentA)) {
+        TextOperation.insert(aPrime, componentA);
+        TextOperation.retain(bPrime, componentA.length);
+        componentA = a[i++];
+        continue;
+      }
+      if (isInsert(componentB)) {
+        TextOperation.retain(aPrime, componentB.length);
+        TextOperation.insert(bPrime, componentB);
+        componentB = b[j++];
+        continue;
+      }
+
+      const lengthA = Math.abs(componentA);
+      const lengthB = Math.abs(componentB);
+      const length = Math.min(lengthA, lengthB);
+
+      if (isRetain(componentA) && isRetain(componentB)) {
+        TextOperation.retain(aPrime, length);
+        TextOperation.retain(bPrime, length);
+      } else if (isDelete(componentA) && isRetain(componentB)) {
+        TextOperation.delete(aPrime, -length);
+      } else if (isRetain(componentA) && isDelete(componentB)) {
+        TextOperation.delete(bPrime, -length);
+      }
+      // 둘 다 같은 글자를 삭제하면 양쪽 모두 할 일이 없음
+
+      componentA = lengthA === length ? a[i++] : Math.sign(componentA) * (lengthA - length);
+      componentB = lengthB === length ? b[j++] : Math.sign(componentB) * (lengthB - length);
+    }
+
+    return [aPrime, bPrime];
+  }
+
+}
+
+module.exports = {
+  TextOperation,
+  OperationError
+};
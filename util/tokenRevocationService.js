@@ -0,0 +1,142 @@
+const { getRedisClient } = require('./redisService');
+const logger = require('./logger');
+const RefreshTokenService = require('./refreshTokenService');
+
+/**
+ * 폐기 목록을 확인할 수 없음 (Redis 장애 등, errorHandler가 statusCode로 응답)
+ */
+class RevocationUnavailableError extends Error {
+  constructor(message = 'Authentication is temporarily unavailable, please try again later') {
+    super(message);
+    this.name = 'RevocationUnavailableError';
+    this.statusCode = 503;
+  }
+}
+
+/**
+ * 액세스 토큰 폐기 관리 (Redis)
+ * - 토큰 단위: jti를 토큰 만료 시점까지 폐기 목록에 저장
+ * - 사용자 단위: 토큰 버전을 올려 이전 버전으로 발급된 토큰을 모두 무효화
+ * Redis를 사용할 수 없으면 폐기된 토큰이 다시 통과하지 않도록 기본적으로 인증을 거부합니다 (503).
+ * TOKEN_REVOCATION_FAIL_OPEN=true이면 예전처럼 폐기 확인을 건너뜁니다.
+ */
+class TokenRevocationService {
+  constructor() {
+    this.revokedPrefix = 'auth:revoked:';
+    this.versionPrefix = 'auth:token-version:';
+    this.failOpen = process.env.TOKEN_REVOCATION_FAIL_OPEN === 'true';
+  }
+
+  /**
+   * 단일 토큰 폐기
+   * @param {Object} decoded - 디코딩된 JWT 페이로드 (jti, exp 필요)
+   * @returns {Promise<boolean>} - 폐기 여부
+   */
+  async revokeToken(decoded) {
+    if (!decoded || !decoded.jti) {
+      logger.warning('Token without jti cannot be revoked individually');
+      return false;
+    }
+
+    const ttl = decoded.exp ? decoded.exp - Math.floor(Date.now() / 1000) : 0;
+    if (ttl <= 0) {
+      return false; // 이미 만료된 토큰
+    }
+
+    const redisClient = getRedisClient();
+    await redisClient.set(`${this.revokedPrefix}${decoded.jti}`, decoded.userId || '1', { EX: ttl });
+    logger.info(`Access token revoked: ${decoded.jti}`);
+    return true;
+  }
+
+  /**
+   * 사용자의 현재 토큰 버전 조회
+   * Redis를 사용할 수 없으면 RevocationUnavailableError (fail-open 설정이면 0)
+   * @param {string} userId - 사용자 ID
+   * @returns {Promise<number>}
+   */
+  async getTokenVersion(userId) {
+    try {
+      const redisClient = getRedisClient();
+      const version = await redisClient.get(`${this.versionPrefix}${userId}`);
+      return version ? parseInt(version, 10) : 0;
+    } catch (error) {
+      return this.handleUnavailable(`Failed to read token version: ${error.message}`, 0);
+    }
+  }
+
+  /**
+   * 사용자 토큰 버전 증가 (모든 기기에서 로그아웃)
+   * @param {string} userId - 사용자 ID
+   * @returns {Promise<number>} - 새 토큰 버전
+   */
+  async bumpTokenVersion(userId) {
+    const redisClient = getRedisClient();
+    const version = await redisClient.incr(`${this.versionPrefix}${userId}`);
+    logger.info(`Token version bumped for user ${userId}: ${version}`);
+    return version;
+  }
+
+  /**
+   * 사용자의 모든 세션 무효화 (비밀번호 재설정/변경 등)
+   * 액세스 토큰 버전을 올리고 모든 리프레시 토큰을 폐기합니다.
+   * 토큰 버전을 올리지 못하면 기존 액세스 토큰이 계속 유효하므로 RevocationUnavailableError (fail-open 설정과 무관)
+   * @param {string} userId - 사용자 ID
+   * @param {string} reason - 리프레시 토큰 폐기 사유
+   * @returns {Promise<void>}
+   */
+  async revokeAllSessions(userId, reason) {
+    try {
+      await this.bumpTokenVersion(userId);
+    } catch (error) {
+      logger.error(`Failed to bump token version for user ${userId}: ${error.message}`);
+      throw new RevocationUnavailableError('Sessions could not be ended, please try again later');
+    }
+
+    await RefreshTokenService.revokeAllForUser(userId, reason);
+  }
+
+  /**
+   * 토큰 폐기 여부 확인
+   * Redis를 사용할 수 없으면 RevocationUnavailableError (fail-open 설정이면 폐기되지 않은 것으로 간주)
+   * @param {Object} decoded - 디코딩된 JWT 페이로드
+   * @returns {Promise<boolean>}
+   */
+  async isRevoked(decoded) {
+    try {
+      const redisClient = getRedisClient();
+      const [revoked, version] = await Promise.all([
+        decoded.jti ? redisClient.exists(`${this.revokedPrefix}${decoded.jti}`) : 0,
+        redisClient.get(`${this.versionPrefix}${decoded.userId}`)
+      ]);
+
+      if (revoked) {
+        return true;
+      }
+
+      const currentVersion = version ? parseInt(version, 10) : 0;
+      return (decoded.tokenVersion || 0) < currentVersion;
+    } catch (error) {
+      return this.handleUnavailable(`Token revocation check failed: ${error.message}`, false);
+    }
+  }
+
+  /**
+   * 폐기 목록을 확인할 수 없을 때 처리 (기본은 거부, fail-open 설정이면 fallback 반환)
+   */
+  handleUnavailable(message, fallback) {
+    if (this.failOpen) {
+      logger.warning(`${message} (skipped, TOKEN_REVOCATION_FAIL_OPEN is set)`);
+      return fallback;
+    }
+    logger.error(message);
+    throw new RevocationUnavailableError();
+  }
+}
+
+// 싱글톤 인스턴스
+const tokenRevocationService = new TokenRevocationService();
+
+module.exports = tokenRevocationService;
+module.exports.TokenRevocationService = TokenRevocationService;
+module.exports.RevocationUnavailableError = RevocationUnavailableError;
@@ -0,0 +1,158 @@
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * TOTP (RFC 6238) 2단계 인증 유틸리티
+ * Google Authenticator 등 일반적인 인증 앱과 호환되는 설정(SHA1, 6자리, 30초)을 사용합니다.
+ */
+class TotpService {
+  constructor() {
+    this.issuer = process.env.TOTP_ISSUER || 'Memo App';
+    this.digits = 6;
+    this.period = 30;
+    this.window = 1; // 앞뒤 1구간(±30초)까지 허용
+  }
+
+  /**
+   * 새 TOTP 비밀키 생성
+   * @returns {string} - Base32 인코딩된 비밀키
+   */
+  generateSecret() {
+    return this.base32Encode(crypto.randomBytes(20));
+  }
+
+  /**
+   * 인증 앱 등록용 otpauth URI 생성
+   * @param {string} secret - Base32 비밀키
+   * @param {string} accountName - 계정 이름 (이메일 등)
+   * @returns {string}
+   */
+  buildOtpAuthUri(secret, accountName) {
+    const label = encodeURIComponent(`${this.issuer}:${accountName}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer: this.issuer,
+      algorithm: 'SHA1',
+      digits: String(this.digits),
+      period: String(this.period)
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+  }
+
+  /**
+   * TOTP 코드 검증
+   * @param {string} secret - Base32 비밀키
+   * @param {string} code - 사용자가 입력한 코드
+   * @param {number|null} lastUsedStep - 마지막으로 사용된 시간 구간 (재사용 방지)
+   * @returns {number|null} - 일치한 시간 구간 또는 null
+   */
+  verify(secret, code, lastUsedStep = null) {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!/^\d+$/.test(normalized) || normalized.length !== this.digits) {
+      return null;
+    }
+
+    const key = this.base32Decode(secret);
+    const currentStep = Math.floor(Date.now() / 1000 / this.period);
+
+    for (let offset = -this.window; offset <= this.window; offset++) {
+      const step = currentStep + offset;
+      if (lastUsedStep !== null && step <= lastUsedStep) {
+        continue;
+      }
+      const expected = this.generateCode(key, step);
+      if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+        return step;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * 특정 시간 구간의 코드 생성 (HOTP)
+   * @param {Buffer} key - 비밀키
+   * @param {number} step - 시간 구간
+   * @returns {string}
+   */
+  generateCode(key, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', key).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = ((hmac[offset] & 0x7f) << 24)
+      | (hmac[offset + 1] << 16)
+      | (hmac[offset + 2] << 8)
+      | hmac[offset + 3];
+
+    return (binary % 10 ** this.digits).toString().padStart(this.digits, '0');
+  }
+
+  /**
+   * 복구 코드 생성
+   * @param {number} count - 생성할 코드 수
+   * @returns {{codes: string[], hashes: string[]}} - 평문 코드(사용자 전달용)와 해시(저장용)
+   */
+  generateRecoveryCodes(count = 10) {
+    const codes = Array.from({ length: count }, () => {
+      const raw = crypto.randomBytes(5).toString('hex');
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+    return { codes, hashes: codes.map(code => this.hashRecoveryCode(code)) };
+  }
+
+  hashRecoveryCode(code) {
+    const normalized = String(code).toLowerCase().replace(/[^a-f0-9]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+  }
+
+  base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+      value = (value << 8) | byte;
+      bits += 8;
+      while (bits >= 5) {
+        output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+        bits -= 5;
+      }
+    }
+
+    if (bits > 0) {
+      output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+  }
+
+  base32Decode(input) {
+    const cleaned = String(input).toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of cleaned) {
+      const index = BASE32_ALPHABET.indexOf(char);
+      if (index === -1) {
+        throw new Error('Invalid base32 character');
+      }
+      value = (value << 5) | index;
+      bits += 5;
+      if (bits >= 8) {
+        bytes.push((value >>> (bits - 8)) & 0xff);
+        bits -= 8;
+      }
+    }
+
+    return Buffer.from(bytes);
+  }
+}
+
+// 싱글톤 인스턴스
+const totpService = new TotpService();
+
+module.exports = totpService;